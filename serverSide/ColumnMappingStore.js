@@ -0,0 +1,170 @@
+const path = require("path");
+const crypto = require("crypto");
+const { readJSON, modifyJSON } = require("./jsonFile");
+const { DOCUMENT_TYPES } = require("./parserProfiles");
+const { COLUMN_FIELDS } = require("./spreadsheets");
+
+// Named column-mapping presets for spreadsheet uploads. A preset names the
+// headers of each field for one document type ({ grade: ["Harf Notu"] }),
+// replacing the parser profile's headers for those fields, and may limit
+// the sheets read and fix the header row.
+class ColumnMappingStore {
+  constructor(dataDirectory = "./data") {
+    this.filePath = path.join(dataDirectory, "column-mappings.json");
+  }
+
+  // Header lists per field, accepting a single header as a string
+  static normalizeColumns(columns) {
+    const normalized = {};
+    for (const [field, headers] of Object.entries(columns || {})) {
+      normalized[field] = (Array.isArray(headers) ? headers : [headers])
+        .map((header) => String(header).trim())
+        .filter(Boolean);
+    }
+    return normalized;
+  }
+
+  // Returns an error message, or null when the preset is valid
+  static validate(preset) {
+    if (!preset.name || !String(preset.name).trim()) {
+      return "name is required";
+    }
+    if (!DOCUMENT_TYPES.includes(preset.documentType)) {
+      return `documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`;
+    }
+    if (
+      !preset.columns ||
+      typeof preset.columns !== "object" ||
+      Array.isArray(preset.columns)
+    ) {
+      return "columns must map fields to header names";
+    }
+
+    const fields = COLUMN_FIELDS[preset.documentType];
+    for (const [field, headers] of Object.entries(preset.columns)) {
+      if (!fields.includes(field)) {
+        return `Unknown ${preset.documentType} field ${field}; use: ${fields.join(", ")}`;
+      }
+      const list = Array.isArray(headers) ? headers : [headers];
+      if (
+        list.length === 0 ||
+        list.some((header) => typeof header !== "string" || !header.trim())
+      ) {
+        return `columns.${field} must be a header name or a list of them`;
+      }
+    }
+
+    if (
+      preset.sheets !== undefined &&
+      preset.sheets !== null &&
+      (!Array.isArray(preset.sheets) ||
+        preset.sheets.some((sheet) => typeof sheet !== "string"))
+    ) {
+      return "sheets must be a list of sheet names";
+    }
+    if (
+      preset.headerRow !== undefined &&
+      preset.headerRow !== null &&
+      (!Number.isInteger(preset.headerRow) || preset.headerRow < 1)
+    ) {
+      return "headerRow must be a whole number from 1";
+    }
+    return null;
+  }
+
+  async list() {
+    return readJSON(this.filePath, []);
+  }
+
+  async get(id) {
+    const presets = await this.list();
+    return presets.find((preset) => preset.id === id) || null;
+  }
+
+  // Run a read-modify-write of the presets after earlier writes finish
+  modify(change) {
+    return modifyJSON(this.filePath, change);
+  }
+
+  buildPreset(fields, existing = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: existing.id || crypto.randomUUID(),
+      name: String(fields.name).trim(),
+      documentType: fields.documentType,
+      columns: ColumnMappingStore.normalizeColumns(fields.columns),
+      sheets: fields.sheets || null,
+      headerRow: fields.headerRow || null,
+      createdAt: existing.createdAt || now,
+      updatedAt: now,
+    };
+  }
+
+  // Preset names are unique, ignoring case
+  findConflict(presets, preset) {
+    return presets.find(
+      (other) =>
+        other.id !== preset.id &&
+        other.name.toLowerCase() === preset.name.toLowerCase()
+    );
+  }
+
+  async add(fields) {
+    const message = ColumnMappingStore.validate(fields);
+    if (message) return { success: false, message };
+
+    return this.modify((presets) => {
+      const preset = this.buildPreset(fields);
+      if (this.findConflict(presets, preset)) {
+        return {
+          success: false,
+          message: `A column mapping named ${preset.name} already exists`,
+        };
+      }
+
+      presets.push(preset);
+      return { success: true, columnMapping: preset };
+    });
+  }
+
+  async update(id, fields) {
+    return this.modify((presets) => {
+      const index = presets.findIndex((preset) => preset.id === id);
+      if (index === -1) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Column mapping ${id} not found`,
+        };
+      }
+
+      const merged = { ...presets[index], ...fields };
+      const message = ColumnMappingStore.validate(merged);
+      if (message) return { success: false, message };
+
+      const preset = this.buildPreset(merged, presets[index]);
+      if (this.findConflict(presets, preset)) {
+        return {
+          success: false,
+          message: `A column mapping named ${preset.name} already exists`,
+        };
+      }
+
+      presets[index] = preset;
+      return { success: true, columnMapping: preset };
+    });
+  }
+
+  // Returns false when there was nothing to delete
+  async delete(id) {
+    const outcome = await this.modify((presets) => {
+      const index = presets.findIndex((preset) => preset.id === id);
+      if (index === -1) return { success: false };
+      presets.splice(index, 1);
+      return { success: true };
+    });
+    return outcome.success;
+  }
+}
+
+module.exports = ColumnMappingStore;
@@ -1,63 +1,303 @@
 const fs = require("fs").promises;
 const path = require("path");
-const Papa = require("papaparse");
 const mammoth = require("mammoth");
-const XLSX = require("xlsx");
 const pdf = require("pdf-parse");
+const ProfileStore = require("./ProfileStore");
+const EquivalenceStore = require("./EquivalenceStore");
+const ColumnMappingStore = require("./ColumnMappingStore");
+const CurriculumStore = require("./CurriculumStore");
+const PlanStore = require("./PlanStore");
+const WaitlistStore = require("./WaitlistStore");
+const config = require("./config");
+const {
+  normalizeGrade,
+  getGradePoints,
+  calculateGPA,
+  calculateTermGPAs,
+} = require("./gpa");
+const {
+  parseMeetings,
+  findClashes,
+  buildTimetable,
+  groupByDay,
+  toICS,
+} = require("./timetable");
+const {
+  parseTerm,
+  compareTerms,
+  sortByTerm,
+  nextRegularTerm,
+} = require("./terms");
+const { classifyStanding, applyStandingLimits } = require("./academicStanding");
+const { runDegreeAudit } = require("./degreeAudit");
+const {
+  buildAdvisingReport,
+  toCSV: reportToCSV,
+  toXLSX: reportToXLSX,
+  toPDF: reportToPDF,
+} = require("./advisingReport");
+const {
+  parsePrerequisites,
+  evaluatePrerequisites,
+  describePrerequisites,
+  getPrerequisiteCodes,
+  getCorequisiteCodes,
+  mapRequisiteCodes,
+} = require("./prerequisites");
+const {
+  buildPrerequisiteGraph,
+  toDOT,
+  toMermaid,
+} = require("./prerequisiteGraph");
+const {
+  slotPatternFromCode,
+  courseFitsSlot,
+  assignElectiveSlots,
+  summarizeSlots,
+} = require("./electives");
+const {
+  getParserProfile,
+  detectParserProfile,
+  matchRule,
+} = require("./parserProfiles");
+const {
+  createDiagnostics,
+  countLine,
+  getRuleDefaults,
+  addRecord,
+  addUnmatched,
+  finishDiagnostics,
+} = require("./parseDiagnostics");
+const {
+  normalizeCode,
+  normalizeCurriculumCourse,
+  normalizeTranscriptAttempt,
+  normalizeOfferedCourse,
+} = require("./recordValidation");
+const {
+  isSpreadsheet,
+  readSpreadsheet,
+  findHeaderRow,
+  mapColumns,
+  readCell,
+  proposeColumnMapping,
+  REQUIRED_COLUMNS,
+} = require("./spreadsheets");
+
+// Header cells of offered-course tables, matched case-insensitively
+const SECTION_TABLE_HEADERS = {
+  code: /^(course\s*)?code$|^course$/i,
+  title: /title|course\s*name|^name$/i,
+  section: /^(sec(tion)?|group|grp)\.?(\s*no\.?)?$/i,
+  days: /^days?$/i,
+  time: /time|hours?/i,
+  room: /room|classroom|location|venue/i,
+  instructor: /instructor|lecturer|teacher|staff/i,
+  quota: /^(quota|capacity|cap\.?|seats|kontenjan)$/i,
+  enrolled: /^(enrolled|enrollment|registered|kay[ıi]tl[ıi])$/i,
+};
+
+const COURSE_CODE_CELL = /^([A-Z]{2,4})\s?(\d{3,4}[A-Z]?)$/;
+
+// Quota and enrollment cells of a section; "38/40" in the quota column
+// gives both. Sections without a quota get no seat counts.
+const readSeatCounts = (quotaCell, enrolledCell) => {
+  const shared = String(quotaCell).match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+  const quota = shared ? Number(shared[2]) : parseInt(quotaCell, 10);
+  if (!Number.isFinite(quota)) return {};
+
+  const enrolled = shared ? Number(shared[1]) : parseInt(enrolledCell, 10);
+  return { quota, enrolled: Number.isFinite(enrolled) ? enrolled : 0 };
+};
+
+// Elective placeholder codes in curriculum spreadsheets: "SFWE4XX",
+// "UNIEXX1", "AE4XX"
+const ELECTIVE_PLACEHOLDER = /^[A-Z]{0,5}\d*X{2,3}\d*$/;
 
 class CourseAdvisorSystem {
-  constructor() {
+  constructor(options = {}) {
+    this.registrationLimits = {
+      ...config.registrationLimits,
+      ...options.registrationLimits,
+    };
+    this.roadmapOptions = { ...config.roadmap, ...options.roadmap };
+    this.academicStanding = options.academicStanding || config.academicStanding;
+    this.degreeRequirements =
+      options.degreeRequirements || config.degreeRequirements;
+    this.timetableOptions = { ...config.timetable, ...options.timetable };
+    this.gradeScale = options.gradeScale || config.gradeScale;
+    this.gpaRounding = options.gpaRounding || config.gpaRounding;
+    this.attemptPolicy = options.attemptPolicy || config.attemptPolicy;
+    this.retakeSuggestionGrades =
+      options.retakeSuggestionGrades || config.retakeSuggestionGrades;
+    this.electiveOptions = { ...config.electives, ...options.electives };
+    this.classStandingECTS = {
+      ...config.classStandingECTS,
+      ...options.classStandingECTS,
+    };
+    // Parser profile id, or "auto" to detect one per document
+    this.parserProfile = options.parserProfile || config.parserProfile;
+    // Profile used for each document type, with detection scores
+    this.parsing = {};
+    // Column-mapping presets chosen for this upload, per document type
+    this.columnMappings = options.columnMappings || {};
+    this.diagnosticsOptions = {
+      ...config.diagnostics,
+      ...options.diagnostics,
+    };
+    // Parse diagnostics per document type
+    this.diagnostics = {};
+    // Hand corrections made after parsing
+    this.corrections = [];
     this.curriculum = [];
+    this.electiveSlots = [];
+    this.electivePool = [];
+    this.prerequisiteGraph = null;
     this.completedCourses = new Map();
     this.availableCourses = [];
     this.studentInfo = {};
+    this.profileId = null;
+    // Stored curriculum version the curriculum comes from, or null for a
+    // curriculum parsed for this profile alone
+    this.curriculumVersion = null;
     this.dataDirectory = "./data";
+    this.profileStore = new ProfileStore(this.dataDirectory);
+    this.equivalences = [];
+    this.equivalenceStore = new EquivalenceStore(this.dataDirectory);
+    this.columnMappingStore = new ColumnMappingStore(this.dataDirectory);
+    this.curriculumStore = new CurriculumStore(this.dataDirectory);
+    this.planStore = new PlanStore(this.dataDirectory);
+    // Live seat counts and waitlists of offered sections
+    this.waitlists = [];
+    this.waitlistStore = new WaitlistStore(this.dataDirectory);
   }
 
-  // Ensure data directory exists
-  async ensureDataDirectory() {
-    try {
-      await fs.access(this.dataDirectory);
-    } catch (error) {
-      await fs.mkdir(this.dataDirectory, { recursive: true });
+  // Take the curriculum from a stored version instead of parsing one.
+  // Returns false when the version does not exist.
+  async useCurriculumVersion(versionId) {
+    const version = await this.curriculumStore.get(versionId);
+    if (!version) {
+      console.error(`Curriculum version ${versionId} not found`);
+      return false;
     }
+
+    this.curriculumVersion = version.id;
+    this.curriculum = version.curriculum;
+    this.electiveSlots = version.electiveSlots;
+    this.electivePool = version.electivePool;
+    if (version.parsing) this.parsing.curriculum = version.parsing;
+    if (version.diagnostics) this.diagnostics.curriculum = version.diagnostics;
+    console.log(
+      `Using curriculum version ${version.id} (${version.curriculum.length} courses)`
+    );
+    return true;
   }
 
-  // Save parsed data to JSON files
-  async saveParsedData() {
-    await this.ensureDataDirectory();
+  // Parse a curriculum document into a stored version: a new one for
+  // fields { program, catalogYear }, or a replacement of versionId
+  async saveCurriculumVersion(filePath, fields, versionId = null) {
+    try {
+      await this.loadEquivalences();
+      await this.parseCurriculum(filePath);
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message,
+        ...(error.columnMappingProposal && {
+          columnMappingProposal: error.columnMappingProposal,
+        }),
+      };
+    }
 
-    const dataToSave = {
+    const data = {
+      ...fields,
       curriculum: this.curriculum,
-      completedCourses: Array.from(this.completedCourses.entries()),
-      availableCourses: this.availableCourses,
-      studentInfo: this.studentInfo,
-      timestamp: new Date().toISOString(),
+      electiveSlots: this.electiveSlots,
+      electivePool: this.electivePool,
+      parsing: this.parsing.curriculum,
+      diagnostics: this.diagnostics.curriculum,
     };
+    return versionId
+      ? this.curriculumStore.replace(versionId, data)
+      : this.curriculumStore.add(data);
+  }
 
-    const filePath = path.join(this.dataDirectory, "parsed_data.json");
-    await fs.writeFile(filePath, JSON.stringify(dataToSave, null, 2));
-    console.log(`Parsed data saved to ${filePath}`);
+  // Load the shared course equivalence table
+  async loadEquivalences() {
+    this.equivalences = await this.equivalenceStore.list();
+    console.log(`Loaded ${this.equivalences.length} course equivalences`);
+    return this.equivalences;
+  }
 
-    return filePath;
+  async loadWaitlists() {
+    this.waitlists = await this.waitlistStore.list();
+    console.log(`Loaded seat counts of ${this.waitlists.length} sections`);
+    return this.waitlists;
   }
 
-  // Load parsed data from JSON file
-  async loadParsedData(filePath = null) {
-    if (!filePath) {
-      filePath = path.join(this.dataDirectory, "parsed_data.json");
+  // Save parsed data to the student's profile. Profiles following a
+  // curriculum version store a reference to it instead of its courses.
+  async saveParsedData(profileId = this.profileId) {
+    this.profileId = profileId || ProfileStore.createId(this.studentInfo);
+
+    const data = this.getParsedDataAsJSON();
+    if (this.curriculumVersion) {
+      delete data.curriculum;
+      delete data.electiveSlots;
+      delete data.electivePool;
     }
+    const filePath = await this.profileStore.save(this.profileId, data);
+    console.log(
+      `Parsed data for profile ${this.profileId} saved to ${filePath}`
+    );
 
+    return filePath;
+  }
+
+  // Load parsed data from the student's profile
+  async loadParsedData(profileId) {
     try {
-      const data = await fs.readFile(filePath, "utf8");
-      const parsedData = JSON.parse(data);
+      const parsedData = await this.profileStore.load(profileId);
+      if (!parsedData) {
+        console.error(`No parsed data found for profile ${profileId}`);
+        return false;
+      }
 
+      this.profileId = profileId;
       this.curriculum = parsedData.curriculum || [];
-      this.completedCourses = new Map(parsedData.completedCourses || []);
+      this.electiveSlots = parsedData.electiveSlots || [];
+      this.electivePool = parsedData.electivePool || [];
+      // Re-apply the attempt policy to the stored attempt histories
+      this.completedCourses = new Map(
+        (parsedData.completedCourses || []).map(([code, course]) => [
+          code,
+          course.attempts && course.attempts.length > 0
+            ? this.buildCourseRecord(
+                course.attempts.map((attempt) => ({
+                  ...attempt,
+                  code,
+                  title: course.title,
+                  passed: this.isPassingGrade(attempt.grade),
+                }))
+              )
+            : course,
+        ])
+      );
       this.availableCourses = parsedData.availableCourses || [];
       this.studentInfo = parsedData.studentInfo || {};
+      this.parsing = parsedData.parsing || {};
+      this.diagnostics = parsedData.diagnostics || {};
+      this.corrections = parsedData.corrections || [];
+      if (
+        parsedData.curriculumVersion &&
+        !(await this.useCurriculumVersion(parsedData.curriculumVersion))
+      ) {
+        return false;
+      }
+      await this.loadEquivalences();
+      await this.loadWaitlists();
 
-      console.log(`Parsed data loaded from ${filePath}`);
+      console.log(`Parsed data loaded for profile ${profileId}`);
       console.log(`Loaded ${this.curriculum.length} curriculum courses`);
       console.log(`Loaded ${this.completedCourses.size} completed courses`);
       console.log(`Loaded ${this.availableCourses.length} available courses`);
@@ -72,17 +312,460 @@ class CourseAdvisorSystem {
   // Get parsed data as JSON object
   getParsedDataAsJSON() {
     return {
+      profileId: this.profileId,
+      curriculumVersion: this.curriculumVersion,
       curriculum: this.curriculum,
+      electiveSlots: this.electiveSlots,
+      electivePool: this.electivePool,
       completedCourses: Array.from(this.completedCourses.entries()),
       availableCourses: this.availableCourses,
       studentInfo: this.studentInfo,
+      parsing: this.parsing,
+      diagnostics: this.diagnostics,
+      corrections: this.corrections,
       timestamp: new Date().toISOString(),
     };
   }
 
-  // Parse curriculum document (Word/PDF/Text)
+  // Hand corrections of parsed data, used by the review screen before
+  // recommendations are generated. section is "curriculum", "transcript"
+  // or "availableCourses". Transcript entries are single attempts, picked
+  // by attempt number (the latest when none is given). Each method returns
+  // { success, record } or { success: false, message }, with notFound set
+  // when the code or attempt does not exist.
+  addParsedRecord(section, fields) {
+    if (section === "transcript") {
+      const { record, message } = normalizeTranscriptAttempt(
+        fields,
+        null,
+        this.gradeScale
+      );
+      if (message) return { success: false, message };
+
+      const attempts = [...this.getTranscriptAttempts(record.code), record];
+      this.setTranscriptAttempts(record.code, attempts);
+      return this.recordCorrection(section, "add", record.code, {
+        attempt: attempts.length,
+      });
+    }
+
+    const { record, message } = this.normalizeParsedRecord(section, fields);
+    if (message) return { success: false, message };
+
+    const records = this.getParsedRecords(section);
+    if (records.some((course) => course.code === record.code)) {
+      return {
+        success: false,
+        message: `${record.code} is already in ${section}`,
+      };
+    }
+    this.setParsedRecords(section, [...records, record]);
+    return this.recordCorrection(section, "add", record.code);
+  }
+
+  updateParsedRecord(section, code, fields, attempt) {
+    code = normalizeCode(code);
+
+    if (section === "transcript") {
+      const attempts = this.getTranscriptAttempts(code);
+      const index = attempt ? attempt - 1 : attempts.length - 1;
+      if (!attempts[index]) {
+        return {
+          success: false,
+          notFound: true,
+          message: `No attempt ${attempt || ""} of ${code} on the transcript`,
+        };
+      }
+
+      const { record, message } = normalizeTranscriptAttempt(
+        fields,
+        attempts[index],
+        this.gradeScale
+      );
+      if (message) return { success: false, message };
+
+      // A corrected title applies to every attempt of the course
+      if (fields.title !== undefined) {
+        attempts.forEach((entry) => (entry.title = record.title));
+      }
+
+      // A corrected code moves the attempt to that course
+      if (record.code === code) {
+        attempts[index] = record;
+        this.setTranscriptAttempts(code, attempts);
+        return this.recordCorrection(section, "update", code, {
+          attempt: index + 1,
+        });
+      }
+
+      const moved = [...this.getTranscriptAttempts(record.code), record];
+      this.setTranscriptAttempts(
+        code,
+        attempts.filter((entry, position) => position !== index)
+      );
+      this.setTranscriptAttempts(record.code, moved);
+      return this.recordCorrection(section, "update", record.code, {
+        attempt: moved.length,
+      });
+    }
+
+    const records = this.getParsedRecords(section);
+    const index = records.findIndex((course) => course.code === code);
+    if (index === -1) {
+      return {
+        success: false,
+        notFound: true,
+        message: `${code} not found in ${section}`,
+      };
+    }
+
+    const { record, message } = this.normalizeParsedRecord(
+      section,
+      fields,
+      records[index]
+    );
+    if (message) return { success: false, message };
+    if (
+      record.code !== code &&
+      records.some((course) => course.code === record.code)
+    ) {
+      return {
+        success: false,
+        message: `${record.code} is already in ${section}`,
+      };
+    }
+
+    this.setParsedRecords(
+      section,
+      records.map((course, position) => (position === index ? record : course))
+    );
+    return this.recordCorrection(section, "update", record.code);
+  }
+
+  deleteParsedRecord(section, code, attempt) {
+    code = normalizeCode(code);
+
+    if (section === "transcript") {
+      const attempts = this.getTranscriptAttempts(code);
+      if (attempts.length === 0 || (attempt && !attempts[attempt - 1])) {
+        return {
+          success: false,
+          notFound: true,
+          message: `No attempt ${attempt || ""} of ${code} on the transcript`,
+        };
+      }
+
+      // Without an attempt number the whole course goes
+      this.setTranscriptAttempts(
+        code,
+        attempt ? attempts.filter((entry, index) => index !== attempt - 1) : []
+      );
+      return this.recordCorrection(section, "delete", code, { attempt });
+    }
+
+    const records = this.getParsedRecords(section);
+    if (!records.some((course) => course.code === code)) {
+      return {
+        success: false,
+        notFound: true,
+        message: `${code} not found in ${section}`,
+      };
+    }
+    this.setParsedRecords(
+      section,
+      records.filter((course) => course.code !== code)
+    );
+    return this.recordCorrection(section, "delete", code);
+  }
+
+  getParsedRecords(section) {
+    return section === "curriculum" ? this.curriculum : this.availableCourses;
+  }
+
+  // Assign a new array, so caches keyed on the curriculum are rebuilt
+  setParsedRecords(section, records) {
+    if (section === "curriculum") this.curriculum = records;
+    else this.availableCourses = records;
+  }
+
+  normalizeParsedRecord(section, fields, existing = null) {
+    if (section === "availableCourses") {
+      return normalizeOfferedCourse(fields, existing);
+    }
+
+    const result = normalizeCurriculumCourse(fields, existing);
+    if (result.message) return result;
+
+    // Prerequisites may be corrected as text or as lists of codes
+    const { record } = result;
+    if (
+      fields.prerequisiteText === undefined &&
+      (fields.prerequisites !== undefined || fields.corequisites !== undefined)
+    ) {
+      record.prerequisiteText = [
+        ...record.prerequisites,
+        ...(record.corequisites || []).map((code) => `${code} (coreq)`),
+      ].join(", ");
+    }
+    if (record.prerequisiteText !== undefined) {
+      const requisites = parsePrerequisites(record.prerequisiteText);
+      record.requisites = requisites;
+      record.prerequisites = getPrerequisiteCodes(requisites);
+      record.corequisites = getCorequisiteCodes(requisites);
+    }
+    return { record };
+  }
+
+  // Attempts of a transcript course in the shape parseTranscript collects
+  getTranscriptAttempts(code) {
+    const course = this.completedCourses.get(code);
+    if (!course) return [];
+
+    const attempts =
+      course.attempts && course.attempts.length > 0
+        ? course.attempts
+        : [course];
+    return attempts.map((attempt) => ({
+      code,
+      title: course.title,
+      grade: attempt.grade,
+      credits: attempt.credits,
+      ects: attempt.ects,
+      gradePoints: attempt.gradePoints,
+      semester: attempt.semester || "",
+      passed: attempt.passed,
+    }));
+  }
+
+  setTranscriptAttempts(code, attempts) {
+    if (attempts.length === 0) {
+      this.completedCourses.delete(code);
+      return;
+    }
+
+    this.completedCourses.set(
+      code,
+      this.buildCourseRecord(
+        attempts.map((attempt) => ({
+          ...attempt,
+          code,
+          passed: this.isPassingGrade(attempt.grade),
+        }))
+      )
+    );
+  }
+
+  // Log a correction, clear the diagnostics flags of the record and
+  // return the record as now stored
+  recordCorrection(section, action, code, details = {}) {
+    this.corrections.push({
+      section,
+      action,
+      code,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+
+    const report = this.diagnostics[section];
+    for (const record of report ? report.records : []) {
+      if (record.code === code) {
+        record.corrected = true;
+        record.lowConfidence = false;
+      }
+    }
+
+    const record =
+      section === "transcript"
+        ? this.completedCourses.get(code) || null
+        : this.getParsedRecords(section).find(
+            (course) => course.code === code
+          ) || null;
+    console.log(`Correction: ${action} ${section} ${code}`);
+    return { success: true, record };
+  }
+
+  // Pick the parser profile for a document: the configured one, or the
+  // best scoring one when set to "auto". The choice and the scores are
+  // kept in this.parsing and saved with the parsed data.
+  selectParserProfile(documentType, content) {
+    if (this.parserProfile !== "auto") {
+      const profile = getParserProfile(this.parserProfile);
+      if (!profile) {
+        throw new Error(`Unknown parser profile: ${this.parserProfile}`);
+      }
+      this.parsing[documentType] = { profile: profile.id, detected: false };
+      console.log(`Using parser profile ${profile.id} for ${documentType}`);
+      return profile;
+    }
+
+    const { profile, scores } = detectParserProfile(documentType, content);
+    this.parsing[documentType] = {
+      profile: profile.id,
+      detected: true,
+      scores,
+    };
+    console.log(
+      `Detected parser profile ${profile.id} for ${documentType}:`,
+      scores.map((entry) => `${entry.profile}=${entry.score}`).join(", ")
+    );
+    return profile;
+  }
+
+  // Read a CSV or Excel document and map the columns of each sheet to
+  // fields with the parser profile's header names, or the upload's
+  // column-mapping preset. Sheets without the required columns (summary
+  // sheets, notes) are skipped; when none has them the error carries a
+  // proposed mapping. Returns the profile, the tables read and their data
+  // rows as { cells, mapping, source }.
+  async readTabularDocument(documentType, filePath) {
+    const preset = this.columnMappings[documentType] || null;
+    const sheets = (await readSpreadsheet(filePath)).filter(
+      (sheet) =>
+        sheet.rows.some((cells) => cells.some(Boolean)) &&
+        (!preset || !preset.sheets || preset.sheets.includes(sheet.name))
+    );
+    if (sheets.length === 0) {
+      throw new Error(
+        `No ${
+          preset && preset.sheets ? "selected " : ""
+        }sheet with data in ${path.basename(filePath)}`
+      );
+    }
+
+    const headerIndexOf = (rows) =>
+      preset && preset.headerRow ? preset.headerRow - 1 : findHeaderRow(rows);
+    const profile = this.selectParserProfile(documentType, {
+      headers: sheets.flatMap(
+        (sheet) => sheet.rows[headerIndexOf(sheet.rows)] || []
+      ),
+    });
+    const columns = {
+      ...(profile[documentType].columns || {}),
+      ...(preset ? preset.columns : {}),
+    };
+    const required = REQUIRED_COLUMNS[documentType];
+
+    const tables = [];
+    const skipped = [];
+    for (const sheet of sheets) {
+      const headerIndex = headerIndexOf(sheet.rows);
+      const headers = sheet.rows[headerIndex] || [];
+      const mapping = mapColumns(headers, columns);
+      const missing = required.filter((field) => !(field in mapping));
+      if (missing.length > 0) {
+        console.log(
+          `Skipping sheet ${sheet.name}: no ${missing.join(" or ")} column`
+        );
+        skipped.push({ sheet, headerIndex, headers, missing });
+        continue;
+      }
+
+      console.log(
+        `Mapped ${documentType} columns of sheet ${sheet.name}:`,
+        Object.entries(mapping)
+          .map(([field, index]) => `${field}=${headers[index]}`)
+          .join(", ")
+      );
+      tables.push({
+        sheet: sheet.name,
+        headerIndex,
+        mapping,
+        rows: sheet.rows,
+      });
+    }
+
+    if (tables.length === 0) {
+      // Propose for the sheet that maps best
+      const [{ sheet, headerIndex, headers, missing }, proposal] = skipped
+        .map((skip) => [
+          skip,
+          proposeColumnMapping(
+            documentType,
+            skip.headers,
+            skip.sheet.rows.slice(skip.headerIndex + 1, skip.headerIndex + 21),
+            columns
+          ),
+        ])
+        .sort(
+          ([, a], [, b]) =>
+            a.missing.length - b.missing.length ||
+            Object.keys(b.columns).length - Object.keys(a.columns).length
+        )[0];
+      const proposed = Object.entries(proposal.columns)
+        .map(([field, header]) => `${field}=${header}`)
+        .join(", ");
+      const error = new Error(
+        `No ${missing.join(" or ")} column in ${path.basename(
+          filePath
+        )}; expected headers such as ${missing
+          .map((field) => (columns[field] || [field]).join(" / "))
+          .join("; ")}${
+          proposed ? `. Proposed column mapping: ${proposed}` : ""
+        }`
+      );
+      error.columnMappingProposal = {
+        documentType,
+        sheet: sheet.name,
+        headerRow: headerIndex + 1,
+        headers,
+        ...proposal,
+      };
+      throw error;
+    }
+
+    this.parsing[documentType].columnMapping = preset ? preset.id : null;
+    this.parsing[documentType].sheets = tables.map((table) => table.sheet);
+
+    // Row numbers as shown in the spreadsheet; sheet names only matter
+    // when the workbook has several
+    const rows = tables.flatMap((table) =>
+      table.rows
+        .map((cells, index) => ({
+          cells,
+          mapping: table.mapping,
+          source: {
+            ...(sheets.length > 1 && { sheet: table.sheet }),
+            row: index + 1,
+          },
+        }))
+        .slice(table.headerIndex + 1)
+        .filter(({ cells }) => cells.some(Boolean))
+    );
+    return { profile, tables, rows, multipleSheets: sheets.length > 1 };
+  }
+
+  // Propose column mappings for every sheet of a spreadsheet, for setting
+  // up a preset when an export's headers are unknown
+  async proposeColumnMappings(documentType, filePath) {
+    const sheets = await readSpreadsheet(filePath);
+
+    return sheets
+      .filter((sheet) => sheet.rows.some((cells) => cells.some(Boolean)))
+      .map((sheet) => {
+        const headerIndex = findHeaderRow(sheet.rows);
+        const headers = sheet.rows[headerIndex] || [];
+        const { profile } = detectParserProfile(documentType, { headers });
+        return {
+          sheet: sheet.name,
+          headerRow: headerIndex + 1,
+          headers,
+          ...proposeColumnMapping(
+            documentType,
+            headers,
+            sheet.rows.slice(headerIndex + 1, headerIndex + 21),
+            (profile[documentType] || {}).columns
+          ),
+        };
+      });
+  }
+
+  // Parse curriculum document (Word/PDF/Text/CSV/Excel)
   async parseCurriculum(filePath) {
     try {
+      if (isSpreadsheet(filePath)) {
+        return await this.parseCurriculumSheet(filePath);
+      }
+
       const ext = path.extname(filePath).toLowerCase();
       let content = "";
 
@@ -100,23 +783,52 @@ class CourseAdvisorSystem {
 
       console.log("Curriculum content preview:", content.substring(0, 500));
 
-      // Parse curriculum content with more flexible patterns
+      const { id: profileId, curriculum: profile } = this.selectParserProfile(
+        "curriculum",
+        content
+      );
+      const diagnostics = createDiagnostics("curriculum", profileId);
       const lines = content.split("\n");
       const curriculum = [];
+      const electiveSlots = [];
+      const electivePool = [];
       let currentSemester = null;
+      let inElectiveList = false;
 
-      for (const line of lines) {
+      lines.forEach((line, index) => {
         const trimmedLine = line.trim();
+        const source = { line: trimmedLine, lineNumber: index + 1 };
+        countLine(diagnostics, line);
+
+        // Courses after this heading form the elective pool; their leading
+        // numbers are list positions, not semesters
+        if (profile.electiveListHeading.test(trimmedLine)) {
+          inElectiveList = true;
+          console.log("Found elective course list");
+          return;
+        }
+
+        // Elective placeholders become slots instead of courses
+        const slotMatch =
+          !inElectiveList && currentSemester
+            ? matchRule(profile.slotRules, trimmedLine)
+            : null;
+        if (slotMatch) {
+          const slot = this.buildElectiveSlot(slotMatch, currentSemester);
+          electiveSlots.push(slot);
+          addRecord(diagnostics, {
+            record: slot,
+            source,
+            pattern: slotMatch.rule.name,
+            confidence: slotMatch.rule.confidence,
+            defaults: getRuleDefaults(slotMatch.rule, slotMatch.match),
+          });
+          console.log(`Parsed elective slot: ${slot.code} (${slot.category})`);
+          return;
+        }
 
         // Detect semester patterns
-        const semesterPatterns = [
-          /^(\d+)\s+/, // "1 "
-          /semester\s+(\d+)/i, // "Semester 1"
-          /^(\d+)st|nd|rd|th\s+semester/i, // "1st Semester"
-          /^year\s+(\d+)/i, // "Year 1"
-        ];
-
-        for (const pattern of semesterPatterns) {
+        for (const pattern of inElectiveList ? [] : profile.semesterPatterns) {
           const match = trimmedLine.match(pattern);
           if (match) {
             currentSemester = parseInt(match[1]);
@@ -125,125 +837,281 @@ class CourseAdvisorSystem {
           }
         }
 
-        // More flexible course parsing patterns
-        const coursePatterns = [
-          // Standard pattern: CODE TITLE CATEGORY L T P CREDIT PREREQ ECTS
-          /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+(AC|FC|UC|FE|AE|UE|CORE|ELECTIVE)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)(?:\s+(.+?))?\s+(\d+)/i,
-          // Alternative pattern: CODE TITLE CREDITS ECTS CATEGORY
-          /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+(\d+)\s+(\d+)\s+(AC|FC|UC|FE|AE|UE|CORE|ELECTIVE)/i,
-          // Simpler pattern: CODE TITLE CREDITS
-          /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+(\d+)/,
-        ];
-
-        for (const pattern of coursePatterns) {
-          const courseMatch = trimmedLine.match(pattern);
-          if (courseMatch && currentSemester) {
-            let course;
-
-            if (pattern === coursePatterns[0]) {
-              const [
-                ,
-                code,
-                title,
-                category,
-                lecture,
-                tutorial,
-                lab,
-                totalCredit,
-                prerequisites,
-                ects,
-              ] = courseMatch;
-              course = {
-                semester: currentSemester,
-                code: code.trim(),
-                title: title.trim(),
-                category: category.trim(),
-                lecture: parseInt(lecture),
-                tutorial: parseInt(tutorial),
-                lab: parseInt(lab),
-                totalCredit: parseInt(totalCredit),
-                prerequisites: prerequisites
-                  ? prerequisites
-                      .split(",")
-                      .map((p) => p.trim())
-                      .filter((p) => p && p !== "-")
-                  : [],
-                ects: parseInt(ects),
-              };
-            } else if (pattern === coursePatterns[1]) {
-              const [, code, title, credits, ects, category] = courseMatch;
-              course = {
-                semester: currentSemester,
-                code: code.trim(),
-                title: title.trim(),
-                category: category.trim(),
-                lecture: 0,
-                tutorial: 0,
-                lab: 0,
-                totalCredit: parseInt(credits),
-                prerequisites: [],
-                ects: parseInt(ects),
-              };
-            } else {
-              const [, code, title, credits] = courseMatch;
-              course = {
-                semester: currentSemester,
-                code: code.trim(),
-                title: title.trim(),
-                category: "UC", // Default category
-                lecture: 0,
-                tutorial: 0,
-                lab: 0,
-                totalCredit: parseInt(credits),
-                prerequisites: [],
-                ects: parseInt(credits), // Assume ECTS = credits if not specified
-              };
-            }
+        if (!currentSemester && !inElectiveList) {
+          addUnmatched(
+            diagnostics,
+            line,
+            index + 1,
+            "before the first semester heading"
+          );
+          return;
+        }
 
-            curriculum.push(course);
-            console.log(`Parsed course: ${course.code} - ${course.title}`);
-            break;
-          }
+        const result = matchRule(profile.rules, trimmedLine);
+        if (!result) {
+          addUnmatched(diagnostics, line, index + 1, "no pattern matched");
+          return;
         }
-      }
 
-      this.curriculum = curriculum;
-      console.log(`Parsed ${curriculum.length} courses from curriculum`);
-      return curriculum;
+        const course = {
+          semester: currentSemester,
+          ...result.rule.build(result.match, { semester: currentSemester }),
+        };
+        this.setRequisites(course);
+
+        // "TUOG101 / TURK131 TURKISH LANGUAGE-I / ..." lists an
+        // alternative code for the same requirement
+        const alternative = course.title.match(
+          /^\/\s*([A-Z]{2,4}\d{3,4})\s+(.+)$/
+        );
+        if (alternative) {
+          course.alternativeCodes = [alternative[1]];
+          course.title = alternative[2];
+        }
+
+        addRecord(diagnostics, {
+          record: course,
+          source,
+          pattern: result.rule.name,
+          confidence: result.rule.confidence,
+          defaults: getRuleDefaults(result.rule, result.match),
+        });
+
+        if (inElectiveList) {
+          course.semester = null;
+          electivePool.push(course);
+          console.log(`Parsed elective: ${course.code} - ${course.title}`);
+          return;
+        }
+
+        curriculum.push(course);
+        console.log(`Parsed course: ${course.code} - ${course.title}`);
+      });
+
+      return this.setCurriculum(
+        curriculum,
+        electiveSlots,
+        electivePool,
+        diagnostics
+      );
     } catch (error) {
       console.error("Error parsing curriculum:", error);
       throw error;
     }
   }
 
-  // Parse student transcript (PDF/Excel)
+  // Parse a curriculum spreadsheet, one course per row. Rows without a
+  // semester form the elective course list and placeholder codes become
+  // elective slots.
+  async parseCurriculumSheet(filePath) {
+    const { profile, rows } = await this.readTabularDocument(
+      "curriculum",
+      filePath
+    );
+    const diagnostics = createDiagnostics("curriculum", profile.id);
+    diagnostics.totalLines = rows.length;
+    const curriculum = [];
+    const electiveSlots = [];
+    const electivePool = [];
+
+    for (const { cells, mapping, source } of rows) {
+      const cell = (field) => readCell(cells, mapping, field);
+      const code = (cell("code") || "").replace(/\s+/g, "").toUpperCase();
+      if (!code) {
+        diagnostics.unmatchedLines.push({
+          ...source,
+          line: cells.join(" "),
+          reason: "no course code",
+        });
+        continue;
+      }
+
+      const semester = parseInt(cell("semester")) || null;
+      const category = (cell("category") || "UC").toUpperCase();
+      const number = (field) => parseFloat(cell(field)) || 0;
+      const defaults = [
+        "title",
+        "category",
+        "lecture",
+        "tutorial",
+        "lab",
+        "totalCredit",
+        "ects",
+        "prerequisiteText",
+      ].filter((field) => cell(field) === undefined);
+      const diagnosticsRecord = {
+        source,
+        pattern: "columns",
+        confidence: defaults.includes("totalCredit") ? 0.5 : 1,
+        defaults,
+      };
+
+      if (semester && ELECTIVE_PLACEHOLDER.test(code)) {
+        // The trailing digit only numbers the slot; "AE4XX" is any 4xx
+        const level = code.replace(/\d+$/, "").replace(/^(AE|FE|UE)(?=\d)/, "");
+        const slot = {
+          code,
+          title: cell("title") || `${category} elective`,
+          category,
+          totalCredit: number("totalCredit"),
+          ects: number("ects"),
+          semester,
+          pattern: slotPatternFromCode(level),
+          pool: [],
+        };
+        electiveSlots.push(slot);
+        addRecord(diagnostics, { record: slot, ...diagnosticsRecord });
+        console.log(`Parsed elective slot: ${slot.code} (${slot.category})`);
+        continue;
+      }
+
+      const course = {
+        semester,
+        code,
+        title: cell("title") || code,
+        category,
+        lecture: number("lecture"),
+        tutorial: number("tutorial"),
+        lab: number("lab"),
+        totalCredit: number("totalCredit"),
+        ects: number("ects"),
+      };
+      if (cell("prerequisiteText") !== undefined) {
+        course.prerequisiteText = cell("prerequisiteText");
+      }
+      this.setRequisites(course);
+      addRecord(diagnostics, { record: course, ...diagnosticsRecord });
+
+      if (semester) {
+        curriculum.push(course);
+        console.log(`Parsed course: ${course.code} - ${course.title}`);
+      } else {
+        electivePool.push(course);
+        console.log(`Parsed elective: ${course.code} - ${course.title}`);
+      }
+    }
+
+    return this.setCurriculum(
+      curriculum,
+      electiveSlots,
+      electivePool,
+      diagnostics
+    );
+  }
+
+  // Read a course's prerequisite text into prerequisite and corequisite
+  // codes
+  setRequisites(course) {
+    if (course.prerequisiteText === undefined) {
+      course.prerequisites = [];
+      return;
+    }
+    const requisites = parsePrerequisites(course.prerequisiteText);
+    course.prerequisites = getPrerequisiteCodes(requisites);
+    course.corequisites = getCorequisiteCodes(requisites);
+    course.requisites = requisites;
+  }
+
+  // Store a parsed curriculum with its elective slots and elective list
+  setCurriculum(curriculum, electiveSlots, electivePool, diagnostics) {
+    // Number repeated placeholder codes so each slot has its own id
+    const slotIds = new Map();
+    for (const slot of electiveSlots) {
+      const count = (slotIds.get(slot.code) || 0) + 1;
+      slotIds.set(slot.code, count);
+      slot.id = count === 1 ? slot.code : `${slot.code}-${count}`;
+    }
+
+    this.curriculum = curriculum;
+    this.electiveSlots = electiveSlots;
+    this.electivePool = electivePool;
+    this.diagnostics.curriculum = finishDiagnostics(
+      diagnostics,
+      this.diagnosticsOptions.lowConfidence
+    );
+    console.log(`Parsed ${curriculum.length} courses from curriculum`);
+    console.log(
+      `Parsed ${electiveSlots.length} elective slots and ${electivePool.length} elective courses`
+    );
+    return curriculum;
+  }
+
+  // Build an elective slot from a matched placeholder row
+  buildElectiveSlot(result, semester) {
+    const { level, ...slot } = result.rule.build(result.match);
+    return {
+      ...slot,
+      semester,
+      pattern: slotPatternFromCode(level),
+      pool: [],
+    };
+  }
+
+  // Term labels are stored as "2022-2023 Fall"; other semester text is
+  // kept as written
+  normalizeTerm(value) {
+    const term = parseTerm(value);
+    return term ? term.label : value || "";
+  }
+
+  // Parse student transcript (PDF/CSV/Excel)
   async parseTranscript(filePath) {
     try {
       const ext = path.extname(filePath).toLowerCase();
-      const completedCourses = new Map();
+      // Every attempt of every course, in transcript order
+      const attemptsByCode = new Map();
       let studentInfo = {};
+      let diagnostics;
+      const context = {
+        previousLine: "",
+        isPassingGrade: (grade) => this.isPassingGrade(grade),
+      };
 
-      if (ext === ".xlsx" || ext === ".xls") {
-        const workbook = XLSX.readFile(filePath);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(worksheet);
-
-        for (const row of data) {
-          if (row.Code && row.Grade) {
-            completedCourses.set(row.Code, {
-              code: row.Code,
-              title: row["Title of Course"] || row.Title || "",
-              grade: row.Grade,
-              credits: parseFloat(row.Credits) || 0,
-              ects:
-                parseFloat(row["ECTS Credits"]) || parseFloat(row.ECTS) || 0,
-              gradePoints: parseFloat(row["Gr.Pts"]) || 0,
-              semester: row.Semester || "",
-              passed: this.isPassingGrade(row.Grade),
+      if (isSpreadsheet(filePath)) {
+        const { profile, rows, multipleSheets } =
+          await this.readTabularDocument("transcript", filePath);
+        diagnostics = createDiagnostics("transcript", profile.id);
+        diagnostics.totalLines = rows.length;
+
+        rows.forEach(({ cells, mapping, source }) => {
+          const cell = (field) => readCell(cells, mapping, field);
+          const code = (cell("code") || "").replace(/\s+/g, "").toUpperCase();
+          const grade = cell("grade");
+          if (!code || !grade) {
+            diagnostics.unmatchedLines.push({
+              ...source,
+              line: cells.join(" "),
+              reason: code ? "no grade" : "no course code",
             });
+            return;
           }
-        }
+
+          const courseData = {
+            code,
+            title: cell("title") || "",
+            grade,
+            credits: parseFloat(cell("credits")) || 0,
+            ects: parseFloat(cell("ects")) || 0,
+            gradePoints: parseFloat(cell("gradePoints")) || 0,
+            // Workbooks with a sheet per term name the term in the tab
+            semester: this.normalizeTerm(
+              cell("semester") || (multipleSheets ? source.sheet : "")
+            ),
+            passed: this.isPassingGrade(grade),
+          };
+          this.addAttempt(attemptsByCode, courseData);
+
+          const defaults = ["title", "credits", "ects", "gradePoints"].filter(
+            (field) => cell(field) === undefined
+          );
+          addRecord(diagnostics, {
+            record: courseData,
+            source,
+            pattern: "columns",
+            confidence: defaults.includes("credits") ? 0.5 : 1,
+            defaults,
+          });
+        });
       } else if (ext === ".pdf") {
         // Parse PDF transcript
         const dataBuffer = await fs.readFile(filePath);
@@ -252,23 +1120,22 @@ class CourseAdvisorSystem {
 
         console.log("Transcript content preview:", content.substring(0, 500));
 
+        const { id: profileId, transcript: profile } = this.selectParserProfile(
+          "transcript",
+          content
+        );
+        diagnostics = createDiagnostics("transcript", profileId);
         const lines = content.split("\n");
 
-        for (const line of lines) {
+        lines.forEach((line, index) => {
+          countLine(diagnostics, line);
+
           // Debug: Log lines that might contain course data
           if (line.trim() && /[A-Z]{2,4}\d{3,4}/.test(line)) {
             console.log(`Processing line: "${line.trim()}"`);
           }
 
-          // Extract student info with more patterns
-          const studentPatterns = [
-            { pattern: /Student No[:\s]+(\d+)/, key: "studentNo" },
-            { pattern: /Name[:\s]+(.+)/, key: "name" },
-            { pattern: /Department[:\s-]+Program[:\s]+(.+)/, key: "program" },
-            { pattern: /Program[:\s]+(.+)/, key: "program" },
-          ];
-
-          for (const { pattern, key } of studentPatterns) {
+          for (const { pattern, key } of profile.studentPatterns || []) {
             const match = line.match(pattern);
             if (match) {
               studentInfo[key] = match[1].trim();
@@ -276,280 +1143,65 @@ class CourseAdvisorSystem {
             }
           }
 
-          // Parse course lines with multiple patterns
-          const coursePatterns = [
-            // Pattern 1: CODE TITLE ECTS GRADE CREDITS GRADEPOINTS
-            /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+(\d+\.\d+)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+\.\d+)\s+(\d+\.\d+)/,
-            // Pattern 2: CODE TITLE GRADE CREDITS ECTS
-            /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+)\s+(\d+)/,
-            // Pattern 3: Simpler format
-            /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+)/,
-            // Pattern 4: For transcript format like "ENGP030S 0.00 0.00 0,00"
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
-            // Pattern 5: For courses with grades like "A", "B+", etc.
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+\.\d+)/,
-            // Pattern 6: For courses with just code and title
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+?)(?=\s+\d|$)/,
-            // Pattern 7: For courses with letter grades at the end (like "PHYS121F", "MATH122D")
-            /([A-Z]{2,4}\d{3,4}[A-Z])\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
-            // Pattern 8: For courses with letter grades and titles
-            /([A-Z]{2,4}\d{3,4}[A-Z])\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)/,
-            // Pattern 9: For courses with just code and letter grade
-            /([A-Z]{2,4}\d{3,4}[A-Z])\s+([A-F][+-]?|W|P|F\*?)/,
-            // Pattern 10: For courses with code, title, and grade in various formats
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+)/,
-            // Pattern 11: For courses with code and numeric values
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(\d+\.?\d*)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/,
-            // Pattern 12: For courses in table format with various separators
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s*[|\t]\s*(.+?)\s*[|\t]\s*([A-F][+-]?|W|P|F\*?)\s*[|\t]\s*(\d+\.?\d*)/,
-            // Pattern 13: For courses with code and any numeric data
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(\d+\.?\d*)/,
-            // Pattern 14: For courses with code and title separated by multiple spaces
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s{2,}(.+?)(?=\s+\d|$)/,
-            // Pattern 15: For courses with code, grade, and numeric values (like "ENGL121C+ 4.00 3.00 6,90")
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
-            // Pattern 16: For courses with code, grade, and numeric values (like "ENGR101B- 2.00 2.00 5,40")
-            /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+\.\d+)/,
-            // Pattern 17: For courses with grade embedded in code (like "ENGL121C+ 4.00 3.00 6,90")
-            /([A-Z]{2,4}\d{3,4})([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
-            // Pattern 18: For courses with grade embedded in code (like "ENGR101B- 2.00 2.00 5,40")
-            /([A-Z]{2,4}\d{3,4})([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+\.\d+)/,
-          ];
-
-          for (const pattern of coursePatterns) {
-            const courseMatch = line.match(pattern);
-            if (courseMatch) {
-              let courseData;
-
-              if (pattern === coursePatterns[0]) {
-                const [, code, title, ects, grade, credits, gradePoints] =
-                  courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[1]) {
-                const [, code, title, grade, credits, ects] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(ects),
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[3]) {
-                // Pattern 4: For transcript format like "ENGP030S 0.00 0.00 0,00"
-                const [, code, ects, gradePoints, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title in this format
-                  grade: "P", // Assume passed if no grade
-                  credits: parseFloat(credits.replace(",", ".")),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: true, // Assume passed for this format
-                };
-              } else if (pattern === coursePatterns[4]) {
-                // Pattern 5: For courses with grades like "A", "B+", etc.
-                const [, code, title, grade, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(credits), // Assume ECTS = credits
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[5]) {
-                // Pattern 6: For courses with just code and title
-                const [, code, title] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: "P", // Assume passed
-                  credits: 3, // Default credits
-                  ects: 3, // Default ECTS
-                  gradePoints: 0,
-                  passed: true,
-                };
-              } else if (pattern === coursePatterns[6]) {
-                // Pattern 7: For courses with letter grades at the end (like "PHYS121F", "MATH122D")
-                const [, code, ects, gradePoints, credits] = courseMatch;
-                const grade = code.slice(-1); // Extract the letter grade from the end
-                courseData = {
-                  code: code.slice(0, -1).trim(), // Remove the grade letter from code
-                  title: "", // No title in this format
-                  grade: grade,
-                  credits: parseFloat(credits.replace(",", ".")),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: this.isPassingGrade(grade),
-                };
-              } else if (pattern === coursePatterns[7]) {
-                // Pattern 8: For courses with letter grades and titles
-                const [, code, title, grade] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: 3, // Default credits
-                  ects: 3, // Default ECTS
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[8]) {
-                // Pattern 9: For courses with just code and letter grade
-                const [, code, grade] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title
-                  grade: grade.trim(),
-                  credits: 3, // Default credits
-                  ects: 3, // Default ECTS
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[9]) {
-                // Pattern 10: For courses with code, title, and grade in various formats
-                const [, code, title, grade, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(credits), // Assume ECTS = credits
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[10]) {
-                // Pattern 11: For courses with code and numeric values
-                const [, code, val1, val2, val3] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title
-                  grade: "P", // Assume passed
-                  credits: parseFloat(val3) || 3,
-                  ects: parseFloat(val1) || 3,
-                  gradePoints: parseFloat(val2) || 0,
-                  passed: true,
-                };
-              } else if (pattern === coursePatterns[11]) {
-                // Pattern 12: For courses in table format with various separators
-                const [, code, title, grade, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: parseFloat(credits) || 3,
-                  ects: parseFloat(credits) || 3,
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[12]) {
-                // Pattern 13: For courses with code and any numeric data
-                const [, code, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title
-                  grade: "P", // Assume passed
-                  credits: parseFloat(credits) || 3,
-                  ects: parseFloat(credits) || 3,
-                  gradePoints: 0,
-                  passed: true,
-                };
-              } else if (pattern === coursePatterns[13]) {
-                // Pattern 14: For courses with code and title separated by multiple spaces
-                const [, code, title] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: "P", // Assume passed
-                  credits: 3, // Default credits
-                  ects: 3, // Default ECTS
-                  gradePoints: 0,
-                  passed: true,
-                };
-              } else if (pattern === coursePatterns[14]) {
-                // Pattern 15: For courses with code, grade, and numeric values (like "ENGL121C+ 4.00 3.00 6,90")
-                const [, code, grade, ects, gradePoints, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title in this format
-                  grade: grade.trim(),
-                  credits: parseFloat(credits.replace(",", ".")),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[15]) {
-                // Pattern 16: For courses with code, grade, and numeric values (like "ENGR101B- 2.00 2.00 5,40")
-                const [, code, grade, ects, gradePoints, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title in this format
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[16]) {
-                // Pattern 17: For courses with grade embedded in code (like "ENGL121C+ 4.00 3.00 6,90")
-                const [, code, grade, ects, gradePoints, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title in this format
-                  grade: grade.trim(),
-                  credits: parseFloat(credits.replace(",", ".")),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else if (pattern === coursePatterns[17]) {
-                // Pattern 18: For courses with grade embedded in code (like "ENGR101B- 2.00 2.00 5,40")
-                const [, code, grade, ects, gradePoints, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: "", // No title in this format
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(ects),
-                  gradePoints: parseFloat(gradePoints),
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              } else {
-                const [, code, title, grade, credits] = courseMatch;
-                courseData = {
-                  code: code.trim(),
-                  title: title.trim(),
-                  grade: grade.trim(),
-                  credits: parseFloat(credits),
-                  ects: parseFloat(credits), // Assume ECTS = credits
-                  gradePoints: 0,
-                  passed: this.isPassingGrade(grade.trim()),
-                };
-              }
-
-              completedCourses.set(courseData.code, courseData);
-              console.log(
-                `Parsed completed course: ${courseData.code} - ${courseData.grade} (${courseData.credits} credits)`
-              );
-              break;
-            }
+          // Courses below a term heading were taken in that term
+          const term = parseTerm(line);
+          if (term) {
+            context.term = term.label;
+            console.log(`Found term: ${term.label}`);
+            context.previousLine = "";
+            return;
+          }
+
+          const result = matchRule(profile.rules, line);
+          if (!result) {
+            addUnmatched(diagnostics, line, index + 1, "no pattern matched");
+            context.previousLine = line.trim();
+            return;
+          }
+
+          const courseData = result.rule.build(result.match, context);
+          if (!courseData.semester && context.term) {
+            courseData.semester = context.term;
           }
+          this.addAttempt(attemptsByCode, courseData);
+          addRecord(diagnostics, {
+            record: courseData,
+            source: { line: line.trim(), lineNumber: index + 1 },
+            pattern: result.rule.name,
+            confidence: result.rule.confidence,
+            defaults: getRuleDefaults(result.rule, result.match),
+          });
+          console.log(
+            `Parsed completed course: ${courseData.code} - ${courseData.grade} (${courseData.credits} credits)`
+          );
+          // A title above the row belongs to this row only
+          context.previousLine = result.rule.usesPreviousLine
+            ? ""
+            : line.trim();
+        });
+
+        // Layout-specific extraction fills what the line patterns missed
+        if (profile.extractStudentInfo) {
+          studentInfo = {
+            ...profile.extractStudentInfo(lines),
+            ...studentInfo,
+          };
         }
       }
 
+      const completedCourses = new Map();
+      for (const [code, attempts] of attemptsByCode.entries()) {
+        completedCourses.set(code, this.buildCourseRecord(attempts));
+      }
+
       this.completedCourses = completedCourses;
       this.studentInfo = studentInfo;
+      if (diagnostics) {
+        this.diagnostics.transcript = finishDiagnostics(
+          diagnostics,
+          this.diagnosticsOptions.lowConfidence
+        );
+      }
       console.log(
         `Parsed ${completedCourses.size} completed courses from transcript`
       );
@@ -560,13 +1212,44 @@ class CourseAdvisorSystem {
     }
   }
 
-  // Parse available courses (Word/Text)
+  // Parse available courses (Word/Text/CSV/Excel)
   async parseAvailableCourses(filePath) {
     try {
       const ext = path.extname(filePath).toLowerCase();
       let content = "";
 
-      if (ext === ".docx") {
+      if (isSpreadsheet(filePath)) {
+        return await this.parseAvailableCoursesSheet(filePath);
+      } else if (ext === ".docx") {
+        // Prefer the document's tables, which keep codes, titles and
+        // section details in separate cells
+        const tables = await this.extractDocxTables(filePath);
+        const diagnostics = createDiagnostics("availableCourses");
+        const tableCourses = tables.flatMap((rows, index) => {
+          const courses = this.parseSectionTable(rows);
+          for (const course of courses) {
+            addRecord(diagnostics, {
+              record: course,
+              source: { table: index + 1 },
+              pattern: "table",
+              confidence: 1,
+              defaults: course.title === course.code ? ["title"] : [],
+            });
+          }
+          return courses;
+        });
+        if (tableCourses.length > 0) {
+          this.availableCourses = tableCourses;
+          this.diagnostics.availableCourses = finishDiagnostics(
+            diagnostics,
+            this.diagnosticsOptions.lowConfidence
+          );
+          console.log(
+            `Parsed ${tableCourses.length} available courses from ${tables.length} tables`
+          );
+          return tableCourses;
+        }
+
         const result = await mammoth.extractRawText({ path: filePath });
         content = result.value;
       } else {
@@ -578,96 +1261,937 @@ class CourseAdvisorSystem {
         content.substring(0, 500)
       );
 
+      const { id: profileId, availableCourses: profile } =
+        this.selectParserProfile("availableCourses", content);
+      const diagnostics = createDiagnostics("availableCourses", profileId);
       const availableCourses = [];
       const lines = content.split("\n");
 
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        // Match course code and title pattern with more flexibility
-        const coursePatterns = [
-          /([A-Z]{2,4}\d{3,4})\s+(.+)/,
-          /([A-Z]{2,4}\s+\d{3,4})\s+(.+)/, // Handle space in course code
-          /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+)/, // Handle codes with letters at end
-          /([A-Z]{2,4}\d{3,4})\s*$/, // Handle codes without titles
-        ];
-
-        for (const pattern of coursePatterns) {
-          const courseMatch = trimmedLine.match(pattern);
-          if (courseMatch) {
-            if (pattern === coursePatterns[3]) {
-              // Pattern 4: Handle codes without titles
-              const [, code] = courseMatch;
-              availableCourses.push({
-                code: code.trim().replace(/\s+/g, ""), // Remove spaces from code
-                title: code.trim(), // Use code as title
-              });
-              console.log(`Parsed available course: ${code.trim()}`);
-            } else {
-              const [, code, title] = courseMatch;
-              availableCourses.push({
-                code: code.trim().replace(/\s+/g, ""), // Remove spaces from code
-                title: title.trim(),
-              });
-              console.log(
-                `Parsed available course: ${code.trim()} - ${title.trim()}`
-              );
-            }
-            break;
-          }
+      lines.forEach((line, index) => {
+        countLine(diagnostics, line);
+        const result = matchRule(profile.rules, line.trim());
+        if (!result) {
+          addUnmatched(diagnostics, line, index + 1, "no pattern matched");
+          return;
+        }
+
+        const { code, title } = result.rule.build(result.match);
+        const course = {
+          code: code.trim().replace(/\s+/g, ""), // Remove spaces from code
+          title,
+          sections: [],
+        };
+        availableCourses.push(course);
+        addRecord(diagnostics, {
+          record: course,
+          source: { line: line.trim(), lineNumber: index + 1 },
+          pattern: result.rule.name,
+          confidence: result.rule.confidence,
+          defaults: getRuleDefaults(result.rule, result.match),
+        });
+        console.log(`Parsed available course: ${code.trim()} - ${title}`);
+      });
+
+      this.availableCourses = availableCourses;
+      this.diagnostics.availableCourses = finishDiagnostics(
+        diagnostics,
+        this.diagnosticsOptions.lowConfidence
+      );
+      console.log(`Parsed ${availableCourses.length} available courses`);
+      return availableCourses;
+    } catch (error) {
+      console.error("Error parsing available courses:", error);
+      throw error;
+    }
+  }
+
+  // Parse an offered-course spreadsheet with the same row rules as DOCX
+  // tables: rows without a code add sections to the course above
+  async parseAvailableCoursesSheet(filePath) {
+    const { profile, tables, rows } = await this.readTabularDocument(
+      "availableCourses",
+      filePath
+    );
+    const diagnostics = createDiagnostics("availableCourses", profile.id);
+    diagnostics.totalLines = rows.length;
+
+    // A course listed on several sheets collects the sections of each
+    const courses = new Map();
+    for (const table of tables) {
+      const tableRows = table.rows.slice(table.headerIndex + 1);
+      for (const course of this.parseSectionTable(tableRows, table.mapping)) {
+        if (courses.has(course.code)) {
+          courses.get(course.code).sections.push(...course.sections);
+        } else {
+          courses.set(course.code, course);
+        }
+      }
+    }
+    const availableCourses = Array.from(courses.values());
+
+    // Report each course at the first row naming it
+    const firstRow = new Map();
+    for (const { cells, mapping, source } of rows) {
+      const code = (readCell(cells, mapping, "code") || "").replace(/\s+/g, "");
+      if (!firstRow.has(code)) firstRow.set(code, source);
+    }
+    for (const course of availableCourses) {
+      addRecord(diagnostics, {
+        record: course,
+        source: firstRow.get(course.code),
+        pattern: "columns",
+        confidence: 1,
+        defaults: course.title === course.code ? ["title"] : [],
+      });
+    }
+
+    this.availableCourses = availableCourses;
+    this.diagnostics.availableCourses = finishDiagnostics(
+      diagnostics,
+      this.diagnosticsOptions.lowConfidence
+    );
+    console.log(`Parsed ${availableCourses.length} available courses`);
+    return availableCourses;
+  }
+
+  // Read the tables of a DOCX document as rows of cell text
+  async extractDocxTables(filePath) {
+    const { value: html } = await mammoth.convertToHtml({ path: filePath });
+    const decode = (text) =>
+      text
+        .replace(/<\/p>/g, "\n")
+        .replace(/<br\s*\/?>/g, "\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, "&")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .join("\n");
+
+    const tables = [];
+    for (const [table] of html.matchAll(/<table>[\s\S]*?<\/table>/g)) {
+      const rows = [];
+      for (const [, row] of table.matchAll(/<tr>([\s\S]*?)<\/tr>/g)) {
+        rows.push(
+          Array.from(row.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/g), (m) =>
+            decode(m[1])
+          )
+        );
+      }
+      tables.push(rows);
+    }
+    return tables;
+  }
+
+  // Turn offered-course table rows into courses with sections and meeting
+  // times. Rows without a course code continue the previous course. With
+  // headerColumns (field -> column index) given, every row is data.
+  parseSectionTable(rows, headerColumns = null) {
+    if (rows.length === 0) return [];
+
+    // Map columns by header names when the first row is a header
+    const columns = { ...headerColumns };
+    (headerColumns ? [] : rows[0]).forEach((cell, index) => {
+      for (const [key, pattern] of Object.entries(SECTION_TABLE_HEADERS)) {
+        if (columns[key] === undefined && pattern.test(cell.trim())) {
+          columns[key] = index;
+          break;
+        }
+      }
+    });
+    const hasHeader =
+      headerColumns !== null ||
+      (columns.code !== undefined && Object.keys(columns).length >= 2);
+    const dataRows = hasHeader && !headerColumns ? rows.slice(1) : rows;
+
+    const courses = new Map();
+    let current = null;
+
+    for (const cells of dataRows) {
+      const cell = (key) =>
+        hasHeader && columns[key] !== undefined
+          ? cells[columns[key]] || ""
+          : "";
+
+      // Without a header, the code is the first code-like cell and the
+      // title is the cell after it
+      let codeIndex = hasHeader ? columns.code : -1;
+      if (!hasHeader) {
+        codeIndex = cells.findIndex((c) => COURSE_CODE_CELL.test(c.trim()));
+      }
+      const codeMatch =
+        codeIndex >= 0 &&
+        (cells[codeIndex] || "").trim().match(COURSE_CODE_CELL);
+
+      if (codeMatch) {
+        const code = codeMatch[1] + codeMatch[2];
+        const title = hasHeader
+          ? cell("title")
+          : (cells[codeIndex + 1] || "").replace(/\n/g, " ");
+        if (!courses.has(code)) {
+          courses.set(code, { code, title: title || code, sections: [] });
+        }
+        current = courses.get(code);
+      } else if (!current) {
+        continue;
+      }
+
+      const meetings = parseMeetings(cell("days"), cell("time"), cell("room"));
+      const sectionName = cell("section").split("\n")[0] || "";
+      if (!sectionName && meetings.length === 0) continue;
+
+      const name =
+        sectionName ||
+        String(Math.max(current.sections.length, 1)).padStart(2, "0");
+      let section = current.sections.find((s) => s.section === name);
+      if (!section) {
+        section = {
+          section: name,
+          instructor: cell("instructor").replace(/\n/g, ", "),
+          meetings: [],
+          ...readSeatCounts(cell("quota"), cell("enrolled")),
+        };
+        current.sections.push(section);
+      }
+      section.meetings.push(...meetings);
+    }
+
+    return Array.from(courses.values());
+  }
+
+  // Offered sections of a course with their free seats, as seen by a
+  // profile. A section's live counts from the waitlists take over from the
+  // quota and enrollment imported with the offered courses, also when an
+  // admin cleared its quota; sections without a quota are never full and
+  // carry no counts. A section the profile was promoted
+  // into is held and never full for it; a section it is queued for gives
+  // its waitlistPosition.
+  getOfferedSections(code, profileId = this.profileId) {
+    const offered = this.availableCourses.find((c) => c.code === code);
+    return ((offered && offered.sections) || []).map((section) => {
+      const live = this.waitlists.find(
+        (entry) => entry.code === code && entry.section === section.section
+      );
+      const seats = live || section;
+      if (seats.quota === null || seats.quota === undefined) {
+        const { quota, enrolled, ...unlimited } = section;
+        return unlimited;
+      }
+
+      const seatsLeft = WaitlistStore.seatsLeft(seats);
+      const isProfile = (student) => student.profileId === profileId;
+      const held = Boolean(profileId && live && live.promoted.some(isProfile));
+      const position =
+        profileId && live ? live.waitlist.findIndex(isProfile) + 1 : 0;
+      return {
+        ...section,
+        quota: seats.quota,
+        enrolled: seats.enrolled || 0,
+        seatsLeft,
+        full: seatsLeft === 0 && !held,
+        waitlisted: live ? live.waitlist.length : 0,
+        ...(held ? { held: true } : {}),
+        ...(position > 0 ? { waitlistPosition: position } : {}),
+      };
+    });
+  }
+
+  // Sections to register in: those with free seats, or every section
+  // when all are full
+  getRegistrableSections(code, profileId = this.profileId) {
+    const sections = this.getOfferedSections(code, profileId);
+    const open = sections.filter((section) => !section.full);
+    return open.length > 0 ? open : sections;
+  }
+
+  // Seats of an offered course for a profile: { full, openSections,
+  // fullSections, seatsLeft, heldSections, waitlistPositions }, or null
+  // when none of its sections has a quota. A course is full when every
+  // section is.
+  getSeatStatus(code, profileId = this.profileId) {
+    const sections = this.getOfferedSections(code, profileId);
+    const limited = sections.filter(
+      (section) => section.seatsLeft !== undefined
+    );
+    if (limited.length === 0) return null;
+
+    const open = sections.filter((section) => !section.full);
+    return {
+      full: open.length === 0,
+      openSections: open.map((section) => section.section),
+      fullSections: limited
+        .filter((section) => section.full)
+        .map((section) => section.section),
+      seatsLeft: limited.reduce((sum, section) => sum + section.seatsLeft, 0),
+      heldSections: limited
+        .filter((section) => section.held)
+        .map((section) => section.section),
+      waitlistPositions: limited
+        .filter((section) => section.waitlistPosition)
+        .map((section) => ({
+          section: section.section,
+          position: section.waitlistPosition,
+        })),
+    };
+  }
+
+  // "join a waitlist", or the profile's places on the waitlists of a full
+  // course
+  describeWaitlist(seats) {
+    if (!seats.waitlistPositions || seats.waitlistPositions.length === 0) {
+      return "join a waitlist";
+    }
+    return seats.waitlistPositions
+      .map(
+        ({ section, position }) =>
+          `waiting as number ${position} on the section ${section} waitlist`
+      )
+      .join(", ");
+  }
+
+  // Up to three courses of the same category with free seats to take
+  // instead of a full course
+  getSeatAlternatives(
+    course,
+    candidates,
+    excludedCodes = new Set(),
+    profileId = this.profileId
+  ) {
+    return candidates
+      .filter(
+        (candidate) =>
+          candidate.code !== course.code &&
+          candidate.category === course.category &&
+          !excludedCodes.has(candidate.code)
+      )
+      .filter((candidate) => {
+        const seats = this.getSeatStatus(candidate.code, profileId);
+        return !seats || !seats.full;
+      })
+      .slice(0, 3)
+      .map((candidate) => candidate.code);
+  }
+
+  // Choose a clash-free section per course, in the given priority order,
+  // among the sections with free seats
+  buildWeeklyTimetable(courses) {
+    const timetable = buildTimetable(
+      courses.map((course) => ({
+        code: course.code,
+        title: course.title,
+        sections: this.getRegistrableSections(course.code),
+      }))
+    );
+    return { ...timetable, week: groupByDay(timetable.entries) };
+  }
+
+  // Export the clash-free timetable of the proposed registration as iCalendar
+  getTimetableICS({ termStart, weeks = this.timetableOptions.weeks } = {}) {
+    const recommendations = this.getRecommendedCourses();
+    const name = this.studentInfo.name || this.profileId || "Student";
+
+    return toICS(recommendations.timetable.entries, {
+      termStart,
+      weeks,
+      calendarName: `${name} timetable`,
+    });
+  }
+
+  // Render the advising report as "pdf", "xlsx" or "csv". Resolves to
+  // { body, contentType, extension }.
+  async exportAdvisingReport(format = "pdf") {
+    const report = buildAdvisingReport({
+      profileId: this.profileId,
+      progressReport: this.generateProgressReport(),
+      recommendations: this.getRecommendedCourses(),
+    });
+
+    if (format === "csv") {
+      return {
+        body: reportToCSV(report),
+        contentType: "text/csv",
+        extension: "csv",
+      };
+    }
+    if (format === "xlsx") {
+      return {
+        body: reportToXLSX(report),
+        contentType:
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        extension: "xlsx",
+      };
+    }
+    if (format === "pdf") {
+      return {
+        body: await reportToPDF(report),
+        contentType: "application/pdf",
+        extension: "pdf",
+      };
+    }
+    throw new Error(`Unknown report format: ${format}`);
+  }
+
+  // Collect every attempt of a course in transcript order
+  addAttempt(attemptsByCode, courseData) {
+    if (!attemptsByCode.has(courseData.code)) {
+      attemptsByCode.set(courseData.code, []);
+    }
+    attemptsByCode.get(courseData.code).push(courseData);
+  }
+
+  // Order attempts by pass status, then grade points
+  compareAttempts(a, b) {
+    if (a.passed !== b.passed) return a.passed ? 1 : -1;
+
+    const pointsA = getGradePoints(a.grade, this.gradeScale);
+    const pointsB = getGradePoints(b.grade, this.gradeScale);
+    return (
+      (pointsA === null ? -1 : pointsA) - (pointsB === null ? -1 : pointsB)
+    );
+  }
+
+  // Pick the attempt that counts for pass status and GPA. attemptPolicy is
+  // "latest", "best" or a function (attempts) => attempt for
+  // institution-specific rules.
+  selectCountingAttempt(attempts) {
+    if (typeof this.attemptPolicy === "function") {
+      return this.attemptPolicy(attempts);
+    }
+
+    if (this.attemptPolicy === "best") {
+      // Later attempts win ties
+      return attempts.reduce((best, attempt) =>
+        this.compareAttempts(attempt, best) >= 0 ? attempt : best
+      );
+    }
+
+    return attempts[attempts.length - 1];
+  }
+
+  // Combine the attempts of one course into a record carrying the counting
+  // attempt's grade and the full attempt history. Attempts are numbered in
+  // the order of their terms, so "latest" does not depend on where the
+  // transcript prints them.
+  buildCourseRecord(attempts) {
+    const ordered = sortByTerm(attempts, (attempt) => attempt.semester);
+    const history = ordered.map((attempt, index) => ({
+      attempt: index + 1,
+      grade: attempt.grade,
+      credits: attempt.credits,
+      ects: attempt.ects,
+      gradePoints: attempt.gradePoints,
+      semester: attempt.semester || "",
+      passed: attempt.passed,
+      retakeMarked: /\(rst\)/i.test(attempt.grade),
+    }));
+    const counting = this.selectCountingAttempt(history);
+    const title =
+      ordered
+        .map((attempt) => attempt.title)
+        .filter(Boolean)
+        .pop() || "";
+
+    return {
+      code: attempts[0].code,
+      title,
+      grade: counting.grade,
+      credits: counting.credits,
+      ects: counting.ects,
+      gradePoints: counting.gradePoints,
+      semester: counting.semester,
+      passed: counting.passed,
+      attempts: history.map((attempt) => ({
+        ...attempt,
+        counts: attempt === counting,
+      })),
+    };
+  }
+
+  // Courses worth retaking: failed ones and ones passed with a low grade
+  getRetakeSuggestions() {
+    const lowGrades = new Set(this.retakeSuggestionGrades);
+    const suggestions = [];
+    const map = this.getEquivalenceMap();
+    const passedCodes = this.getPassedCourseCodes();
+
+    for (const course of this.completedCourses.values()) {
+      const grade = normalizeGrade(course.grade);
+      let reason = null;
+
+      // Failed under one code but since passed under an equivalent one
+      if (
+        !course.passed &&
+        passedCodes.has(this.resolveCode(course.code, map))
+      ) {
+        continue;
+      }
+
+      if (!course.passed && grade !== "W") {
+        reason = `Failed with ${grade}`;
+      } else if (course.passed && lowGrades.has(grade)) {
+        reason = `Passed with a low grade (${grade}); retaking can raise the CGPA`;
+      }
+
+      if (reason) {
+        suggestions.push({
+          code: course.code,
+          title: course.title,
+          grade: course.grade,
+          credits: course.credits,
+          attempts: course.attempts ? course.attempts.length : 1,
+          mandatory: !course.passed,
+          reason,
+        });
+      }
+    }
+
+    // Required retakes first, then those worth the most credits
+    return suggestions.sort(
+      (a, b) =>
+        Number(b.mandatory) - Number(a.mandatory) || b.credits - a.credits
+    );
+  }
+
+  // Check if grade is passing. A "(rst)" marker only tags the attempt as
+  // a retake; the grade itself decides.
+  isPassingGrade(grade) {
+    const failingGrades = ["F", "FF", "FD", "W"];
+    return !failingGrades.includes(normalizeGrade(grade));
+  }
+
+  // Old, cross-listed and transfer codes mapped to curriculum codes: the
+  // alternative codes printed in the curriculum, overridden by the
+  // equivalence table
+  getEquivalenceMap() {
+    const map = new Map();
+    for (const course of this.curriculum) {
+      for (const alternative of course.alternativeCodes || []) {
+        map.set(alternative, course.code);
+      }
+    }
+    for (const entry of this.equivalences) {
+      map.set(entry.from, entry.to);
+    }
+    return map;
+  }
+
+  // Curriculum code a transcript or offered code counts as. Chains such as
+  // old -> renamed -> current are followed; loops stop at the start.
+  resolveCode(code, map = this.getEquivalenceMap()) {
+    let resolved = code;
+    const seen = new Set([code]);
+    while (map.has(resolved) && !seen.has(map.get(resolved))) {
+      resolved = map.get(resolved);
+      seen.add(resolved);
+    }
+    return resolved;
+  }
+
+  // Codes of all passed courses, plus the curriculum codes they are
+  // equivalent to
+  getPassedCourseCodes() {
+    const map = this.getEquivalenceMap();
+    const passedCodes = new Set();
+    for (const [code, course] of this.completedCourses.entries()) {
+      if (course.passed) {
+        passedCodes.add(code);
+        passedCodes.add(this.resolveCode(code, map));
+      }
+    }
+    return passedCodes;
+  }
+
+  // Codes of offered courses, plus the curriculum codes they are
+  // equivalent to
+  getOfferedCodes() {
+    const map = this.getEquivalenceMap();
+    const offeredCodes = new Set();
+    for (const course of this.availableCourses) {
+      offeredCodes.add(course.code);
+      offeredCodes.add(this.resolveCode(course.code, map));
+    }
+    return offeredCodes;
+  }
+
+  // Parsed prerequisite expression of a curriculum course, with old and
+  // cross-listed codes resolved to curriculum codes. Profiles saved before
+  // expressions were parsed only carry a flat list of codes.
+  getRequisites(course, map = this.getEquivalenceMap()) {
+    const requisites =
+      course.requisites !== undefined
+        ? course.requisites
+        : parsePrerequisites((course.prerequisites || []).join(", "));
+    if (map.size === 0) return requisites;
+    return mapRequisiteCodes(requisites, (code) => this.resolveCode(code, map));
+  }
+
+  // ECTS and credits behind a set of passed codes, using the transcript
+  // and falling back to the curriculum for simulated passes
+  getCompletedTotals(passedCodes) {
+    const totals = { ects: 0, credits: 0 };
+    const map = this.getEquivalenceMap();
+    const counted = new Set();
+    for (const code of passedCodes) {
+      // A course and its equivalent curriculum code count once
+      const resolved = this.resolveCode(code, map);
+      if (counted.has(resolved)) continue;
+      counted.add(resolved);
+
+      const completed = this.completedCourses.get(code);
+      const course =
+        completed || this.curriculum.find((c) => c.code === code) || {};
+      totals.ects += Number(course.ects) || 0;
+      totals.credits +=
+        Number(completed ? course.credits : course.totalCredit) || 0;
+    }
+    return totals;
+  }
+
+  // Evaluate a course's prerequisite expression. concurrentCodes are the
+  // courses that can be registered in the same term, which satisfy
+  // corequisites. Returns { met, missing, corequisites }.
+  checkRequisites(
+    course,
+    passedCodes = this.getPassedCourseCodes(),
+    concurrentCodes = new Set()
+  ) {
+    // Requirements name curriculum codes, so courses passed or registered
+    // under another code count through their equivalent
+    const map = this.getEquivalenceMap();
+    const withResolved = (codes) =>
+      map.size === 0
+        ? codes
+        : new Set([
+            ...codes,
+            ...Array.from(codes, (code) => this.resolveCode(code, map)),
+          ]);
+    const totals = this.getCompletedTotals(passedCodes);
+    return evaluatePrerequisites(this.getRequisites(course, map), {
+      passedCodes: withResolved(passedCodes),
+      concurrentCodes: withResolved(concurrentCodes),
+      completedECTS: totals.ects,
+      completedCredits: totals.credits,
+      classStandingECTS: this.classStandingECTS,
+    });
+  }
+
+  // Check if prerequisites are met, optionally against a simulated set of
+  // passed course codes
+  arePrerequisitesMet(
+    course,
+    passedCodes = this.getPassedCourseCodes(),
+    concurrentCodes = new Set()
+  ) {
+    return this.checkRequisites(course, passedCodes, concurrentCodes).met;
+  }
+
+  // Codes of the courses that can be taken together in one term. Courses
+  // are dropped until every remaining corequisite is itself eligible.
+  getEligibleCodes(courses, passedCodes = this.getPassedCourseCodes()) {
+    const eligible = new Set(courses.map((course) => course.code));
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const course of courses) {
+        if (
+          eligible.has(course.code) &&
+          !this.arePrerequisitesMet(course, passedCodes, eligible)
+        ) {
+          eligible.delete(course.code);
+          changed = true;
+        }
+      }
+    }
+    return eligible;
+  }
+
+  // Prerequisite graph of the curriculum, rebuilt when the curriculum or
+  // the equivalence table is replaced
+  getPrerequisiteGraph() {
+    if (
+      !this.prerequisiteGraph ||
+      this.prerequisiteGraph.curriculum !== this.curriculum ||
+      this.prerequisiteGraph.equivalences !== this.equivalences
+    ) {
+      this.prerequisiteGraph = {
+        curriculum: this.curriculum,
+        equivalences: this.equivalences,
+        graph: buildPrerequisiteGraph(this.curriculum, (course) =>
+          this.getRequisites(course)
+        ),
+      };
+      this.prerequisiteGraph.nodes = new Map(
+        this.prerequisiteGraph.graph.nodes.map((node) => [node.code, node])
+      );
+    }
+    return this.prerequisiteGraph.graph;
+  }
+
+  // Graph node of a curriculum course, or null for unknown codes
+  getGraphNode(code) {
+    this.getPrerequisiteGraph();
+    return this.prerequisiteGraph.nodes.get(code) || null;
+  }
+
+  // Prerequisite graph as "json", "dot" or "mermaid"
+  exportPrerequisiteGraph(format = "json") {
+    const graph = this.getPrerequisiteGraph();
+    if (format === "dot") return toDOT(graph);
+    if (format === "mermaid") return toMermaid(graph);
+    return graph;
+  }
+
+  // Inputs for matching courses to elective slots
+  getElectiveContext() {
+    return {
+      requiredCodes: new Set(
+        this.curriculum.flatMap((course) => [
+          course.code,
+          ...(course.alternativeCodes || []),
+        ])
+      ),
+      electivePool: this.electivePool,
+      freeCategories: this.electiveOptions.freeCategories,
+      pools: this.electiveOptions.pools,
+    };
+  }
+
+  // Elective slots filled with passed courses that are not required
+  // curriculum courses
+  getElectiveSlotStatus() {
+    const context = this.getElectiveContext();
+    // Non-credit courses such as English preparatory never fill a slot
+    const passed = Array.from(this.completedCourses.values()).filter(
+      (course) => course.passed && (course.ects > 0 || course.credits > 0)
+    );
+
+    const map = this.getEquivalenceMap();
+    return assignElectiveSlots(this.electiveSlots, passed, (slot, course) =>
+      courseFitsSlot(slot, this.resolveCode(course.code, map), context)
+    ).map((slot) => ({
+      ...slot,
+      filledBy: slot.filledBy
+        ? {
+            code: slot.filledBy.code,
+            title: slot.filledBy.title,
+            grade: slot.filledBy.grade,
+            ects: slot.filledBy.ects,
+          }
+        : null,
+    }));
+  }
+
+  // Offered courses that can fill an open elective slot. Free categories
+  // only suggest courses from a configured pool or pattern, since any
+  // course would otherwise qualify.
+  getElectiveSuggestions(openSlots, passedCodes = this.getPassedCourseCodes()) {
+    const context = { ...this.getElectiveContext(), freeCategories: [] };
+    const suggestions = [];
+
+    for (const offered of this.availableCourses) {
+      if (passedCodes.has(offered.code)) continue;
+
+      const fits = openSlots.filter((slot) =>
+        courseFitsSlot(slot, this.resolveCode(offered.code), context)
+      );
+      if (fits.length === 0) continue;
+
+      const listed =
+        this.electivePool.find((course) => course.code === offered.code) || {};
+      const course = { ...offered, ...listed, semester: null };
+      const requisiteCheck = this.checkRequisites(course, passedCodes);
+
+      suggestions.push({
+        ...course,
+        category: listed.category || fits[0].category,
+        slots: fits.map((slot) => slot.id),
+        eligible: requisiteCheck.met,
+        reason: requisiteCheck.met
+          ? `Fills an open ${fits
+              .map((slot) => slot.category)
+              .filter((category, i, all) => all.indexOf(category) === i)
+              .join("/")} slot`
+          : `Requires ${requisiteCheck.missing.join(", ")}`,
+      });
+    }
+
+    return suggestions;
+  }
+
+  // Open slots as placeholder courses for the roadmap
+  getOpenSlotCourses(slots = this.getElectiveSlotStatus()) {
+    return slots
+      .filter((slot) => !slot.filledBy)
+      .map((slot) => ({
+        code: slot.id,
+        title: slot.title,
+        category: slot.category,
+        semester: slot.semester,
+        // Placeholders list no hours; assume one hour per credit
+        lecture: slot.totalCredit,
+        tutorial: 0,
+        lab: 0,
+        totalCredit: slot.totalCredit,
+        ects: slot.ects,
+        prerequisites: [],
+        requisites: null,
+        electiveSlot: true,
+      }));
+  }
+
+  // Terms of the transcript in order, with the credits and courses of the
+  // attempts taken in each. Attempts without a recognised term are left out.
+  getTranscriptTerms() {
+    const terms = new Map();
+    for (const code of this.completedCourses.keys()) {
+      for (const attempt of this.getTranscriptAttempts(code)) {
+        const term = parseTerm(attempt.semester);
+        if (!term) continue;
+        if (!terms.has(term.label)) {
+          terms.set(term.label, { ...term, credits: 0, courses: [] });
         }
+        const entry = terms.get(term.label);
+        entry.credits += attempt.credits || 0;
+        entry.courses.push(code);
       }
-
-      this.availableCourses = availableCourses;
-      console.log(`Parsed ${availableCourses.length} available courses`);
-      return availableCourses;
-    } catch (error) {
-      console.error("Error parsing available courses:", error);
-      throw error;
     }
+    return Array.from(terms.values()).sort(compareTerms);
   }
 
-  // Check if grade is passing
-  isPassingGrade(grade) {
-    const failingGrades = ["F", "F*", "FF", "FD", "W"];
-    const retakeIndicators = ["(rst)"];
+  // Where the student stands: the semester about to be taken, counted from
+  // the regular terms on the transcript with credit-bearing courses, so
+  // preparatory terms of zero-credit courses (ENGP*) and summer schools
+  // don't count. Transcripts without term headings fall back to an
+  // estimate of 20 passed credits per semester.
+  getSemesterStanding() {
+    const terms = this.getTranscriptTerms();
+    const countedTerms = terms.filter(
+      (term) => term.season !== "Summer" && term.credits > 0
+    );
 
-    if (failingGrades.includes(grade)) return false;
-    if (retakeIndicators.some((indicator) => grade.includes(indicator)))
-      return false;
+    if (countedTerms.length > 0) {
+      const lastTerm = terms[terms.length - 1];
+      return {
+        currentSemester: countedTerms.length + 1,
+        source: "terms",
+        completedTerms: countedTerms.length,
+        lastTerm: lastTerm.label,
+        nextTerm: nextRegularTerm(lastTerm).label,
+      };
+    }
 
-    return true;
+    const totalCredits = Array.from(this.completedCourses.values())
+      .filter((course) => course.passed)
+      .reduce((sum, course) => sum + course.credits, 0);
+    console.log(`Total completed credits: ${totalCredits}`);
+    return {
+      currentSemester: Math.floor(totalCredits / 20) + 1,
+      source: "credits",
+      completedTerms: null,
+      lastTerm: null,
+      nextTerm: null,
+    };
   }
 
-  // Check if prerequisites are met
-  arePrerequisitesMet(course) {
-    if (!course.prerequisites || course.prerequisites.length === 0) {
-      return true;
-    }
+  // Get student's current semester
+  getCurrentSemester() {
+    const standing = this.getSemesterStanding();
+    console.log(
+      `Current semester: ${standing.currentSemester} (from ${standing.source})`
+    );
+    return standing.currentSemester;
+  }
 
-    return course.prerequisites.every((prereq) => {
-      const completedCourse = this.completedCourses.get(prereq);
-      return completedCourse && completedCourse.passed;
+  // Academic standing from the CGPA, the GPA of the last graded term and
+  // the completed terms, with the registration limits it allows
+  getAcademicStanding(limits = this.registrationLimits) {
+    const gpa = this.calculateGPA();
+    const gradedTerms = gpa.terms.filter(
+      (term) => term.gpa !== null && parseTerm(term.term)
+    );
+    gradedTerms.sort((a, b) =>
+      compareTerms(parseTerm(a.term), parseTerm(b.term))
+    );
+    const lastTerm = gradedTerms[gradedTerms.length - 1];
+
+    const standing = classifyStanding(this.academicStanding, {
+      cgpa: gpa.cgpa,
+      termGPA: lastTerm ? lastTerm.gpa : null,
+      lastTerm: lastTerm ? lastTerm.term : null,
+      completedTerms: this.getCurrentSemester() - 1,
     });
-  }
+    console.log(`Academic standing: ${standing.name} (${standing.reason})`);
 
-  // Get student's current semester based on completed credits
-  getCurrentSemester() {
-    const totalCredits = Array.from(this.completedCourses.values())
-      .filter((course) => course.passed)
-      .reduce((sum, course) => sum + course.credits, 0);
+    return {
+      id: standing.id,
+      name: standing.name,
+      reason: standing.reason,
+      cgpa: gpa.cgpa,
+      termGPA: lastTerm ? lastTerm.gpa : null,
+      retakeFirst: Boolean(standing.retakeFirst),
+      overloadAllowed: Boolean(
+        standing.overloadECTS || standing.overloadContactHours
+      ),
+      limits: applyStandingLimits(limits, standing),
+    };
+  }
 
-    // Estimate semester based on credits (assuming ~20 credits per semester)
-    const estimatedSemester = Math.floor(totalCredits / 20) + 1;
+  // Graduation audit against degreeRequirements. Each passed course counts
+  // once, under its curriculum code when it has an equivalent, with its
+  // transcript ECTS and credits. Its category is the curriculum's, else
+  // that of the elective slot it fills, else that of the elective list.
+  getDegreeAudit() {
+    const map = this.getEquivalenceMap();
+    const electiveSlots = this.getElectiveSlotStatus();
+    const slotCategories = new Map(
+      electiveSlots
+        .filter((slot) => slot.filledBy)
+        .map((slot) => [slot.filledBy.code, slot.category])
+    );
 
-    console.log(`Total completed credits: ${totalCredits}`);
-    console.log(`Estimated current semester: ${estimatedSemester}`);
+    const courses = [];
+    const counted = new Set();
+    for (const course of this.completedCourses.values()) {
+      if (!course.passed) continue;
+      const code = this.resolveCode(course.code, map);
+      if (counted.has(code)) continue;
+      counted.add(code);
+
+      const required = this.curriculum.find((c) => c.code === code);
+      const listed = this.electivePool.find((c) => c.code === code);
+      courses.push({
+        code,
+        category:
+          (required && required.category) ||
+          slotCategories.get(course.code) ||
+          (listed && listed.category) ||
+          null,
+        ects: course.ects,
+        credits: course.credits,
+      });
+    }
 
-    return estimatedSemester;
+    const audit = runDegreeAudit(this.degreeRequirements, {
+      courses,
+      passedCodes: this.getPassedCourseCodes(),
+      curriculum: this.curriculum,
+      electiveSlots,
+      cgpa: this.calculateGPA().cgpa,
+    });
+    console.log(
+      `Degree audit: ${audit.passed} of ${audit.total} requirements met`
+    );
+    return audit;
   }
 
   // Get recommended courses
   getRecommendedCourses() {
     const currentSemester = this.getCurrentSemester();
+    const standing = this.getAcademicStanding();
     const recommendations = {
       nextSemesterCourses: [],
       availableElectives: [],
@@ -680,58 +2204,56 @@ class CourseAdvisorSystem {
     console.log(`Total curriculum courses: ${this.curriculum.length}`);
     console.log(`Total available courses: ${this.availableCourses.length}`);
 
-    // Get completed course codes (including base codes)
-    const completedCourseCodes = new Set();
-    const completedCourseBaseCodes = new Set();
-
-    for (const [code, course] of this.completedCourses.entries()) {
-      if (course.passed) {
-        completedCourseCodes.add(code);
-
-        // Also add base course codes (e.g., "PHYS121" from "PHYS121F")
-        const baseCode = code.replace(/[A-Z]$/, ""); // Remove trailing letter
-        completedCourseBaseCodes.add(baseCode);
-
-        // Also add the original code as base code
-        completedCourseBaseCodes.add(code);
-      }
-    }
+    // Get completed course codes (including equivalent curriculum codes)
+    const passedCodes = this.getPassedCourseCodes();
+    const offeredCodes = this.getOfferedCodes();
 
     console.log(
-      `Completed course codes: ${Array.from(completedCourseCodes).join(", ")}`
+      `Completed course codes: ${Array.from(passedCodes).join(", ")}`
     );
-    console.log(
-      `Completed base course codes: ${Array.from(completedCourseBaseCodes).join(
-        ", "
-      )}`
+
+    // Offered courses not yet passed, narrowed to those whose requirements
+    // hold when taken together
+    const eligibleCodes = this.getEligibleCodes(
+      this.curriculum.filter(
+        (course) =>
+          !passedCodes.has(course.code) && offeredCodes.has(course.code)
+      ),
+      passedCodes
     );
+    recommendations.blockedCourses = [];
 
     // Find courses student can take
     for (const course of this.curriculum) {
-      // Skip if already completed (check both exact match and base code match)
-      if (
-        completedCourseCodes.has(course.code) ||
-        completedCourseBaseCodes.has(course.code)
-      ) {
+      // Skip if already completed under this or an equivalent code
+      if (passedCodes.has(course.code)) {
         console.log(
-          `Skipping ${course.code} - already completed (exact or base match)`
+          `Skipping ${course.code} - already completed (exact or equivalent code)`
         );
         continue;
       }
 
       // Check if course is available this semester
-      const isAvailable = this.availableCourses.some(
-        (avail) => avail.code === course.code
-      );
-      if (!isAvailable) {
+      if (!offeredCodes.has(course.code)) {
         console.log(`Skipping ${course.code} - not available this semester`);
         continue;
       }
 
-      // Check prerequisites
-      const canTake = this.arePrerequisitesMet(course);
-      if (!canTake) {
+      // Check prerequisites, corequisites and standing
+      const requisiteCheck = this.checkRequisites(
+        course,
+        passedCodes,
+        eligibleCodes
+      );
+      if (!requisiteCheck.met) {
         console.log(`Skipping ${course.code} - prerequisites not met`);
+        recommendations.blockedCourses.push({
+          code: course.code,
+          title: course.title,
+          semester: course.semester,
+          prerequisites: describePrerequisites(this.getRequisites(course)),
+          reason: `Requires ${requisiteCheck.missing.join(", ")}`,
+        });
         continue;
       }
 
@@ -746,18 +2268,22 @@ class CourseAdvisorSystem {
         // If student is in high semester, also consider courses from lower semesters they haven't taken
         (currentSemester > 8 &&
           course.semester <= 8 &&
-          !completedCourseCodes.has(course.code) &&
-          !completedCourseBaseCodes.has(course.code)) ||
+          !passedCodes.has(course.code)) ||
         // Consider courses within 2 semesters of current level
         (course.semester <= currentSemester + 2 &&
           course.semester >= currentSemester - 2)
       ) {
         console.log(`Adding ${course.code} to next semester courses`);
-        recommendations.nextSemesterCourses.push({
+        const candidate = {
           ...course,
+          pendingCorequisites: requisiteCheck.corequisites,
           priority: this.calculatePriority(course, currentSemester),
-          reason: this.getRecommendationReason(course, currentSemester),
-        });
+        };
+        candidate.reason = this.getRecommendationReason(
+          candidate,
+          currentSemester
+        );
+        recommendations.nextSemesterCourses.push(candidate);
       } else if (
         course.category === "AE" ||
         course.category === "FE" ||
@@ -777,6 +2303,108 @@ class CourseAdvisorSystem {
     // Sort by priority
     recommendations.nextSemesterCourses.sort((a, b) => b.priority - a.priority);
 
+    // Students who must retake failed courses first get the offered ones
+    // ahead of every other candidate, whatever their semester
+    recommendations.retakeSuggestions = this.getRetakeSuggestions();
+    let candidates = recommendations.nextSemesterCourses;
+    recommendations.retakeFirst = [];
+    if (standing.retakeFirst) {
+      const map = this.getEquivalenceMap();
+      const failedCodes = new Set(
+        recommendations.retakeSuggestions
+          .filter((suggestion) => suggestion.mandatory)
+          .map((suggestion) => this.resolveCode(suggestion.code, map))
+      );
+      const retakes = [
+        ...recommendations.nextSemesterCourses,
+        ...recommendations.missedCourses,
+        ...recommendations.futureRecommendations,
+      ]
+        .filter((course) => failedCodes.has(course.code))
+        .map((course) => ({
+          ...course,
+          pendingCorequisites: this.checkRequisites(
+            course,
+            passedCodes,
+            eligibleCodes
+          ).corequisites,
+          retakeFirst: true,
+          reason: `Failed course to retake first (${standing.name})`,
+        }));
+      recommendations.retakeFirst = retakes.map((course) => course.code);
+      candidates = [
+        ...retakes,
+        ...candidates.filter((course) => !failedCodes.has(course.code)),
+      ];
+    }
+
+    // Mark seats as this profile sees them; courses full in every section
+    // are left out of the proposal so courses with free seats take their
+    // place
+    for (const course of candidates) {
+      const seats = this.getSeatStatus(course.code, this.profileId);
+      if (seats) course.seats = seats;
+    }
+
+    // Pick a registrable subset within the load limits of the standing
+    recommendations.proposedRegistration = this.buildProposedRegistration(
+      candidates,
+      standing.limits,
+      this.profileId
+    );
+
+    const proposedCodes = new Set(
+      recommendations.proposedRegistration.courses.map((course) => course.code)
+    );
+    recommendations.fullCourses = candidates
+      .filter((course) => course.seats && course.seats.full)
+      .map((course) => ({
+        code: course.code,
+        title: course.title,
+        category: course.category,
+        fullSections: course.seats.fullSections,
+        waitlistPositions: course.seats.waitlistPositions,
+        alternatives: this.getSeatAlternatives(
+          course,
+          candidates,
+          proposedCodes,
+          this.profileId
+        ),
+      }));
+
+    // Flag candidates whose meeting times overlap in every section
+    recommendations.clashes = findClashes(
+      recommendations.nextSemesterCourses.map((course) => ({
+        code: course.code,
+        sections: this.getRegistrableSections(course.code),
+      }))
+    );
+    for (const course of recommendations.nextSemesterCourses) {
+      course.clashesWith = recommendations.clashes
+        .filter(
+          (clash) => clash.unavoidable && clash.courses.includes(course.code)
+        )
+        .map((clash) => clash.courses.find((code) => code !== course.code));
+    }
+
+    recommendations.timetable = this.buildWeeklyTimetable(
+      recommendations.proposedRegistration.courses
+    );
+
+    // Offered courses that count towards open elective slots
+    recommendations.electiveSlots = this.getElectiveSlotStatus();
+    const electiveCodes = new Set(
+      recommendations.availableElectives.map((course) => course.code)
+    );
+    for (const suggestion of this.getElectiveSuggestions(
+      recommendations.electiveSlots.filter((slot) => !slot.filledBy),
+      passedCodes
+    )) {
+      if (!electiveCodes.has(suggestion.code)) {
+        recommendations.availableElectives.push(suggestion);
+      }
+    }
+
     console.log(`\n=== RECOMMENDATION RESULTS ===`);
     console.log(
       `Next semester courses: ${recommendations.nextSemesterCourses.length}`
@@ -788,10 +2416,278 @@ class CourseAdvisorSystem {
     console.log(
       `Future recommendations: ${recommendations.futureRecommendations.length}`
     );
+    console.log(
+      `Proposed registration: ${recommendations.proposedRegistration.courses.length} courses, ${recommendations.proposedRegistration.totalECTS} ECTS`
+    );
 
     return recommendations;
   }
 
+  // Weekly contact hours of a curriculum course
+  getContactHours(course) {
+    return (
+      (Number(course.lecture) || 0) +
+      (Number(course.tutorial) || 0) +
+      (Number(course.lab) || 0)
+    );
+  }
+
+  // Greedily fill the registration from priority-sorted candidates while
+  // staying within the ECTS and contact-hour limits. A course with pending
+  // corequisites is only added together with them. Seats are those the
+  // candidates were marked with, refreshed for profileId when given.
+  buildProposedRegistration(
+    candidates,
+    limits = this.registrationLimits,
+    profileId = null
+  ) {
+    const proposal = {
+      courses: [],
+      excluded: [],
+      totalECTS: 0,
+      totalContactHours: 0,
+      limits: { ...limits },
+    };
+    const isProposed = (code) => proposal.courses.some((c) => c.code === code);
+
+    if (profileId) {
+      candidates = candidates.map((course) => {
+        const seats = this.getSeatStatus(course.code, profileId);
+        return seats ? { ...course, seats } : course;
+      });
+    }
+
+    for (const course of candidates) {
+      // Already added as another course's corequisite
+      if (isProposed(course.code)) continue;
+
+      const ects = Number(course.ects) || 0;
+      const contactHours = this.getContactHours(course);
+      const bundle = [course];
+      let reason = null;
+
+      for (const code of course.pendingCorequisites || []) {
+        if (isProposed(code)) continue;
+        const corequisite = candidates.find((c) => c.code === code);
+        if (!corequisite) {
+          reason = `Corequisite ${code} cannot be registered this term`;
+          break;
+        }
+        bundle.push(corequisite);
+      }
+
+      const bundleECTS = bundle.reduce(
+        (sum, c) => sum + (Number(c.ects) || 0),
+        0
+      );
+      const bundleContactHours = bundle.reduce(
+        (sum, c) => sum + this.getContactHours(c),
+        0
+      );
+      const withCorequisites = bundle.length > 1 ? " with corequisites" : "";
+      const fullCourse = bundle.find((c) => c.seats && c.seats.full);
+
+      if (!reason && fullCourse) {
+        reason =
+          fullCourse === course
+            ? `Every section is full; ${this.describeWaitlist(course.seats)}`
+            : `Corequisite ${fullCourse.code} is full in every section`;
+      } else if (!reason && proposal.totalECTS + bundleECTS > limits.maxECTS) {
+        reason = `Would exceed the ${limits.maxECTS} ECTS limit (${
+          proposal.totalECTS + bundleECTS
+        } ECTS${withCorequisites})`;
+      } else if (
+        !reason &&
+        proposal.totalContactHours + bundleContactHours > limits.maxContactHours
+      ) {
+        reason = `Would exceed the ${
+          limits.maxContactHours
+        } weekly contact-hour limit (${
+          proposal.totalContactHours + bundleContactHours
+        } hours${withCorequisites})`;
+      }
+
+      if (reason) {
+        proposal.excluded.push({
+          code: course.code,
+          title: course.title,
+          priority: course.priority,
+          ects,
+          contactHours,
+          reason,
+        });
+        continue;
+      }
+
+      for (const member of bundle) {
+        proposal.courses.push({
+          ...member,
+          contactHours: this.getContactHours(member),
+        });
+      }
+      proposal.totalECTS += bundleECTS;
+      proposal.totalContactHours += bundleContactHours;
+    }
+
+    return proposal;
+  }
+
+  // Check a course set the student picked for a registration plan. Every
+  // code must be one of the recommendations, an eligible elective or an
+  // offered retake; going over the load limits, unavoidable clashes and
+  // corequisites left out are allowed but reported as warnings for the
+  // advisor. Returns { success, errors } or { success, term, selection }.
+  buildRegistrationPlan(codes) {
+    if (!Array.isArray(codes) || codes.length === 0) {
+      return {
+        success: false,
+        errors: ["courses must be a non-empty array of course codes"],
+      };
+    }
+
+    const recommendations = this.getRecommendedCourses();
+    const standing = this.getAcademicStanding();
+    const map = this.getEquivalenceMap();
+    const offeredCodes = this.getOfferedCodes();
+
+    const choices = new Map();
+    for (const course of [
+      ...recommendations.nextSemesterCourses,
+      ...recommendations.missedCourses,
+      ...recommendations.futureRecommendations,
+      ...recommendations.availableElectives.filter(
+        (course) => course.eligible !== false
+      ),
+    ]) {
+      if (!choices.has(course.code)) choices.set(course.code, course);
+    }
+    for (const suggestion of recommendations.retakeSuggestions) {
+      const code = this.resolveCode(suggestion.code, map);
+      if (choices.has(code) || !offeredCodes.has(code)) continue;
+      const course =
+        this.curriculum.find((c) => c.code === code) ||
+        this.availableCourses.find((c) => c.code === code) ||
+        suggestion;
+      choices.set(code, { ...course, code, retake: true });
+    }
+
+    const errors = [];
+    const courses = [];
+    for (const code of [...new Set(codes.map(normalizeCode))]) {
+      const resolved = this.resolveCode(code, map);
+      const course = choices.get(code) || choices.get(resolved);
+      if (course) {
+        courses.push(course);
+        continue;
+      }
+
+      const blocked = recommendations.blockedCourses.find(
+        (c) => c.code === resolved
+      );
+      if (blocked) {
+        errors.push(`${code}: ${blocked.reason}`);
+      } else if (!offeredCodes.has(code)) {
+        errors.push(`${code} is not offered this term`);
+      } else {
+        errors.push(`${code} is not among the recommended courses`);
+      }
+    }
+    if (errors.length > 0) return { success: false, errors };
+
+    const selection = {
+      courses: courses.map((course) => ({
+        code: course.code,
+        title: course.title,
+        category: course.category,
+        semester: course.semester,
+        ects: Number(course.ects) || 0,
+        contactHours: this.getContactHours(course),
+        ...(course.retake || course.retakeFirst ? { retake: true } : {}),
+        ...this.getSeatStatus(course.code, this.profileId),
+      })),
+      totalECTS: 0,
+      totalContactHours: 0,
+      limits: standing.limits,
+      academicStanding: standing.name,
+      warnings: [],
+    };
+    for (const course of selection.courses) {
+      selection.totalECTS += course.ects;
+      selection.totalContactHours += course.contactHours;
+    }
+
+    if (selection.totalECTS > standing.limits.maxECTS) {
+      selection.warnings.push(
+        `${selection.totalECTS} ECTS exceeds the ${standing.limits.maxECTS} ECTS limit (${standing.name})`
+      );
+    }
+    if (selection.totalContactHours > standing.limits.maxContactHours) {
+      selection.warnings.push(
+        `${selection.totalContactHours} weekly contact hours exceed the ${standing.limits.maxContactHours} hour limit`
+      );
+    }
+
+    const chosenCodes = new Set(selection.courses.map((course) => course.code));
+    for (const course of courses) {
+      const missing = (course.pendingCorequisites || []).filter(
+        (code) => !chosenCodes.has(code)
+      );
+      if (missing.length > 0) {
+        selection.warnings.push(
+          `${course.code} must be taken with ${missing.join(", ")}`
+        );
+      }
+    }
+
+    // Full courses and sections, with courses or sections to take instead
+    for (const course of selection.courses) {
+      if (!course.fullSections || course.fullSections.length === 0) continue;
+
+      if (course.full) {
+        const alternatives = this.getSeatAlternatives(
+          course,
+          Array.from(choices.values()),
+          chosenCodes,
+          this.profileId
+        );
+        selection.warnings.push(
+          `${course.code} is full in every section; ${this.describeWaitlist(
+            course
+          )}${
+            alternatives.length > 0
+              ? ` or take ${alternatives.join(", ")} instead`
+              : ""
+          }`
+        );
+      } else {
+        selection.warnings.push(
+          `${course.code} section ${course.fullSections.join(
+            ", "
+          )} is full; register in section ${course.openSections.join(", ")}`
+        );
+      }
+    }
+
+    for (const clash of findClashes(
+      selection.courses.map((course) => ({
+        code: course.code,
+        sections: this.getRegistrableSections(course.code),
+      }))
+    )) {
+      if (clash.unavoidable) {
+        selection.warnings.push(
+          `${clash.courses.join(" and ")} clash in every section`
+        );
+      }
+    }
+
+    return {
+      success: true,
+      term: this.getSemesterStanding().nextTerm,
+      selection,
+    };
+  }
+
   // Calculate course priority
   calculatePriority(course, currentSemester) {
     let priority = 0;
@@ -815,11 +2711,9 @@ class CourseAdvisorSystem {
       priority -= currentSemester > 8 ? 1 : 2; // Less penalty for high-semester students
     }
 
-    // Higher priority for prerequisite courses (courses that unlock others)
-    const unlocks = this.curriculum.filter((c) =>
-      c.prerequisites.includes(course.code)
-    ).length;
-    priority += unlocks * 2;
+    // Higher priority for courses that start long prerequisite chains
+    const node = this.getGraphNode(course.code);
+    if (node) priority += (node.chainLength - 1) * 2;
 
     return priority;
   }
@@ -840,16 +2734,259 @@ class CourseAdvisorSystem {
     if (course.category === "FC") reasons.push("Faculty Core requirement");
 
     // Check if it's a prerequisite for other courses
-    const unlocks = this.curriculum.filter((c) =>
-      c.prerequisites.includes(course.code)
-    );
-    if (unlocks.length > 0) {
-      reasons.push(`Prerequisite for ${unlocks.length} other courses`);
+    const node = this.getGraphNode(course.code);
+    if (node && node.transitiveDependants.length > 0) {
+      const count = node.transitiveDependants.length;
+      reasons.push(
+        `Prerequisite for ${count} later course${
+          count === 1 ? "" : "s"
+        } (chain of ${node.chainLength})`
+      );
+    }
+
+    if (course.pendingCorequisites && course.pendingCorequisites.length > 0) {
+      reasons.push(
+        `Must be taken with ${course.pendingCorequisites.join(", ")}`
+      );
     }
 
     return reasons.join(", ");
   }
 
+  // Curriculum semesters alternate fall/spring, so a course is assumed to be
+  // offered only in terms with the same parity as its curriculum semester.
+  // When the calendar term is known, odd semesters are fall courses.
+  isOfferedInTerm(course, termNumber, term = null) {
+    if (!this.roadmapOptions.respectTermParity) return true;
+    if (term) return course.semester % 2 === (term.season === "Fall" ? 1 : 0);
+    return course.semester % 2 === termNumber % 2;
+  }
+
+  // Project the remaining curriculum courses term by term until every
+  // requirement is met
+  planRoadmap(limits = this.registrationLimits) {
+    const { currentSemester, nextTerm } = this.getSemesterStanding();
+    const standing = this.getAcademicStanding(limits);
+    const passedCodes = this.getPassedCourseCodes();
+    const offeredCodes = this.getOfferedCodes();
+    const openSlots = this.getElectiveSlotStatus().filter(
+      (slot) => !slot.filledBy
+    );
+    // A slot is offered next term when an offered course can fill it
+    for (const suggestion of this.getElectiveSuggestions(openSlots)) {
+      if (suggestion.eligible)
+        suggestion.slots.forEach((id) => offeredCodes.add(id));
+    }
+    let remaining = [
+      ...this.curriculum.filter((c) => !passedCodes.has(c.code)),
+      ...this.getOpenSlotCourses(openSlots),
+    ];
+
+    const semesters = [];
+    let emptyTerms = 0;
+    // Calendar term of each projected semester, when the transcript has
+    // term headings
+    let term = nextTerm ? parseTerm(nextTerm) : null;
+
+    for (
+      let termNumber = currentSemester;
+      remaining.length > 0 &&
+      semesters.length < this.roadmapOptions.maxTerms &&
+      emptyTerms < 2;
+      termNumber++, term = term && nextRegularTerm(term)
+    ) {
+      const isFirstTerm = termNumber === currentSemester;
+      const offered = remaining.filter((course) =>
+        // The upcoming term's offerings are known; later ones are projected
+        isFirstTerm && offeredCodes.size > 0
+          ? offeredCodes.has(course.code)
+          : this.isOfferedInTerm(course, termNumber, term)
+      );
+      const eligibleCodes = this.getEligibleCodes(offered, passedCodes);
+      const candidates = offered
+        .filter((course) => eligibleCodes.has(course.code))
+        .map((course) => ({
+          ...course,
+          pendingCorequisites: this.checkRequisites(
+            course,
+            passedCodes,
+            eligibleCodes
+          ).corequisites,
+          priority: this.calculatePriority(course, termNumber),
+        }))
+        .sort((a, b) => b.priority - a.priority);
+
+      // The standing's limits hold for the upcoming term
+      const proposal = this.buildProposedRegistration(
+        candidates,
+        isFirstTerm ? standing.limits : limits
+      );
+
+      semesters.push({
+        semester: termNumber,
+        term: term ? term.label : null,
+        courses: proposal.courses.map((course) => ({
+          code: course.code,
+          title: course.title,
+          category: course.category,
+          ects: course.ects,
+          contactHours: course.contactHours,
+        })),
+        totalECTS: proposal.totalECTS,
+        totalContactHours: proposal.totalContactHours,
+      });
+
+      // Two empty terms in a row means neither fall nor spring can make
+      // progress, so the remaining courses can never be scheduled
+      emptyTerms = proposal.courses.length === 0 ? emptyTerms + 1 : 0;
+
+      for (const course of proposal.courses) {
+        passedCodes.add(course.code);
+      }
+      remaining = remaining.filter((c) => !passedCodes.has(c.code));
+    }
+
+    // Drop trailing empty terms left over from a stalled projection
+    while (
+      semesters.length > 0 &&
+      semesters[semesters.length - 1].courses.length === 0
+    ) {
+      semesters.pop();
+    }
+
+    const graduates = remaining.length === 0;
+    let projectedGraduationSemester = null;
+    let projectedGraduationTerm = null;
+    if (graduates) {
+      projectedGraduationSemester =
+        semesters.length > 0
+          ? semesters[semesters.length - 1].semester
+          : currentSemester - 1;
+      projectedGraduationTerm =
+        semesters.length > 0 ? semesters[semesters.length - 1].term : null;
+    }
+
+    return {
+      currentSemester,
+      nextTerm,
+      semesters,
+      termsRemaining: graduates ? semesters.length : null,
+      projectedGraduationSemester,
+      projectedGraduationTerm,
+      totalRemainingECTS: semesters.reduce((sum, s) => sum + s.totalECTS, 0),
+      unschedulable: remaining.map((course) => {
+        const requisiteCheck = this.checkRequisites(
+          course,
+          passedCodes,
+          new Set(remaining.map((c) => c.code))
+        );
+        return {
+          code: course.code,
+          title: course.title,
+          semester: course.semester,
+          reason: requisiteCheck.met
+            ? `Not scheduled within ${this.roadmapOptions.maxTerms} terms`
+            : `Prerequisites never met: ${requisiteCheck.missing.join(", ")}`,
+        };
+      }),
+      limits: { ...limits },
+    };
+  }
+
+  // CGPA from the counting attempt of each course, term GPAs from every
+  // attempt in the term it was taken
+  calculateGPA(courses = Array.from(this.completedCourses.values())) {
+    const cumulative = calculateGPA(courses, this.gradeScale, this.gpaRounding);
+    const attempts = courses.flatMap((course) =>
+      course.attempts && course.attempts.length > 0 ? course.attempts : [course]
+    );
+
+    return {
+      cgpa: cumulative.gpa,
+      gradedCredits: cumulative.gradedCredits,
+      qualityPoints: cumulative.qualityPoints,
+      terms: calculateTermGPAs(attempts, this.gradeScale, this.gpaRounding),
+    };
+  }
+
+  // Project the CGPA for hypothetical grades. A grade for a course already
+  // on the transcript is treated as a retake that replaces the old attempt.
+  simulateWhatIf(hypotheticalGrades) {
+    const courses = new Map(this.completedCourses);
+    const planned = [];
+
+    for (const { code, grade, credits } of hypotheticalGrades) {
+      if (getGradePoints(grade, this.gradeScale) === null) {
+        throw new Error(`Grade ${grade} for ${code} is not on the grade scale`);
+      }
+
+      const existing = this.completedCourses.get(code);
+      const curriculumCourse = this.curriculum.find((c) => c.code === code);
+      let courseCredits = Number(credits);
+      if (credits === undefined) {
+        courseCredits = existing
+          ? existing.credits
+          : curriculumCourse && curriculumCourse.totalCredit;
+      }
+
+      if (!Number.isFinite(courseCredits) || courseCredits <= 0) {
+        throw new Error(
+          `Credits for ${code} are unknown; pass them with the grade`
+        );
+      }
+
+      const course = {
+        code,
+        title:
+          (existing && existing.title) ||
+          (curriculumCourse && curriculumCourse.title) ||
+          "",
+        grade,
+        credits: courseCredits,
+        semester: "What-if",
+        passed: this.isPassingGrade(grade),
+      };
+
+      // A retake joins the attempt history, so the attempt policy decides
+      // whether it replaces the earlier grade
+      const previousAttempts = existing ? existing.attempts || [existing] : [];
+      const record = this.buildCourseRecord(
+        [...previousAttempts, course].map((attempt) => ({
+          ...attempt,
+          code,
+          title: course.title,
+        }))
+      );
+      courses.set(code, record);
+      planned.push({
+        ...course,
+        retake: Boolean(existing),
+        previousGrade: existing ? existing.grade : null,
+        countedGrade: record.grade,
+      });
+    }
+
+    const current = this.calculateGPA();
+    const projected = this.calculateGPA(Array.from(courses.values()));
+    const plannedTerm = calculateGPA(
+      planned,
+      this.gradeScale,
+      this.gpaRounding
+    );
+
+    return {
+      currentCGPA: current.cgpa,
+      projectedCGPA: projected.cgpa,
+      change:
+        current.cgpa !== null && projected.cgpa !== null
+          ? Math.round((projected.cgpa - current.cgpa) * 100) / 100
+          : null,
+      projectedTermGPA: plannedTerm.gpa,
+      gradedCredits: projected.gradedCredits,
+      courses: planned,
+    };
+  }
+
   // Generate student progress report
   generateProgressReport() {
     const completedCourses = Array.from(this.completedCourses.values()).filter(
@@ -864,9 +3001,10 @@ class CourseAdvisorSystem {
       (sum, course) => sum + course.credits,
       0
     );
-    const currentSemester = this.getCurrentSemester();
+    const standing = this.getSemesterStanding();
 
     // Calculate category completion
+    const passedCodes = this.getPassedCourseCodes();
     const categoryStats = {};
     for (const course of this.curriculum) {
       if (!categoryStats[course.category]) {
@@ -874,79 +3012,189 @@ class CourseAdvisorSystem {
       }
       categoryStats[course.category].required++;
 
-      if (
-        this.completedCourses.has(course.code) &&
-        this.completedCourses.get(course.code).passed
-      ) {
+      if (passedCodes.has(course.code)) {
         categoryStats[course.category].completed++;
       }
     }
 
+    const electiveSlots = summarizeSlots(this.getElectiveSlotStatus());
+    const totalRequiredCourses =
+      this.curriculum.length + this.electiveSlots.length;
+
     return {
       studentInfo: this.studentInfo,
-      currentSemester,
+      currentSemester: standing.currentSemester,
+      semesterSource: standing.source,
+      completedTerms: standing.completedTerms,
+      lastTerm: standing.lastTerm,
+      nextTerm: standing.nextTerm,
+      academicStanding: this.getAcademicStanding(),
       totalECTS,
       totalCredits,
       completedCourses: completedCourses.length,
-      totalRequiredCourses: this.curriculum.length,
+      totalRequiredCourses,
       categoryStats,
+      electiveSlots,
+      openElectiveSlots: Object.values(electiveSlots).reduce(
+        (sum, slots) => sum + slots.open,
+        0
+      ),
+      gpa: this.calculateGPA(),
+      degreeAudit: this.getDegreeAudit(),
       completionPercentage: Math.round(
-        (completedCourses.length / this.curriculum.length) * 100
+        (completedCourses.length / totalRequiredCourses) * 100
       ),
     };
   }
 
-  // Parse all documents and save to JSON
-  async parseAndSaveDocuments(
+  // Parse the given documents; a missing curriculumPath keeps the
+  // curriculum picked with useCurriculumVersion(). onProgress is called
+  // with { document, status: "parsing" } before and { document, status:
+  // "parsed", records } after each document.
+  async parseDocuments(
     curriculumPath,
     transcriptPath,
-    availableCoursesPath
+    availableCoursesPath,
+    onProgress = () => {}
   ) {
-    try {
-      console.log("Parsing documents and saving to JSON...");
-
-      // Parse all documents
-      await this.parseCurriculum(curriculumPath);
-      await this.parseTranscript(transcriptPath);
-      await this.parseAvailableCourses(availableCoursesPath);
+    await this.loadEquivalences();
+    await this.loadWaitlists();
+    const documents = [
+      [
+        "curriculum",
+        curriculumPath,
+        (filePath) => this.parseCurriculum(filePath),
+        () => this.curriculum.length,
+      ],
+      [
+        "transcript",
+        transcriptPath,
+        (filePath) => this.parseTranscript(filePath),
+        () => this.completedCourses.size,
+      ],
+      [
+        "availableCourses",
+        availableCoursesPath,
+        (filePath) => this.parseAvailableCourses(filePath),
+        () => this.availableCourses.length,
+      ],
+    ];
+    for (const [document, filePath, parse, countRecords] of documents) {
+      if (!filePath) continue;
+      onProgress({ document, status: "parsing" });
+      await parse(filePath);
+      onProgress({ document, status: "parsed", records: countRecords() });
+    }
+  }
 
-      // Save parsed data to JSON
-      const savedFilePath = await this.saveParsedData();
+  // Take over data parsed by another instance, e.g. in a parse worker
+  // thread: the object getParsedDataAsJSON() returned there
+  useParsedData(parsedData) {
+    this.curriculumVersion = parsedData.curriculumVersion || null;
+    this.curriculum = parsedData.curriculum || [];
+    this.electiveSlots = parsedData.electiveSlots || [];
+    this.electivePool = parsedData.electivePool || [];
+    this.completedCourses = new Map(parsedData.completedCourses || []);
+    this.availableCourses = parsedData.availableCourses || [];
+    this.studentInfo = parsedData.studentInfo || {};
+    this.parsing = parsedData.parsing || {};
+    this.diagnostics = parsedData.diagnostics || {};
+    this.corrections = parsedData.corrections || [];
+  }
 
-      return {
-        success: true,
-        savedFilePath,
-        parsedData: this.getParsedDataAsJSON(),
-        message: "Documents parsed and saved to JSON successfully",
-      };
-    } catch (error) {
-      console.error("Error parsing and saving documents:", error);
+  // Save the parsed documents to a profile. Without a profileId the
+  // profile ID comes from the transcript, and an existing profile with
+  // that ID is never replaced: the result is a conflict until the caller
+  // names the profile.
+  async saveParsedDocuments(profileId = null) {
+    const targetId = profileId || ProfileStore.createId(this.studentInfo);
+    const savedFilePath = await this.profileStore.withLock(
+      targetId,
+      async () => {
+        if (!profileId && (await this.profileStore.load(targetId))) {
+          return null;
+        }
+        return this.saveParsedData(targetId);
+      }
+    );
+    if (!savedFilePath) {
       return {
         success: false,
-        error: error.message,
+        conflict: true,
+        profileId: targetId,
+        message: `Profile ${targetId} already exists; send profileId ${targetId} to parse into it and replace its data`,
       };
     }
+
+    return {
+      success: true,
+      profileId: this.profileId,
+      savedFilePath,
+      parsedData: this.getParsedDataAsJSON(),
+      message: "Documents parsed and saved to JSON successfully",
+    };
+  }
+
+  // The result of a parse that threw
+  static describeParseError(error) {
+    console.error("Error parsing and saving documents:", error);
+    return {
+      success: false,
+      error: error.message,
+      ...(error.columnMappingProposal && {
+        columnMappingProposal: error.columnMappingProposal,
+      }),
+    };
+  }
+
+  // Parse all documents and save to JSON, as parseDocuments() and
+  // saveParsedDocuments(); onProgress is also called with
+  // { status: "saving" } before the profile is saved
+  async parseAndSaveDocuments(
+    curriculumPath,
+    transcriptPath,
+    availableCoursesPath,
+    profileId = null,
+    onProgress = () => {}
+  ) {
+    try {
+      console.log("Parsing documents and saving to JSON...");
+      await this.parseDocuments(
+        curriculumPath,
+        transcriptPath,
+        availableCoursesPath,
+        onProgress
+      );
+
+      onProgress({ status: "saving" });
+      return await this.saveParsedDocuments(profileId);
+    } catch (error) {
+      return CourseAdvisorSystem.describeParseError(error);
+    }
   }
 
   // Load data from JSON and generate recommendations
-  async loadAndRecommend(filePath = null) {
+  async loadAndRecommend(profileId) {
     try {
       console.log("Loading data from JSON and generating recommendations...");
 
-      // Load parsed data from JSON
-      const loadSuccess = await this.loadParsedData(filePath);
+      // Load parsed data from the student's profile
+      const loadSuccess = await this.loadParsedData(profileId);
       if (!loadSuccess) {
-        throw new Error("Failed to load parsed data from JSON");
+        throw new Error(`No parsed data found for profile ${profileId}`);
       }
 
       // Generate recommendations
       const recommendations = this.getRecommendedCourses();
       const progressReport = this.generateProgressReport();
+      const roadmap = this.planRoadmap();
 
       return {
         success: true,
+        profileId: this.profileId,
         progressReport,
         recommendations,
+        roadmap,
         parsedData: this.getParsedDataAsJSON(),
         message: "Recommendations generated successfully from JSON data",
       };
@@ -968,6 +3216,8 @@ class CourseAdvisorSystem {
       console.log("Processing documents...");
 
       // Parse all documents
+      await this.loadEquivalences();
+      await this.loadWaitlists();
       await this.parseCurriculum(curriculumPath);
       await this.parseTranscript(transcriptPath);
       await this.parseAvailableCourses(availableCoursesPath);
@@ -980,6 +3230,7 @@ class CourseAdvisorSystem {
         success: true,
         progressReport,
         recommendations,
+        diagnostics: this.diagnostics,
         message: "Documents processed successfully",
       };
     } catch (error) {
@@ -0,0 +1,181 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { readJSON, writeJSON, withFileLock } = require("./jsonFile");
+
+// Named curriculum versions, one per program and catalog year, parsed once
+// and shared by the profiles of every student following them. Each
+// version lives in its own JSON file under data/curricula.
+class CurriculumStore {
+  constructor(dataDirectory = "./data") {
+    this.curriculaDirectory = path.join(dataDirectory, "curricula");
+  }
+
+  // Version IDs end up in file names, so only allow a safe character set
+  static isValidId(versionId) {
+    return (
+      typeof versionId === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(versionId)
+    );
+  }
+
+  // "Software Engineering" + "2021-2022" -> "software-engineering-2021-2022".
+  // Accents are dropped; the dotless i has no decomposition to drop.
+  static createId(program, catalogYear) {
+    return `${program}-${catalogYear}`
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/ı/g, "i")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 64);
+  }
+
+  // Returns an error message, or null when the fields are valid
+  static validate(fields) {
+    if (!fields.program || !String(fields.program).trim()) {
+      return "program is required";
+    }
+    if (!/^\d{4}(-\d{4})?$/.test(String(fields.catalogYear || "").trim())) {
+      return "catalogYear must be a year such as 2021 or 2021-2022";
+    }
+    if (!CurriculumStore.createId(fields.program, "")) {
+      return "program must contain letters or digits";
+    }
+    return null;
+  }
+
+  getVersionPath(versionId) {
+    if (!CurriculumStore.isValidId(versionId)) {
+      throw new Error(`Invalid curriculum version ID: ${versionId}`);
+    }
+    return path.join(this.curriculaDirectory, `${versionId}.json`);
+  }
+
+  // Returns null when the version does not exist
+  async get(versionId) {
+    return readJSON(this.getVersionPath(versionId), null);
+  }
+
+  // Versions without their courses, by program and newest catalog year
+  // first
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.curriculaDirectory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const versions = [];
+    for (const file of files) {
+      if (path.extname(file) !== ".json") continue;
+
+      const version = await this.get(path.basename(file, ".json"));
+      if (!version) continue;
+
+      versions.push({
+        id: version.id,
+        program: version.program,
+        catalogYear: version.catalogYear,
+        courses: version.curriculum.length,
+        electiveSlots: version.electiveSlots.length,
+        createdAt: version.createdAt,
+        updatedAt: version.updatedAt,
+      });
+    }
+
+    return versions.sort(
+      (a, b) =>
+        a.program.localeCompare(b.program) ||
+        String(b.catalogYear).localeCompare(String(a.catalogYear))
+    );
+  }
+
+  async write(version) {
+    await writeJSON(this.getVersionPath(version.id), version);
+  }
+
+  // Run a change after earlier changes to any version finish, so two
+  // uploads of the same version never both succeed
+  modify(change) {
+    return withFileLock(this.curriculaDirectory, change);
+  }
+
+  buildVersion(fields, existing = {}) {
+    const now = new Date().toISOString();
+    const program = String(fields.program).trim();
+    const catalogYear = String(fields.catalogYear).trim();
+    return {
+      id: existing.id || CurriculumStore.createId(program, catalogYear),
+      program,
+      catalogYear,
+      curriculum: fields.curriculum || [],
+      electiveSlots: fields.electiveSlots || [],
+      electivePool: fields.electivePool || [],
+      parsing: fields.parsing || null,
+      diagnostics: fields.diagnostics || null,
+      createdAt: existing.createdAt || now,
+      updatedAt: now,
+    };
+  }
+
+  // Store a new version; a program has one version per catalog year
+  async add(fields) {
+    const message = CurriculumStore.validate(fields);
+    if (message) return { success: false, message };
+
+    return this.modify(async () => {
+      const version = this.buildVersion(fields);
+      if (await this.get(version.id)) {
+        return {
+          success: false,
+          message: `Curriculum version ${version.id} already exists; upload to PUT /api/curricula/${version.id} to replace it`,
+        };
+      }
+
+      await this.write(version);
+      return { success: true, curriculumVersion: version };
+    });
+  }
+
+  // Replace the courses of a version, keeping its program and catalog year
+  async replace(versionId, fields) {
+    return this.modify(async () => {
+      const existing = await this.get(versionId);
+      if (!existing) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Curriculum version ${versionId} not found`,
+        };
+      }
+
+      const version = this.buildVersion(
+        {
+          ...fields,
+          program: existing.program,
+          catalogYear: existing.catalogYear,
+        },
+        existing
+      );
+      await this.write(version);
+      return { success: true, curriculumVersion: version };
+    });
+  }
+
+  // Returns false when there was nothing to delete
+  async delete(versionId) {
+    return this.modify(async () => {
+      try {
+        await fs.unlink(this.getVersionPath(versionId));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    });
+  }
+}
+
+module.exports = CurriculumStore;
@@ -0,0 +1,128 @@
+const path = require("path");
+const crypto = require("crypto");
+const { readJSON, modifyJSON } = require("./jsonFile");
+
+const EQUIVALENCE_TYPES = ["renamed", "cross-listed", "transfer"];
+const COURSE_CODE = /^[A-Z]{2,5}\d{3,4}[A-Z]?$/;
+
+// Course equivalence table shared by all profiles. Each entry maps a code
+// that may appear on a transcript (an old catalog code, a cross-listed
+// code or a transfer course) to the curriculum code it counts as.
+class EquivalenceStore {
+  constructor(dataDirectory = "./data") {
+    this.filePath = path.join(dataDirectory, "equivalences.json");
+  }
+
+  static normalizeCode(code) {
+    return String(code || "")
+      .replace(/\s+/g, "")
+      .toUpperCase();
+  }
+
+  // Returns an error message, or null when the entry is valid
+  static validate(entry) {
+    const from = EquivalenceStore.normalizeCode(entry.from);
+    const to = EquivalenceStore.normalizeCode(entry.to);
+
+    if (!COURSE_CODE.test(from)) return `Invalid course code: ${entry.from}`;
+    if (!COURSE_CODE.test(to)) return `Invalid course code: ${entry.to}`;
+    if (from === to) return "A code cannot be equivalent to itself";
+    if (entry.type !== undefined && !EQUIVALENCE_TYPES.includes(entry.type)) {
+      return `type must be one of: ${EQUIVALENCE_TYPES.join(", ")}`;
+    }
+    return null;
+  }
+
+  async list() {
+    return readJSON(this.filePath, []);
+  }
+
+  // Run a read-modify-write of the table after earlier writes finish
+  modify(change) {
+    return modifyJSON(this.filePath, change);
+  }
+
+  buildEntry(fields, existing = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: existing.id || crypto.randomUUID(),
+      from: EquivalenceStore.normalizeCode(fields.from),
+      to: EquivalenceStore.normalizeCode(fields.to),
+      type: fields.type || existing.type || "renamed",
+      note:
+        fields.note !== undefined ? String(fields.note) : existing.note || "",
+      createdAt: existing.createdAt || now,
+      updatedAt: now,
+    };
+  }
+
+  // Each old code maps to one curriculum code
+  findConflict(entries, entry) {
+    return entries.find(
+      (other) => other.id !== entry.id && other.from === entry.from
+    );
+  }
+
+  async add(fields) {
+    const message = EquivalenceStore.validate(fields);
+    if (message) return { success: false, message };
+
+    return this.modify((entries) => {
+      const entry = this.buildEntry(fields);
+      const conflict = this.findConflict(entries, entry);
+      if (conflict) {
+        return {
+          success: false,
+          message: `${entry.from} is already mapped to ${conflict.to}`,
+        };
+      }
+
+      entries.push(entry);
+      return { success: true, equivalence: entry };
+    });
+  }
+
+  async update(id, fields) {
+    return this.modify((entries) => {
+      const index = entries.findIndex((entry) => entry.id === id);
+      if (index === -1) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Equivalence ${id} not found`,
+        };
+      }
+
+      const merged = { ...entries[index], ...fields };
+      const message = EquivalenceStore.validate(merged);
+      if (message) return { success: false, message };
+
+      const entry = this.buildEntry(merged, entries[index]);
+      const conflict = this.findConflict(entries, entry);
+      if (conflict) {
+        return {
+          success: false,
+          message: `${entry.from} is already mapped to ${conflict.to}`,
+        };
+      }
+
+      entries[index] = entry;
+      return { success: true, equivalence: entry };
+    });
+  }
+
+  // Returns false when there was nothing to delete
+  async delete(id) {
+    const outcome = await this.modify((entries) => {
+      const index = entries.findIndex((entry) => entry.id === id);
+      if (index === -1) return { success: false };
+      entries.splice(index, 1);
+      return { success: true };
+    });
+    return outcome.success;
+  }
+}
+
+EquivalenceStore.TYPES = EQUIVALENCE_TYPES;
+
+module.exports = EquivalenceStore;
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const config = require("./config");
+
+// Queue of document parse jobs, run in the background a few at a time so
+// large scanned PDFs do not hold up the requests that upload them. The
+// routes parse each job's documents in a worker thread (parseWorker.js),
+// so running jobs do not hold up other requests either. Jobs live in
+// memory only; a finished job keeps its result for
+// parseJobs.keepHours.
+//
+// Emits "update" with the job whenever its status or progress changes.
+class ParseJobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Every open progress stream listens for updates
+    this.setMaxListeners(0);
+    this.options = { ...config.parseJobs, ...options };
+    this.jobs = new Map();
+    this.queued = [];
+    this.running = 0;
+  }
+
+  // A job as the API returns it, without its result
+  static toView(job, queue) {
+    const finishedSteps =
+      job.documents.filter((document) => document.status === "parsed").length +
+      (job.status === "succeeded" ? 1 : 0);
+    return {
+      id: job.id,
+      status: job.status,
+      owner: job.owner,
+      profileId: job.profileId,
+      documents: job.documents,
+      step: job.step,
+      // Each document and saving the profile count as one step
+      progress: Math.round((finishedSteps / (job.documents.length + 1)) * 100),
+      ...(job.status === "queued" &&
+        queue && { position: queue.queued.indexOf(job) + 1 }),
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  static isFinished(job) {
+    return job.status === "succeeded" || job.status === "failed";
+  }
+
+  // Queue a job. run(onProgress) parses the documents and resolves to the
+  // parse result ({ success, ... }); documents are the document types it
+  // reports progress for.
+  add({ owner, profileId = null, documents, run }) {
+    this.prune();
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      owner,
+      profileId,
+      documents: documents.map((type) => ({ type, status: "pending" })),
+      step: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      run,
+      result: null,
+    };
+    job.done = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.queued.push(job);
+    console.log(`Queued parse job ${job.id} (${this.queued.length} waiting)`);
+    this.next();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Jobs, newest first, optionally only those of one account
+  list(owner) {
+    return [...this.jobs.values()]
+      .filter((job) => !owner || job.owner === owner)
+      .reverse();
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes);
+    this.emit("update", job);
+  }
+
+  // Start queued jobs while fewer than the allowed number are running
+  next() {
+    while (this.running < this.options.concurrency && this.queued.length > 0) {
+      const job = this.queued.shift();
+      this.running += 1;
+      this.start(job).finally(() => {
+        this.running -= 1;
+        this.next();
+      });
+      // The jobs still waiting moved up
+      this.queued.forEach((waiting) => this.emit("update", waiting));
+    }
+  }
+
+  async start(job) {
+    this.update(job, {
+      status: "running",
+      startedAt: new Date().toISOString(),
+    });
+
+    const onProgress = ({ document, status, records }) => {
+      if (status === "saving") {
+        this.update(job, { step: "saving" });
+        return;
+      }
+      const entry = job.documents.find(
+        (candidate) => candidate.type === document
+      );
+      if (entry) {
+        entry.status = status;
+        if (records !== undefined) entry.records = records;
+      }
+      this.update(job, { step: document });
+    };
+
+    let result;
+    try {
+      result = await job.run(onProgress);
+    } catch (error) {
+      console.error(`Parse job ${job.id} failed:`, error);
+      result = { success: false, error: error.message };
+    }
+
+    // The document being parsed when the job failed
+    if (!result.success) {
+      const failed = job.documents.find(
+        (document) => document.status === "parsing"
+      );
+      if (failed) failed.status = "failed";
+    }
+    this.update(job, {
+      status: result.success ? "succeeded" : "failed",
+      profileId: result.profileId || job.profileId,
+      step: null,
+      error: result.success ? null : result.message || result.error,
+      result,
+      finishedAt: new Date().toISOString(),
+    });
+    console.log(`Parse job ${job.id} ${job.status}`);
+    job.resolve(result);
+  }
+
+  // Forget finished jobs older than keepHours
+  prune() {
+    const cutoff = Date.now() - this.options.keepHours * 60 * 60 * 1000;
+    for (const [id, job] of this.jobs) {
+      if (
+        ParseJobQueue.isFinished(job) &&
+        Date.parse(job.finishedAt) < cutoff
+      ) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = ParseJobQueue;
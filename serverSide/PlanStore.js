@@ -0,0 +1,249 @@
+const path = require("path");
+const crypto = require("crypto");
+const { readJSON, modifyJSON } = require("./jsonFile");
+
+const PLAN_STATUSES = [
+  "draft",
+  "submitted",
+  "changesRequested",
+  "approved",
+  "rejected",
+];
+
+// Plans the student can still change
+const EDITABLE_STATUSES = ["draft", "changesRequested"];
+
+// Workflow actions: the statuses each is allowed from, the status it
+// leads to, who takes it and whether a comment is required
+const PLAN_ACTIONS = {
+  submit: {
+    from: ["draft", "changesRequested"],
+    to: "submitted",
+    by: "student",
+    verb: "submit",
+  },
+  approve: {
+    from: ["submitted"],
+    to: "approved",
+    by: "advisor",
+    verb: "approve",
+  },
+  reject: {
+    from: ["submitted"],
+    to: "rejected",
+    by: "advisor",
+    verb: "reject",
+    requiresComment: true,
+  },
+  requestChanges: {
+    from: ["submitted"],
+    to: "changesRequested",
+    by: "advisor",
+    verb: "request changes to",
+    requiresComment: true,
+  },
+};
+
+// Registration plans: a course set a student picked from the
+// recommendations, submitted to an advisor who approves it, rejects it or
+// asks for changes. Every change is kept in the plan's history.
+class PlanStore {
+  constructor(dataDirectory = "./data") {
+    this.filePath = path.join(dataDirectory, "plans.json");
+  }
+
+  // Returns an error message, or null when the advisor name is valid
+  static validateAdvisor(advisor) {
+    if (typeof advisor !== "string" || !advisor.trim()) {
+      return "advisor is required";
+    }
+    if (advisor.trim().length > 100) {
+      return "advisor must be at most 100 characters";
+    }
+    return null;
+  }
+
+  static sameAdvisor(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  }
+
+  // The history fields naming the signed-in account that took a step
+  static recordActor(actor = {}) {
+    return { by: actor.username || null, role: actor.role || null };
+  }
+
+  // Plans matching every given filter: profileId, advisor, status
+  async list(filters = {}) {
+    const plans = await readJSON(this.filePath, []);
+    return plans.filter(
+      (plan) =>
+        (!filters.profileId || plan.profileId === filters.profileId) &&
+        (!filters.advisor ||
+          PlanStore.sameAdvisor(plan.advisor, filters.advisor)) &&
+        (!filters.status || plan.status === filters.status)
+    );
+  }
+
+  async get(id) {
+    const plans = await this.list();
+    return plans.find((plan) => plan.id === id) || null;
+  }
+
+  // Run a read-modify-write of the plans after earlier writes finish
+  modify(change) {
+    return modifyJSON(this.filePath, change);
+  }
+
+  // Apply a change to one plan, or report it missing
+  modifyPlan(id, change) {
+    return this.modify((plans) => {
+      const plan = plans.find((candidate) => candidate.id === id);
+      if (!plan) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Plan ${id} not found`,
+        };
+      }
+      return change(plan, plans);
+    });
+  }
+
+  // New draft plan. selection is the checked course set from
+  // CourseAdvisorSystem.buildRegistrationPlan(); actor is the signed-in
+  // account creating it, { username, role }.
+  async create({ profileId, advisor, term, note, selection, actor }) {
+    const message = PlanStore.validateAdvisor(advisor);
+    if (message) return { success: false, message };
+
+    return this.modify((plans) => {
+      const now = new Date().toISOString();
+      const plan = {
+        id: crypto.randomUUID(),
+        profileId,
+        advisor: advisor.trim(),
+        term: term || null,
+        status: "draft",
+        ...selection,
+        note: note || null,
+        history: [
+          {
+            action: "create",
+            status: "draft",
+            ...PlanStore.recordActor(actor),
+            comment: note || null,
+            at: now,
+          },
+        ],
+        createdAt: now,
+        updatedAt: now,
+      };
+      plans.push(plan);
+      return { success: true, plan };
+    });
+  }
+
+  // Change the courses, note or advisor of a plan that is still editable
+  async update(id, { advisor, note, selection, actor }) {
+    if (advisor !== undefined) {
+      const message = PlanStore.validateAdvisor(advisor);
+      if (message) return { success: false, message };
+    }
+
+    return this.modifyPlan(id, (plan) => {
+      if (!EDITABLE_STATUSES.includes(plan.status)) {
+        return {
+          success: false,
+          conflict: true,
+          message: `Plan ${id} is ${plan.status} and can no longer be changed`,
+        };
+      }
+
+      const now = new Date().toISOString();
+      if (advisor !== undefined) plan.advisor = advisor.trim();
+      if (note !== undefined) plan.note = note || null;
+      if (selection) Object.assign(plan, selection);
+      plan.history.push({
+        action: "edit",
+        status: plan.status,
+        ...PlanStore.recordActor(actor),
+        comment: note || null,
+        at: now,
+      });
+      plan.updatedAt = now;
+      return { success: true, plan };
+    });
+  }
+
+  // Take a workflow action as actor, the signed-in { username, role }.
+  // Advisor decisions must come from the plan's advisor.
+  async transition(id, action, { actor = {}, comment } = {}) {
+    const rule = PLAN_ACTIONS[action];
+    if (!rule) {
+      return {
+        success: false,
+        message: `action must be one of: ${Object.keys(PLAN_ACTIONS).join(
+          ", "
+        )}`,
+      };
+    }
+    if (rule.requiresComment && !(comment && String(comment).trim())) {
+      return {
+        success: false,
+        message: `A comment is required to ${rule.verb} a plan`,
+      };
+    }
+
+    return this.modifyPlan(id, (plan) => {
+      if (!rule.from.includes(plan.status)) {
+        return {
+          success: false,
+          conflict: true,
+          message: `Cannot ${rule.verb} plan ${id}: it is ${plan.status}`,
+        };
+      }
+      if (
+        rule.by === "advisor" &&
+        !PlanStore.sameAdvisor(actor.username, plan.advisor)
+      ) {
+        return {
+          success: false,
+          forbidden: true,
+          message: `Plan ${id} is assigned to advisor ${plan.advisor}`,
+        };
+      }
+
+      const now = new Date().toISOString();
+      plan.status = rule.to;
+      plan.history.push({
+        action,
+        status: rule.to,
+        ...PlanStore.recordActor(actor),
+        comment: comment ? String(comment).trim() : null,
+        at: now,
+      });
+      plan.updatedAt = now;
+      return { success: true, plan };
+    });
+  }
+
+  // Only drafts can be deleted; submitted plans keep their history
+  async delete(id) {
+    return this.modifyPlan(id, (plan, plans) => {
+      if (plan.status !== "draft") {
+        return {
+          success: false,
+          conflict: true,
+          message: `Plan ${id} is ${plan.status}; only drafts can be deleted`,
+        };
+      }
+      plans.splice(plans.indexOf(plan), 1);
+      return { success: true };
+    });
+  }
+}
+
+PlanStore.PLAN_STATUSES = PLAN_STATUSES;
+PlanStore.PLAN_ACTIONS = PLAN_ACTIONS;
+
+module.exports = PlanStore;
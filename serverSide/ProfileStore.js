@@ -0,0 +1,97 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { readJSON, writeJSON, withFileLock } = require("./jsonFile");
+
+// Student-scoped storage for parsed data. Every profile lives in its own
+// JSON file under data/profiles, so concurrent requests for different
+// students never read or write the same file.
+class ProfileStore {
+  constructor(dataDirectory = "./data") {
+    this.profilesDirectory = path.join(dataDirectory, "profiles");
+  }
+
+  // Profile IDs end up in file names, so only allow a safe character set
+  static isValidId(profileId) {
+    return (
+      typeof profileId === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(profileId)
+    );
+  }
+
+  // Use the student number when the transcript provides one, otherwise
+  // generate an ID on the server
+  static createId(studentInfo = {}) {
+    const studentNo = String(studentInfo.studentNo || "").replace(/\s+/g, "");
+    if (ProfileStore.isValidId(studentNo)) {
+      return studentNo;
+    }
+    return `p-${crypto.randomUUID()}`;
+  }
+
+  getProfilePath(profileId) {
+    if (!ProfileStore.isValidId(profileId)) {
+      throw new Error(`Invalid profile ID: ${profileId}`);
+    }
+    return path.join(this.profilesDirectory, `${profileId}.json`);
+  }
+
+  async save(profileId, data) {
+    const filePath = this.getProfilePath(profileId);
+    await writeJSON(filePath, data);
+    return filePath;
+  }
+
+  // Run a read-modify-write of one profile after earlier tasks on the same
+  // profile finish, so concurrent corrections never overwrite each other
+  withLock(profileId, task) {
+    return withFileLock(this.getProfilePath(profileId), task);
+  }
+
+  // Returns null when the profile does not exist
+  async load(profileId) {
+    return readJSON(this.getProfilePath(profileId), null);
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.profilesDirectory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const profiles = [];
+    for (const file of files) {
+      if (path.extname(file) !== ".json") continue;
+
+      const profileId = path.basename(file, ".json");
+      const data = await this.load(profileId);
+      if (!data) continue;
+
+      profiles.push({
+        profileId,
+        studentInfo: data.studentInfo || {},
+        curriculumVersion: data.curriculumVersion || null,
+        timestamp: data.timestamp,
+      });
+    }
+
+    return profiles.sort((a, b) =>
+      String(b.timestamp).localeCompare(String(a.timestamp))
+    );
+  }
+
+  // Returns false when there was nothing to delete
+  async delete(profileId) {
+    try {
+      await fs.unlink(this.getProfilePath(profileId));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = ProfileStore;
@@ -0,0 +1,373 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const config = require("./config");
+const { readJSON, modifyJSON } = require("./jsonFile");
+
+// Accepted document types: the MIME types browsers and clients send for
+// them and a check of the file's first bytes
+const isZip = (buffer) =>
+  buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+const isText = (buffer) => !buffer.subarray(0, 8192).includes(0);
+const UPLOAD_TYPES = {
+  ".pdf": {
+    mimeTypes: ["application/pdf"],
+    // The header may follow a few bytes of junk
+    matches: (buffer) => buffer.subarray(0, 1024).includes("%PDF-"),
+  },
+  ".docx": {
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/zip",
+    ],
+    matches: isZip,
+  },
+  ".xlsx": {
+    mimeTypes: [
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/zip",
+    ],
+    matches: isZip,
+  },
+  ".xls": {
+    mimeTypes: ["application/vnd.ms-excel"],
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])),
+  },
+  ".csv": {
+    mimeTypes: [
+      "text/csv",
+      "text/plain",
+      "text/x-csv",
+      "application/csv",
+      "application/vnd.ms-excel",
+    ],
+    matches: isText,
+  },
+  ".txt": {
+    mimeTypes: ["text/plain"],
+    matches: isText,
+  },
+};
+// Sent when the client does not know the type
+const GENERIC_MIME_TYPES = ["", "application/octet-stream"];
+
+// Requests using each stored file, by file name
+const inUse = new Map();
+
+// Uploaded documents, each stored once under the SHA-256 hash of its
+// content in the uploads directory. data/uploads.json indexes them with
+// the names they were uploaded under and the profiles parsed from them,
+// and keeps the entry after the raw file is purged.
+class UploadStore {
+  constructor(dataDirectory = "./data", options = {}) {
+    this.indexPath = path.join(dataDirectory, "uploads.json");
+    this.options = { ...config.uploads, ...options };
+    this.directory = this.options.directory;
+  }
+
+  // Largest accepted file, in bytes
+  get maxFileSize() {
+    return this.options.maxFileSizeMB * 1024 * 1024;
+  }
+
+  // Returns an error message, or null when the file is of an accepted
+  // type and its content matches its extension
+  static checkFile(file) {
+    const extension = path.extname(file.originalname || "").toLowerCase();
+    const type = UPLOAD_TYPES[extension];
+    if (!type) {
+      return `${file.originalname} is not a supported file type (${Object.keys(
+        UPLOAD_TYPES
+      ).join(", ")})`;
+    }
+
+    const mimeType = String(file.mimetype || "").toLowerCase();
+    if (
+      !GENERIC_MIME_TYPES.includes(mimeType) &&
+      !type.mimeTypes.includes(mimeType)
+    ) {
+      return `${file.originalname} was sent as ${mimeType}, not as a ${extension} file`;
+    }
+    if (!file.buffer || file.buffer.length === 0) {
+      return `${file.originalname} is empty`;
+    }
+    if (!type.matches(file.buffer)) {
+      return `${file.originalname} is not a valid ${extension} file`;
+    }
+    return null;
+  }
+
+  async list(filters = {}) {
+    const entries = await readJSON(this.indexPath, []);
+    return entries.filter(
+      (entry) =>
+        !filters.profileId ||
+        entry.profiles.some((link) => link.profileId === filters.profileId)
+    );
+  }
+
+  // Run a read-modify-write of the index after earlier writes finish.
+  // change may be async, for changes that store or delete files; writes
+  // and purges are chained this way, so a purge never deletes a file
+  // another request has just stored.
+  modify(change) {
+    return modifyJSON(this.indexPath, change);
+  }
+
+  filePath(fileName) {
+    return path.join(this.directory, fileName);
+  }
+
+  // Check and store a file received by multer ({ originalname, mimetype,
+  // buffer }). A file with the same content is only written once. The
+  // stored file is marked in use until release() is called for it.
+  async save(file) {
+    const message = UploadStore.checkFile(file);
+    if (message) return { success: false, message };
+
+    const extension = path.extname(file.originalname).toLowerCase();
+    const hash = crypto.createHash("sha256").update(file.buffer).digest("hex");
+    const fileName = `${hash}${extension}`;
+    const filePath = this.filePath(fileName);
+    const originalName = path.basename(file.originalname).slice(0, 255);
+
+    return this.modify(async (entries) => {
+      let entry = entries.find((candidate) => candidate.fileName === fileName);
+      const stored = Boolean(entry && !entry.purgedAt);
+      if (!stored) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, file.buffer);
+        await fs.rename(tempPath, filePath);
+      }
+
+      const now = new Date().toISOString();
+      if (!entry) {
+        entry = {
+          fileName,
+          hash,
+          size: file.buffer.length,
+          originalNames: [],
+          uploads: 0,
+          profiles: [],
+          firstUploadedAt: now,
+        };
+        entries.push(entry);
+      }
+      if (!entry.originalNames.includes(originalName)) {
+        entry.originalNames.push(originalName);
+      }
+      entry.uploads += 1;
+      entry.lastUploadedAt = now;
+      delete entry.purgedAt;
+
+      inUse.set(fileName, (inUse.get(fileName) || 0) + 1);
+      console.log(
+        `${
+          stored ? "Reusing stored" : "Stored"
+        } upload ${originalName} as ${fileName}`
+      );
+      return {
+        success: true,
+        fileName,
+        hash,
+        path: filePath,
+        duplicate: stored,
+      };
+    });
+  }
+
+  // A request is done with a file it stored
+  release(fileName) {
+    const count = (inUse.get(fileName) || 0) - 1;
+    if (count > 0) inUse.set(fileName, count);
+    else inUse.delete(fileName);
+  }
+
+  // Record that a profile was parsed from stored files:
+  // { documentType: fileName }
+  async linkProfile(profileId, filesByType) {
+    return this.modify((entries) => {
+      const parsedAt = new Date().toISOString();
+      for (const [documentType, fileName] of Object.entries(filesByType)) {
+        const entry = entries.find(
+          (candidate) => candidate.fileName === fileName
+        );
+        if (!entry) continue;
+
+        entry.profiles = entry.profiles.filter(
+          (link) =>
+            link.profileId !== profileId || link.documentType !== documentType
+        );
+        entry.profiles.push({ profileId, documentType, parsedAt });
+      }
+      return { success: true };
+    });
+  }
+
+  // Forget a deleted profile's links
+  async unlinkProfile(profileId) {
+    return this.modify((entries) => {
+      let changed = false;
+      for (const entry of entries) {
+        const profiles = entry.profiles.filter(
+          (link) => link.profileId !== profileId
+        );
+        changed = changed || profiles.length !== entry.profiles.length;
+        entry.profiles = profiles;
+      }
+      return { success: changed };
+    });
+  }
+
+  async deleteFile(fileName) {
+    try {
+      await fs.unlink(this.filePath(fileName));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // Delete the raw files no request uses that were last uploaded at least
+  // olderThanHours ago (the retention policy by default). unindexed also
+  // deletes files of the uploads directory missing from the index, such
+  // as uploads from before files were stored by hash. Returns the deleted
+  // files and the bytes freed.
+  async purge({ olderThanHours, unindexed = false } = {}) {
+    const hours =
+      olderThanHours === undefined
+        ? this.options.retentionHours
+        : olderThanHours;
+    if (hours === null && !unindexed) {
+      return { success: true, purged: [], freedBytes: 0 };
+    }
+
+    const outcome = await this.modify(async (entries) => {
+      const purged = [];
+      const cutoff = Date.now() - (hours || 0) * 60 * 60 * 1000;
+
+      if (hours !== null) {
+        for (const entry of entries) {
+          if (
+            entry.purgedAt ||
+            inUse.has(entry.fileName) ||
+            Date.parse(entry.lastUploadedAt) > cutoff
+          ) {
+            continue;
+          }
+          await this.deleteFile(entry.fileName);
+          entry.purgedAt = new Date().toISOString();
+          purged.push({ fileName: entry.fileName, size: entry.size });
+        }
+      }
+
+      if (unindexed) {
+        for (const file of await this.listUnindexed(entries)) {
+          await this.deleteFile(file.fileName);
+          purged.push({ ...file, unindexed: true });
+        }
+      }
+
+      return { success: purged.length > 0, purged };
+    });
+
+    const purged = outcome.purged;
+    if (purged.length > 0) {
+      console.log(`Purged ${purged.length} uploaded file(s)`);
+    }
+    return {
+      success: true,
+      purged,
+      freedBytes: purged.reduce((sum, file) => sum + file.size, 0),
+    };
+  }
+
+  // Files of the uploads directory without an index entry
+  async listUnindexed(entries) {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const indexed = new Set(entries.map((entry) => entry.fileName));
+    const files = [];
+    for (const fileName of names) {
+      if (indexed.has(fileName) || fileName.startsWith(".")) continue;
+      const stats = await fs.stat(this.filePath(fileName));
+      if (stats.isFile()) files.push({ fileName, size: stats.size });
+    }
+    return files;
+  }
+
+  // Stored and purged files, and the disk space they take
+  async usage() {
+    const entries = await this.list();
+    const stored = entries.filter((entry) => !entry.purgedAt);
+    const unindexed = await this.listUnindexed(entries);
+    return {
+      storedFiles: stored.length,
+      storedBytes: stored.reduce((sum, entry) => sum + entry.size, 0),
+      purgedFiles: entries.length - stored.length,
+      // Uploads of identical content that were not stored again
+      duplicateUploads: entries.reduce(
+        (sum, entry) => sum + entry.uploads - 1,
+        0
+      ),
+      unindexedFiles: unindexed.length,
+      unindexedBytes: unindexed.reduce((sum, file) => sum + file.size, 0),
+      retentionHours: this.options.retentionHours,
+    };
+  }
+
+  // Delete one raw file now, indexed or not
+  async delete(fileName) {
+    if (
+      path.basename(fileName) !== fileName ||
+      fileName.startsWith(".") ||
+      fileName === ""
+    ) {
+      return { success: false, message: "Invalid file name" };
+    }
+
+    return this.modify(async (entries) => {
+      const entry = entries.find(
+        (candidate) => candidate.fileName === fileName
+      );
+      if (entry && inUse.has(fileName)) {
+        return {
+          success: false,
+          conflict: true,
+          message: `${fileName} is being parsed`,
+        };
+      }
+
+      let size;
+      try {
+        size = (await fs.stat(this.filePath(fileName))).size;
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      if (size === undefined) {
+        return {
+          success: false,
+          notFound: true,
+          message: `Uploaded file ${fileName} not found`,
+        };
+      }
+
+      await this.deleteFile(fileName);
+      if (entry) entry.purgedAt = new Date().toISOString();
+      return { success: true, deleted: { fileName, size } };
+    });
+  }
+}
+
+UploadStore.UPLOAD_TYPES = UPLOAD_TYPES;
+
+module.exports = UploadStore;
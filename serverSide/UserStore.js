@@ -0,0 +1,312 @@
+const path = require("path");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const ProfileStore = require("./ProfileStore");
+const config = require("./config");
+const { readJSON, modifyJSON } = require("./jsonFile");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ["student", "advisor", "admin"];
+const USERNAME = /^[a-z0-9_.-]{3,64}$/;
+
+// Local user accounts and their sign-in sessions. Passwords are stored as
+// salted scrypt hashes and session tokens only as SHA-256 hashes, so
+// neither file is enough to sign in.
+//
+// Roles: a student has the profileId of their own profile, an advisor the
+// profileIds of their assigned students, and an admin sees everything and
+// manages curricula, equivalences, column mappings and accounts.
+class UserStore {
+  constructor(dataDirectory = "./data", options = {}) {
+    this.usersPath = path.join(dataDirectory, "users.json");
+    this.sessionsPath = path.join(dataDirectory, "sessions.json");
+    this.options = { ...config.auth, ...options };
+  }
+
+  static normalizeUsername(username) {
+    return String(username || "")
+      .trim()
+      .toLowerCase();
+  }
+
+  // "scrypt$<salt>$<hash>", both base64
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+  }
+
+  static async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scrypt(
+      String(password),
+      Buffer.from(salt, "base64"),
+      expected.length
+    );
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  // An account without its password hash, as returned by the API
+  static toPublic(user) {
+    if (!user) return null;
+    const { passwordHash, ...account } = user;
+    return account;
+  }
+
+  // Returns an error message, or null when the account fields are valid.
+  // existing is the stored account when updating.
+  validate(fields, existing = null) {
+    if (
+      !existing &&
+      !USERNAME.test(UserStore.normalizeUsername(fields.username))
+    ) {
+      return "username must be 3-64 letters, digits, '.', '_' or '-'";
+    }
+
+    const role =
+      fields.role !== undefined ? fields.role : existing && existing.role;
+    if (!ROLES.includes(role)) {
+      return `role must be one of: ${ROLES.join(", ")}`;
+    }
+
+    if (
+      (!existing || fields.password !== undefined) &&
+      (typeof fields.password !== "string" ||
+        fields.password.length < this.options.minPasswordLength)
+    ) {
+      return `password must be at least ${this.options.minPasswordLength} characters`;
+    }
+
+    const profileId =
+      fields.profileId !== undefined
+        ? fields.profileId
+        : existing && existing.profileId;
+    if (role === "student" && !ProfileStore.isValidId(profileId)) {
+      return "A student account needs the profileId of their profile";
+    }
+
+    const students =
+      fields.students !== undefined
+        ? fields.students
+        : existing && existing.students;
+    if (
+      role === "advisor" &&
+      students !== undefined &&
+      students !== null &&
+      (!Array.isArray(students) ||
+        !students.every((id) => ProfileStore.isValidId(id)))
+    ) {
+      return "students must be a list of profile IDs";
+    }
+
+    return null;
+  }
+
+  async readFile(filePath) {
+    return readJSON(filePath, []);
+  }
+
+  // Run a read-modify-write of one file after earlier writes finish
+  modify(filePath, change) {
+    return modifyJSON(filePath, change);
+  }
+
+  // Accounts without their password hashes
+  async list() {
+    const users = await this.readFile(this.usersPath);
+    return users.map(UserStore.toPublic);
+  }
+
+  // The stored account, including its password hash
+  async get(username) {
+    const users = await this.readFile(this.usersPath);
+    const name = UserStore.normalizeUsername(username);
+    return users.find((user) => user.username === name) || null;
+  }
+
+  // Role-specific fields: only students have a profileId and only
+  // advisors a list of students
+  buildAccount(fields, existing = {}) {
+    const role = fields.role || existing.role;
+    const pick = (key, fallback) =>
+      fields[key] !== undefined ? fields[key] : existing[key] ?? fallback;
+    const now = new Date().toISOString();
+
+    const account = {
+      username:
+        existing.username || UserStore.normalizeUsername(fields.username),
+      name: String(pick("name", "") || "").trim(),
+      role,
+      createdAt: existing.createdAt || now,
+      updatedAt: now,
+    };
+    if (role === "student") account.profileId = pick("profileId", null);
+    if (role === "advisor") {
+      account.students = [...new Set(pick("students", []) || [])];
+    }
+    return account;
+  }
+
+  async create(fields) {
+    const message = this.validate(fields);
+    if (message) return { success: false, message };
+
+    const passwordHash = await UserStore.hashPassword(fields.password);
+    return this.modify(this.usersPath, (users) => {
+      const account = this.buildAccount(fields);
+      if (users.some((user) => user.username === account.username)) {
+        return {
+          success: false,
+          conflict: true,
+          message: `User ${account.username} already exists`,
+        };
+      }
+
+      users.push({ ...account, passwordHash });
+      return { success: true, user: account };
+    });
+  }
+
+  // Change an account; only the fields sent are changed. A new password
+  // signs the account out everywhere.
+  async update(username, fields) {
+    const existing = await this.get(username);
+    if (!existing) {
+      return {
+        success: false,
+        notFound: true,
+        message: `User ${username} not found`,
+      };
+    }
+    const message = this.validate(fields, existing);
+    if (message) return { success: false, message };
+
+    const passwordHash =
+      fields.password !== undefined
+        ? await UserStore.hashPassword(fields.password)
+        : null;
+    const outcome = await this.modify(this.usersPath, (users) => {
+      const index = users.findIndex(
+        (user) => user.username === existing.username
+      );
+      if (index === -1) {
+        return {
+          success: false,
+          notFound: true,
+          message: `User ${username} not found`,
+        };
+      }
+
+      const account = this.buildAccount(fields, users[index]);
+      users[index] = {
+        ...account,
+        passwordHash: passwordHash || users[index].passwordHash,
+      };
+      return { success: true, user: account };
+    });
+
+    if (outcome.success && passwordHash) {
+      await this.deleteSessions(existing.username);
+    }
+    return outcome;
+  }
+
+  // Returns false when there was nothing to delete
+  async delete(username) {
+    const name = UserStore.normalizeUsername(username);
+    const outcome = await this.modify(this.usersPath, (users) => {
+      const index = users.findIndex((user) => user.username === name);
+      if (index === -1) return { success: false };
+      users.splice(index, 1);
+      return { success: true };
+    });
+
+    if (outcome.success) await this.deleteSessions(name);
+    return outcome.success;
+  }
+
+  // The account for a username and password, or null
+  async checkPassword(username, password) {
+    const user = await this.get(username);
+    if (
+      !user ||
+      !(await UserStore.verifyPassword(password, user.passwordHash))
+    ) {
+      return null;
+    }
+    return user;
+  }
+
+  // Start a session; the token is only returned here. Expired sessions
+  // are dropped on the way.
+  async createSession(username) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    const expiresAt = new Date(
+      now + this.options.sessionHours * 60 * 60 * 1000
+    ).toISOString();
+
+    await this.modify(this.sessionsPath, (sessions) => {
+      const active = sessions.filter(
+        (session) => Date.parse(session.expiresAt) > now
+      );
+      sessions.splice(0, sessions.length, ...active, {
+        tokenHash: UserStore.hashToken(token),
+        username,
+        createdAt: new Date(now).toISOString(),
+        expiresAt,
+      });
+      return { success: true };
+    });
+
+    return { token, expiresAt };
+  }
+
+  // The account signed in with a token, or null when the session is
+  // unknown or expired
+  async getSessionUser(token) {
+    if (!token) return null;
+
+    const tokenHash = UserStore.hashToken(token);
+    const sessions = await this.readFile(this.sessionsPath);
+    const session = sessions.find((entry) => entry.tokenHash === tokenHash);
+    if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+
+    return UserStore.toPublic(await this.get(session.username));
+  }
+
+  async deleteSession(token) {
+    const tokenHash = UserStore.hashToken(token);
+    return this.modify(this.sessionsPath, (sessions) => {
+      const index = sessions.findIndex(
+        (session) => session.tokenHash === tokenHash
+      );
+      if (index === -1) return { success: false };
+      sessions.splice(index, 1);
+      return { success: true };
+    });
+  }
+
+  async deleteSessions(username) {
+    return this.modify(this.sessionsPath, (sessions) => {
+      const remaining = sessions.filter(
+        (session) => session.username !== username
+      );
+      if (remaining.length === sessions.length) return { success: false };
+      sessions.splice(0, sessions.length, ...remaining);
+      return { success: true };
+    });
+  }
+}
+
+UserStore.ROLES = ROLES;
+
+module.exports = UserStore;
@@ -0,0 +1,194 @@
+const path = require("path");
+const { readJSON, modifyJSON } = require("./jsonFile");
+
+// Returns a non-negative whole number, null for "unknown", or undefined
+// when the value is invalid
+const readCount = (value) => {
+  if (value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : undefined;
+};
+
+// Live seat counts and waitlists of offered sections, shared by every
+// profile. An entry starts from the quota and enrollment imported with the
+// offered-courses document and takes over from then on: admins update its
+// counts, and students queued for a full section are promoted in order as
+// seats free up.
+class WaitlistStore {
+  constructor(dataDirectory = "./data") {
+    this.filePath = path.join(dataDirectory, "waitlists.json");
+  }
+
+  // Free seats, or null when the section has no quota
+  static seatsLeft(entry) {
+    if (!entry || entry.quota === null || entry.quota === undefined) {
+      return null;
+    }
+    return Math.max(entry.quota - (entry.enrolled || 0), 0);
+  }
+
+  // Entries matching every given filter: code, section, profileId (queued
+  // or promoted)
+  async list(filters = {}) {
+    const entries = await readJSON(this.filePath, []);
+    return entries.filter(
+      (entry) =>
+        (!filters.code || entry.code === filters.code) &&
+        (!filters.section || entry.section === filters.section) &&
+        (!filters.profileId ||
+          [...entry.waitlist, ...entry.promoted].some(
+            (student) => student.profileId === filters.profileId
+          ))
+    );
+  }
+
+  async get(code, section) {
+    const entries = await this.list({ code, section });
+    return entries[0] || null;
+  }
+
+  // Run a read-modify-write of the entries after earlier writes finish, so
+  // two students joining at once both keep their place
+  modify(change) {
+    return modifyJSON(this.filePath, change);
+  }
+
+  // The entry of a section, created from the imported counts when missing
+  findOrCreate(entries, code, section, imported = {}) {
+    let entry = entries.find(
+      (candidate) => candidate.code === code && candidate.section === section
+    );
+    if (!entry) {
+      entry = {
+        code,
+        section,
+        quota: imported.quota ?? null,
+        enrolled: imported.enrolled ?? 0,
+        waitlist: [],
+        promoted: [],
+        updatedAt: new Date().toISOString(),
+      };
+      entries.push(entry);
+    }
+    return entry;
+  }
+
+  // Give free seats to the students at the front of the queue. Returns
+  // the promoted profile IDs.
+  promote(entry) {
+    const promoted = [];
+    while (entry.waitlist.length > 0 && WaitlistStore.seatsLeft(entry) > 0) {
+      const { profileId } = entry.waitlist.shift();
+      entry.enrolled += 1;
+      entry.promoted.push({ profileId, promotedAt: new Date().toISOString() });
+      promoted.push(profileId);
+    }
+    if (promoted.length > 0) {
+      console.log(
+        `Promoted ${promoted.join(", ")} from the ${entry.code} section ${
+          entry.section
+        } waitlist`
+      );
+    }
+    return promoted;
+  }
+
+  // Set the quota and/or enrollment of a section, e.g. after students drop
+  // it or it moves to a larger room, and promote waitlisted students into
+  // the seats that opened
+  async setSeats(code, section, fields, imported = {}) {
+    const counts = {};
+    for (const key of ["quota", "enrolled"]) {
+      if (fields[key] === undefined) continue;
+      counts[key] = readCount(fields[key]);
+      if (counts[key] === undefined) {
+        return {
+          success: false,
+          message: `${key} must be a whole number of seats`,
+        };
+      }
+    }
+    if (Object.keys(counts).length === 0) {
+      return { success: false, message: "Send quota and/or enrolled" };
+    }
+
+    return this.modify((entries) => {
+      const entry = this.findOrCreate(entries, code, section, imported);
+      Object.assign(entry, counts);
+      if (entry.enrolled === null) entry.enrolled = 0;
+      const promoted = this.promote(entry);
+      entry.updatedAt = new Date().toISOString();
+      return { success: true, waitlist: entry, promoted };
+    });
+  }
+
+  // Queue a student for a full section. imported holds the counts from
+  // the student's offered-courses document, used when the section has no
+  // entry yet.
+  async join(code, section, profileId, imported = {}) {
+    return this.modify((entries) => {
+      const entry = this.findOrCreate(entries, code, section, imported);
+      const seatsLeft = WaitlistStore.seatsLeft(entry);
+
+      if (entry.promoted.some((student) => student.profileId === profileId)) {
+        return {
+          success: false,
+          conflict: true,
+          message: `${profileId} already has a seat in ${code} section ${section}`,
+        };
+      }
+      if (entry.waitlist.some((student) => student.profileId === profileId)) {
+        return {
+          success: false,
+          conflict: true,
+          message: `${profileId} is already on the ${code} section ${section} waitlist`,
+        };
+      }
+      if (seatsLeft === null) {
+        return {
+          success: false,
+          message: `${code} section ${section} has no quota, so it has no waitlist`,
+        };
+      }
+      if (seatsLeft > 0) {
+        return {
+          success: false,
+          message: `${code} section ${section} still has ${seatsLeft} free seat(s)`,
+        };
+      }
+
+      entry.waitlist.push({ profileId, joinedAt: new Date().toISOString() });
+      entry.updatedAt = new Date().toISOString();
+      return {
+        success: true,
+        waitlist: entry,
+        position: entry.waitlist.length,
+      };
+    });
+  }
+
+  // Take a student off a waitlist
+  async leave(code, section, profileId) {
+    return this.modify((entries) => {
+      const entry = entries.find(
+        (candidate) => candidate.code === code && candidate.section === section
+      );
+      const index = entry
+        ? entry.waitlist.findIndex((student) => student.profileId === profileId)
+        : -1;
+      if (index === -1) {
+        return {
+          success: false,
+          notFound: true,
+          message: `${profileId} is not on the ${code} section ${section} waitlist`,
+        };
+      }
+
+      entry.waitlist.splice(index, 1);
+      entry.updatedAt = new Date().toISOString();
+      return { success: true, waitlist: entry };
+    });
+  }
+}
+
+module.exports = WaitlistStore;
@@ -0,0 +1,89 @@
+// Academic standing (probation, honour, ...) from a student's CGPA, last
+// term GPA and completed terms, using the rules in config.js, and the load
+// limits it allows.
+
+const formatGPA = (value) => Number(value).toFixed(2);
+
+// Conditions a standing rule can set. GPA conditions describe why they
+// hold for the reason shown to the student; minCompletedTerms only keeps
+// new students out of a rule.
+const CONDITIONS = {
+  minCGPA: {
+    holds: (value, facts) => facts.cgpa !== null && facts.cgpa >= value,
+    describe: (value, facts) =>
+      `CGPA ${facts.cgpa} is at least ${formatGPA(value)}`,
+  },
+  cgpaBelow: {
+    holds: (value, facts) => facts.cgpa !== null && facts.cgpa < value,
+    describe: (value, facts) =>
+      `CGPA ${facts.cgpa} is below ${formatGPA(value)}`,
+  },
+  minTermGPA: {
+    holds: (value, facts) => facts.termGPA !== null && facts.termGPA >= value,
+    describe: (value, facts) =>
+      `${facts.lastTerm} GPA ${facts.termGPA} is at least ${formatGPA(value)}`,
+  },
+  termGPABelow: {
+    holds: (value, facts) => facts.termGPA !== null && facts.termGPA < value,
+    describe: (value, facts) =>
+      `${facts.lastTerm} GPA ${facts.termGPA} is below ${formatGPA(value)}`,
+  },
+  minCompletedTerms: {
+    holds: (value, facts) => (facts.completedTerms || 0) >= value,
+  },
+};
+
+// The first rule whose conditions all hold, or the default standing.
+// facts: { cgpa, termGPA, lastTerm, completedTerms }. Returns { id, name,
+// reason, maxECTS, maxContactHours, overloadECTS, overloadContactHours,
+// retakeFirst }.
+const classifyStanding = (settings, facts) => {
+  for (const rule of settings.rules || []) {
+    const conditions = Object.keys(rule).filter((key) => CONDITIONS[key]);
+    if (conditions.length === 0) continue;
+    if (!conditions.every((key) => CONDITIONS[key].holds(rule[key], facts))) {
+      continue;
+    }
+
+    return {
+      ...rule,
+      reason: conditions
+        .filter((key) => CONDITIONS[key].describe)
+        .map((key) => CONDITIONS[key].describe(rule[key], facts))
+        .join(" and "),
+    };
+  }
+
+  return {
+    ...settings.default,
+    reason:
+      facts.cgpa === null
+        ? "No graded courses yet"
+        : `CGPA ${facts.cgpa} meets no probation or honour rule`,
+  };
+};
+
+// Load limits for a standing: maxECTS / maxContactHours lower the limits,
+// overloadECTS / overloadContactHours raise them
+const applyStandingLimits = (limits, standing) => {
+  const adjusted = { ...limits };
+  if (standing.maxECTS !== undefined) {
+    adjusted.maxECTS = Math.min(adjusted.maxECTS, standing.maxECTS);
+  }
+  if (standing.maxContactHours !== undefined) {
+    adjusted.maxContactHours = Math.min(
+      adjusted.maxContactHours,
+      standing.maxContactHours
+    );
+  }
+  if (standing.overloadECTS) adjusted.maxECTS += standing.overloadECTS;
+  if (standing.overloadContactHours) {
+    adjusted.maxContactHours += standing.overloadContactHours;
+  }
+  return adjusted;
+};
+
+module.exports = {
+  classifyStanding,
+  applyStandingLimits,
+};
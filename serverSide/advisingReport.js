@@ -0,0 +1,399 @@
+// Advising report export. The output of loadAndRecommend() is turned into
+// a summary (student info and progress) and one table per recommendation
+// bucket, then rendered as a printable PDF advising form, an XLSX workbook
+// with one sheet per bucket, or CSV.
+const Papa = require("papaparse");
+const XLSX = require("xlsx");
+const PDFDocument = require("pdfkit");
+
+const REPORT_FORMATS = ["pdf", "xlsx", "csv"];
+
+// The standard PDF fonts only cover Latin-1, so names such as "Ayşe Yılmaz
+// Çağ" are written with embedded DejaVu Sans fonts
+const PDF_FONTS = {
+  regular: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans.ttf"),
+  bold: require.resolve("dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf"),
+};
+
+const COURSE_COLUMNS = [
+  { key: "code", label: "Code", width: 60 },
+  { key: "title", label: "Title", width: 160 },
+  { key: "category", label: "Cat.", width: 35 },
+  { key: "semester", label: "Sem.", width: 35 },
+  { key: "ects", label: "ECTS", width: 35 },
+  { key: "reason", label: "Reason", width: 170 },
+];
+
+// Recommendation buckets in report order. rows picks the bucket's
+// courses from the recommendations; columns default to COURSE_COLUMNS.
+const BUCKETS = [
+  {
+    id: "proposedRegistration",
+    name: "Proposed Registration",
+    rows: (recommendations) =>
+      (recommendations.proposedRegistration || {}).courses || [],
+  },
+  {
+    id: "nextSemesterCourses",
+    name: "Recommended Courses",
+    rows: (recommendations) => recommendations.nextSemesterCourses,
+  },
+  {
+    id: "availableElectives",
+    name: "Electives",
+    rows: (recommendations) => recommendations.availableElectives,
+  },
+  {
+    id: "retakeSuggestions",
+    name: "Retake Suggestions",
+    rows: (recommendations) => recommendations.retakeSuggestions,
+    columns: [
+      { key: "code", label: "Code", width: 60 },
+      { key: "title", label: "Title", width: 160 },
+      { key: "grade", label: "Grade", width: 50 },
+      { key: "attempts", label: "Attempts", width: 50 },
+      { key: "reason", label: "Reason", width: 175 },
+    ],
+  },
+  {
+    id: "missedCourses",
+    name: "Missed Courses",
+    rows: (recommendations) =>
+      (recommendations.missedCourses || []).map((course) => ({
+        ...course,
+        reason: course.reason || `Not completed (semester ${course.semester})`,
+      })),
+  },
+  {
+    id: "blockedCourses",
+    name: "Blocked Courses",
+    rows: (recommendations) => recommendations.blockedCourses,
+    columns: [
+      { key: "code", label: "Code", width: 60 },
+      { key: "title", label: "Title", width: 160 },
+      { key: "semester", label: "Sem.", width: 35 },
+      { key: "prerequisites", label: "Prerequisites", width: 100 },
+      { key: "reason", label: "Reason", width: 140 },
+    ],
+  },
+  {
+    id: "futureRecommendations",
+    name: "Future Courses",
+    rows: (recommendations) => recommendations.futureRecommendations,
+  },
+];
+
+const cellText = (value) => {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+};
+
+// Report model shared by every format: { title, generatedAt, summary:
+// [[label, value]], categories, graduationAudit, tables: [{ id, name,
+// columns, rows }] } with rows as arrays of cell text
+const buildAdvisingReport = ({
+  profileId,
+  progressReport,
+  recommendations,
+  generatedAt = new Date(),
+}) => {
+  const info = progressReport.studentInfo || {};
+  const gpa = progressReport.gpa || {};
+
+  const summary = [
+    ["Student No", info.studentNo || profileId],
+    ["Name", info.name],
+    ["Program", info.program],
+    ["Faculty", info.faculty],
+    ["Current Semester", progressReport.currentSemester],
+    ["Next Term", progressReport.nextTerm],
+    ["CGPA", gpa.cgpa],
+    [
+      "Academic Standing",
+      progressReport.academicStanding &&
+        `${progressReport.academicStanding.name} (${progressReport.academicStanding.reason})`,
+    ],
+    ["Total ECTS", progressReport.totalECTS],
+    ["Total Credits", progressReport.totalCredits],
+    [
+      "Completed Courses",
+      `${progressReport.completedCourses} of ${progressReport.totalRequiredCourses}`,
+    ],
+    ["Completion", `${progressReport.completionPercentage}%`],
+    ["Open Elective Slots", progressReport.openElectiveSlots],
+  ]
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([label, value]) => [label, cellText(value)]);
+
+  const categories = {
+    id: "categoryStats",
+    name: "Category Progress",
+    columns: [
+      { key: "category", label: "Category", width: 100 },
+      { key: "required", label: "Required", width: 80 },
+      { key: "completed", label: "Completed", width: 80 },
+      { key: "remaining", label: "Remaining", width: 80 },
+    ],
+    rows: Object.entries(progressReport.categoryStats || {}).map(
+      ([category, stats]) => [
+        category,
+        cellText(stats.required),
+        cellText(stats.completed),
+        cellText(Math.max(stats.required - stats.completed, 0)),
+      ]
+    ),
+  };
+
+  const audit = progressReport.degreeAudit;
+  const graduationAudit = {
+    id: "degreeAudit",
+    name: "Graduation Audit",
+    columns: [
+      { key: "name", label: "Requirement", width: 200 },
+      { key: "status", label: "Status", width: 50 },
+      { key: "actual", label: "Completed", width: 70 },
+      { key: "remaining", label: "Remaining", width: 70 },
+      { key: "missing", label: "Missing", width: 105 },
+    ],
+    rows: (audit ? audit.requirements : []).map((requirement) => {
+      // GPAs read with two decimals: "2.46 / 2.00 CGPA"
+      const amount = (value) =>
+        requirement.unit === "CGPA" && typeof value === "number"
+          ? value.toFixed(2)
+          : value;
+      return [
+        requirement.name,
+        requirement.passed ? "Met" : "Not met",
+        cellText(
+          requirement.error ||
+            `${amount(requirement.actual)} / ${amount(requirement.required)} ${
+              requirement.unit
+            }`
+        ),
+        cellText(amount(requirement.remaining)),
+        cellText(requirement.missing),
+      ];
+    }),
+  };
+
+  const tables = BUCKETS.map((bucket) => {
+    const columns = bucket.columns || COURSE_COLUMNS;
+    return {
+      id: bucket.id,
+      name: bucket.name,
+      columns,
+      rows: (bucket.rows(recommendations) || []).map((course) =>
+        columns.map((column) => cellText(course[column.key]))
+      ),
+    };
+  });
+
+  return {
+    title: "Advising Form",
+    profileId,
+    generatedAt: generatedAt.toISOString().slice(0, 10),
+    summary,
+    categories,
+    graduationAudit,
+    tables,
+  };
+};
+
+// CSV: one block per section with the section name on its own row and a
+// blank row between sections
+const toCSV = (report) => {
+  const blocks = [
+    [["Advising Report"], ["Generated", report.generatedAt], ...report.summary],
+    ...[report.categories, report.graduationAudit, ...report.tables].map(
+      (table) => [
+        [table.name],
+        table.columns.map((column) => column.label),
+        ...table.rows,
+      ]
+    ),
+  ];
+  return blocks.map((rows) => Papa.unparse(rows)).join("\r\n\r\n") + "\r\n";
+};
+
+// XLSX: a summary sheet with the student info, category progress and
+// graduation audit, then one sheet per recommendation bucket
+const toXLSX = (report) => {
+  const workbook = XLSX.utils.book_new();
+  const summary = [
+    ["Advising Report"],
+    ["Generated", report.generatedAt],
+    ...report.summary,
+    [],
+    report.categories.columns.map((column) => column.label),
+    ...report.categories.rows,
+    [],
+    report.graduationAudit.columns.map((column) => column.label),
+    ...report.graduationAudit.rows,
+  ];
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(summary),
+    "Summary"
+  );
+
+  for (const table of report.tables) {
+    const sheet = XLSX.utils.aoa_to_sheet([
+      table.columns.map((column) => column.label),
+      ...table.rows,
+    ]);
+    sheet["!cols"] = table.columns.map((column) => ({
+      wch: Math.round(column.width / 5),
+    }));
+    // Sheet names are limited to 31 characters
+    XLSX.utils.book_append_sheet(workbook, sheet, table.name.slice(0, 31));
+  }
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+// Draw a table, starting a new page (and repeating the header) when a row
+// does not fit
+const drawTable = (doc, table) => {
+  const left = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, font) => {
+    doc.font(font).fontSize(8);
+    const height =
+      Math.max(
+        ...cells.map((cell, index) =>
+          doc.heightOfString(cell || " ", {
+            width: table.columns[index].width - 4,
+          })
+        )
+      ) + 4;
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (font !== "bold") drawHeader();
+      doc.font(font).fontSize(8);
+    }
+
+    const top = doc.y;
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 2, top + 2, {
+        width: table.columns[index].width - 4,
+      });
+      x += table.columns[index].width;
+    });
+    doc
+      .moveTo(left, top + height)
+      .lineTo(x, top + height)
+      .lineWidth(0.5)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+  const drawHeader = () =>
+    drawRow(
+      table.columns.map((column) => column.label),
+      "bold"
+    );
+
+  drawHeader();
+  table.rows.forEach((row) => drawRow(row, "regular"));
+};
+
+// PDF: a printable advising form ending with signature lines for the
+// student and the advisor. Resolves to a Buffer.
+const toPDF = (report) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      font: PDF_FONTS.regular,
+    });
+    for (const [name, file] of Object.entries(PDF_FONTS)) {
+      doc.registerFont(name, file);
+    }
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const heading = (text) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 60) {
+        doc.addPage();
+      }
+      doc.moveDown();
+      doc.font("bold").fontSize(12).text(text, left);
+      doc.moveDown(0.3);
+    };
+
+    doc.font("bold").fontSize(18).text(report.title);
+    doc
+      .font("regular")
+      .fontSize(9)
+      .fillColor("#666666")
+      .text(`Generated ${report.generatedAt}`)
+      .fillColor("black");
+    doc.moveDown();
+
+    for (const [label, value] of report.summary) {
+      doc
+        .font("bold")
+        .fontSize(10)
+        .text(`${label}: `, { continued: true })
+        .font("regular")
+        .text(value);
+    }
+
+    heading(report.categories.name);
+    drawTable(doc, report.categories);
+
+    if (report.graduationAudit.rows.length > 0) {
+      heading(report.graduationAudit.name);
+      drawTable(doc, report.graduationAudit);
+    }
+
+    for (const table of report.tables) {
+      if (table.rows.length === 0) continue;
+      heading(`${table.name} (${table.rows.length})`);
+      drawTable(doc, table);
+    }
+
+    heading("Advisor Notes");
+    doc.font("regular").fontSize(10);
+    for (let line = 0; line < 3; line++) {
+      doc.moveDown(1.2);
+      doc
+        .moveTo(left, doc.y)
+        .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+        .strokeColor("#999999")
+        .stroke();
+    }
+
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+      doc.addPage();
+    }
+    doc.moveDown(3);
+    const signatureY = doc.y;
+    for (const [index, label] of ["Student", "Advisor"].entries()) {
+      const x = left + index * 260;
+      doc
+        .moveTo(x, signatureY)
+        .lineTo(x + 200, signatureY)
+        .strokeColor("black")
+        .stroke();
+      doc
+        .fontSize(9)
+        .text(`${label} signature / date`, x, signatureY + 4, { width: 200 });
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  REPORT_FORMATS,
+  buildAdvisingReport,
+  toCSV,
+  toXLSX,
+  toPDF,
+};
@@ -0,0 +1,103 @@
+// Sign-in middleware for the API. Clients send the session token from
+// POST /api/auth/login as "Authorization: Bearer <token>"; the web
+// interface gets it as an HttpOnly cookie instead, so downloads through
+// plain links are signed in too.
+
+const SESSION_COOKIE = "session";
+
+// Session token of a request, from the Authorization header or the cookie
+const readToken = (req) => {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+
+  for (const cookie of (req.headers.cookie || "").split(";")) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+// Set req.user from the session, or answer 401
+const authenticate = (userStore) => async (req, res, next) => {
+  try {
+    const user = await userStore.getSessionUser(readToken(req));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Sign in required",
+      });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Only let the given roles through
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Only ${roles.join(" or ")} accounts can do this`,
+      });
+    }
+    next();
+  };
+
+// Students see their own profile, advisors those of their assigned
+// students, admins every profile
+const canAccessProfile = (user, profileId) => {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  if (user.role === "student") return user.profileId === profileId;
+  if (user.role === "advisor") {
+    return (user.students || []).includes(profileId);
+  }
+  return false;
+};
+
+// Check the profile a request names in its path, body or query and set it
+// as req.profileId, the only profile ID handlers behind this read. Naming
+// different profiles in different places is refused, so the profile
+// checked is always the one used. Requests naming none are left to the
+// handler, which asks for one.
+const requireProfileAccess = (req, res, next) => {
+  const named = [
+    req.params.profileId,
+    req.body && req.body.profileId,
+    req.query.profileId,
+  ].filter((id) => id !== undefined && id !== null && id !== "");
+  const [profileId] = named;
+
+  if (named.some((id) => id !== profileId)) {
+    return res.status(400).json({
+      success: false,
+      message: "The path, body and query name different profiles",
+    });
+  }
+  if (profileId && !canAccessProfile(req.user, profileId)) {
+    return res.status(403).json({
+      success: false,
+      message: `No access to profile ${profileId}`,
+    });
+  }
+  req.profileId = profileId;
+  next();
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  readToken,
+  authenticate,
+  requireRole,
+  canAccessProfile,
+  requireProfileAccess,
+};
@@ -0,0 +1,158 @@
+// Default settings for the Course Advisor System. Each value can be
+// overridden per instance through the CourseAdvisorSystem constructor.
+module.exports = {
+  // Document layout to parse uploads with: a profile id from
+  // parserProfiles/ or "auto" to pick the best scoring profile per document
+  parserProfile: "auto",
+
+  // Parse diagnostics: records read by a rule with a confidence below
+  // lowConfidence (0-1) are flagged for review
+  diagnostics: {
+    lowConfidence: 0.5,
+  },
+
+  // Local user accounts (see UserStore.js)
+  auth: {
+    // Sign-in sessions expire after this many hours
+    sessionHours: 12,
+    minPasswordLength: 8,
+  },
+
+  // Uploaded documents (see UploadStore.js)
+  uploads: {
+    directory: "./uploads",
+    maxFileSizeMB: 10,
+    // Raw files are deleted once no request uses them and they were last
+    // uploaded this many hours ago: 0 deletes them right after parsing,
+    // null keeps them
+    retentionHours: 0,
+  },
+
+  // Background parse jobs (see ParseJobQueue.js)
+  parseJobs: {
+    // Jobs parsed at the same time, each in its own worker thread; later
+    // ones wait in the queue
+    concurrency: 1,
+    // Finished jobs and their results are kept in memory this long
+    keepHours: 1,
+  },
+
+  // Upper bounds for a proposed next-semester registration
+  registrationLimits: {
+    maxECTS: 35,
+    // Weekly lecture + tutorial + lab hours
+    maxContactHours: 30,
+  },
+
+  // Academic standing, decided by the first rule whose conditions all
+  // hold. Conditions: minCGPA, cgpaBelow, minTermGPA, termGPABelow (GPA
+  // of the last term) and minCompletedTerms. Effects on the next term:
+  // maxECTS / maxContactHours cap the registration limits,
+  // overloadECTS / overloadContactHours allow that much above them and
+  // retakeFirst puts failed courses first in the proposed registration.
+  academicStanding: {
+    rules: [
+      {
+        id: "probation",
+        name: "Academic Probation",
+        cgpaBelow: 2.0,
+        minCompletedTerms: 2,
+        maxECTS: 24,
+        retakeFirst: true,
+      },
+      {
+        id: "highHonour",
+        name: "High Honour",
+        minCGPA: 3.5,
+        overloadECTS: 10,
+      },
+      {
+        id: "honour",
+        name: "Honour",
+        minCGPA: 3.0,
+        overloadECTS: 5,
+      },
+    ],
+    default: { id: "good", name: "Good Standing" },
+  },
+
+  // Graduation requirements checked by the degree audit (see
+  // degreeAudit.js for the requirement types), e.g. a program needing
+  // 30 ECTS of area electives and an internship adds
+  // { type: "categoryECTS", category: "AE", min: 30 } and
+  // { id: "internship", type: "courses", codes: ["SFWE300"] }
+  degreeRequirements: [
+    { id: "totalECTS", type: "totalECTS", min: 240 },
+    { id: "requiredCourses", type: "categoryCourses" },
+    { id: "electiveSlots", type: "electiveSlots" },
+    { id: "cgpa", type: "cgpa", min: 2.0 },
+  ],
+
+  // Multi-semester roadmap projection
+  roadmap: {
+    // Stop projecting after this many future terms
+    maxTerms: 12,
+    // Only schedule a course in fall or spring like its curriculum semester
+    respectTermParity: true,
+  },
+
+  // Letter grade to grade points. Grades not listed here (W, P, S, ...)
+  // do not count towards the GPA.
+  gradeScale: {
+    A: 4.0,
+    "A-": 3.7,
+    "B+": 3.3,
+    B: 3.0,
+    "B-": 2.7,
+    "C+": 2.3,
+    C: 2.0,
+    "C-": 1.7,
+    "D+": 1.3,
+    D: 1.0,
+    F: 0,
+    AA: 4.0,
+    BA: 3.5,
+    BB: 3.0,
+    CB: 2.5,
+    CC: 2.0,
+    DC: 1.5,
+    DD: 1.0,
+    FD: 0.5,
+    FF: 0,
+  },
+
+  // "truncate" GPAs to two decimals like printed transcripts, or "round"
+  gpaRounding: "truncate",
+
+  // Which attempt of a repeated course counts for pass status and GPA:
+  // "latest", "best", or a function (attempts) => attempt
+  attemptPolicy: "latest",
+
+  // Passing grades low enough to suggest a retake
+  retakeSuggestionGrades: ["D", "D+", "DD", "DC"],
+
+  // Elective slot matching
+  electives: {
+    // Slots of these categories accept any course outside the required
+    // curriculum
+    freeCategories: ["UE"],
+    // Extra pools per category when the curriculum lists none, e.g.
+    // { UE: { courses: ["PSYC101"] }, FE: { pattern: "^(CMPE|ELEE)" } }
+    pools: {},
+  },
+
+  // Minimum completed ECTS for the class standings named in prerequisites
+  // such as "Senior standing" or "3rd year standing"
+  classStandingECTS: {
+    freshman: 0,
+    sophomore: 60,
+    junior: 120,
+    senior: 180,
+  },
+
+  // Weekly timetable and iCalendar export
+  timetable: {
+    // Number of teaching weeks each exported meeting repeats for
+    weeks: 14,
+  },
+};
@@ -0,0 +1,182 @@
+// Graduation audit. A program's requirements are declared as data (see
+// degreeRequirements in config.js) and checked against the student's
+// passed courses, giving a pass/fail checklist with the remaining gap of
+// each requirement.
+//
+// Requirement types:
+//   { type: "totalECTS", min }              ECTS of all passed courses
+//   { type: "totalCredits", min }           credits of all passed courses
+//   { type: "categoryECTS", category, min } ECTS of passed courses of a
+//                                           category
+//   { type: "categoryCourses", category }   every required curriculum
+//                                           course of a category (all
+//                                           categories when omitted)
+//   { type: "courses", codes, min }         named courses such as an
+//                                           internship; min of them (all
+//                                           when omitted)
+//   { type: "electiveSlots", category }     every elective slot filled
+//   { type: "cgpa", min }
+// Each may carry an id and a name; both are derived from the type
+// otherwise.
+
+// Work in hundredths so half ECTS and two-decimal GPAs compare exactly
+const toHundredths = (value) => Math.round(Number(value) * 100);
+const fromHundredths = (value) => value / 100;
+
+const sumOf = (courses, field) =>
+  fromHundredths(
+    courses.reduce((sum, course) => sum + toHundredths(course[field] || 0), 0)
+  );
+
+const describeRequirement = (requirement) => {
+  const category = requirement.category ? `${requirement.category} ` : "";
+  switch (requirement.type) {
+    case "totalECTS":
+      return `At least ${requirement.min} ECTS`;
+    case "totalCredits":
+      return `At least ${requirement.min} credits`;
+    case "categoryECTS":
+      return `At least ${requirement.min} ECTS of ${requirement.category} courses`;
+    case "categoryCourses":
+      return `All required ${category}courses`;
+    case "courses":
+      return requirement.min && requirement.min < requirement.codes.length
+        ? `${requirement.min} of ${requirement.codes.join(", ")}`
+        : `Completed ${requirement.codes.join(", ")}`;
+    case "electiveSlots":
+      return `All ${category}elective slots filled`;
+    case "cgpa":
+      return `CGPA at least ${Number(requirement.min).toFixed(2)}`;
+    default:
+      return `Unknown requirement ${requirement.type}`;
+  }
+};
+
+// A numeric minimum: actual against required, both in hundredths
+const checkMinimum = (actual, min, unit) => {
+  const gap = toHundredths(min) - toHundredths(actual);
+  return {
+    passed: gap <= 0,
+    required: min,
+    actual,
+    remaining: Math.max(fromHundredths(gap), 0),
+    unit,
+  };
+};
+
+// A list of things that must all be done, e.g. courses or slots
+const checkItems = (items, isDone, unit, min = items.length) => {
+  const done = items.filter(isDone);
+  return {
+    passed: done.length >= min,
+    required: min,
+    actual: Math.min(done.length, min),
+    remaining: Math.max(min - done.length, 0),
+    unit,
+    missing: done.length >= min ? [] : items.filter((item) => !isDone(item)),
+  };
+};
+
+const CHECKS = {
+  totalECTS: (requirement, facts) =>
+    checkMinimum(sumOf(facts.courses, "ects"), requirement.min, "ECTS"),
+  totalCredits: (requirement, facts) =>
+    checkMinimum(sumOf(facts.courses, "credits"), requirement.min, "credits"),
+  categoryECTS: (requirement, facts) =>
+    checkMinimum(
+      sumOf(
+        facts.courses.filter(
+          (course) => course.category === requirement.category
+        ),
+        "ects"
+      ),
+      requirement.min,
+      "ECTS"
+    ),
+  categoryCourses: (requirement, facts) =>
+    checkItems(
+      facts.curriculum
+        .filter(
+          (course) =>
+            !requirement.category || course.category === requirement.category
+        )
+        .map((course) => course.code),
+      (code) => facts.passedCodes.has(code),
+      "courses"
+    ),
+  courses: (requirement, facts) =>
+    checkItems(
+      requirement.codes,
+      (code) => facts.passedCodes.has(code),
+      "courses",
+      requirement.min || requirement.codes.length
+    ),
+  electiveSlots: (requirement, facts) =>
+    checkItems(
+      facts.electiveSlots
+        .filter(
+          (slot) =>
+            !requirement.category || slot.category === requirement.category
+        )
+        .map((slot) => slot.id),
+      (id) => facts.filledSlots.has(id),
+      "slots"
+    ),
+  cgpa: (requirement, facts) =>
+    facts.cgpa === null
+      ? {
+          passed: false,
+          required: requirement.min,
+          actual: null,
+          remaining: requirement.min,
+          unit: "CGPA",
+        }
+      : checkMinimum(facts.cgpa, requirement.min, "CGPA"),
+};
+
+// Check every requirement. facts: { courses: [{ code, category, ects,
+// credits }] (passed, each counted once), passedCodes, curriculum,
+// electiveSlots (with filledBy), cgpa }. Returns { eligible, passed,
+// total, requirements: [{ id, name, type, passed, required, actual,
+// remaining, unit, missing }] }.
+const runDegreeAudit = (requirements, facts) => {
+  const auditFacts = {
+    ...facts,
+    filledSlots: new Set(
+      facts.electiveSlots.filter((slot) => slot.filledBy).map((slot) => slot.id)
+    ),
+  };
+
+  const results = requirements.map((requirement, index) => {
+    const check = CHECKS[requirement.type];
+    const result = check
+      ? check(requirement, auditFacts)
+      : {
+          passed: false,
+          error: `Unknown requirement type ${
+            requirement.type
+          }; use: ${Object.keys(CHECKS).join(", ")}`,
+        };
+    return {
+      id:
+        requirement.id ||
+        [requirement.type, requirement.category].filter(Boolean).join("-") ||
+        `requirement-${index + 1}`,
+      name: requirement.name || describeRequirement(requirement),
+      type: requirement.type,
+      ...result,
+    };
+  });
+
+  const passed = results.filter((result) => result.passed).length;
+  return {
+    eligible: passed === results.length,
+    passed,
+    total: results.length,
+    requirements: results,
+  };
+};
+
+module.exports = {
+  runDegreeAudit,
+};
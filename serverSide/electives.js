@@ -0,0 +1,90 @@
+// Elective slot matching. Curricula list placeholders such as
+// "SFWEXX1 AREA ELECTIVE" or "AE 4XX – Area Elective" instead of concrete
+// courses; completed and offered courses are matched to these slots through
+// the slot's pool, a code pattern or the curriculum's elective course list.
+
+// "SFWE4XX" -> any SFWE 4xx course, "4XX" -> any 4xx course. Placeholders
+// without a fixed digit ("SFWEXX1") carry no pattern, since the trailing
+// digit only numbers the slot.
+const slotPatternFromCode = (code) => {
+  const match = String(code || "")
+    .toUpperCase()
+    .match(/^([A-Z]{0,5})\s?(\d+)(X+)$/);
+  if (!match) return null;
+
+  const [, subject, digits, wildcards] = match;
+  return `^${subject || "[A-Z]{2,5}"}${digits}\\d{${wildcards.length}}[A-Z]?$`;
+};
+
+// Whether a course code can fill a slot. context holds
+//   requiredCodes   codes of required curriculum courses, which never count
+//   electivePool    the curriculum's elective course list with categories
+//   freeCategories  categories accepting any course outside the curriculum
+//   pools           configured { courses, pattern } per category
+const courseFitsSlot = (slot, code, context) => {
+  if (context.requiredCodes.has(code)) return false;
+
+  const configured = (context.pools || {})[slot.category] || {};
+  const pool =
+    slot.pool && slot.pool.length > 0 ? slot.pool : configured.courses;
+  const pattern = slot.pattern || configured.pattern;
+
+  if (pattern && !new RegExp(pattern).test(code)) return false;
+  if (pool && pool.length > 0) return pool.includes(code);
+  if (context.freeCategories.includes(slot.category)) return true;
+
+  const listed = context.electivePool.filter(
+    (course) => course.category === slot.category
+  );
+  if (listed.length > 0) return listed.some((course) => course.code === code);
+  return Boolean(pattern);
+};
+
+// Fill slots with courses so that as many slots as possible are filled,
+// each course counting once (augmenting-path bipartite matching). Returns
+// the slots with filledBy set to a course or null.
+const assignElectiveSlots = (slots, courses, fits) => {
+  const slotOfCourse = new Map();
+  const courseOfSlot = new Map();
+
+  const tryAssign = (slotIndex, seen) => {
+    for (let i = 0; i < courses.length; i++) {
+      if (seen.has(i) || !fits(slots[slotIndex], courses[i])) continue;
+      seen.add(i);
+
+      if (!slotOfCourse.has(i) || tryAssign(slotOfCourse.get(i), seen)) {
+        slotOfCourse.set(i, slotIndex);
+        courseOfSlot.set(slotIndex, courses[i]);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  slots.forEach((slot, index) => tryAssign(index, new Set()));
+
+  return slots.map((slot, index) => ({
+    ...slot,
+    filledBy: courseOfSlot.get(index) || null,
+  }));
+};
+
+// Slot counts per category: { AE: { total, filled, open }, ... }
+const summarizeSlots = (slots) => {
+  const summary = {};
+  for (const slot of slots) {
+    if (!summary[slot.category]) {
+      summary[slot.category] = { total: 0, filled: 0, open: 0 };
+    }
+    summary[slot.category].total++;
+    summary[slot.category][slot.filledBy ? "filled" : "open"]++;
+  }
+  return summary;
+};
+
+module.exports = {
+  slotPatternFromCode,
+  courseFitsSlot,
+  assignElectiveSlots,
+  summarizeSlots,
+};
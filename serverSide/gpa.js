@@ -0,0 +1,74 @@
+// GPA and CGPA calculation from transcript courses and a configurable
+// letter-grade-to-points scale.
+
+const { sortByTerm } = require("./terms");
+
+// Strip retake markers and footnote stars: "F  * (rst)" -> "F"
+const normalizeGrade = (grade) =>
+  String(grade || "")
+    .replace(/\(rst\)/gi, "")
+    .replace(/[\s*]/g, "")
+    .toUpperCase();
+
+// Grade points for a grade, or null for grades outside the scale such as
+// W, P or S that do not count towards the GPA
+const getGradePoints = (grade, scale) => {
+  const points = scale[normalizeGrade(grade)];
+  return typeof points === "number" ? points : null;
+};
+
+// Work in hundredths so sums of credits x points stay exact
+const toHundredths = (value) => Math.round(Number(value) * 100);
+
+// rounding is "truncate" (as most transcripts print it) or "round"
+const calculateGPA = (courses, scale, rounding = "truncate") => {
+  let credits = 0;
+  let qualityPoints = 0;
+
+  for (const course of courses) {
+    const points = getGradePoints(course.grade, scale);
+    const courseCredits = Number(course.credits) || 0;
+    if (points === null || courseCredits <= 0) continue;
+
+    credits += toHundredths(courseCredits);
+    qualityPoints += toHundredths(courseCredits) * toHundredths(points);
+  }
+
+  return {
+    gpa:
+      credits > 0
+        ? (rounding === "round" ? Math.round : Math.floor)(
+            qualityPoints / credits
+          ) / 100
+        : null,
+    gradedCredits: credits / 100,
+    qualityPoints: Math.round(qualityPoints / 100) / 100,
+  };
+};
+
+// GPA per term from every attempt taken in it, failed and repeated ones
+// included, as transcripts print them; only the CGPA is limited to the
+// counting attempts. Terms are in time order; attempts without a term are
+// grouped under "Unknown term".
+const calculateTermGPAs = (attempts, scale, rounding) => {
+  const terms = new Map();
+  for (const attempt of attempts) {
+    const term = attempt.semester || "Unknown term";
+    if (!terms.has(term)) terms.set(term, []);
+    terms.get(term).push(attempt);
+  }
+
+  return sortByTerm(Array.from(terms.entries()), ([term]) => term).map(
+    ([term, termCourses]) => ({
+      term,
+      ...calculateGPA(termCourses, scale, rounding),
+    })
+  );
+};
+
+module.exports = {
+  normalizeGrade,
+  getGradePoints,
+  calculateGPA,
+  calculateTermGPAs,
+};
@@ -0,0 +1,63 @@
+// Atomic JSON file storage shared by the stores. Files are replaced through
+// a temporary file, and read-modify-write tasks on the same file are
+// chained within this process so concurrent requests never overwrite each
+// other's changes.
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// Pending tasks per file (or directory) in this process
+const locks = new Map();
+
+// Returns fallback when the file does not exist
+const readJSON = async (filePath, fallback = null) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// Write to a unique temporary file first and rename it into place, so a
+// reader never sees a half-written file
+const writeJSON = async (filePath, data) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${crypto
+    .randomBytes(6)
+    .toString("hex")}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+};
+
+// Run a task after earlier tasks locked on the same path finish
+const withFileLock = (filePath, task) => {
+  const key = path.resolve(filePath);
+  const previous = locks.get(key) || Promise.resolve();
+  const result = previous.then(task);
+  const settled = result.catch(() => {});
+  locks.set(key, settled);
+  settled.then(() => {
+    if (locks.get(key) === settled) locks.delete(key);
+  });
+  return result;
+};
+
+// Read-modify-write of a JSON file holding a list. change(items) may be
+// async and returns an outcome; the changed list is only written when
+// outcome.success is true.
+const modifyJSON = (filePath, change) =>
+  withFileLock(filePath, async () => {
+    const items = await readJSON(filePath, []);
+    const outcome = await change(items);
+    if (outcome.success) await writeJSON(filePath, items);
+    return outcome;
+  });
+
+module.exports = {
+  readJSON,
+  writeJSON,
+  withFileLock,
+  modifyJSON,
+};
@@ -0,0 +1,96 @@
+// Diagnostics collected while parsing one document: the source line and
+// rule behind every record, fields filled with defaults instead of read
+// from the document, course-like lines no rule read, and a confidence
+// score for the whole document.
+const { COURSE_LIKE_LINE } = require("./parserProfiles");
+
+const createDiagnostics = (documentType, profile = null) => ({
+  documentType,
+  profile,
+  totalLines: 0,
+  courseLines: 0,
+  confidence: 0,
+  lowConfidenceRecords: 0,
+  records: [],
+  unmatchedLines: [],
+  defaultedFields: [],
+});
+
+// Count a document line; course-like lines are what the confidence score
+// is measured against
+const countLine = (diagnostics, line) => {
+  diagnostics.totalLines++;
+  if (COURSE_LIKE_LINE.test(line)) diagnostics.courseLines++;
+};
+
+// Fields a rule filled with defaults for this match. A rule's defaults
+// are a list of field names, or a function of the match for rules that
+// only fall back to a default when a value is missing.
+const getRuleDefaults = (rule, match) =>
+  typeof rule.defaults === "function"
+    ? rule.defaults(match)
+    : rule.defaults || [];
+
+// Record a parsed record. source is { line, lineNumber } for text
+// documents, { row } for spreadsheets or { table } for document tables.
+const addRecord = (
+  diagnostics,
+  { record, source, pattern, confidence, defaults = [] }
+) => {
+  // Placeholder rows such as "UNIEXX1 ..." hold no course code but are
+  // still measured
+  if (source.line !== undefined && !COURSE_LIKE_LINE.test(source.line)) {
+    diagnostics.courseLines++;
+  }
+  diagnostics.records.push({
+    code: record.code,
+    ...source,
+    pattern,
+    confidence,
+    defaults,
+  });
+  for (const field of defaults) {
+    diagnostics.defaultedFields.push({
+      code: record.code,
+      field,
+      value: record[field],
+      lineNumber: source.lineNumber,
+    });
+  }
+};
+
+// Record a course-like line that produced no record
+const addUnmatched = (diagnostics, line, lineNumber, reason) => {
+  if (!COURSE_LIKE_LINE.test(line)) return;
+  diagnostics.unmatchedLines.push({ lineNumber, line: line.trim(), reason });
+};
+
+// Document confidence: the average record confidence over the course-like
+// lines (or over the records, when the document is tabular), so unread
+// lines count as 0. Records below lowConfidence are flagged.
+const finishDiagnostics = (diagnostics, lowConfidence) => {
+  const total = diagnostics.records.reduce(
+    (sum, record) => sum + record.confidence,
+    0
+  );
+  const measured = diagnostics.courseLines || diagnostics.records.length;
+
+  for (const record of diagnostics.records) {
+    record.lowConfidence = record.confidence < lowConfidence;
+  }
+  diagnostics.lowConfidenceRecords = diagnostics.records.filter(
+    (record) => record.lowConfidence
+  ).length;
+  diagnostics.confidence =
+    measured > 0 ? Math.round((total / measured) * 100) / 100 : 0;
+  return diagnostics;
+};
+
+module.exports = {
+  createDiagnostics,
+  countLine,
+  getRuleDefaults,
+  addRecord,
+  addUnmatched,
+  finishDiagnostics,
+};
@@ -0,0 +1,91 @@
+// Parsing documents in a worker thread. PDF and DOCX parsing is CPU-bound
+// and would otherwise hold up every other request while a large scanned
+// document is read. The worker only parses: the parsed data is posted
+// back and saved by the main thread, since the stores' file locks only
+// chain writes within one thread.
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("worker_threads");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+
+// Forward the worker's console output line by line to this thread's
+// console, so it shows up (or is silenced) like any other log
+const forwardLines = (stream, log) => {
+  let pending = "";
+  stream.on("data", (chunk) => {
+    const lines = (pending + chunk).split("\n");
+    pending = lines.pop();
+    lines.forEach((line) => log(line));
+  });
+  stream.on("end", () => {
+    if (pending) log(pending);
+  });
+};
+
+// Parse documents in a new worker thread. options are the
+// CourseAdvisorSystem options of the upload (plain data: parserProfile,
+// columnMappings), curriculumVersion an optional stored version to take
+// the curriculum from and paths the stored files by document type.
+// onProgress gets the progress of each document as with
+// CourseAdvisorSystem.parseDocuments(). Resolves to the parsed data
+// (getParsedDataAsJSON()), or to { failure } with the result of a failed
+// parse.
+const parseInWorker = (
+  { options, curriculumVersion, paths },
+  onProgress = () => {}
+) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { options, curriculumVersion, paths },
+      stdout: true,
+      stderr: true,
+    });
+    forwardLines(worker.stdout, (line) => console.log(line));
+    forwardLines(worker.stderr, (line) => console.error(line));
+
+    let outcome = null;
+    worker.on("message", (message) => {
+      if (message.type === "progress") onProgress(message.progress);
+      else outcome = message;
+    });
+    worker.on("error", reject);
+    worker.on("exit", (code) => {
+      if (outcome && outcome.type === "parsed") resolve(outcome.parsedData);
+      else if (outcome) resolve({ failure: outcome.failure });
+      else reject(new Error(`Parse worker stopped with exit code ${code}`));
+    });
+  });
+
+// In the worker: parse and post the parsed data or the failure
+const run = async ({ options, curriculumVersion, paths }) => {
+  const advisor = new CourseAdvisorSystem(options);
+  if (
+    curriculumVersion &&
+    !(await advisor.useCurriculumVersion(curriculumVersion))
+  ) {
+    throw new Error(`Curriculum version ${curriculumVersion} not found`);
+  }
+  await advisor.parseDocuments(
+    paths.curriculum,
+    paths.transcript,
+    paths.availableCourses,
+    (progress) => parentPort.postMessage({ type: "progress", progress })
+  );
+  return advisor.getParsedDataAsJSON();
+};
+
+if (!isMainThread && workerData && workerData.paths) {
+  run(workerData).then(
+    (parsedData) => parentPort.postMessage({ type: "parsed", parsedData }),
+    (error) =>
+      parentPort.postMessage({
+        type: "failed",
+        failure: CourseAdvisorSystem.describeParseError(error),
+      })
+  );
+}
+
+module.exports = { parseInWorker };
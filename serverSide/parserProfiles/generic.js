@@ -0,0 +1,620 @@
+// Generic layout: the patterns the parser has always used, which cover
+// "CODE TITLE ... GRADE ..." rows in many transcript and curriculum exports.
+//
+// Each rule is { name, pattern, confidence, defaults, build(match, context) }.
+// Rules are tried in order and the first match builds the record.
+// confidence (0-1) says how much of the record comes from the document
+// rather than from defaults, and is used to score profiles during
+// auto-detection. defaults names the fields the rule fills in itself
+// (grade "P", 3 credits, ...), or is a function of the match when that
+// depends on the row.
+
+// Curriculum categories named in course rows
+const CATEGORIES = "AC|FC|UC|FE|AE|UE|CORE|ELECTIVE";
+
+const curriculumRules = [
+  {
+    name: "code-title-category-hours-prerequisites-ects",
+    // CODE TITLE CATEGORY L T P CREDIT PREREQ ECTS
+    pattern: new RegExp(
+      `([A-Z]{2,4}\\d{3,4})\\s+(.+?)\\s+(${CATEGORIES})\\s+(\\d+)\\s+(\\d+)\\s+(\\d+)\\s+(\\d+)(?:\\s+(.+))?\\s+(\\d+)`,
+      "i"
+    ),
+    confidence: 1,
+    build: (match) => {
+      const [
+        ,
+        code,
+        title,
+        category,
+        lecture,
+        tutorial,
+        lab,
+        totalCredit,
+        prerequisiteText,
+        ects,
+      ] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        category: category.trim(),
+        lecture: parseInt(lecture),
+        tutorial: parseInt(tutorial),
+        lab: parseInt(lab),
+        totalCredit: parseInt(totalCredit),
+        prerequisiteText: prerequisiteText ? prerequisiteText.trim() : "",
+        ects: parseInt(ects),
+      };
+    },
+  },
+  {
+    name: "code-title-credits-ects-category",
+    pattern: new RegExp(
+      `([A-Z]{2,4}\\d{3,4})\\s+(.+?)\\s+(\\d+)\\s+(\\d+)\\s+(${CATEGORIES})`,
+      "i"
+    ),
+    confidence: 0.7,
+    defaults: ["lecture", "tutorial", "lab", "prerequisites"],
+    build: (match) => {
+      const [, code, title, credits, ects, category] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        category: category.trim(),
+        lecture: 0,
+        tutorial: 0,
+        lab: 0,
+        totalCredit: parseInt(credits),
+        ects: parseInt(ects),
+      };
+    },
+  },
+  {
+    name: "code-title-credits",
+    pattern: /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+(\d+)/,
+    confidence: 0.3,
+    defaults: (match) => [
+      "lecture",
+      "tutorial",
+      "lab",
+      "prerequisites",
+      "ects",
+      ...(/\s(AC|FC|UC|FE|AE|UE)$/.test(match[2].trim()) ? [] : ["category"]),
+    ],
+    build: (match) => {
+      const [, code, title, credits] = match;
+      // Rows wrapped over several lines keep the category after the
+      // title: "SFWE434 CRYPTOGRAPHY AE 3 0 0 3"
+      const titleCategory = title.trim().match(/^(.+?)\s+(AC|FC|UC|FE|AE|UE)$/);
+      return {
+        code: code.trim(),
+        title: titleCategory ? titleCategory[1] : title.trim(),
+        category: titleCategory ? titleCategory[2] : "UC", // Default category
+        lecture: 0,
+        tutorial: 0,
+        lab: 0,
+        totalCredit: parseInt(credits),
+        ects: parseInt(credits), // Assume ECTS = credits if not specified
+      };
+    },
+  },
+];
+
+// Elective placeholders in the semester tables become slots, built as
+// { code, title, category, totalCredit, ects, level }. Placeholders match
+// before any course rule.
+const slotRules = [
+  {
+    name: "placeholder-code",
+    confidence: 1,
+    // "3 UNIEXX1 UNIVERSITY ELECTIVE UE X X X 3 - 4" or
+    // "SFWE4XX AREA ELECTIVE AE 3 0 0 3 - 6"
+    pattern:
+      /^(?:\d+\s+)?([A-Z]{2,5}\d*X{2,3}\d*)\s+(.+?)\s+(AE|FE|UE)\s+(?:X|\d+)\s+(?:X|\d+)\s+(?:X|\d+)\s+(\d+)(?:\s+.+?)?\s+(\d+)$/,
+    build: (match) => {
+      const [, code, title, category, credits, ects] = match;
+      return {
+        code,
+        title: title.trim(),
+        category,
+        totalCredit: parseInt(credits),
+        ects: parseInt(ects),
+        // The trailing digit only numbers the slot
+        level: code.replace(/\d+$/, ""),
+      };
+    },
+  },
+  {
+    name: "category-first",
+    confidence: 0.8,
+    defaults: (match) => (match[4] ? [] : ["totalCredit", "ects"]),
+    // "AE 4XX – Area Elective 3 6"
+    pattern:
+      /^(?:\d+\s+)?(AE|FE|UE)\s*(\d?X{2,3})\s*[-–—:]?\s*(.*?)(?:\s+(\d+)\s+(\d+))?$/,
+    build: (match) => {
+      const [, category, level, title, credits, ects] = match;
+      return {
+        code: `${category}${level}`,
+        title: title.trim() || `${category} elective`,
+        category,
+        totalCredit: credits ? parseInt(credits) : 0,
+        ects: ects ? parseInt(ects) : 0,
+        level,
+      };
+    },
+  },
+];
+
+// Transcript rows. context.isPassingGrade checks a grade against the
+// configured grade scale.
+const transcriptRules = [
+  {
+    name: "code-title-ects-grade-credits-points",
+    pattern:
+      /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+(\d+\.\d+)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+\.\d+)\s+(\d+\.\d+)/,
+    confidence: 0.9,
+    build: (match, context) => {
+      const [, code, title, ects, grade, credits, gradePoints] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-title-grade-credits-ects",
+    pattern:
+      /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+)\s+(\d+)/,
+    confidence: 0.8,
+    defaults: ["gradePoints"],
+    build: (match, context) => {
+      const [, code, title, grade, credits, ects] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(ects),
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-title-grade-credits",
+    pattern: /([A-Z]{2,4}\d{3,4})\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+)/,
+    confidence: 0.6,
+    defaults: ["ects", "gradePoints"],
+    build: (match, context) => {
+      const [, code, title, grade, credits] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(credits), // Assume ECTS = credits
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-ects-points-credits",
+    // "ENGP030S 0.00 0.00 0,00"
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
+    confidence: 0.3,
+    defaults: ["title", "grade", "passed"],
+    build: (match) => {
+      const [, code, ects, gradePoints, credits] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title in this format
+        grade: "P", // Assume passed if no grade
+        credits: parseFloat(credits.replace(",", ".")),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: true, // Assume passed for this format
+      };
+    },
+  },
+  {
+    name: "code-title-grade-decimal-credits",
+    pattern:
+      /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+\.\d+)/,
+    confidence: 0.6,
+    defaults: ["ects", "gradePoints"],
+    build: (match, context) => {
+      const [, code, title, grade, credits] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(credits), // Assume ECTS = credits
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-title",
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+?)(?=\s+\d|$)/,
+    confidence: 0.1,
+    defaults: ["grade", "passed", "credits", "ects", "gradePoints"],
+    build: (match) => {
+      const [, code, title] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: "P", // Assume passed
+        credits: 3, // Default credits
+        ects: 3, // Default ECTS
+        gradePoints: 0,
+        passed: true,
+      };
+    },
+  },
+  {
+    name: "code-letter-ects-points-credits",
+    // "PHYS121F 5.00 0.00 0,00"
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z])\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
+    confidence: 0.5,
+    defaults: ["title"],
+    build: (match, context) => {
+      const [, code, ects, gradePoints, credits] = match;
+      const grade = code.slice(-1); // Extract the letter grade from the end
+      return {
+        code: code.slice(0, -1).trim(), // Remove the grade letter from code
+        title: "", // No title in this format
+        grade: grade,
+        credits: parseFloat(credits.replace(",", ".")),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: context.isPassingGrade(grade),
+      };
+    },
+  },
+  {
+    name: "code-letter-title-grade",
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z])\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)/,
+    confidence: 0.3,
+    defaults: ["credits", "ects", "gradePoints"],
+    build: (match, context) => {
+      const [, code, title, grade] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: 3, // Default credits
+        ects: 3, // Default ECTS
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-letter-grade",
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z])\s+([A-F][+-]?|W|P|F\*?)/,
+    confidence: 0.2,
+    defaults: ["title", "credits", "ects", "gradePoints"],
+    build: (match, context) => {
+      const [, code, grade] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title
+        grade: grade.trim(),
+        credits: 3, // Default credits
+        ects: 3, // Default ECTS
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-title-grade-integer-credits",
+    pattern:
+      /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+?)\s+([A-F][+-]?|W|P|F\*?)\s+(\d+)/,
+    confidence: 0.6,
+    defaults: ["ects", "gradePoints"],
+    build: (match, context) => {
+      const [, code, title, grade, credits] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(credits), // Assume ECTS = credits
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-three-numbers",
+    pattern:
+      /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(\d+\.?\d*)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/,
+    confidence: 0.2,
+    defaults: (match) => [
+      "title",
+      "grade",
+      "passed",
+      ...(parseFloat(match[2]) ? [] : ["ects"]),
+      ...(parseFloat(match[4]) ? [] : ["credits"]),
+    ],
+    build: (match) => {
+      const [, code, val1, val2, val3] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title
+        grade: "P", // Assume passed
+        credits: parseFloat(val3) || 3,
+        ects: parseFloat(val1) || 3,
+        gradePoints: parseFloat(val2) || 0,
+        passed: true,
+      };
+    },
+  },
+  {
+    name: "separated-code-title-grade-credits",
+    // Table rows separated by "|" or tabs
+    pattern:
+      /([A-Z]{2,4}\d{3,4}[A-Z]?)\s*[|\t]\s*(.+?)\s*[|\t]\s*([A-F][+-]?|W|P|F\*?)\s*[|\t]\s*(\d+\.?\d*)/,
+    confidence: 0.6,
+    defaults: (match) => [
+      "ects",
+      "gradePoints",
+      ...(parseFloat(match[4]) ? [] : ["credits"]),
+    ],
+    build: (match, context) => {
+      const [, code, title, grade, credits] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: grade.trim(),
+        credits: parseFloat(credits) || 3,
+        ects: parseFloat(credits) || 3,
+        gradePoints: 0,
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-number",
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(\d+\.?\d*)/,
+    confidence: 0.1,
+    defaults: (match) => [
+      "title",
+      "grade",
+      "passed",
+      "ects",
+      "gradePoints",
+      ...(parseFloat(match[2]) ? [] : ["credits"]),
+    ],
+    build: (match) => {
+      const [, code, credits] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title
+        grade: "P", // Assume passed
+        credits: parseFloat(credits) || 3,
+        ects: parseFloat(credits) || 3,
+        gradePoints: 0,
+        passed: true,
+      };
+    },
+  },
+  {
+    name: "code-spaced-title",
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z]?)\s{2,}(.+?)(?=\s+\d|$)/,
+    confidence: 0.1,
+    defaults: ["grade", "passed", "credits", "ects", "gradePoints"],
+    build: (match) => {
+      const [, code, title] = match;
+      return {
+        code: code.trim(),
+        title: title.trim(),
+        grade: "P", // Assume passed
+        credits: 3, // Default credits
+        ects: 3, // Default ECTS
+        gradePoints: 0,
+        passed: true,
+      };
+    },
+  },
+  {
+    name: "code-grade-ects-points-comma-credits",
+    // "ENGL121 C+ 4.00 3.00 6,90"
+    pattern:
+      /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
+    confidence: 0.6,
+    defaults: ["title"],
+    build: (match, context) => {
+      const [, code, grade, ects, gradePoints, credits] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title in this format
+        grade: grade.trim(),
+        credits: parseFloat(credits.replace(",", ".")),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-grade-ects-points-credits",
+    // "ENGR101 B- 2.00 2.00 5.40"
+    pattern:
+      /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+\.\d+)/,
+    confidence: 0.6,
+    defaults: ["title"],
+    build: (match, context) => {
+      const [, code, grade, ects, gradePoints, credits] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title in this format
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-glued-grade-comma-credits",
+    // "ENGL121C+ 4.00 3.00 6,90"
+    pattern:
+      /([A-Z]{2,4}\d{3,4})([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
+    confidence: 0.6,
+    defaults: ["title"],
+    build: (match, context) => {
+      const [, code, grade, ects, gradePoints, credits] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title in this format
+        grade: grade.trim(),
+        credits: parseFloat(credits.replace(",", ".")),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+  {
+    name: "code-glued-grade-credits",
+    // "ENGR101B- 2.00 2.00 5.40"
+    pattern:
+      /([A-Z]{2,4}\d{3,4})([A-F][+-]?)\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+\.\d+)/,
+    confidence: 0.6,
+    defaults: ["title"],
+    build: (match, context) => {
+      const [, code, grade, ects, gradePoints, credits] = match;
+      return {
+        code: code.trim(),
+        title: "", // No title in this format
+        grade: grade.trim(),
+        credits: parseFloat(credits),
+        ects: parseFloat(ects),
+        gradePoints: parseFloat(gradePoints),
+        passed: context.isPassingGrade(grade.trim()),
+      };
+    },
+  },
+];
+
+// Offered-course lines
+const availableCourseRules = [
+  {
+    name: "code-title",
+    pattern: /([A-Z]{2,4}\d{3,4})\s+(.+)/,
+    confidence: 0.8,
+    build: (match) => ({ code: match[1], title: match[2].trim() }),
+  },
+  {
+    name: "spaced-code-title",
+    // "SFWE 344 SOFTWARE TESTING"
+    pattern: /([A-Z]{2,4}\s+\d{3,4})\s+(.+)/,
+    confidence: 0.8,
+    build: (match) => ({ code: match[1], title: match[2].trim() }),
+  },
+  {
+    name: "lettered-code-title",
+    pattern: /([A-Z]{2,4}\d{3,4}[A-Z]?)\s+(.+)/,
+    confidence: 0.6,
+    build: (match) => ({ code: match[1], title: match[2].trim() }),
+  },
+  {
+    name: "code-only",
+    pattern: /([A-Z]{2,4}\d{3,4})\s*$/,
+    confidence: 0.4,
+    defaults: ["title"],
+    build: (match) => ({ code: match[1], title: match[1].trim() }), // Use code as title
+  },
+];
+
+module.exports = {
+  id: "generic",
+  name: "Generic",
+  description:
+    "Course rows with the code first, followed by the title, grade and credit columns",
+
+  curriculum: {
+    signatures: [],
+    semesterPatterns: [
+      /^(\d+)\s+/, // "1 "
+      /semester\s+(\d+)/i, // "Semester 1"
+      /^(\d+)st|nd|rd|th\s+semester/i, // "1st Semester"
+      /^year\s+(\d+)/i, // "Year 1"
+    ],
+    // Heading of the list of courses that may fill elective slots:
+    // "Area and Faculty Elective Courses"
+    electiveListHeading: /^(?:[A-Za-z ]+\s)?elective\s+courses?(?:\s+list)?$/i,
+    slotRules,
+    // Spreadsheet headers per field, first present header wins. Rows
+    // without a semester belong to the elective course list.
+    columns: {
+      semester: ["Semester", "Sem", "Term"],
+      code: ["Code", "Course Code", "Course"],
+      title: ["Title", "Course Title", "Course Name", "Title of Course"],
+      category: ["Category", "Type"],
+      lecture: ["Lecture", "Theory", "L"],
+      tutorial: ["Tutorial", "T"],
+      lab: ["Lab", "Laboratory", "P"],
+      totalCredit: ["Credits", "Credit", "Local Credits", "Cr"],
+      ects: ["ECTS", "ECTS Credits"],
+      prerequisiteText: [
+        "Prerequisites",
+        "Prerequisite",
+        "Pre-requisites",
+        "Prereq",
+      ],
+    },
+    rules: curriculumRules,
+  },
+
+  transcript: {
+    signatures: [],
+    // Spreadsheet headers per field, first present header wins
+    columns: {
+      code: ["Code"],
+      title: ["Title of Course", "Title"],
+      grade: ["Grade"],
+      credits: ["Credits"],
+      ects: ["ECTS Credits", "ECTS"],
+      gradePoints: ["Gr.Pts"],
+      semester: ["Semester"],
+    },
+    // Matched against every line: "Student No: 2103010202"
+    studentPatterns: [
+      { pattern: /Student No[:\s]+(\d+)/, key: "studentNo" },
+      { pattern: /Name[:\s]+(.+)/, key: "name" },
+      { pattern: /Department[:\s-]+Program[:\s]+(.+)/, key: "program" },
+      { pattern: /Program[:\s]+(.+)/, key: "program" },
+    ],
+    rules: transcriptRules,
+  },
+
+  availableCourses: {
+    signatures: [],
+    // Spreadsheet headers per field; rows without a code add sections to
+    // the course above
+    columns: {
+      code: ["Code", "Course Code", "Course"],
+      title: ["Title", "Course Title", "Course Name"],
+      section: ["Section", "Sec", "Group"],
+      days: ["Days", "Day"],
+      time: ["Time", "Hours"],
+      room: ["Room", "Classroom", "Location"],
+      instructor: ["Instructor", "Lecturer"],
+      quota: ["Quota", "Capacity"],
+      enrolled: ["Enrolled"],
+    },
+    rules: availableCourseRules,
+  },
+};
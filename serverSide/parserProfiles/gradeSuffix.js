@@ -0,0 +1,73 @@
+// Transcripts printing the grade glued to the course code, with the course
+// title on the line above the row:
+//
+//   ENGLISH-I
+//   ENGL121C+ 4.00 3.00 6,90
+//   PHYS121F  * (rst) 5.00 4.00 0,00
+//
+// Labels are printed after their values ("2103010202" then "Student No").
+// Curriculum and offered-course documents use the generic patterns.
+const generic = require("./generic");
+
+const gradeInCodeRule = {
+  name: "code-grade-ects-credits-points",
+  pattern:
+    /^([A-Z]{2,4}\d{3,4})([A-F][+-]?|S|U|P|W|I|NG)\s*(\*)?\s*(\(rst\))?\s+(\d+\.\d+)\s+(\d+\.\d+)\s+(\d+,\d+)/,
+  confidence: 1,
+  // The row is matched trimmed and takes its title from the line above
+  trim: true,
+  usesPreviousLine: true,
+  build: (match, context) => {
+    const [, code, grade, , retake, ects, credits, gradePoints] = match;
+    const fullGrade = retake ? `${grade} ${retake}` : grade;
+    return {
+      code,
+      title: context.previousLine.replace(/\s*\*$/, ""),
+      grade: fullGrade,
+      credits: parseFloat(credits),
+      ects: parseFloat(ects),
+      gradePoints: parseFloat(gradePoints.replace(",", ".")),
+      passed: context.isPassingGrade(fullGrade),
+    };
+  },
+};
+
+// Values that sit on the line right above their label
+const LABELS_AFTER_VALUES = {
+  "Student No": "studentNo",
+  "Faculty / School": "faculty",
+};
+
+const extractStudentInfo = (lines) => {
+  const studentInfo = {};
+  lines.forEach((line, index) => {
+    const key = LABELS_AFTER_VALUES[line.trim()];
+    const value = index > 0 ? lines[index - 1].trim() : "";
+    if (key && value && !studentInfo[key]) studentInfo[key] = value;
+  });
+  return studentInfo;
+};
+
+module.exports = {
+  id: "grade-suffix",
+  name: "Grade appended to course code",
+  description:
+    'Transcripts with rows like "ENGL121C+ 4.00 3.00 6,90" below the course title',
+
+  curriculum: generic.curriculum,
+
+  transcript: {
+    ...generic.transcript,
+    signatures: [
+      /GradeECTS CreditsGr\.PtsCredits/,
+      /CUM\. GPA/,
+      /^\s*Student No\s*$/m,
+      /\(rst\)/,
+    ],
+    extractStudentInfo,
+    // Rows the generic patterns also read stay as a fallback
+    rules: [gradeInCodeRule, ...generic.transcript.rules],
+  },
+
+  availableCourses: generic.availableCourses,
+};
@@ -0,0 +1,130 @@
+// Parser profile registry. A profile describes one institution's document
+// layout for the three document types ("curriculum", "transcript",
+// "availableCourses"): the line rules that extract records, optional
+// spreadsheet columns and student-info extraction, and signatures, regexes
+// that only match documents in that layout. Add a layout by creating a
+// module next to this one and registering it below.
+const generic = require("./generic");
+const gradeSuffix = require("./gradeSuffix");
+const { mapColumns } = require("../spreadsheets");
+
+const DOCUMENT_TYPES = ["curriculum", "transcript", "availableCourses"];
+
+// On equal scores the profile registered first wins
+const profiles = [generic, gradeSuffix];
+
+// Lines worth scoring: anything that looks like it holds a course code
+const COURSE_LIKE_LINE = /[A-Z]{2,4}\s?\d{3,4}/;
+
+const listParserProfiles = () =>
+  profiles.map(({ id, name, description }) => ({ id, name, description }));
+
+const getParserProfile = (id) =>
+  profiles.find((profile) => profile.id === id) || null;
+
+const registerParserProfile = (profile) => {
+  if (!profile || !profile.id) throw new Error("A parser profile needs an id");
+  if (getParserProfile(profile.id)) {
+    throw new Error(`Parser profile ${profile.id} is already registered`);
+  }
+  profiles.push(profile);
+  return profile;
+};
+
+// First rule matching a line, or null
+const matchRule = (rules, line) => {
+  for (const rule of rules) {
+    const match = (rule.trim ? line.trim() : line).match(rule.pattern);
+    if (match) return { rule, match };
+  }
+  return null;
+};
+
+// Score one profile against a document's text: the average confidence of
+// the rule reading each course-like line (0 when no rule does), and the
+// share of the profile's signatures found in the text
+const scoreProfile = (profile, documentType, text) => {
+  const definition = profile[documentType] || {};
+  const rules = definition.rules || [];
+  const lines = text.split("\n").filter((line) => COURSE_LIKE_LINE.test(line));
+
+  let total = 0;
+  let matched = 0;
+  for (const line of lines) {
+    const result = matchRule(rules, line);
+    if (!result) continue;
+    total += result.rule.confidence;
+    matched++;
+  }
+
+  const signatures = definition.signatures || [];
+  const signatureScore =
+    signatures.length > 0
+      ? signatures.filter((signature) => signature.test(text)).length /
+        signatures.length
+      : 0;
+
+  return {
+    profile: profile.id,
+    score: lines.length > 0 ? total / lines.length : 0,
+    matchedLines: matched,
+    courseLines: lines.length,
+    signatureScore,
+  };
+};
+
+// Score a profile's spreadsheet columns against a header row: the share of
+// its fields with a matching header
+const scoreColumns = (profile, documentType, headers) => {
+  const columns = (profile[documentType] || {}).columns || {};
+  const fields = Object.keys(columns);
+  const found = Object.keys(mapColumns(headers, columns));
+
+  return {
+    profile: profile.id,
+    score: fields.length > 0 ? found.length / fields.length : 0,
+    matchedColumns: found,
+    signatureScore: 0,
+  };
+};
+
+// Pick the best profile for a document. content is the document text, or
+// { headers } for spreadsheets. Returns { profile, scores } with scores
+// sorted best first.
+const detectParserProfile = (documentType, content) => {
+  if (!DOCUMENT_TYPES.includes(documentType)) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const scores = profiles
+    .filter((profile) => profile[documentType])
+    .map((profile, order) => ({
+      ...(typeof content === "string"
+        ? scoreProfile(profile, documentType, content)
+        : scoreColumns(profile, documentType, content.headers || [])),
+      order,
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.signatureScore - a.signatureScore ||
+        a.order - b.order
+    )
+    .map(({ order, ...score }) => ({
+      ...score,
+      score: Math.round(score.score * 100) / 100,
+      signatureScore: Math.round(score.signatureScore * 100) / 100,
+    }));
+
+  return { profile: getParserProfile(scores[0].profile), scores };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  listParserProfiles,
+  getParserProfile,
+  registerParserProfile,
+  detectParserProfile,
+  matchRule,
+  COURSE_LIKE_LINE,
+};
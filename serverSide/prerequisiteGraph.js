@@ -0,0 +1,268 @@
+// Prerequisite graph of a curriculum: direct and transitive dependants,
+// critical-path lengths, cycles and references to unknown course codes,
+// with Graphviz DOT and Mermaid export.
+const {
+  getPrerequisiteCodes,
+  getCorequisiteCodes,
+} = require("./prerequisites");
+
+// Strongly connected components of the prerequisite edges (Tarjan). Any
+// component with more than one course, or a course requiring itself, is a
+// cycle that can never be satisfied.
+const findCycles = (codes, prerequisitesOf) => {
+  let counter = 0;
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const visit = (code) => {
+    index.set(code, counter);
+    lowLink.set(code, counter);
+    counter++;
+    stack.push(code);
+    onStack.add(code);
+
+    for (const next of prerequisitesOf(code)) {
+      if (!index.has(next)) {
+        visit(next);
+        lowLink.set(code, Math.min(lowLink.get(code), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(code, Math.min(lowLink.get(code), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(code) === index.get(code)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== code);
+
+      if (component.length > 1 || prerequisitesOf(code).includes(code)) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  for (const code of codes) {
+    if (!index.has(code)) visit(code);
+  }
+  return cycles;
+};
+
+// Build the graph from curriculum courses. getRequisites returns a course's
+// parsed prerequisite expression.
+const buildPrerequisiteGraph = (curriculum, getRequisites) => {
+  const courses = new Map();
+  for (const course of curriculum) {
+    if (!courses.has(course.code)) courses.set(course.code, course);
+  }
+
+  const nodes = new Map();
+  const edges = [];
+  const unknown = new Map();
+
+  for (const [code, course] of courses) {
+    const requisites = getRequisites(course);
+    nodes.set(code, {
+      code,
+      title: course.title,
+      semester: course.semester,
+      category: course.category,
+      prerequisites: getPrerequisiteCodes(requisites),
+      corequisites: getCorequisiteCodes(requisites),
+      dependants: [],
+      transitiveDependants: [],
+      chainLength: 1,
+    });
+  }
+
+  for (const node of nodes.values()) {
+    const references = [
+      ...node.prerequisites.map((from) => [from, "prerequisite"]),
+      ...node.corequisites.map((from) => [from, "corequisite"]),
+    ];
+    for (const [from, type] of references) {
+      edges.push({ from, to: node.code, type });
+      if (!nodes.has(from)) {
+        if (!unknown.has(from)) unknown.set(from, []);
+        unknown.get(from).push(node.code);
+      } else if (type === "prerequisite") {
+        nodes.get(from).dependants.push(node.code);
+      }
+    }
+  }
+
+  // Only prerequisites order courses across terms; corequisites are taken
+  // together and may legitimately point at each other
+  const dependantsOf = (code) =>
+    nodes.has(code) ? nodes.get(code).dependants : [];
+  const prerequisitesOf = (code) =>
+    nodes.has(code)
+      ? nodes.get(code).prerequisites.filter((from) => nodes.has(from))
+      : [];
+
+  const cycles = findCycles(Array.from(nodes.keys()), prerequisitesOf);
+  const cycleCodes = new Set(cycles.flat());
+
+  // Longest chain of courses starting at each course. Edges back into the
+  // course being explored are ignored so cycles cannot recurse forever.
+  const chains = new Map();
+  const visiting = new Set();
+  const longestChain = (code) => {
+    if (chains.has(code)) return chains.get(code);
+    visiting.add(code);
+
+    let best = [];
+    for (const next of dependantsOf(code)) {
+      if (visiting.has(next)) continue;
+      const chain = longestChain(next);
+      if (chain.length > best.length) best = chain;
+    }
+
+    visiting.delete(code);
+    const chain = [code, ...best];
+    if (!cycleCodes.has(code)) chains.set(code, chain);
+    return chain;
+  };
+
+  const collectDependants = (code, seen = new Set()) => {
+    for (const next of dependantsOf(code)) {
+      if (seen.has(next)) continue;
+      seen.add(next);
+      collectDependants(next, seen);
+    }
+    return seen;
+  };
+
+  let criticalPath = [];
+  for (const node of nodes.values()) {
+    const chain = longestChain(node.code);
+    node.chainLength = chain.length;
+    const dependants = collectDependants(node.code);
+    // A course in a cycle reaches itself
+    dependants.delete(node.code);
+    node.transitiveDependants = Array.from(dependants);
+    if (chain.length > criticalPath.length) criticalPath = chain;
+  }
+
+  return {
+    nodes: Array.from(nodes.values()),
+    edges,
+    cycles,
+    unknownReferences: Array.from(unknown.entries()).map(
+      ([code, referencedBy]) => ({ code, referencedBy })
+    ),
+    criticalPath,
+    criticalPathLength: criticalPath.length,
+  };
+};
+
+const edgeInCycle = (graph, edge) =>
+  edge.type === "prerequisite" &&
+  graph.cycles.some(
+    (cycle) => cycle.includes(edge.from) && cycle.includes(edge.to)
+  );
+
+const onCriticalPath = (graph, edge) => {
+  const position = graph.criticalPath.indexOf(edge.from);
+  return position !== -1 && graph.criticalPath[position + 1] === edge.to;
+};
+
+const escapeDOT = (text) =>
+  String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"');
+
+// Graphviz DOT: one cluster per semester, corequisites dashed, cycles red,
+// the critical path bold and unknown codes as dotted boxes
+const toDOT = (graph) => {
+  const lines = [
+    "digraph prerequisites {",
+    "  rankdir=LR;",
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+  ];
+
+  const bySemester = new Map();
+  for (const node of graph.nodes) {
+    const key = node.semester || "unknown";
+    if (!bySemester.has(key)) bySemester.set(key, []);
+    bySemester.get(key).push(node);
+  }
+  for (const [semester, nodes] of bySemester) {
+    lines.push(`  subgraph "cluster_${semester}" {`);
+    lines.push(`    label="Semester ${semester}";`);
+    for (const node of nodes) {
+      lines.push(
+        `    "${escapeDOT(node.code)}" [label="${escapeDOT(
+          node.code
+        )}\\n${escapeDOT(node.title)}"];`
+      );
+    }
+    lines.push("  }");
+  }
+
+  for (const { code } of graph.unknownReferences) {
+    lines.push(`  "${escapeDOT(code)}" [style=dotted];`);
+  }
+
+  for (const edge of graph.edges) {
+    const attributes = [];
+    if (edge.type === "corequisite") attributes.push("style=dashed");
+    if (edgeInCycle(graph, edge)) attributes.push("color=red");
+    if (onCriticalPath(graph, edge)) attributes.push("penwidth=2");
+    lines.push(
+      `  "${escapeDOT(edge.from)}" -> "${escapeDOT(edge.to)}"${
+        attributes.length > 0 ? ` [${attributes.join(", ")}]` : ""
+      };`
+    );
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+};
+
+// Mermaid ids may only hold word characters
+const mermaidId = (code) => String(code).replace(/\W/g, "_");
+
+const escapeMermaid = (text) => String(text || "").replace(/"/g, "#quot;");
+
+// Mermaid flowchart with the same conventions as the DOT export
+const toMermaid = (graph) => {
+  const lines = ["flowchart LR"];
+
+  for (const node of graph.nodes) {
+    lines.push(
+      `  ${mermaidId(node.code)}["${escapeMermaid(
+        node.code
+      )}<br/>${escapeMermaid(node.title)}"]`
+    );
+  }
+  for (const { code } of graph.unknownReferences) {
+    lines.push(`  ${mermaidId(code)}(["${escapeMermaid(code)}"])`);
+  }
+
+  const highlighted = [];
+  graph.edges.forEach((edge, index) => {
+    const arrow = edge.type === "corequisite" ? "-.->" : "-->";
+    lines.push(`  ${mermaidId(edge.from)} ${arrow} ${mermaidId(edge.to)}`);
+    if (edgeInCycle(graph, edge)) {
+      highlighted.push(`  linkStyle ${index} stroke:red`);
+    } else if (onCriticalPath(graph, edge)) {
+      highlighted.push(`  linkStyle ${index} stroke-width:3px`);
+    }
+  });
+
+  return [...lines, ...highlighted].join("\n") + "\n";
+};
+
+module.exports = {
+  buildPrerequisiteGraph,
+  findCycles,
+  toDOT,
+  toMermaid,
+};
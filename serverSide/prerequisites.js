@@ -0,0 +1,393 @@
+// Prerequisite expressions: parsing curriculum text such as
+// "MATH121 or MATH101", "concurrent with PHYS121L", "Completed 120 ECTS" or
+// "Senior standing" into a tree, and checking it against a student's record.
+//
+// Nodes:
+//   { type: "course", code }            passed before the term
+//   { type: "corequisite", code }       passed before or taken in the term
+//   { type: "and" | "or", items }
+//   { type: "ects" | "credits", min }   completed ECTS / credits
+//   { type: "standing", standing }      class standing (see config.js)
+// A missing requirement is represented by null.
+
+const CLASS_STANDINGS = ["freshman", "sophomore", "junior", "senior"];
+
+// Token patterns, tried in order at each position
+const TOKEN_PATTERNS = [
+  ["space", /\s+/y],
+  ["open", /\(/y],
+  ["close", /\)/y],
+  [
+    "corequisite",
+    /(?:co-?req(?:uisite)?s?:?|(?:taken\s+)?concurrent(?:ly)?(?:\s+with)?|together\s+with)/iy,
+  ],
+  [
+    "ects",
+    /(?:(?:completed|complete|min(?:imum)?\.?|at\s+least)\s+)*(\d+)\s*ECTS(?:\s+completed)?/iy,
+  ],
+  [
+    "credits",
+    /(?:(?:completed|complete|min(?:imum)?\.?|at\s+least)\s+)*(\d+)\s*(?:credits?|cr\.?)(?:\s+completed)?/iy,
+  ],
+  ["standing", /(freshman|sophomore|junior|senior)\s+standing/iy],
+  ["standing", /standing\s*:?\s*(freshman|sophomore|junior|senior)/iy],
+  ["yearStanding", /([1-4])(?:st|nd|rd|th)?[-\s]+year\s+standing/iy],
+  // Earlier entries of a standing list: "junior or senior standing",
+  // "3rd or 4th year standing"
+  ["standing", /(freshman|sophomore|junior|senior)\b/iy],
+  [
+    "yearStanding",
+    /([1-4])(?:st|nd|rd|th)(?=(?:\s*(?:,|\/|or\b|and\b)\s*[1-4](?:st|nd|rd|th)?)+[-\s]+year\s+standing)/iy,
+  ],
+  // "MATH 121" only in capitals, so "and 120 ECTS" is not a course;
+  // "math121" in any case, and "CMPE-221" with a dash
+  ["course", /([A-Z]{2,5})[\s-]?(\d{3,4}[A-Z]?)\b/y],
+  ["course", /([A-Z]{2,5})-?(\d{3,4}[A-Z]?)\b/iy],
+  // A bare number after a course shares its subject: "MATH121/101"
+  ["courseNumber", /(\d{3,4}[A-Z]?)\b/iy],
+  ["and", /(?:and\b|&|,|;|\+)/iy],
+  ["or", /(?:or\b|\/|\|)/iy],
+  ["none", /(?:none\b|n\/a\b|nil\b)/iy],
+  // A dash standing alone as one alternative, as in "- / TURK131"
+  ["none", /(?:-+|–|—)(?=\s*(?:$|[)/|,;&+]|or\b|and\b))/iy],
+  ["word", /[^\s(),;/|&+]+/y],
+];
+
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+  // Subject of the last course code, for bare course numbers
+  let subject = null;
+
+  while (position < text.length) {
+    let matched = false;
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (!match || match[0].length === 0) continue;
+
+      position = pattern.lastIndex;
+      matched = true;
+      if (type === "space") break;
+
+      if (type === "course") {
+        subject = match[1].toUpperCase();
+        tokens.push({ type, code: `${subject}${match[2]}`.toUpperCase() });
+      } else if (type === "courseNumber") {
+        // Skipped like any unknown word without a course before it
+        tokens.push(
+          subject
+            ? { type: "course", code: `${subject}${match[1]}`.toUpperCase() }
+            : { type: "word" }
+        );
+      } else if (type === "ects" || type === "credits") {
+        tokens.push({ type, min: parseInt(match[1], 10) });
+      } else if (type === "standing") {
+        tokens.push({ type, standing: match[1].toLowerCase() });
+      } else if (type === "yearStanding") {
+        tokens.push({
+          type: "standing",
+          standing: CLASS_STANDINGS[parseInt(match[1], 10) - 1],
+        });
+      } else {
+        tokens.push({ type });
+      }
+      break;
+    }
+    // Unreachable with the catch-all word pattern, but never loop forever
+    if (!matched) position++;
+  }
+
+  // Standings listed together are alternatives: "sophomore, junior or
+  // senior standing"
+  return tokens.map((token, index) =>
+    token.type === "and" &&
+    index > 0 &&
+    tokens[index - 1].type === "standing" &&
+    tokens[index + 1] &&
+    tokens[index + 1].type === "standing"
+      ? { type: "or" }
+      : token
+  );
+};
+
+const NONE = { type: "none" };
+
+// Combine child nodes: "none" satisfies an OR outright and drops out of an
+// AND; single children are unwrapped and nested groups of the same type are
+// flattened
+const combine = (type, items) => {
+  if (type === "or" && items.some((item) => item === NONE)) return NONE;
+
+  const flat = [];
+  for (const item of items) {
+    if (item === null || item === NONE) continue;
+    if (item.type === type) flat.push(...item.items);
+    else flat.push(item);
+  }
+
+  if (flat.length === 0) return items.length > 0 ? NONE : null;
+  if (flat.length === 1) return flat[0];
+  return { type, items: flat };
+};
+
+const markCorequisite = (node) => {
+  if (!node || node === NONE) return node;
+  if (node.type === "course") return { type: "corequisite", code: node.code };
+  if (node.items) return { ...node, items: node.items.map(markCorequisite) };
+  return node;
+};
+
+// Recursive descent with OR binding looser than AND. Adjacent terms without
+// an operator are ANDed, and unknown words are skipped.
+const parseTokens = (tokens) => {
+  let index = 0;
+  const peek = (offset = 0) => tokens[index + offset];
+  const typeAt = (offset) => (peek(offset) ? peek(offset).type : null);
+
+  // "PHYS121L concurrently" or "PHYS121L (coreq)"
+  const takeCorequisiteSuffix = () => {
+    if (
+      typeAt(0) === "corequisite" &&
+      [null, "and", "or", "close"].includes(typeAt(1))
+    ) {
+      index++;
+      return true;
+    }
+    if (
+      typeAt(0) === "open" &&
+      typeAt(1) === "corequisite" &&
+      typeAt(2) === "close"
+    ) {
+      index += 3;
+      return true;
+    }
+    return false;
+  };
+
+  const parseTerm = () => {
+    const token = peek();
+    if (!token) return null;
+
+    if (token.type === "corequisite") {
+      index++;
+      return markCorequisite(parseTerm());
+    }
+    if (token.type === "open") {
+      index++;
+      const inner = parseOr();
+      if (peek() && peek().type === "close") index++;
+      return inner;
+    }
+
+    index++;
+    switch (token.type) {
+      case "course":
+        return takeCorequisiteSuffix()
+          ? { type: "corequisite", code: token.code }
+          : { type: "course", code: token.code };
+      case "ects":
+      case "credits":
+        return { type: token.type, min: token.min };
+      case "standing":
+        return { type: "standing", standing: token.standing };
+      case "none":
+        return NONE;
+      default:
+        return null;
+    }
+  };
+
+  const parseAnd = () => {
+    const items = [];
+    while (peek() && !["or", "close"].includes(peek().type)) {
+      if (peek().type === "and") {
+        index++;
+        continue;
+      }
+      const term = parseTerm();
+      if (term !== null) items.push(term);
+    }
+    return combine("and", items);
+  };
+
+  const parseOr = () => {
+    const items = [];
+    for (;;) {
+      const term = parseAnd();
+      if (term !== null) items.push(term);
+      if (!peek() || peek().type !== "or") break;
+      index++;
+    }
+    return combine("or", items);
+  };
+
+  const items = [];
+  while (index < tokens.length) {
+    items.push(parseOr());
+    // Skip stray closing parentheses and keep going
+    if (peek() && peek().type === "close") index++;
+  }
+  return combine("and", items);
+};
+
+// A cell holding only dashes means no requirement
+const DASH_CELL = /^\s*(?:-+|–|—)\s*$/;
+
+// Parse prerequisite text into an expression tree, or null when there is no
+// requirement
+const parsePrerequisites = (text) => {
+  if (!text || !String(text).trim() || DASH_CELL.test(String(text))) {
+    return null;
+  }
+  const node = parseTokens(tokenize(String(text)));
+  return node === NONE ? null : node;
+};
+
+// Course codes the expression requires beforehand (not corequisites)
+const getPrerequisiteCodes = (node) => {
+  if (!node) return [];
+  if (node.type === "course") return [node.code];
+  if (node.items) return [...new Set(node.items.flatMap(getPrerequisiteCodes))];
+  return [];
+};
+
+// Course codes the expression allows to be taken in the same term
+const getCorequisiteCodes = (node) => {
+  if (!node) return [];
+  if (node.type === "corequisite") return [node.code];
+  if (node.items) return [...new Set(node.items.flatMap(getCorequisiteCodes))];
+  return [];
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Human-readable form: "MATH121 or MATH101", "PHYS121L (concurrent)"
+const describePrerequisites = (node) => {
+  if (!node) return "None";
+  switch (node.type) {
+    case "course":
+      return node.code;
+    case "corequisite":
+      return `${node.code} (concurrent)`;
+    case "ects":
+      return `${node.min} ECTS completed`;
+    case "credits":
+      return `${node.min} credits completed`;
+    case "standing":
+      return `${capitalize(node.standing)} standing`;
+    case "and":
+    case "or":
+      return node.items
+        .map((item) =>
+          item.items
+            ? `(${describePrerequisites(item)})`
+            : describePrerequisites(item)
+        )
+        .join(` ${node.type} `);
+    default:
+      return "";
+  }
+};
+
+// Check an expression against
+//   { passedCodes, concurrentCodes, completedECTS, completedCredits,
+//     classStandingECTS }
+// and return { met, missing, corequisites }. missing describes the unmet
+// requirements; corequisites lists the codes that must be registered in the
+// same term for the expression to hold.
+const evaluatePrerequisites = (node, context) => {
+  const met = (corequisites = []) => ({ met: true, missing: [], corequisites });
+  const unmet = (description) => ({
+    met: false,
+    missing: [description],
+    corequisites: [],
+  });
+
+  if (!node) return met();
+
+  switch (node.type) {
+    case "course":
+      return context.passedCodes.has(node.code) ? met() : unmet(node.code);
+
+    case "corequisite":
+      if (context.passedCodes.has(node.code)) return met();
+      if (context.concurrentCodes && context.concurrentCodes.has(node.code)) {
+        return met([node.code]);
+      }
+      return unmet(describePrerequisites(node));
+
+    case "ects":
+      return (context.completedECTS || 0) >= node.min
+        ? met()
+        : unmet(
+            `${node.min} ECTS completed (${context.completedECTS || 0} so far)`
+          );
+
+    case "credits":
+      return (context.completedCredits || 0) >= node.min
+        ? met()
+        : unmet(
+            `${node.min} credits completed (${
+              context.completedCredits || 0
+            } so far)`
+          );
+
+    case "standing": {
+      const threshold = (context.classStandingECTS || {})[node.standing];
+      return typeof threshold === "number" &&
+        (context.completedECTS || 0) >= threshold
+        ? met()
+        : unmet(describePrerequisites(node));
+    }
+
+    case "and": {
+      const results = node.items.map((item) =>
+        evaluatePrerequisites(item, context)
+      );
+      const missing = results.flatMap((result) => result.missing);
+      return missing.length > 0
+        ? { met: false, missing, corequisites: [] }
+        : met([...new Set(results.flatMap((result) => result.corequisites))]);
+    }
+
+    case "or": {
+      // Prefer the alternative that needs the fewest same-term courses
+      const satisfied = node.items
+        .map((item) => evaluatePrerequisites(item, context))
+        .filter((result) => result.met)
+        .sort((a, b) => a.corequisites.length - b.corequisites.length);
+      return satisfied.length > 0
+        ? satisfied[0]
+        : unmet(describePrerequisites(node));
+    }
+
+    default:
+      return met();
+  }
+};
+
+// Copy of the expression with every course code passed through change,
+// e.g. to map old codes to the curriculum codes they are equivalent to
+const mapRequisiteCodes = (node, change) => {
+  if (!node) return node;
+  if (node.type === "course" || node.type === "corequisite") {
+    return { ...node, code: change(node.code) };
+  }
+  if (node.items) {
+    return {
+      ...node,
+      items: node.items.map((item) => mapRequisiteCodes(item, change)),
+    };
+  }
+  return node;
+};
+
+module.exports = {
+  parsePrerequisites,
+  evaluatePrerequisites,
+  describePrerequisites,
+  getPrerequisiteCodes,
+  getCorequisiteCodes,
+  mapRequisiteCodes,
+};
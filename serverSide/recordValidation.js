@@ -0,0 +1,198 @@
+// Validation of records corrected by hand on stored parsed data. Each
+// normalize function takes the submitted fields and, for updates, the
+// existing record, and returns { record } with cleaned values or
+// { message } describing the first invalid field.
+const { normalizeGrade } = require("./gpa");
+
+const COURSE_CODE = /^[A-Z]{2,5}\d{3,4}[A-Z]?$/;
+const CATEGORIES = ["AC", "FC", "UC", "FE", "AE", "UE", "CORE", "ELECTIVE"];
+// Grades that are valid on a transcript but carry no grade points
+const NON_GPA_GRADES = ["P", "S", "U", "W", "I", "NG"];
+// Section meetings as stored by the timetable parser
+const MEETING_DAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const MEETING_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const normalizeCode = (code) =>
+  String(code || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// Merge fields over the existing record, reading numbers and trimming
+// strings. Returns a message for the first field that fails.
+const readFields = (fields, existing, spec) => {
+  const record = { ...existing };
+
+  for (const [key, type] of Object.entries(spec)) {
+    if (fields[key] === undefined) continue;
+    const value = fields[key];
+
+    if (type === "number") {
+      const number = Number(value);
+      if (value === "" || value === null || !Number.isFinite(number)) {
+        return { message: `${key} must be a number` };
+      }
+      if (number < 0) return { message: `${key} cannot be negative` };
+      record[key] = number;
+    } else if (type === "string") {
+      if (typeof value !== "string" && typeof value !== "number") {
+        return { message: `${key} must be text` };
+      }
+      record[key] = String(value).trim();
+    } else if (type === "codes") {
+      if (!Array.isArray(value)) {
+        return { message: `${key} must be a list of course codes` };
+      }
+      const codes = value.map(normalizeCode);
+      const invalid = codes.find((code) => !COURSE_CODE.test(code));
+      if (invalid !== undefined) {
+        return { message: `Invalid course code in ${key}: ${invalid}` };
+      }
+      record[key] = codes;
+    }
+  }
+
+  if (fields.code !== undefined) {
+    record.code = normalizeCode(fields.code);
+  }
+  if (!COURSE_CODE.test(record.code || "")) {
+    return { message: `Invalid course code: ${fields.code || ""}` };
+  }
+  return { record };
+};
+
+// Curriculum course. semester is a positive whole number; prerequisites
+// may be given as text ("MATH121 or MATH101") or as a list of codes.
+const normalizeCurriculumCourse = (fields, existing = null) => {
+  const { record, message } = readFields(fields, existing || {}, {
+    title: "string",
+    category: "string",
+    semester: "number",
+    lecture: "number",
+    tutorial: "number",
+    lab: "number",
+    totalCredit: "number",
+    ects: "number",
+    prerequisiteText: "string",
+    prerequisites: "codes",
+    corequisites: "codes",
+  });
+  if (message) return { message };
+
+  if (!record.title) return { message: "title is required" };
+  if (!Number.isInteger(record.semester) || record.semester < 1) {
+    return { message: "semester must be a whole number from 1" };
+  }
+  record.category = String(record.category || "").toUpperCase();
+  if (!CATEGORIES.includes(record.category)) {
+    return { message: `category must be one of: ${CATEGORIES.join(", ")}` };
+  }
+
+  for (const key of ["lecture", "tutorial", "lab", "totalCredit", "ects"]) {
+    if (record[key] === undefined) record[key] = 0;
+  }
+  if (!record.prerequisites) record.prerequisites = [];
+  return { record };
+};
+
+// One transcript attempt. The grade must be on the grade scale or one of
+// the grades without grade points (P, S, U, W, I, NG).
+const normalizeTranscriptAttempt = (fields, existing = null, gradeScale) => {
+  const { record, message } = readFields(fields, existing || {}, {
+    title: "string",
+    grade: "string",
+    credits: "number",
+    ects: "number",
+    gradePoints: "number",
+    semester: "string",
+  });
+  if (message) return { message };
+
+  const grade = normalizeGrade(record.grade);
+  if (!grade) return { message: "grade is required" };
+  if (gradeScale[grade] === undefined && !NON_GPA_GRADES.includes(grade)) {
+    return { message: `Unknown grade: ${record.grade}` };
+  }
+
+  for (const key of ["credits", "ects", "gradePoints"]) {
+    if (record[key] === undefined) record[key] = 0;
+  }
+  if (record.semester === undefined) record.semester = "";
+  return { record };
+};
+
+// Offered course with optional sections
+// [{ section, instructor, quota, enrolled, meetings: [{ day, start, end,
+// room }] }]; quota and enrolled are whole numbers of seats
+const normalizeOfferedCourse = (fields, existing = null) => {
+  const { record, message } = readFields(fields, existing || {}, {
+    title: "string",
+  });
+  if (message) return { message };
+
+  if (!record.title) record.title = record.code;
+  if (fields.sections !== undefined) {
+    if (!Array.isArray(fields.sections)) {
+      return { message: "sections must be a list" };
+    }
+    for (const section of fields.sections) {
+      if (!section || typeof section !== "object" || !section.section) {
+        return { message: "Every section needs a section name" };
+      }
+      if (section.meetings !== undefined && !Array.isArray(section.meetings)) {
+        return {
+          message: `meetings of section ${section.section} must be a list`,
+        };
+      }
+      for (const key of ["quota", "enrolled"]) {
+        const value = section[key];
+        if (
+          value !== undefined &&
+          value !== null &&
+          !(Number.isInteger(Number(value)) && Number(value) >= 0)
+        ) {
+          return {
+            message: `${key} of section ${section.section} must be a whole number of seats`,
+          };
+        }
+      }
+      for (const meeting of section.meetings || []) {
+        if (
+          !meeting ||
+          !MEETING_DAYS.includes(meeting.day) ||
+          !MEETING_TIME.test(meeting.start) ||
+          !MEETING_TIME.test(meeting.end) ||
+          meeting.start >= meeting.end
+        ) {
+          return {
+            message: `Section ${section.section} has an invalid meeting; use { day: "MO", start: "09:00", end: "10:50", room }`,
+          };
+        }
+      }
+    }
+    record.sections = fields.sections.map((section) => ({
+      section: String(section.section),
+      instructor: String(section.instructor || ""),
+      meetings: (section.meetings || []).map((meeting) => ({
+        day: meeting.day,
+        start: meeting.start,
+        end: meeting.end,
+        room: String(meeting.room || ""),
+      })),
+      ...(section.quota !== undefined && section.quota !== null
+        ? {
+            quota: Number(section.quota),
+            enrolled: Number(section.enrolled || 0),
+          }
+        : {}),
+    }));
+  }
+  if (!record.sections) record.sections = [];
+  return { record };
+};
+
+module.exports = {
+  normalizeCode,
+  normalizeCurriculumCourse,
+  normalizeTranscriptAttempt,
+  normalizeOfferedCourse,
+};
@@ -1,46 +1,1874 @@
 const path = require("path");
 const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const ProfileStore = require("./ProfileStore");
+const CurriculumStore = require("./CurriculumStore");
+const PlanStore = require("./PlanStore");
+const UserStore = require("./UserStore");
+const WaitlistStore = require("./WaitlistStore");
+const UploadStore = require("./UploadStore");
+const ParseJobQueue = require("./ParseJobQueue");
+const { acceptUploads, acceptUpload } = require("./uploads");
+const { parseInWorker } = require("./parseWorker");
+const { normalizeCode } = require("./recordValidation");
+const {
+  SESSION_COOKIE,
+  readToken,
+  authenticate,
+  requireRole,
+  canAccessProfile,
+  requireProfileAccess,
+} = require("./auth");
+const {
+  DOCUMENT_TYPES,
+  listParserProfiles,
+  getParserProfile,
+} = require("./parserProfiles");
+const { isSpreadsheet } = require("./spreadsheets");
+const { REPORT_FORMATS } = require("./advisingReport");
 
-// Configure multer for file uploads
-const multer = require("multer");
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/");
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + "-" + file.originalname);
-  },
+// Local user accounts and sessions
+const userStore = new UserStore();
+
+// Uploaded documents, stored once per content (see uploads.js)
+const uploadStore = new UploadStore();
+
+// Background parse jobs
+const parseJobs = new ParseJobQueue();
+
+// File fields of the three documents a profile is parsed from
+const DOCUMENT_FIELDS = [
+  { name: "curriculum", maxCount: 1 },
+  { name: "transcript", maxCount: 1 },
+  { name: "availableCourses", maxCount: 1 },
+];
+
+// Attempt policies a client may pick for repeated courses
+const ATTEMPT_POLICIES = ["latest", "best"];
+
+// Validate optional registration limits sent by the client
+const parseRegistrationLimits = (limits) => {
+  if (limits === undefined) return {};
+  if (!limits || typeof limits !== "object") {
+    throw new Error("limits must be an object");
+  }
+
+  const parsed = {};
+  for (const key of ["maxECTS", "maxContactHours"]) {
+    if (limits[key] === undefined) continue;
+
+    const value = Number(limits[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(`limits.${key} must be a positive number`);
+    }
+    parsed[key] = value;
+  }
+  return parsed;
+};
+
+// Resolve the comma-separated column-mapping preset IDs of an upload into
+// { documentType: preset }. Throws when a preset is unknown or two
+// presets are for the same document type.
+const resolveColumnMappings = async (ids) => {
+  if (!ids) return {};
+
+  const store = new CourseAdvisorSystem().columnMappingStore;
+  const columnMappings = {};
+  for (const id of String(ids)
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean)) {
+    const preset = await store.get(id);
+    if (!preset) throw new Error(`Column mapping ${id} not found`);
+    if (columnMappings[preset.documentType]) {
+      throw new Error(
+        `Only one column mapping per document type; got two for ${preset.documentType}`
+      );
+    }
+    columnMappings[preset.documentType] = preset;
+  }
+  return columnMappings;
+};
+
+// Parsing options of an upload: an optional parserProfile to parse with a
+// specific layout instead of detecting one, and column-mapping presets for
+// spreadsheet documents. Throws when either is unknown.
+const readParseOptions = async (body = {}) => {
+  const parserProfile = body.parserProfile;
+  if (
+    parserProfile &&
+    parserProfile !== "auto" &&
+    !getParserProfile(parserProfile)
+  ) {
+    throw new Error(
+      `parserProfile must be "auto" or one of: ${listParserProfiles()
+        .map((profile) => profile.id)
+        .join(", ")}`
+    );
+  }
+
+  const columnMappings = await resolveColumnMappings(body.columnMapping);
+  return { parserProfile, columnMappings };
+};
+
+// Check a parse request and queue its job. The documents are parsed in a
+// worker thread and the profile is saved here. Sends the error response
+// and returns null when the request is invalid.
+const queueParseJob = async (req, res) => {
+  console.log("Received files for parsing:", req.files);
+  const files = req.files || {};
+  // Optional: a stored curriculum version instead of a curriculum file
+  const curriculumVersion = req.body && req.body.curriculumVersion;
+
+  if (curriculumVersion && files.curriculum) {
+    res.status(400).json({
+      success: false,
+      message: "Send either a curriculum file or a curriculumVersion",
+    });
+    return null;
+  }
+  if (
+    !(files.curriculum || curriculumVersion) ||
+    !files.transcript ||
+    !files.availableCourses
+  ) {
+    res.status(400).json({
+      success: false,
+      message:
+        "Please upload all three required files: curriculum (or pick a curriculumVersion), transcript, and available courses",
+    });
+    return null;
+  }
+
+  // Optional: re-parse into an existing profile instead of creating one.
+  // Students always parse into their own profile and advisors into one
+  // of their students'; only admins create profiles from the transcript.
+  let profileId = req.body && req.body.profileId;
+  if (req.user.role === "student") {
+    profileId = profileId || req.user.profileId;
+  }
+  if (profileId && !ProfileStore.isValidId(profileId)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid profile ID",
+    });
+    return null;
+  }
+  if (req.user.role !== "admin" && !canAccessProfile(req.user, profileId)) {
+    res.status(403).json({
+      success: false,
+      message: profileId
+        ? `No access to profile ${profileId}`
+        : "profileId of one of your students is required",
+    });
+    return null;
+  }
+
+  let options;
+  try {
+    options = await readParseOptions(req.body);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+    return null;
+  }
+
+  const advisor = new CourseAdvisorSystem(options);
+  if (
+    curriculumVersion &&
+    (!CurriculumStore.isValidId(curriculumVersion) ||
+      !(await advisor.useCurriculumVersion(curriculumVersion)))
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `Curriculum version ${curriculumVersion} not found`,
+    });
+    return null;
+  }
+
+  const releaseUploads = req.holdUploads ? req.holdUploads() : async () => {};
+  return parseJobs.add({
+    owner: req.user.username,
+    profileId,
+    documents: DOCUMENT_FIELDS.map((field) => field.name).filter(
+      (name) => files[name]
+    ),
+    run: async (onProgress) => {
+      try {
+        const parsedData = await parseInWorker(
+          {
+            options,
+            curriculumVersion,
+            paths: {
+              curriculum: files.curriculum ? files.curriculum[0].path : null,
+              transcript: files.transcript[0].path,
+              availableCourses: files.availableCourses[0].path,
+            },
+          },
+          onProgress
+        );
+        if (parsedData.failure) return parsedData.failure;
+
+        advisor.useParsedData(parsedData);
+        onProgress({ status: "saving" });
+        const result = await advisor.saveParsedDocuments(profileId);
+
+        if (result.success) {
+          const filesByType = {};
+          for (const [documentType, [file]] of Object.entries(files)) {
+            filesByType[documentType] = file.filename;
+          }
+          await uploadStore.linkProfile(result.profileId, filesByType);
+        }
+        return result;
+      } finally {
+        await releaseUploads();
+      }
+    },
+  });
+};
+
+// Send a parse result; a transcript whose profile ID already exists is a
+// conflict
+const sendParseResult = (res, result) => {
+  if (result.conflict) {
+    const { conflict, ...body } = result;
+    return res.status(409).json(body);
+  }
+  res.json(result);
+};
+
+// API endpoint for parsing documents and saving to JSON. The documents
+// are parsed by a queued job like with /api/parse-jobs, but the response
+// waits for the result.
+const parseAndSave = async (req, res) => {
+  try {
+    const job = await queueParseJob(req, res);
+    if (!job) return;
+
+    sendParseResult(res, await job.done);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for parsing documents in the background: answers at once
+// with the queued job, whose progress can be polled or streamed
+const startParseJob = async (req, res) => {
+  try {
+    const job = await queueParseJob(req, res);
+    if (!job) return;
+
+    res.status(202).json({
+      success: true,
+      job: ParseJobQueue.toView(job, parseJobs),
+      statusUrl: `/api/parse-jobs/${job.id}`,
+      eventsUrl: `/api/parse-jobs/${job.id}/events`,
+      resultUrl: `/api/parse-jobs/${job.id}/result`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// A parse job the signed-in account may see: its own, or any for admins.
+// Sends 404 and returns null otherwise.
+const findParseJob = (req, res) => {
+  const job = parseJobs.get(req.params.id);
+  if (!job || (req.user.role !== "admin" && job.owner !== req.user.username)) {
+    res.status(404).json({
+      success: false,
+      message: `Parse job ${req.params.id} not found`,
+    });
+    return null;
+  }
+  return job;
+};
+
+// API endpoint for listing the signed-in account's parse jobs (every
+// account's for admins)
+const listParseJobs = (req, res) => {
+  const owner = req.user.role === "admin" ? null : req.user.username;
+  res.json({
+    success: true,
+    jobs: parseJobs
+      .list(owner)
+      .map((job) => ParseJobQueue.toView(job, parseJobs)),
+  });
+};
+
+// API endpoint for the status and progress of a parse job
+const getParseJob = (req, res) => {
+  const job = findParseJob(req, res);
+  if (!job) return;
+
+  res.json({
+    success: true,
+    job: ParseJobQueue.toView(job, parseJobs),
+  });
+};
+
+// API endpoint for the result of a finished parse job: the response
+// /api/parse-and-save would have sent
+const getParseJobResult = (req, res) => {
+  const job = findParseJob(req, res);
+  if (!job) return;
+
+  if (!ParseJobQueue.isFinished(job)) {
+    return res.status(409).json({
+      success: false,
+      message: `Parse job ${job.id} is still ${job.status}`,
+      job: ParseJobQueue.toView(job, parseJobs),
+    });
+  }
+  sendParseResult(res, job.result);
+};
+
+// API endpoint streaming a parse job's progress as Server-Sent Events: a
+// "progress" event with the job on every change and a final "done" event
+// when it has finished, after which the stream ends
+const streamParseJob = (req, res) => {
+  const job = findParseJob(req, res);
+  if (!job) return;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (updated) => {
+    const finished = ParseJobQueue.isFinished(updated);
+    res.write(
+      `event: ${finished ? "done" : "progress"}\ndata: ${JSON.stringify(
+        ParseJobQueue.toView(updated, parseJobs)
+      )}\n\n`
+    );
+    if (finished) res.end();
+  };
+  const onUpdate = (updated) => {
+    if (updated.id === job.id) send(updated);
+  };
+  // Comments keep proxies from closing a quiet stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const stop = () => {
+    parseJobs.off("update", onUpdate);
+    clearInterval(keepAlive);
+  };
+
+  res.on("close", stop);
+  send(job);
+  if (!ParseJobQueue.isFinished(job)) parseJobs.on("update", onUpdate);
+};
+
+// API endpoint for loading JSON data and generating recommendations
+const loadAndRecommend = async (req, res) => {
+  try {
+    console.log("Loading data from JSON and generating recommendations...");
+
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    let registrationLimits;
+    try {
+      registrationLimits = parseRegistrationLimits(req.body && req.body.limits);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const attemptPolicy = req.body && req.body.attemptPolicy;
+    if (
+      attemptPolicy !== undefined &&
+      !ATTEMPT_POLICIES.includes(attemptPolicy)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `attemptPolicy must be one of: ${ATTEMPT_POLICIES.join(", ")}`,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem({
+      registrationLimits,
+      attemptPolicy,
+    });
+    const result = await advisor.loadAndRecommend(profileId);
+
+    res.json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for projecting a term-by-term roadmap to graduation
+const planRoadmap = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    let registrationLimits;
+    try {
+      registrationLimits = parseRegistrationLimits(req.body && req.body.limits);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem({ registrationLimits });
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    res.json({
+      success: true,
+      profileId,
+      roadmap: advisor.planRoadmap(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for projecting the CGPA from hypothetical grades
+const whatIf = async (req, res) => {
+  try {
+    const { profileId } = req;
+    const { grades } = req.body || {};
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    if (
+      !Array.isArray(grades) ||
+      grades.length === 0 ||
+      !grades.every(
+        (entry) =>
+          entry &&
+          typeof entry.code === "string" &&
+          typeof entry.grade === "string"
+      )
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "grades must be a non-empty array of { code, grade, credits? } objects",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    let projection;
+    try {
+      projection = advisor.simulateWhatIf(
+        grades.map(({ code, grade, credits }) => ({
+          code: code.trim().toUpperCase(),
+          grade: grade.trim().toUpperCase(),
+          credits,
+        }))
+      );
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      profileId,
+      ...projection,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for getting parsed data as JSON
+const getParsedData = async (req, res) => {
+  try {
+    console.log("Retrieving parsed data...");
+
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    const parsedData = advisor.getParsedDataAsJSON();
+    res.json({
+      success: true,
+      data: parsedData,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for listing the stored student profiles the user may see
+const listProfiles = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const profiles = await advisor.profileStore.list();
+
+    res.json({
+      success: true,
+      profiles: profiles.filter((profile) =>
+        canAccessProfile(req.user, profile.profileId)
+      ),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Parse a YYYY-MM-DD date as local midnight; defaults to next Monday
+const parseTermStart = (value) => {
+  if (value === undefined) {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+    return date;
+  }
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match && new Date(match[1], match[2] - 1, match[3]);
+  if (!date || date.getMonth() !== match[2] - 1) {
+    throw new Error("termStart must be a date in YYYY-MM-DD format");
+  }
+  return date;
+};
+
+// API endpoint for exporting the clash-free timetable as iCalendar
+const exportTimetable = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    let termStart;
+    let weeks;
+    try {
+      termStart = parseTermStart(req.query.termStart);
+      if (req.query.weeks !== undefined) {
+        weeks = Number(req.query.weeks);
+        if (!Number.isInteger(weeks) || weeks < 1 || weeks > 52) {
+          throw new Error("weeks must be a whole number between 1 and 52");
+        }
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    res.type("text/calendar");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${profileId}-timetable.ics"`
+    );
+    res.send(advisor.getTimetableICS({ termStart, weeks }));
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for the advising report as a PDF form, XLSX workbook or CSV
+const exportAdvisingReport = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    const format = req.query.format || "pdf";
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${REPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    const { body, contentType, extension } = await advisor.exportAdvisingReport(
+      format
+    );
+    res.type(contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${profileId}-advising-report.${extension}"`
+    );
+    res.send(body);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for the graduation audit of a profile
+const getDegreeAudit = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    res.json({
+      success: true,
+      profileId,
+      audit: advisor.getDegreeAudit(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Export formats of the prerequisite graph and their content types
+const GRAPH_FORMATS = {
+  json: "application/json",
+  dot: "text/vnd.graphviz",
+  mermaid: "text/plain",
+};
+
+// API endpoint for a profile's prerequisite graph
+const getPrerequisiteGraph = async (req, res) => {
+  try {
+    const { profileId } = req;
+    const format = req.query.format || "json";
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+    if (!GRAPH_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${Object.keys(GRAPH_FORMATS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const loadSuccess = await advisor.loadParsedData(profileId);
+
+    if (!loadSuccess) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+
+    if (format === "json") {
+      return res.json({
+        success: true,
+        profileId,
+        graph: advisor.exportPrerequisiteGraph("json"),
+      });
+    }
+
+    res.type(GRAPH_FORMATS[format]);
+    res.send(advisor.exportPrerequisiteGraph(format));
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting a stored student profile
+const deleteProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const deleted = await advisor.profileStore.delete(profileId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Profile ${profileId} not found`,
+      });
+    }
+    await uploadStore.unlinkProfile(profileId);
+
+    res.json({
+      success: true,
+      message: `Profile ${profileId} deleted`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Fields a client may set on an equivalence entry
+const pickEquivalenceFields = (body = {}) => {
+  const fields = {};
+  for (const key of ["from", "to", "type", "note"]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// Fields a client may set on a column-mapping preset
+const pickColumnMappingFields = (body = {}) => {
+  const fields = {};
+  for (const key of [
+    "name",
+    "documentType",
+    "columns",
+    "sheets",
+    "headerRow",
+  ]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// URL segments of the parsed data sections that can be corrected by hand
+const RECORD_SECTIONS = {
+  curriculum: "curriculum",
+  transcript: "transcript",
+  "available-courses": "availableCourses",
+};
+
+// Shared checks for the correction endpoints. Returns the section and
+// attempt number, or sends a 400 response and returns null.
+const readRecordRequest = (req, res) => {
+  const { profileId } = req;
+  if (!ProfileStore.isValidId(profileId)) {
+    res.status(400).json({
+      success: false,
+      message: "A valid profileId is required",
+    });
+    return null;
+  }
+
+  const section = RECORD_SECTIONS[req.params.section];
+  if (!section) {
+    res.status(400).json({
+      success: false,
+      message: `section must be one of: ${Object.keys(RECORD_SECTIONS).join(
+        ", "
+      )}`,
+    });
+    return null;
+  }
+
+  const attempt =
+    req.query.attempt !== undefined ? Number(req.query.attempt) : undefined;
+  if (attempt !== undefined && (!Number.isInteger(attempt) || attempt < 1)) {
+    res.status(400).json({
+      success: false,
+      message: "attempt must be a whole number from 1",
+    });
+    return null;
+  }
+
+  return { profileId, section, attempt };
+};
+
+// Load a profile, apply one correction and save it while holding the
+// profile's lock
+const correctProfile = async (req, res, edit) => {
+  const request = readRecordRequest(req, res);
+  if (!request) return;
+
+  const advisor = new CourseAdvisorSystem();
+  const { profileId } = request;
+  const outcome = await advisor.profileStore.withLock(profileId, async () => {
+    const loadSuccess = await advisor.loadParsedData(profileId);
+    if (!loadSuccess) {
+      return {
+        success: false,
+        notFound: true,
+        message: "No parsed data found. Please parse documents first.",
+      };
+    }
+
+    // A version's courses are shared by every profile following it
+    if (request.section === "curriculum" && advisor.curriculumVersion) {
+      return {
+        success: false,
+        message: `Profile ${profileId} follows curriculum version ${advisor.curriculumVersion}; upload a corrected curriculum to PUT /api/curricula/${advisor.curriculumVersion}`,
+      };
+    }
+
+    const result = edit(advisor, request);
+    if (result.success) await advisor.saveParsedData(profileId);
+    return result;
+  });
+
+  if (!outcome.success) {
+    return res.status(outcome.notFound ? 404 : 400).json({
+      success: false,
+      message: outcome.message,
+    });
+  }
+
+  res.status(req.method === "POST" ? 201 : 200).json({
+    success: true,
+    record: outcome.record,
+    data: advisor.getParsedDataAsJSON(),
+  });
+};
+
+// API endpoint for adding a curriculum course, transcript attempt or
+// offered course to a stored profile
+const addProfileRecord = async (req, res) => {
+  try {
+    await correctProfile(req, res, (advisor, { section }) =>
+      advisor.addParsedRecord(section, req.body || {})
+    );
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for correcting a stored record
+const updateProfileRecord = async (req, res) => {
+  try {
+    await correctProfile(req, res, (advisor, { section, attempt }) =>
+      advisor.updateParsedRecord(
+        section,
+        req.params.code,
+        req.body || {},
+        attempt
+      )
+    );
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting a stored record
+const deleteProfileRecord = async (req, res) => {
+  try {
+    await correctProfile(req, res, (advisor, { section, attempt }) =>
+      advisor.deleteParsedRecord(section, req.params.code, attempt)
+    );
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for listing the course equivalence table
+const listEquivalences = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    res.json({
+      success: true,
+      equivalences: await advisor.equivalenceStore.list(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for adding an equivalence
+const addEquivalence = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.equivalenceStore.add(
+      pickEquivalenceFields(req.body)
+    );
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for changing an equivalence
+const updateEquivalence = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.equivalenceStore.update(
+      req.params.id,
+      pickEquivalenceFields(req.body)
+    );
+
+    if (!result.success) {
+      const { notFound, ...body } = result;
+      return res.status(notFound ? 404 : 400).json(body);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting an equivalence
+const deleteEquivalence = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const deleted = await advisor.equivalenceStore.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Equivalence ${req.params.id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Equivalence ${req.params.id} deleted`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for listing the column-mapping presets
+const listColumnMappings = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    res.json({
+      success: true,
+      columnMappings: await advisor.columnMappingStore.list(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for adding a column-mapping preset
+const addColumnMapping = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.columnMappingStore.add(
+      pickColumnMappingFields(req.body)
+    );
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for changing a column-mapping preset
+const updateColumnMapping = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.columnMappingStore.update(
+      req.params.id,
+      pickColumnMappingFields(req.body)
+    );
+
+    if (!result.success) {
+      const { notFound, ...body } = result;
+      return res.status(notFound ? 404 : 400).json(body);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting a column-mapping preset
+const deleteColumnMapping = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const deleted = await advisor.columnMappingStore.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Column mapping ${req.params.id} not found`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Column mapping ${req.params.id} deleted`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for proposing a column mapping for each sheet of an
+// uploaded spreadsheet
+const detectColumnMapping = async (req, res) => {
+  try {
+    const documentType = req.body && req.body.documentType;
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`,
+      });
+    }
+    if (!req.file || !isSpreadsheet(req.file.originalname)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a CSV or Excel file",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    res.json({
+      success: true,
+      documentType,
+      sheets: await advisor.proposeColumnMappings(documentType, req.file.path),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Profiles following a curriculum version
+const findVersionProfiles = async (versionId) => {
+  const profiles = await new ProfileStore().list();
+  return profiles.filter((profile) => profile.curriculumVersion === versionId);
+};
+
+// API endpoint for listing the stored curriculum versions
+const listCurricula = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    res.json({
+      success: true,
+      curricula: await advisor.curriculumStore.list(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for one curriculum version with its courses
+const getCurriculumVersion = async (req, res) => {
+  try {
+    const advisor = new CourseAdvisorSystem();
+    const version = CurriculumStore.isValidId(req.params.id)
+      ? await advisor.curriculumStore.get(req.params.id)
+      : null;
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: `Curriculum version ${req.params.id} not found`,
+      });
+    }
+    res.json({
+      success: true,
+      curriculumVersion: version,
+      profiles: (await findVersionProfiles(version.id)).length,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for parsing an uploaded curriculum into a new version
+const addCurriculumVersion = async (req, res) => {
+  try {
+    const fields = {
+      program: req.body && req.body.program,
+      catalogYear: req.body && req.body.catalogYear,
+    };
+    const message = !req.file
+      ? "Please upload a curriculum file"
+      : CurriculumStore.validate(fields);
+    if (message) {
+      return res.status(400).json({ success: false, message });
+    }
+
+    let options;
+    try {
+      options = await readParseOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem(options);
+    const result = await advisor.saveCurriculumVersion(req.file.path, fields);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for replacing a version's courses with a re-uploaded
+// curriculum; profiles following it use the new courses from then on
+const replaceCurriculumVersion = async (req, res) => {
+  try {
+    if (!CurriculumStore.isValidId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: `Curriculum version ${req.params.id} not found`,
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a curriculum file",
+      });
+    }
+
+    let options;
+    try {
+      options = await readParseOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem(options);
+    const result = await advisor.saveCurriculumVersion(
+      req.file.path,
+      {},
+      req.params.id
+    );
+
+    if (!result.success) {
+      const { notFound, ...body } = result;
+      return res.status(notFound ? 404 : 400).json(body);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting a curriculum version no profile follows
+const deleteCurriculumVersion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!CurriculumStore.isValidId(id)) {
+      return res.status(404).json({
+        success: false,
+        message: `Curriculum version ${id} not found`,
+      });
+    }
+
+    const profiles = await findVersionProfiles(id);
+    if (profiles.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Curriculum version ${id} is assigned to ${profiles.length} profile(s); assign them another version first`,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const deleted = await advisor.curriculumStore.delete(id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: `Curriculum version ${id} not found`,
+      });
+    }
+    res.json({
+      success: true,
+      message: `Curriculum version ${id} deleted`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for assigning a profile to a curriculum version. null
+// detaches it, keeping a copy of the courses in the profile.
+const assignCurriculumVersion = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+    const versionId = req.body ? req.body.curriculumVersion : undefined;
+    if (
+      versionId !== null &&
+      (typeof versionId !== "string" || !CurriculumStore.isValidId(versionId))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "curriculumVersion must be a curriculum version ID or null",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const outcome = await advisor.profileStore.withLock(profileId, async () => {
+      if (!(await advisor.loadParsedData(profileId))) {
+        return {
+          success: false,
+          notFound: true,
+          message: "No parsed data found. Please parse documents first.",
+        };
+      }
+
+      if (versionId === null) {
+        advisor.curriculumVersion = null;
+      } else if (!(await advisor.useCurriculumVersion(versionId))) {
+        return {
+          success: false,
+          message: `Curriculum version ${versionId} not found`,
+        };
+      }
+      await advisor.saveParsedData(profileId);
+      return { success: true };
+    });
+
+    if (!outcome.success) {
+      return res.status(outcome.notFound ? 404 : 400).json({
+        success: false,
+        message: outcome.message,
+      });
+    }
+    res.json({
+      success: true,
+      profileId,
+      curriculumVersion: advisor.curriculumVersion,
+      data: advisor.getParsedDataAsJSON(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Send a plan store result: 404 for a missing plan, 403 for the wrong
+// advisor, 409 for an action its status does not allow
+const sendPlanResult = (res, result, status = 200) => {
+  if (!result.success) {
+    const { notFound, forbidden, conflict, ...body } = result;
+    return res
+      .status(notFound ? 404 : forbidden ? 403 : conflict ? 409 : 400)
+      .json(body);
+  }
+  res.status(status).json(result);
+};
+
+// Check the chosen course codes against the recommendations of a profile.
+// Returns { success, notFound, message, errors } or the checked
+// { success, term, selection }.
+const checkPlanCourses = async (profileId, courses) => {
+  const advisor = new CourseAdvisorSystem();
+  if (!(await advisor.loadParsedData(profileId))) {
+    return {
+      success: false,
+      notFound: true,
+      message: "No parsed data found. Please parse documents first.",
+    };
+  }
+
+  const plan = advisor.buildRegistrationPlan(courses);
+  if (!plan.success) {
+    return {
+      success: false,
+      message: "Some courses cannot be registered",
+      errors: plan.errors,
+    };
+  }
+  return plan;
+};
+
+// Plans are sent to advisor accounts; returns an error message, or null
+// when the username belongs to an advisor
+const checkPlanAdvisor = async (username) => {
+  const message = PlanStore.validateAdvisor(username);
+  if (message) return message;
+
+  const account = await userStore.get(username);
+  if (!account || account.role !== "advisor") {
+    return `advisor ${username} is not an advisor account`;
+  }
+  return null;
+};
+
+// Load the plan a request names, answering 404 or 403 and returning null
+// when it is missing or the user may not see it. Advisors also see the
+// plans sent to them; changing a plan needs access to its profile.
+const findPlan = async (req, res, { change = false } = {}) => {
+  const plan = await new CourseAdvisorSystem().planStore.get(req.params.id);
+  if (!plan) {
+    res.status(404).json({
+      success: false,
+      message: `Plan ${req.params.id} not found`,
+    });
+    return null;
+  }
+
+  const isPlanAdvisor =
+    req.user.role === "advisor" &&
+    PlanStore.sameAdvisor(plan.advisor, req.user.username);
+  if (
+    !canAccessProfile(req.user, plan.profileId) &&
+    (change || !isPlanAdvisor)
+  ) {
+    res.status(403).json({
+      success: false,
+      message: `No access to plan ${req.params.id}`,
+    });
+    return null;
+  }
+  return plan;
+};
+
+// API endpoint for saving a course set from the recommendations as a
+// draft registration plan
+const createPlan = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+    const { courses, advisor, note } = req.body || {};
+    const message = await checkPlanAdvisor(advisor);
+    if (message) return res.status(400).json({ success: false, message });
+
+    const checked = await checkPlanCourses(profileId, courses);
+    if (!checked.success) return sendPlanResult(res, checked);
+
+    const result = await new CourseAdvisorSystem().planStore.create({
+      profileId,
+      advisor: UserStore.normalizeUsername(advisor),
+      note,
+      term: checked.term,
+      selection: checked.selection,
+      actor: req.user,
+    });
+    sendPlanResult(res, result, 201);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for listing a profile's registration plans
+const listProfilePlans = async (req, res) => {
+  try {
+    const { profileId } = req;
+    if (!ProfileStore.isValidId(profileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid profileId is required",
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    res.json({
+      success: true,
+      profileId,
+      plans: await advisor.planStore.list({ profileId }),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for listing registration plans, e.g. the plans waiting for
+// an advisor with ?status=submitted. Students only get their own plans and
+// advisors those sent to them.
+const listPlans = async (req, res) => {
+  try {
+    const { status } = req.query;
+    let { advisor: advisorName, profileId } = req.query;
+    if (req.user.role === "student") profileId = req.user.profileId;
+    if (req.user.role === "advisor") advisorName = req.user.username;
+    if (status && !PlanStore.PLAN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${PlanStore.PLAN_STATUSES.join(", ")}`,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    res.json({
+      success: true,
+      plans: await advisor.planStore.list({
+        advisor: advisorName,
+        status,
+        profileId,
+      }),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for one registration plan with its history
+const getPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for changing the courses, note or advisor of a draft plan
+// or one sent back for changes. New courses are checked again.
+const updatePlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req, res, { change: true });
+    if (!plan) return;
+    const { courses, advisor: advisorName, note } = req.body || {};
+    if (advisorName !== undefined) {
+      const message = await checkPlanAdvisor(advisorName);
+      if (message) return res.status(400).json({ success: false, message });
+    }
+
+    let checked = {};
+    if (courses !== undefined) {
+      checked = await checkPlanCourses(plan.profileId, courses);
+      if (!checked.success) return sendPlanResult(res, checked);
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.planStore.update(req.params.id, {
+      advisor:
+        advisorName !== undefined
+          ? UserStore.normalizeUsername(advisorName)
+          : undefined,
+      note,
+      selection: checked.selection
+        ? { ...checked.selection, term: checked.term }
+        : undefined,
+      actor: req.user,
+    });
+    sendPlanResult(res, result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for submitting a plan to its advisor
+const submitPlan = async (req, res) => {
+  try {
+    if (!(await findPlan(req, res, { change: true }))) return;
+
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.planStore.transition(req.params.id, "submit", {
+      actor: req.user,
+      comment: req.body ? req.body.comment : undefined,
+    });
+    sendPlanResult(res, result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Advisor decisions on a submitted plan
+const PLAN_DECISIONS = ["approve", "reject", "requestChanges"];
+
+// API endpoint for the signed-in advisor's decision on a submitted plan:
+// { decision, comment }. Rejecting or requesting changes needs a comment.
+const reviewPlan = async (req, res) => {
+  try {
+    const { decision, comment } = req.body || {};
+    if (!PLAN_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `decision must be one of: ${PLAN_DECISIONS.join(", ")}`,
+      });
+    }
+
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.planStore.transition(req.params.id, decision, {
+      actor: req.user,
+      comment,
+    });
+    sendPlanResult(res, result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting a draft plan
+const deletePlan = async (req, res) => {
+  try {
+    if (!(await findPlan(req, res, { change: true }))) return;
+
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.planStore.delete(req.params.id);
+    if (!result.success) return sendPlanResult(res, result);
+
+    res.json({
+      success: true,
+      message: `Plan ${req.params.id} deleted`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// A waitlist entry as a user may see it: the seat counts and queue length
+// for everyone, the queued and promoted students only for the profiles the
+// user can access
+const toWaitlistView = (entry, user) => ({
+  code: entry.code,
+  section: entry.section,
+  quota: entry.quota,
+  enrolled: entry.enrolled,
+  seatsLeft: WaitlistStore.seatsLeft(entry),
+  waitlistLength: entry.waitlist.length,
+  waitlist: entry.waitlist
+    .map((student, index) => ({ ...student, position: index + 1 }))
+    .filter((student) => canAccessProfile(user, student.profileId)),
+  promoted: entry.promoted.filter((student) =>
+    canAccessProfile(user, student.profileId)
+  ),
+  updatedAt: entry.updatedAt,
 });
 
-const upload = multer({ storage: storage });
+// API endpoint for listing section seat counts and waitlists, optionally
+// for one course (?code=) or one student (?profileId=)
+const listWaitlists = async (req, res) => {
+  try {
+    const code = req.query.code ? normalizeCode(req.query.code) : undefined;
+    const { profileId } = req;
+
+    const advisor = new CourseAdvisorSystem();
+    const entries = await advisor.waitlistStore.list({ code, profileId });
+    res.json({
+      success: true,
+      waitlists: entries.map((entry) => toWaitlistView(entry, req.user)),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for setting the live quota and enrollment of a section;
+// students waiting for it are promoted into any free seats
+const setSectionSeats = async (req, res) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    const advisor = new CourseAdvisorSystem();
+    const result = await advisor.waitlistStore.setSeats(
+      code,
+      req.params.section,
+      req.body || {}
+    );
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json({
+      success: true,
+      waitlist: toWaitlistView(result.waitlist, req.user),
+      promoted: result.promoted,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
 
-// API endpoint for parsing documents and saving to JSON
-const parseAndSave = async (req, res) => {
+// API endpoint for queueing a student for a full section: { profileId },
+// a student's own profile by default
+const joinWaitlist = async (req, res) => {
   try {
-    console.log("Received files for parsing:", req.files);
-    const files = req.files;
-
-    if (
-      !files ||
-      !files.curriculum ||
-      !files.transcript ||
-      !files.availableCourses
-    ) {
+    const code = normalizeCode(req.params.code);
+    const { section } = req.params;
+    const profileId =
+      req.profileId ||
+      (req.user.role === "student" ? req.user.profileId : null);
+    if (!ProfileStore.isValidId(profileId)) {
       return res.status(400).json({
         success: false,
-        message:
-          "Please upload all three required files: curriculum, transcript, and available courses",
+        message: "A valid profileId is required",
       });
     }
 
     const advisor = new CourseAdvisorSystem();
-    const result = await advisor.parseAndSaveDocuments(
-      files.curriculum[0].path,
-      files.transcript[0].path,
-      files.availableCourses[0].path
-    );
+    if (!(await advisor.loadParsedData(profileId))) {
+      return res.status(404).json({
+        success: false,
+        message: "No parsed data found. Please parse documents first.",
+      });
+    }
+    const offered = advisor.availableCourses.find((c) => c.code === code);
+    const imported =
+      offered && offered.sections.find((s) => s.section === section);
+    if (!imported) {
+      return res.status(404).json({
+        success: false,
+        message: `${code} section ${section} is not offered`,
+      });
+    }
 
-    res.json(result);
+    const result = await advisor.waitlistStore.join(
+      code,
+      section,
+      profileId,
+      imported
+    );
+    if (!result.success) {
+      const { conflict, ...body } = result;
+      return res.status(conflict ? 409 : 400).json(body);
+    }
+    res.status(201).json({
+      success: true,
+      position: result.position,
+      waitlist: toWaitlistView(result.waitlist, req.user),
+    });
   } catch (error) {
     console.error("API Error:", error);
     res.status(500).json({
@@ -50,15 +1878,90 @@ const parseAndSave = async (req, res) => {
   }
 };
 
-// API endpoint for loading JSON data and generating recommendations
-const loadAndRecommend = async (req, res) => {
+// API endpoint for taking a student off a section's waitlist
+const leaveWaitlist = async (req, res) => {
   try {
-    console.log("Loading data from JSON and generating recommendations...");
+    const code = normalizeCode(req.params.code);
+    const { section } = req.params;
+    const { profileId } = req;
 
     const advisor = new CourseAdvisorSystem();
-    const result = await advisor.loadAndRecommend();
+    const result = await advisor.waitlistStore.leave(code, section, profileId);
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        message: result.message,
+      });
+    }
+    res.json({
+      success: true,
+      waitlist: toWaitlistView(result.waitlist, req.user),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
 
-    res.json(result);
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD while there
+// are no accounts, since every API route needs a signed-in user
+const bootstrapAdmin = async () => {
+  if ((await userStore.list()).length > 0) return;
+
+  const password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    console.warn(
+      "No user accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin"
+    );
+    return;
+  }
+
+  const result = await userStore.create({
+    username: process.env.ADMIN_USERNAME || "admin",
+    password,
+    role: "admin",
+    name: "Administrator",
+  });
+  console.log(
+    result.success
+      ? `Created admin account ${result.user.username}`
+      : `Could not create the admin account: ${result.message}`
+  );
+};
+
+// API endpoint for signing in: returns a session token and sets it as a
+// cookie for the web interface
+const login = async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user =
+      username && password
+        ? await userStore.checkPassword(username, password)
+        : null;
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Wrong username or password",
+      });
+    }
+
+    const session = await userStore.createSession(user.username);
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: "strict",
+      path: "/",
+      expires: new Date(session.expiresAt),
+    });
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user: UserStore.toPublic(user),
+    });
   } catch (error) {
     console.error("API Error:", error);
     res.status(500).json({
@@ -68,26 +1971,229 @@ const loadAndRecommend = async (req, res) => {
   }
 };
 
-// API endpoint for getting parsed data as JSON
-const getParsedData = async (req, res) => {
+// API endpoint for signing out of the current session
+const logout = async (req, res) => {
   try {
-    console.log("Retrieving parsed data...");
+    await userStore.deleteSession(readToken(req));
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({
+      success: true,
+      message: "Signed out",
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
 
-    const advisor = new CourseAdvisorSystem();
-    const loadSuccess = await advisor.loadParsedData();
+// API endpoint for the signed-in account
+const getCurrentUser = (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
+};
 
-    if (!loadSuccess) {
+// API endpoint for changing one's own password. Every session of the
+// account ends, so the user signs in again.
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!(await userStore.checkPassword(req.user.username, currentPassword))) {
+      return res.status(403).json({
+        success: false,
+        message: "Current password is wrong",
+      });
+    }
+
+    const result = await userStore.update(req.user.username, {
+      password: newPassword,
+    });
+    if (!result.success) {
+      const { notFound, ...body } = result;
+      return res.status(notFound ? 404 : 400).json(body);
+    }
+
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({
+      success: true,
+      message: "Password changed; sign in again",
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Fields an admin may set on an account
+const pickUserFields = (body = {}) => {
+  const fields = {};
+  for (const key of [
+    "username",
+    "password",
+    "name",
+    "role",
+    "profileId",
+    "students",
+  ]) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// API endpoint for listing the user accounts
+const listUsers = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      users: await userStore.list(),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for adding a user account
+const addUser = async (req, res) => {
+  try {
+    const result = await userStore.create(pickUserFields(req.body));
+
+    if (!result.success) {
+      const { conflict, ...body } = result;
+      return res.status(conflict ? 409 : 400).json(body);
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for changing a user account, e.g. an advisor's students
+const updateUser = async (req, res) => {
+  try {
+    const { username, ...fields } = pickUserFields(req.body);
+    const result = await userStore.update(req.params.username, fields);
+
+    if (!result.success) {
+      const { notFound, ...body } = result;
+      return res.status(notFound ? 404 : 400).json(body);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for deleting a user account and its sessions
+const deleteUser = async (req, res) => {
+  try {
+    const { username } = req.params;
+    if (UserStore.normalizeUsername(username) === req.user.username) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot delete your own account",
+      });
+    }
+
+    const deleted = await userStore.delete(username);
+    if (!deleted) {
       return res.status(404).json({
         success: false,
-        message: "No parsed data found. Please parse documents first.",
+        message: `User ${username} not found`,
       });
     }
+    res.json({
+      success: true,
+      message: `User ${username} deleted`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
 
-    const parsedData = advisor.getParsedDataAsJSON();
+// API endpoint for listing uploaded files (?profileId= for those a
+// profile was parsed from) and the storage they use
+const listUploads = async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: parsedData,
+      usage: await uploadStore.usage(),
+      uploads: await uploadStore.list({ profileId: req.query.profileId }),
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// API endpoint for purging the raw uploaded files no request is using:
+// all of them, or with { olderThanHours } those last uploaded that long
+// ago. { unindexed: true } also deletes files stored before uploads were
+// indexed.
+const cleanUpUploads = async (req, res) => {
+  try {
+    const { olderThanHours, unindexed } = req.body || {};
+    if (
+      olderThanHours !== undefined &&
+      !(Number.isFinite(olderThanHours) && olderThanHours >= 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "olderThanHours must be a non-negative number",
+      });
+    }
+
+    const result = await uploadStore.purge({
+      olderThanHours: olderThanHours ?? 0,
+      unindexed: unindexed === true,
+    });
+    res.json({
+      ...result,
+      message: `Deleted ${result.purged.length} file(s), ${result.freedBytes} bytes`,
+    });
+  } catch (error) {
+    console.error("API Error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
     });
+  }
+};
+
+// API endpoint for deleting one uploaded file
+const deleteUpload = async (req, res) => {
+  try {
+    const result = await uploadStore.delete(req.params.fileName);
+    if (!result.success) {
+      const { notFound, conflict, ...body } = result;
+      return res.status(notFound ? 404 : conflict ? 409 : 400).json(body);
+    }
+    res.json(result);
   } catch (error) {
     console.error("API Error:", error);
     res.status(500).json({
@@ -97,6 +2203,14 @@ const getParsedData = async (req, res) => {
   }
 };
 
+// API endpoint for listing the document layouts uploads can be parsed with
+const getParserProfiles = (req, res) => {
+  res.json({
+    success: true,
+    profiles: listParserProfiles(),
+  });
+};
+
 // API endpoint for course recommendation (legacy - direct processing)
 const recommendCourses = async (req, res) => {
   try {
@@ -148,31 +2262,202 @@ const serveHomePage = (req, res) => {
 
 // Setup routes
 const setupRoutes = (app) => {
+  bootstrapAdmin().catch((error) =>
+    console.error("Could not create the admin account:", error)
+  );
+
+  // API endpoint for signing in; every other API route needs a session
+  app.post("/api/auth/login", login);
+  app.use("/api", authenticate(userStore));
+
+  // API endpoints for the signed-in account
+  app.post("/api/auth/logout", logout);
+  app.get("/api/auth/me", getCurrentUser);
+  app.put("/api/auth/password", changePassword);
+
+  // API endpoints for managing user accounts
+  app.get("/api/users", requireRole("admin"), listUsers);
+  app.post("/api/users", requireRole("admin"), addUser);
+  app.put("/api/users/:username", requireRole("admin"), updateUser);
+  app.delete("/api/users/:username", requireRole("admin"), deleteUser);
+
+  // API endpoints for managing uploaded files
+  app.get("/api/uploads", requireRole("admin"), listUploads);
+  app.post("/api/uploads/cleanup", requireRole("admin"), cleanUpUploads);
+  app.delete("/api/uploads/:fileName", requireRole("admin"), deleteUpload);
+
   // API endpoint for parsing documents and saving to JSON
   app.post(
     "/api/parse-and-save",
-    upload.fields([
-      { name: "curriculum", maxCount: 1 },
-      { name: "transcript", maxCount: 1 },
-      { name: "availableCourses", maxCount: 1 },
-    ]),
+    acceptUploads(uploadStore, DOCUMENT_FIELDS),
     parseAndSave
   );
 
+  // API endpoints for background parse jobs
+  app.post(
+    "/api/parse-jobs",
+    acceptUploads(uploadStore, DOCUMENT_FIELDS),
+    startParseJob
+  );
+  app.get("/api/parse-jobs", listParseJobs);
+  app.get("/api/parse-jobs/:id", getParseJob);
+  app.get("/api/parse-jobs/:id/events", streamParseJob);
+  app.get("/api/parse-jobs/:id/result", getParseJobResult);
+
+  // API endpoint for listing parser profiles
+  app.get("/api/parser-profiles", getParserProfiles);
+
   // API endpoint for loading JSON data and generating recommendations
-  app.post("/api/load-and-recommend", loadAndRecommend);
+  app.post("/api/load-and-recommend", requireProfileAccess, loadAndRecommend);
+
+  // API endpoint for the multi-semester roadmap to graduation
+  app.post("/api/roadmap", requireProfileAccess, planRoadmap);
+
+  // API endpoint for what-if CGPA projections
+  app.post("/api/what-if", requireProfileAccess, whatIf);
 
   // API endpoint for getting parsed data as JSON
-  app.get("/api/parsed-data", getParsedData);
+  app.get("/api/parsed-data", requireProfileAccess, getParsedData);
+
+  // API endpoints for managing stored student profiles
+  app.get("/api/profiles", listProfiles);
+  app.get("/api/profiles/:profileId", requireProfileAccess, getParsedData);
+  app.delete("/api/profiles/:profileId", requireRole("admin"), deleteProfile);
+
+  // API endpoints for registration plans and their advisor approval
+  app.get(
+    "/api/profiles/:profileId/plans",
+    requireProfileAccess,
+    listProfilePlans
+  );
+  app.post("/api/profiles/:profileId/plans", requireProfileAccess, createPlan);
+  app.get("/api/plans", listPlans);
+  app.get("/api/plans/:id", getPlan);
+  app.put("/api/plans/:id", updatePlan);
+  app.delete("/api/plans/:id", deletePlan);
+  app.post("/api/plans/:id/submit", submitPlan);
+  app.post("/api/plans/:id/review", requireRole("advisor"), reviewPlan);
+
+  // API endpoints for section seat counts and waitlists
+  app.get("/api/waitlists", requireProfileAccess, listWaitlists);
+  app.put(
+    "/api/waitlists/:code/:section",
+    requireRole("admin"),
+    setSectionSeats
+  );
+  app.post("/api/waitlists/:code/:section", requireProfileAccess, joinWaitlist);
+  app.delete(
+    "/api/waitlists/:code/:section/:profileId",
+    requireProfileAccess,
+    leaveWaitlist
+  );
+
+  // API endpoints for correcting parsed records before recommending
+  app.post(
+    "/api/profiles/:profileId/:section",
+    requireRole("advisor", "admin"),
+    requireProfileAccess,
+    addProfileRecord
+  );
+  app.put(
+    "/api/profiles/:profileId/:section/:code",
+    requireRole("advisor", "admin"),
+    requireProfileAccess,
+    updateProfileRecord
+  );
+  app.delete(
+    "/api/profiles/:profileId/:section/:code",
+    requireRole("advisor", "admin"),
+    requireProfileAccess,
+    deleteProfileRecord
+  );
+
+  // API endpoint for the clash-free timetable as an iCalendar file
+  app.get(
+    "/api/profiles/:profileId/timetable.ics",
+    requireProfileAccess,
+    exportTimetable
+  );
+
+  // API endpoint for the advising report (PDF, XLSX or CSV)
+  app.get(
+    "/api/profiles/:profileId/report",
+    requireProfileAccess,
+    exportAdvisingReport
+  );
+
+  // API endpoint for the graduation audit against degree requirements
+  app.get(
+    "/api/profiles/:profileId/audit",
+    requireProfileAccess,
+    getDegreeAudit
+  );
+
+  // API endpoint for assigning a profile's curriculum version
+  app.put(
+    "/api/profiles/:profileId/curriculum-version",
+    requireRole("advisor", "admin"),
+    requireProfileAccess,
+    assignCurriculumVersion
+  );
+
+  // API endpoints for curriculum versions by program and catalog year
+  app.get("/api/curricula", listCurricula);
+  app.get("/api/curricula/:id", getCurriculumVersion);
+  app.post(
+    "/api/curricula",
+    requireRole("admin"),
+    acceptUpload(uploadStore, "curriculum"),
+    addCurriculumVersion
+  );
+  app.put(
+    "/api/curricula/:id",
+    requireRole("admin"),
+    acceptUpload(uploadStore, "curriculum"),
+    replaceCurriculumVersion
+  );
+  app.delete(
+    "/api/curricula/:id",
+    requireRole("admin"),
+    deleteCurriculumVersion
+  );
+
+  // API endpoint for the prerequisite graph (JSON, DOT or Mermaid)
+  app.get(
+    "/api/prerequisite-graph",
+    requireProfileAccess,
+    getPrerequisiteGraph
+  );
+
+  // API endpoints for the course equivalence table
+  app.get("/api/equivalences", listEquivalences);
+  app.post("/api/equivalences", requireRole("admin"), addEquivalence);
+  app.put("/api/equivalences/:id", requireRole("admin"), updateEquivalence);
+  app.delete("/api/equivalences/:id", requireRole("admin"), deleteEquivalence);
+
+  // API endpoints for spreadsheet column-mapping presets
+  app.get("/api/column-mappings", listColumnMappings);
+  app.post(
+    "/api/column-mappings/detect",
+    acceptUpload(uploadStore, "file"),
+    detectColumnMapping
+  );
+  app.post("/api/column-mappings", requireRole("admin"), addColumnMapping);
+  app.put(
+    "/api/column-mappings/:id",
+    requireRole("admin"),
+    updateColumnMapping
+  );
+  app.delete(
+    "/api/column-mappings/:id",
+    requireRole("admin"),
+    deleteColumnMapping
+  );
 
   // API endpoint for course recommendation (legacy - direct processing)
   app.post(
     "/api/recommend-courses",
-    upload.fields([
-      { name: "curriculum", maxCount: 1 },
-      { name: "transcript", maxCount: 1 },
-      { name: "availableCourses", maxCount: 1 },
-    ]),
+    acceptUploads(uploadStore, DOCUMENT_FIELDS),
     recommendCourses
   );
 
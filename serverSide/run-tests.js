@@ -0,0 +1,30 @@
+// Run every test-*.js check script one after another and fail when any of
+// them fails. test-json-workflow.js is a walkthrough that saves a profile
+// to data/, so it is left out; run it by hand.
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const SKIPPED = ["test-helpers.js", "test-json-workflow.js"];
+
+const scripts = fs
+  .readdirSync(__dirname)
+  .filter((file) => /^test-.+\.js$/.test(file) && !SKIPPED.includes(file))
+  .sort();
+
+const failed = [];
+for (const script of scripts) {
+  console.log(`\n##### ${script}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, script)], {
+    cwd: __dirname,
+    stdio: "inherit",
+  });
+  if (result.status !== 0) failed.push(script);
+}
+
+console.log(
+  failed.length === 0
+    ? `\n${scripts.length} check script(s) passed`
+    : `\nFailed: ${failed.join(", ")}`
+);
+process.exitCode = failed.length === 0 ? 0 : 1;
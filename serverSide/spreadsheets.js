@@ -0,0 +1,281 @@
+// Tabular documents: CSV files (read with papaparse) and Excel workbooks
+// read as rows of cell text, with columns mapped to record fields by
+// header name, and proposals for mapping headers no profile knows.
+const fs = require("fs").promises;
+const path = require("path");
+const Papa = require("papaparse");
+const XLSX = require("xlsx");
+
+const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx", ".xls"];
+
+// Fields a column can be mapped to, per document type
+const COLUMN_FIELDS = {
+  curriculum: [
+    "semester",
+    "code",
+    "title",
+    "category",
+    "lecture",
+    "tutorial",
+    "lab",
+    "totalCredit",
+    "ects",
+    "prerequisiteText",
+  ],
+  transcript: [
+    "code",
+    "title",
+    "grade",
+    "credits",
+    "ects",
+    "gradePoints",
+    "semester",
+  ],
+  availableCourses: [
+    "code",
+    "title",
+    "section",
+    "days",
+    "time",
+    "room",
+    "instructor",
+    "quota",
+    "enrolled",
+  ],
+};
+
+// Fields a sheet must have columns for to be read
+const REQUIRED_COLUMNS = {
+  curriculum: ["code", "semester"],
+  transcript: ["code", "grade"],
+  availableCourses: ["code"],
+};
+
+// Header names in other languages and export formats, used only when
+// proposing a mapping
+const HEADER_SYNONYMS = {
+  code: ["Ders Kodu", "Kod", "Course No", "Subject Code", "Kurs Code"],
+  title: ["Ders Adı", "Ders", "Course Description", "Description", "Name"],
+  grade: ["Harf Notu", "Not", "Letter Grade", "Final Grade", "Note"],
+  credits: ["Kredi", "Credit Hours", "Cr.", "Hours", "Units"],
+  totalCredit: ["Kredi", "Credit Hours", "Units"],
+  ects: ["AKTS", "AKTS Kredi"],
+  gradePoints: ["Puan", "Grade Points", "Points", "Quality Points"],
+  semester: ["Dönem", "Yarıyıl", "Term", "Period", "Year"],
+  category: ["Tür", "Kategori", "Course Type"],
+  lecture: ["Teori", "Lec"],
+  tutorial: ["Tut"],
+  lab: ["Uygulama", "Practical"],
+  prerequisiteText: ["Önkoşul", "Ön Koşul", "Requisites"],
+  section: ["Şube", "Grup"],
+  days: ["Gün", "Günler"],
+  time: ["Saat", "Hour"],
+  room: ["Derslik", "Sınıf"],
+  instructor: ["Öğretim Elemanı", "Hoca", "Teacher", "Staff"],
+  quota: ["Kontenjan", "Cap", "Seats", "Max"],
+  enrolled: ["Kayıtlı", "Registered", "Taken", "Enrollment"],
+};
+
+// What the values of a column look like. Fields with a pattern here can
+// be proposed from their values alone, without a known header.
+const VALUE_PATTERNS = {
+  code: /^[A-Z]{2,5}\s?\d{3,4}[A-Z]?$/i,
+  grade: /^(?:[A-D][+-]?|[A-D][A-D]|F[FD]?|P|S|U|W|I|NG)$/i,
+  semester: /(?:19|20)\d{2}|fall|spring|summer|güz|bahar|yaz|^\d{1,2}$/i,
+  category: /^(?:AC|FC|UC|FE|AE|UE|CORE|ELECTIVE)$/i,
+  days: /^(?:MO|TU|WE|TH|FR|SA|SU|MON|TUE|WED|THU|FRI|[MTWRF]+)(?:[\s/,-]|$)/i,
+  time: /\d{1,2}[:.]\d{2}/,
+};
+const NUMBER_VALUE = /^\d+(?:[.,]\d+)?$/;
+const NUMBER_FIELDS = [
+  "lecture",
+  "tutorial",
+  "lab",
+  "totalCredit",
+  "credits",
+  "ects",
+  "gradePoints",
+];
+
+const isSpreadsheet = (filePath) =>
+  SPREADSHEET_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+// Sheets of a workbook, or the single sheet of a CSV file, as
+// [{ name, rows }] with rows as arrays of trimmed cell text. Empty rows
+// are kept so row numbers match the file.
+const readSpreadsheet = async (filePath) => {
+  const ext = path.extname(filePath).toLowerCase();
+  const clean = (rows) =>
+    rows.map((cells) =>
+      cells.map((cell) => (cell === null ? "" : String(cell).trim()))
+    );
+
+  if (ext === ".csv") {
+    const text = await fs.readFile(filePath, "utf8");
+    // Excel saves CSV files with a byte order mark
+    const { data, errors } = Papa.parse(text.replace(/^\uFEFF/, ""));
+    for (const error of errors) {
+      const row = error.row === undefined ? "" : ` row ${error.row + 1}`;
+      console.warn(`CSV${row}: ${error.message}`);
+    }
+    return [{ name: path.basename(filePath, ext), rows: clean(data) }];
+  }
+
+  const workbook = XLSX.readFile(filePath);
+  return workbook.SheetNames.map((name) => ({
+    name,
+    rows: clean(
+      XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+        header: 1,
+        defval: "",
+        raw: false,
+        blankrows: true,
+      })
+    ),
+  }));
+};
+
+// Index of the header row: the first row with at least two filled cells,
+// since exports often start with a title row
+const findHeaderRow = (rows) =>
+  Math.max(
+    0,
+    rows.findIndex((cells) => cells.filter(Boolean).length >= 2)
+  );
+
+const normalizeHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/\s+/g, " ");
+
+// Looser form for proposals: no accents, dots or dashes ("Ders Adı",
+// "ders adi" and "Ders-Adi." compare equal)
+const simplifyHeader = (header) =>
+  normalizeHeader(header)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/ı/g, "i")
+    .replace(/[.\-_/]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Map fields to column indexes. columns lists the accepted headers per
+// field, compared without case; the first header present wins.
+const mapColumns = (headers, columns) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  for (const [field, names] of Object.entries(columns || {})) {
+    for (const name of names) {
+      const index = normalized.indexOf(normalizeHeader(name));
+      if (index !== -1) {
+        mapping[field] = index;
+        break;
+      }
+    }
+  }
+  return mapping;
+};
+
+// Cell of a mapped field, undefined when the column is missing or empty
+const readCell = (cells, mapping, field) => {
+  const value = mapping[field] === undefined ? "" : cells[mapping[field]];
+  return value === undefined || value === "" ? undefined : value;
+};
+
+// How well a header names a field: 1 for a known header, 0.7 when a
+// known header is a whole word of it ("Course Code (new)"), else 0
+const scoreHeaderName = (header, names) => {
+  const simple = simplifyHeader(header);
+  if (!simple) return 0;
+
+  let score = 0;
+  for (const name of names.map(simplifyHeader)) {
+    if (name === simple) return 1;
+    if (name.length >= 3 && ` ${simple} `.includes(` ${name} `)) {
+      score = 0.7;
+    }
+  }
+  return score;
+};
+
+// Share of a column's filled sample cells that look like the field
+const scoreValues = (field, values) => {
+  const pattern = NUMBER_FIELDS.includes(field)
+    ? NUMBER_VALUE
+    : VALUE_PATTERNS[field];
+  const filled = values.filter(Boolean);
+  if (!pattern || filled.length === 0) return 0;
+  return filled.filter((value) => pattern.test(value)).length / filled.length;
+};
+
+// Propose a mapping for a header row no profile fully maps. Headers are
+// compared with the known headers of each field (knownColumns, plus
+// synonyms in other languages) and sample rows are checked for values
+// that look like the field. Each header maps to at most one field.
+// Returns { columns: { field: header }, confidence: { field: score },
+// missing, unmapped }.
+const proposeColumnMapping = (
+  documentType,
+  headers,
+  sampleRows,
+  knownColumns = {}
+) => {
+  const candidates = [];
+
+  for (const field of COLUMN_FIELDS[documentType] || []) {
+    const names = [
+      field,
+      ...(knownColumns[field] || []),
+      ...(HEADER_SYNONYMS[field] || []),
+    ];
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const nameScore = scoreHeaderName(header, names);
+      const valueScore = scoreValues(
+        field,
+        sampleRows.map((cells) => cells[index] || "")
+      );
+      // Fields without a value pattern are judged by name alone, and
+      // numbers fit too many fields to be proposed from values alone
+      const checkable =
+        NUMBER_FIELDS.includes(field) || Boolean(VALUE_PATTERNS[field]);
+      let score = 0;
+      if (nameScore && checkable) score = nameScore * 0.7 + valueScore * 0.3;
+      else if (nameScore) score = nameScore;
+      else if (VALUE_PATTERNS[field]) score = valueScore * 0.5;
+      if (score >= 0.3) candidates.push({ field, index, score });
+    });
+  }
+
+  // Best pairs first, each field and header used once
+  candidates.sort((a, b) => b.score - a.score);
+  const columns = {};
+  const confidence = {};
+  const used = new Set();
+  for (const { field, index, score } of candidates) {
+    if (field in columns || used.has(index)) continue;
+    columns[field] = headers[index];
+    confidence[field] = Math.round(score * 100) / 100;
+    used.add(index);
+  }
+
+  return {
+    columns,
+    confidence,
+    missing: (REQUIRED_COLUMNS[documentType] || []).filter(
+      (field) => !(field in columns)
+    ),
+    unmapped: headers.filter((header, index) => header && !used.has(index)),
+  };
+};
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  COLUMN_FIELDS,
+  REQUIRED_COLUMNS,
+  isSpreadsheet,
+  readSpreadsheet,
+  findHeaderRow,
+  mapColumns,
+  readCell,
+  proposeColumnMapping,
+};
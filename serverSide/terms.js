@@ -0,0 +1,94 @@
+// Academic terms. Transcript term headings such as "2022-2023 Fall",
+// "2022-2023 (Spring)", "Fall 2022" or "2023-2024 Güz" are read into
+// { label, startYear, season }, where startYear is the year the academic
+// year starts in: spring and summer of 2023 belong to 2022-2023.
+const SEASONS = {
+  fall: "Fall",
+  autumn: "Fall",
+  güz: "Fall",
+  guz: "Fall",
+  spring: "Spring",
+  bahar: "Spring",
+  summer: "Summer",
+  yaz: "Summer",
+};
+const SEASON_ORDER = ["Fall", "Spring", "Summer"];
+
+const SEASON = "(fall|autumn|spring|summer|güz|guz|bahar|yaz)";
+const YEARS = "((?:19|20)\\d{2})(?:\\s*[-/]\\s*(?:(?:19|20)?\\d{2}))?";
+const SUFFIX = "(?:\\s+(?:term|semester|dönemi|yarıyılı))?";
+// The whole cell or line must be the heading, so course titles mentioning
+// a season are never read as one
+const TERM_PATTERNS = [
+  // 2022-2023 Fall, 2022-2023 (Fall), 2022/23 Fall Term
+  {
+    pattern: new RegExp(
+      `^${YEARS}\\s*\\(?\\s*${SEASON}${SUFFIX}\\s*\\)?$`,
+      "i"
+    ),
+    year: 1,
+    season: 2,
+  },
+  // Fall 2022, Fall Semester 2022-2023
+  {
+    pattern: new RegExp(`^${SEASON}${SUFFIX}\\s*,?\\s*${YEARS}$`, "i"),
+    year: 2,
+    season: 1,
+  },
+];
+
+const formatTerm = (startYear, season) =>
+  `${startYear}-${startYear + 1} ${season}`;
+
+// Term of a heading, or null when the text is not one. A single year
+// ("Spring 2023") is the calendar year, a range ("2022-2023 Spring") the
+// academic year.
+const parseTerm = (text) => {
+  const value = String(text || "").trim();
+  for (const { pattern, year, season: seasonGroup } of TERM_PATTERNS) {
+    const match = value.match(pattern);
+    if (!match) continue;
+
+    const season = SEASONS[match[seasonGroup].toLowerCase()];
+    const isRange = /\d\s*[-/]\s*\d/.test(value);
+    let startYear = parseInt(match[year]);
+    if (!isRange && season !== "Fall") startYear--;
+    return { label: formatTerm(startYear, season), startYear, season };
+  }
+  return null;
+};
+
+// Position of a term in time, for sorting
+const termIndex = (term) =>
+  term.startYear * SEASON_ORDER.length + SEASON_ORDER.indexOf(term.season);
+
+const compareTerms = (a, b) => termIndex(a) - termIndex(b);
+
+// Items in the order of their terms, read with getTerm(item). Items
+// without a recognised term keep their place in the original order; the
+// others are sorted into the remaining places.
+const sortByTerm = (items, getTerm) => {
+  const terms = items.map((item) => parseTerm(getTerm(item)));
+  const dated = items
+    .map((item, index) => ({ item, term: terms[index] }))
+    .filter(({ term }) => term)
+    .sort((a, b) => compareTerms(a.term, b.term));
+
+  let next = 0;
+  return items.map((item, index) => (terms[index] ? dated[next++].item : item));
+};
+
+// The regular term after a term; summer schools are skipped
+const nextRegularTerm = (term) => {
+  const startYear =
+    term.season === "Fall" ? term.startYear : term.startYear + 1;
+  const season = term.season === "Fall" ? "Spring" : "Fall";
+  return { label: formatTerm(startYear, season), startYear, season };
+};
+
+module.exports = {
+  parseTerm,
+  compareTerms,
+  sortByTerm,
+  nextRegularTerm,
+};
@@ -0,0 +1,116 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const config = require("./config");
+const { classifyStanding, applyStandingLimits } = require("./academicStanding");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const standingOf = (facts) => {
+  const standing = classifyStanding(config.academicStanding, {
+    termGPA: null,
+    lastTerm: null,
+    completedTerms: 4,
+    ...facts,
+  });
+  return [standing.id, standing.reason];
+};
+
+async function testAcademicStanding() {
+  console.log("=== Checking academic standing ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nRules:");
+    check(
+      "the first rule that holds decides, with the reason",
+      [
+        standingOf({ cgpa: 1.8 }),
+        standingOf({ cgpa: 3.6 }),
+        standingOf({ cgpa: 3.2 }),
+        standingOf({ cgpa: 2.5 }),
+      ],
+      [
+        ["probation", "CGPA 1.8 is below 2.00"],
+        ["highHonour", "CGPA 3.6 is at least 3.50"],
+        ["honour", "CGPA 3.2 is at least 3.00"],
+        ["good", "CGPA 2.5 meets no probation or honour rule"],
+      ]
+    );
+    check(
+      "new students are not put on probation",
+      [
+        standingOf({ cgpa: 1.8, completedTerms: 1 }),
+        standingOf({ cgpa: null, completedTerms: 0 }),
+      ],
+      [
+        ["good", "CGPA 1.8 meets no probation or honour rule"],
+        ["good", "No graded courses yet"],
+      ]
+    );
+    check(
+      "term GPA conditions name the term",
+      classifyStanding(
+        { rules: [{ id: "warning", termGPABelow: 1.5 }], default: {} },
+        { cgpa: 2.1, termGPA: 1.2, lastTerm: "2024-2025 Fall" }
+      ).reason,
+      "2024-2025 Fall GPA 1.2 is below 1.50"
+    );
+
+    console.log("\nLimits:");
+    const limits = { maxECTS: 35, maxContactHours: 30 };
+    check(
+      "standings cap or raise the load limits",
+      [
+        applyStandingLimits(limits, { maxECTS: 24 }),
+        applyStandingLimits(limits, { overloadECTS: 10 }),
+        applyStandingLimits(limits, {}),
+      ],
+      [
+        { maxECTS: 24, maxContactHours: 30 },
+        { maxECTS: 45, maxContactHours: 30 },
+        limits,
+      ]
+    );
+
+    console.log("\nSample transcript:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const good = await quietly(() => sample.getAcademicStanding());
+    check(
+      "the sample student is in good standing",
+      [good.id, good.cgpa, good.termGPA, good.limits],
+      ["good", 2.46, 3.04, limits]
+    );
+
+    const strict = new CourseAdvisorSystem({
+      academicStanding: {
+        ...config.academicStanding,
+        rules: [{ ...config.academicStanding.rules[0], cgpaBelow: 2.5 }],
+      },
+    });
+    await parseSampleDocuments(strict);
+    const probation = await quietly(() => strict.getAcademicStanding());
+    check(
+      "probation lowers the limits and puts retakes first",
+      [
+        probation.id,
+        probation.retakeFirst,
+        probation.overloadAllowed,
+        probation.limits.maxECTS,
+      ],
+      ["probation", true, false, 24]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testAcademicStanding()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,100 @@
+const XLSX = require("xlsx");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+async function testAdvisingReport() {
+  console.log("=== Checking the advising report export ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    const advisor = await parseSampleDocuments(new CourseAdvisorSystem());
+    // The PDF embeds fonts covering names outside Latin-1
+    advisor.studentInfo.name = "Ayşe Yılmaz Çağ";
+    const exportAs = (format) =>
+      quietly(() => advisor.exportAdvisingReport(format));
+
+    console.log("\nCSV:");
+    const csv = await exportAs("csv");
+    const lines = csv.body.split("\r\n");
+    check(
+      "the summary lists the student and progress",
+      [
+        csv.contentType,
+        lines.includes("Name,Ayşe Yılmaz Çağ"),
+        lines.includes("CGPA,2.46"),
+        lines.includes("Total ECTS,177"),
+      ],
+      ["text/csv", true, true, true]
+    );
+    check(
+      "each section starts with its name after a blank row",
+      ["Category Progress", "Graduation Audit", "Proposed Registration"].map(
+        (name) => lines[lines.indexOf(name) - 1]
+      ),
+      ["", "", ""]
+    );
+    check(
+      "the graduation audit names what is missing",
+      lines.includes("At least 240 ECTS,Not met,177 / 240 ECTS,63,"),
+      true
+    );
+
+    console.log("\nXLSX:");
+    const xlsx = await exportAs("xlsx");
+    const workbook = XLSX.read(xlsx.body);
+    check(
+      "one sheet per recommendation bucket after the summary",
+      workbook.SheetNames,
+      [
+        "Summary",
+        "Proposed Registration",
+        "Recommended Courses",
+        "Electives",
+        "Retake Suggestions",
+        "Missed Courses",
+        "Blocked Courses",
+        "Future Courses",
+      ]
+    );
+    const retakes = XLSX.utils.sheet_to_json(
+      workbook.Sheets["Retake Suggestions"],
+      { header: 1 }
+    );
+    check(
+      "retake suggestions are listed by code",
+      retakes.slice(1).map((row) => row[0]),
+      ["MATH122", "MATH225", "CMPE321", "BUSN101", "TURK131"]
+    );
+
+    console.log("\nPDF:");
+    const pdf = await exportAs("pdf");
+    check(
+      "the PDF is rendered",
+      [pdf.contentType, pdf.extension, pdf.body.subarray(0, 5).toString()],
+      ["application/pdf", "pdf", "%PDF-"]
+    );
+
+    let error = null;
+    try {
+      await exportAs("doc");
+    } catch (caught) {
+      error = caught.message;
+    }
+    check("unknown formats are refused", error, "Unknown report format: doc");
+  } finally {
+    cleanUp();
+  }
+}
+
+testAdvisingReport()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
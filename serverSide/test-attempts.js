@@ -0,0 +1,125 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const attempt = (grade, semester) => ({
+  code: "CMPE101",
+  title: "Programming",
+  grade,
+  credits: 4,
+  ects: 6,
+  semester,
+  passed: !/^F|^W/.test(grade),
+});
+
+async function testAttempts() {
+  console.log("=== Checking attempt histories of repeated courses ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nPass status:");
+    const advisor = new CourseAdvisorSystem();
+    check(
+      "a (rst) marker does not change whether the grade passes",
+      ["D (rst)", "C (rst)", "F (rst)", "F", "W"].map((grade) =>
+        advisor.isPassingGrade(grade)
+      ),
+      [true, true, false, false, false]
+    );
+
+    console.log("\nCounting attempt:");
+    // Printed out of order: the later term's attempt comes first
+    const attempts = [
+      attempt("D", "2023-2024 Fall"),
+      attempt("B", "2022-2023 Fall"),
+      attempt("F (rst)", "2022-2023 Spring"),
+    ];
+    const latest = advisor.buildCourseRecord(attempts);
+    check(
+      "attempts are numbered in term order",
+      latest.attempts.map((a) => [a.attempt, a.semester, a.retakeMarked]),
+      [
+        [1, "2022-2023 Fall", false],
+        [2, "2022-2023 Spring", true],
+        [3, "2023-2024 Fall", false],
+      ]
+    );
+    check(
+      "the latest attempt counts by default",
+      [latest.grade, latest.attempts.map((a) => a.counts)],
+      ["D", [false, false, true]]
+    );
+    check(
+      "the best attempt counts with attemptPolicy: best",
+      new CourseAdvisorSystem({ attemptPolicy: "best" }).buildCourseRecord(
+        attempts
+      ).grade,
+      "B"
+    );
+    check(
+      "attemptPolicy can be a function",
+      new CourseAdvisorSystem({
+        attemptPolicy: (history) => history[0],
+      }).buildCourseRecord(attempts).grade,
+      "B"
+    );
+
+    console.log("\nSample transcript:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const passed = (code) => sample.completedCourses.get(code).passed;
+    check(
+      "retaken courses marked (rst) are passed",
+      [passed("MATH122"), passed("PHYS122")],
+      [true, true]
+    );
+    check(
+      "PHYS121 keeps both attempts and the later one counts",
+      sample.completedCourses
+        .get("PHYS121")
+        .attempts.map((a) => [a.semester, a.grade, a.counts]),
+      [
+        ["2022-2023 Fall", "F (rst)", false],
+        ["2022-2023 Spring", "C", true],
+      ]
+    );
+    check(
+      "low passing grades are suggested for a retake",
+      sample
+        .getRetakeSuggestions()
+        .map((suggestion) => [suggestion.code, suggestion.mandatory]),
+      [
+        ["MATH122", false],
+        ["MATH225", false],
+        ["CMPE321", false],
+        ["BUSN101", false],
+        ["TURK131", false],
+      ]
+    );
+
+    await quietly(() => sample.saveParsedData("sample"));
+    const firstAttempt = new CourseAdvisorSystem({
+      attemptPolicy: (history) => history[0],
+    });
+    await quietly(() => firstAttempt.loadParsedData("sample"));
+    const reloaded = firstAttempt.completedCourses.get("PHYS121");
+    check(
+      "a stored profile is loaded under the current attempt policy",
+      [reloaded.grade, reloaded.passed],
+      ["F (rst)", false]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testAttempts()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
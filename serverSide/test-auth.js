@@ -0,0 +1,193 @@
+const http = require("http");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const UserStore = require("./UserStore");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+  startServer,
+} = require("./test-helpers");
+
+// fetch refuses a body on GET requests, which curl and other clients send
+const getWithBody = (server, url, token, body) =>
+  new Promise((resolve, reject) => {
+    const text = JSON.stringify(body);
+    const request = http.request(
+      server.baseUrl + url,
+      {
+        method: "GET",
+        headers: {
+          authorization: `Bearer ${token}`,
+          "content-type": "application/json",
+          "content-length": Buffer.byteLength(text),
+        },
+      },
+      (response) => {
+        let received = "";
+        response.on("data", (chunk) => (received += chunk));
+        response.on("end", () =>
+          resolve({ status: response.statusCode, body: JSON.parse(received) })
+        );
+      }
+    );
+    request.on("error", reject);
+    request.end(text);
+  });
+
+async function testAuth() {
+  console.log("=== Checking accounts, roles and profile access ===");
+  const cleanUp = useScratchDirectory();
+  let server = null;
+
+  try {
+    const advisor = await parseSampleDocuments(new CourseAdvisorSystem());
+    await quietly(async () => {
+      await advisor.saveParsedData("alice");
+      await advisor.saveParsedData("bob");
+    });
+    const users = new UserStore();
+    await users.create({
+      username: "alice",
+      password: "alice-password",
+      role: "student",
+      profileId: "alice",
+    });
+    await users.create({
+      username: "smith",
+      password: "advisor-password",
+      role: "advisor",
+      students: ["alice"],
+    });
+    await users.create({
+      username: "root",
+      password: "admin-password",
+      role: "admin",
+    });
+    server = await startServer();
+    const send = (method, url, token, body) =>
+      quietly(() => server.request(method, url, { token, body }));
+    const statusOf = async (method, url, token, body) =>
+      (await send(method, url, token, body)).status;
+
+    console.log("\nSessions:");
+    check(
+      "requests need a session and a correct password",
+      [
+        await statusOf("GET", "/api/profiles"),
+        await statusOf("POST", "/api/auth/login", undefined, {
+          username: "alice",
+          password: "wrong-password",
+        }),
+      ],
+      [401, 401]
+    );
+    const alice = await server.signIn("alice", "alice-password");
+    const smith = await server.signIn("smith", "advisor-password");
+    const root = await server.signIn("root", "admin-password");
+
+    console.log("\nRoles:");
+    check(
+      "accounts and plan reviews are limited to their roles",
+      [
+        await statusOf("GET", "/api/users", alice),
+        await statusOf("GET", "/api/users", smith),
+        await statusOf("GET", "/api/users", root),
+        await statusOf("POST", "/api/plans/unknown/review", alice, {
+          decision: "approve",
+        }),
+      ],
+      [403, 403, 200, 403]
+    );
+
+    console.log("\nProfiles:");
+    check(
+      "students and advisors only reach their own profiles",
+      [
+        await statusOf("GET", "/api/profiles/alice", alice),
+        await statusOf("GET", "/api/profiles/bob", alice),
+        await statusOf("GET", "/api/parsed-data?profileId=bob", smith),
+        await statusOf("GET", "/api/prerequisite-graph?profileId=bob", alice),
+        await statusOf("GET", "/api/parsed-data?profileId=bob", root),
+      ],
+      [200, 403, 403, 403, 200]
+    );
+    check(
+      "profile lists only show the profiles the account can see",
+      (await send("GET", "/api/profiles", alice)).body.profiles.map(
+        (profile) => profile.profileId
+      ),
+      ["alice"]
+    );
+
+    // The access check and the handler must read the same profile: naming
+    // one the account may see in the body and another in the query must
+    // not return the other one
+    const mixed = await quietly(() =>
+      getWithBody(server, "/api/parsed-data?profileId=bob", alice, {
+        profileId: "alice",
+      })
+    );
+    check(
+      "a profile named differently in the body and query is refused",
+      [
+        mixed.status,
+        mixed.body.message,
+        (
+          await quietly(() =>
+            getWithBody(
+              server,
+              "/api/prerequisite-graph?profileId=bob",
+              alice,
+              {
+                profileId: "alice",
+              }
+            )
+          )
+        ).status,
+        await statusOf("POST", "/api/what-if?profileId=bob", alice, {
+          profileId: "alice",
+          grades: {},
+        }),
+        await statusOf(
+          "DELETE",
+          "/api/waitlists/SFWE403/01/alice?profileId=bob",
+          alice
+        ),
+      ],
+      [400, "The path, body and query name different profiles", 400, 400, 400]
+    );
+    check(
+      "the same profile may be named more than once",
+      await statusOf("GET", "/api/profiles/alice?profileId=alice", alice),
+      200
+    );
+
+    console.log("\nCorrections:");
+    const url = "/api/profiles/alice/transcript/MATH122";
+    check(
+      "only advisors and admins correct parsed records",
+      [
+        await statusOf("PUT", url, alice, { grade: "A" }),
+        await statusOf("POST", "/api/profiles/alice/transcript", alice, {}),
+        await statusOf("DELETE", url, alice),
+        await statusOf("PUT", url, smith, { grade: "A" }),
+        await statusOf("PUT", "/api/profiles/bob/transcript/MATH122", smith, {
+          grade: "A",
+        }),
+      ],
+      [403, 403, 403, 200, 403]
+    );
+  } finally {
+    if (server) await server.close();
+    cleanUp();
+  }
+}
+
+testAuth()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,168 @@
+const XLSX = require("xlsx");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const ColumnMappingStore = require("./ColumnMappingStore");
+const { proposeColumnMapping } = require("./spreadsheets");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+} = require("./test-helpers");
+
+const TURKISH_ROWS = [
+  ["Ders Kodu", "Ders Adı", "Harf Notu", "Kredi", "AKTS", "Dönem"],
+  ["CMPE101", "Programlama", "BB", "3", "6", "2024 Güz"],
+  ["MATH101", "Kalkülüs", "CC", "4", "6", "2024 Güz"],
+];
+
+// An older sheet first, then this year's sheet under a title row
+const writeWorkbook = (filePath) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ["Eski"],
+      ["Ders Kodu", "Harf Notu"],
+      ["PHYS101", "FF"],
+    ]),
+    "2023"
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["Öğrenci Transkripti", ""], ...TURKISH_ROWS]),
+    "2024"
+  );
+  XLSX.writeFile(workbook, filePath);
+};
+
+async function testColumnMappings() {
+  console.log("=== Checking column-mapping presets ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nProposals:");
+    check(
+      "headers in other languages are proposed from synonyms and values",
+      proposeColumnMapping(
+        "transcript",
+        [...TURKISH_ROWS[0], "Notlar"],
+        TURKISH_ROWS.slice(1)
+      ),
+      {
+        columns: {
+          code: "Ders Kodu",
+          title: "Ders Adı",
+          grade: "Harf Notu",
+          credits: "Kredi",
+          ects: "AKTS",
+          semester: "Dönem",
+        },
+        confidence: {
+          code: 1,
+          title: 1,
+          grade: 1,
+          credits: 1,
+          ects: 1,
+          semester: 1,
+        },
+        missing: [],
+        unmapped: ["Notlar"],
+      }
+    );
+
+    console.log("\nPresets:");
+    const store = new ColumnMappingStore();
+    const added = await store.add({
+      name: "Turkish transcript",
+      documentType: "transcript",
+      columns: {
+        code: "Ders Kodu",
+        title: "Ders Adı",
+        grade: "Harf Notu",
+        credits: "Kredi",
+        ects: "AKTS",
+        semester: "Dönem",
+      },
+      sheets: ["2024"],
+      headerRow: 2,
+    });
+    check(
+      "a single header is stored as a list",
+      [added.success, added.columnMapping.columns.code],
+      [true, ["Ders Kodu"]]
+    );
+    const refused = await Promise.all([
+      store.add({
+        name: "turkish TRANSCRIPT",
+        documentType: "transcript",
+        columns: { code: "Kod" },
+      }),
+      store.add({
+        name: "Rooms",
+        documentType: "transcript",
+        columns: { room: "Derslik" },
+      }),
+      store.add({
+        name: "Row zero",
+        documentType: "transcript",
+        columns: { code: "Kod" },
+        headerRow: 0,
+      }),
+    ]);
+    check(
+      "names are unique and fields and header rows are checked",
+      refused.map((result) => result.message),
+      [
+        "A column mapping named turkish TRANSCRIPT already exists",
+        "Unknown transcript field room; use: code, title, grade, credits, ects, gradePoints, semester",
+        "headerRow must be a whole number from 1",
+      ]
+    );
+
+    console.log("\nImports:");
+    writeWorkbook("transcript.xlsx");
+    const advisor = new CourseAdvisorSystem({
+      columnMappings: { transcript: added.columnMapping },
+    });
+    await quietly(() => advisor.parseTranscript("transcript.xlsx"));
+    check(
+      "a preset picks the sheet, header row and columns",
+      Array.from(advisor.completedCourses.values()).map((c) => [
+        c.code,
+        c.grade,
+        c.semester,
+      ]),
+      [
+        ["CMPE101", "BB", "2024-2025 Fall"],
+        ["MATH101", "CC", "2024-2025 Fall"],
+      ]
+    );
+
+    let error = null;
+    try {
+      await quietly(() =>
+        new CourseAdvisorSystem().parseTranscript("transcript.xlsx")
+      );
+    } catch (caught) {
+      error = caught;
+    }
+    check(
+      "without a preset the error proposes a mapping for the best sheet",
+      [
+        error.columnMappingProposal.sheet,
+        error.columnMappingProposal.headerRow,
+        error.columnMappingProposal.columns.grade,
+      ],
+      ["2024", 2, "Harf Notu"]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testColumnMappings()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
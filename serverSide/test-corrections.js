@@ -0,0 +1,182 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const UserStore = require("./UserStore");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+  startServer,
+} = require("./test-helpers");
+
+async function testCorrections() {
+  console.log("=== Checking corrections of parsed data ===");
+  const cleanUp = useScratchDirectory();
+  let server = null;
+
+  try {
+    console.log("\nCorrecting records:");
+    const advisor = await parseSampleDocuments(new CourseAdvisorSystem());
+    const correct = (method, ...args) =>
+      quietly(() => advisor[method](...args));
+
+    check(
+      "grades off the grade scale are refused",
+      await correct("updateParsedRecord", "transcript", "MATH122", {
+        grade: "Z",
+      }),
+      { success: false, message: "Unknown grade: Z" }
+    );
+    const regraded = await correct(
+      "updateParsedRecord",
+      "transcript",
+      "math 122",
+      { grade: "A" }
+    );
+    check(
+      "a corrected grade counts in the CGPA",
+      [regraded.record.grade, advisor.calculateGPA().cgpa],
+      ["A", 2.57]
+    );
+
+    const rewritten = await correct(
+      "updateParsedRecord",
+      "curriculum",
+      "CMPE252",
+      { prerequisiteText: "CMPE215 or CMPE216" }
+    );
+    check(
+      "corrected prerequisite text is parsed again",
+      [rewritten.record.prerequisites, rewritten.record.requisites.type],
+      [["CMPE215", "CMPE216"], "or"]
+    );
+    check(
+      "duplicates and missing records are refused",
+      [
+        await correct("addParsedRecord", "curriculum", {
+          code: "CMPE215",
+          title: "Duplicate",
+          semester: 3,
+          category: "AC",
+        }),
+        await correct("deleteParsedRecord", "availableCourses", "XYZ101"),
+      ],
+      [
+        { success: false, message: "CMPE215 is already in curriculum" },
+        {
+          success: false,
+          notFound: true,
+          message: "XYZ101 not found in availableCourses",
+        },
+      ]
+    );
+
+    await correct("deleteParsedRecord", "transcript", "PHYS121", 1);
+    check(
+      "a single attempt can be removed",
+      advisor.completedCourses
+        .get("PHYS121")
+        .attempts.map((attempt) => attempt.grade),
+      ["C"]
+    );
+    check(
+      "corrections are logged and clear the diagnostics flags",
+      [
+        advisor.corrections.map((c) => [c.section, c.action, c.code]),
+        advisor.diagnostics.transcript.records
+          .filter((record) => record.corrected)
+          .map((record) => record.code),
+      ],
+      [
+        [
+          ["transcript", "update", "MATH122"],
+          ["curriculum", "update", "CMPE252"],
+          ["transcript", "delete", "PHYS121"],
+        ],
+        ["PHYS121", "MATH122", "PHYS121"],
+      ]
+    );
+
+    console.log("\nCorrection endpoints:");
+    await quietly(() => advisor.saveParsedData("sample"));
+    await new UserStore().create({
+      username: "advisor",
+      password: "advisor-password",
+      role: "advisor",
+      students: ["sample"],
+    });
+    server = await startServer();
+    const token = await server.signIn("advisor", "advisor-password");
+    const url = "/api/profiles/sample/transcript/SFWE403";
+
+    const added = await quietly(() =>
+      server.request("POST", "/api/profiles/sample/transcript", {
+        token,
+        body: {
+          code: "SFWE403",
+          title: "Software Design",
+          grade: "B",
+          credits: 3,
+          ects: 6,
+          semester: "2025-2026 Fall",
+        },
+      })
+    );
+    const updated = await quietly(() =>
+      server.request("PUT", `${url}?attempt=1`, { token, body: { grade: "A" } })
+    );
+    check(
+      "records are added and corrected on the stored profile",
+      [added.status, updated.status, updated.body.record.grade],
+      [201, 200, "A"]
+    );
+    check(
+      "bad sections and attempts are refused",
+      [
+        (
+          await server.request("PUT", "/api/profiles/sample/grades/SFWE403", {
+            token,
+            body: {},
+          })
+        ).status,
+        (await server.request("PUT", `${url}?attempt=0`, { token, body: {} }))
+          .status,
+        (
+          await quietly(() =>
+            server.request("DELETE", `${url}?attempt=2`, { token })
+          )
+        ).status,
+      ],
+      [400, 400, 404]
+    );
+
+    await quietly(() => server.request("DELETE", url, { token }));
+    const stored = new CourseAdvisorSystem();
+    await quietly(() => stored.loadParsedData("sample"));
+    check(
+      "the profile is saved after each correction",
+      [
+        stored.completedCourses.has("SFWE403"),
+        stored.corrections.map((c) => [c.action, c.code]).slice(-3),
+      ],
+      [
+        false,
+        [
+          ["add", "SFWE403"],
+          ["update", "SFWE403"],
+          ["delete", "SFWE403"],
+        ],
+      ]
+    );
+  } finally {
+    if (server) await server.close();
+    cleanUp();
+  }
+}
+
+testCorrections()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
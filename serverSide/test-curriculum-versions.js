@@ -0,0 +1,122 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const CurriculumStore = require("./CurriculumStore");
+const ProfileStore = require("./ProfileStore");
+const {
+  SAMPLE_DOCUMENTS,
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+} = require("./test-helpers");
+
+async function testCurriculumVersions() {
+  console.log("=== Checking curriculum versions ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nVersions:");
+    check(
+      "ids are derived from the program and catalog year",
+      CurriculumStore.createId("Yazılım Mühendisliği", "2021-2022"),
+      "yazilim-muhendisligi-2021-2022"
+    );
+    check(
+      "fields are checked",
+      [
+        CurriculumStore.validate({ catalogYear: "2021" }),
+        CurriculumStore.validate({ program: "SE", catalogYear: "21/22" }),
+        CurriculumStore.validate({ program: "---", catalogYear: "2021" }),
+      ],
+      [
+        "program is required",
+        "catalogYear must be a year such as 2021 or 2021-2022",
+        "program must contain letters or digits",
+      ]
+    );
+
+    const parser = new CourseAdvisorSystem();
+    const fields = { program: "Software Engineering", catalogYear: "2021" };
+    const saved = await quietly(() =>
+      parser.saveCurriculumVersion(SAMPLE_DOCUMENTS.curriculum, fields)
+    );
+    const duplicate = await quietly(() =>
+      parser.saveCurriculumVersion(SAMPLE_DOCUMENTS.curriculum, fields)
+    );
+    check(
+      "a parsed curriculum is stored once per program and year",
+      [saved.success, saved.curriculumVersion.id, duplicate.message],
+      [
+        true,
+        "software-engineering-2021",
+        "Curriculum version software-engineering-2021 already exists; upload to PUT /api/curricula/software-engineering-2021 to replace it",
+      ]
+    );
+    const store = new CurriculumStore();
+    check(
+      "versions are listed without their courses",
+      (await store.list()).map((version) => [
+        version.id,
+        version.courses,
+        version.electiveSlots,
+      ]),
+      [["software-engineering-2021", 37, 12]]
+    );
+
+    console.log("\nProfiles following a version:");
+    const advisor = new CourseAdvisorSystem();
+    await quietly(async () => {
+      await advisor.useCurriculumVersion("software-engineering-2021");
+      await advisor.parseTranscript(SAMPLE_DOCUMENTS.transcript);
+      await advisor.saveParsedData("sample");
+    });
+    const stored = await new ProfileStore().load("sample");
+    check(
+      "the profile stores a reference instead of the courses",
+      [stored.curriculumVersion, "curriculum" in stored],
+      ["software-engineering-2021", false]
+    );
+
+    // A correction to the version reaches every profile following it
+    const version = await store.get("software-engineering-2021");
+    const replaced = await store.replace("software-engineering-2021", {
+      ...version,
+      program: "Ignored",
+      curriculum: version.curriculum.filter((c) => c.code !== "SFWE403"),
+    });
+    const reloaded = new CourseAdvisorSystem();
+    await quietly(() => reloaded.loadParsedData("sample"));
+    check(
+      "profiles load the current courses of their version",
+      [
+        replaced.curriculumVersion.program,
+        reloaded.curriculum.length,
+        reloaded.curriculum.some((c) => c.code === "SFWE403"),
+      ],
+      ["Software Engineering", 36, false]
+    );
+
+    check(
+      "a missing version cannot be used or replaced",
+      [
+        await quietly(() => reloaded.useCurriculumVersion("unknown-2020")),
+        (await store.replace("unknown-2020", {})).notFound,
+      ],
+      [false, true]
+    );
+    await store.delete("software-engineering-2021");
+    check(
+      "profiles of a deleted version no longer load",
+      await quietly(() => new CourseAdvisorSystem().loadParsedData("sample")),
+      false
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testCurriculumVersions()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
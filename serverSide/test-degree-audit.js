@@ -0,0 +1,142 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const { runDegreeAudit } = require("./degreeAudit");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const FACTS = {
+  courses: [
+    { code: "CMPE101", category: "AC", ects: 7.5, credits: 4 },
+    { code: "SFWE412", category: "AE", ects: 5.5, credits: 3 },
+    { code: "SFWE300", category: "AC", ects: 0, credits: 0 },
+  ],
+  passedCodes: new Set(["CMPE101", "SFWE412", "SFWE300"]),
+  curriculum: [
+    { code: "CMPE101", category: "AC" },
+    { code: "MATH101", category: "FC" },
+  ],
+  electiveSlots: [
+    { id: "SFWEXX1", category: "AE", filledBy: { code: "SFWE412" } },
+    { id: "UNIEXX1", category: "UE", filledBy: null },
+  ],
+  cgpa: 2.0,
+};
+
+async function testDegreeAudit() {
+  console.log("=== Checking the degree audit ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nRequirement types:");
+    const audit = runDegreeAudit(
+      [
+        { type: "totalECTS", min: 13 },
+        { type: "categoryECTS", category: "AE", min: 6 },
+        { type: "categoryCourses" },
+        { id: "internship", type: "courses", codes: ["SFWE300"] },
+        { type: "electiveSlots", category: "AE" },
+        { type: "cgpa", min: 2.0 },
+        { type: "thesis" },
+      ],
+      FACTS
+    );
+    check(
+      "each requirement is checked with its gap",
+      audit.requirements.map((r) => [r.id, r.passed, r.remaining]),
+      [
+        ["totalECTS", true, 0],
+        ["categoryECTS-AE", false, 0.5],
+        ["categoryCourses", false, 1],
+        ["internship", true, 0],
+        ["electiveSlots-AE", true, 0],
+        ["cgpa", true, 0],
+        ["thesis", false, undefined],
+      ]
+    );
+    check(
+      "names are derived from the type",
+      audit.requirements.slice(0, 3).map((r) => r.name),
+      [
+        "At least 13 ECTS",
+        "At least 6 ECTS of AE courses",
+        "All required courses",
+      ]
+    );
+    check(
+      "missing courses and unknown types are reported",
+      [
+        audit.requirements[2].missing,
+        audit.requirements[6].error.startsWith(
+          "Unknown requirement type thesis"
+        ),
+        [audit.eligible, audit.passed, audit.total],
+      ],
+      [["MATH101"], true, [false, 4, 7]]
+    );
+    check(
+      "a part of the named courses can be enough",
+      runDegreeAudit(
+        [{ type: "courses", codes: ["SFWE300", "SFWE301"], min: 1 }],
+        FACTS
+      ).requirements[0],
+      {
+        id: "courses",
+        name: "1 of SFWE300, SFWE301",
+        type: "courses",
+        passed: true,
+        required: 1,
+        actual: 1,
+        remaining: 0,
+        unit: "courses",
+        missing: [],
+      }
+    );
+
+    console.log("\nSample documents:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const sampleAudit = await quietly(() => sample.getDegreeAudit());
+    check(
+      "the sample student is not yet eligible to graduate",
+      sampleAudit.requirements.map((r) => [
+        r.id,
+        r.passed,
+        r.actual,
+        r.required,
+      ]),
+      [
+        ["totalECTS", false, 177, 240],
+        ["requiredCourses", false, 28, 37],
+        ["electiveSlots", false, 7, 12],
+        ["cgpa", true, 2.46, 2],
+      ]
+    );
+    check(
+      "missing required courses are listed",
+      sampleAudit.requirements[1].missing,
+      [
+        "ELEE211",
+        "ENGR215",
+        "SFWE344",
+        "SFWE403",
+        "ENGR401",
+        "SFWE415",
+        "SFWE411",
+        "ENGR402",
+        "ENGR404",
+      ]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testDegreeAudit()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,134 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  createDiagnostics,
+  countLine,
+  getRuleDefaults,
+  addRecord,
+  addUnmatched,
+  finishDiagnostics,
+} = require("./parseDiagnostics");
+const {
+  check,
+  finish,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+async function testDiagnostics() {
+  console.log("=== Checking parse diagnostics ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nCollecting:");
+    const diagnostics = createDiagnostics("curriculum", "generic");
+    const lines = [
+      "Semester 1",
+      "CMPE101 Programming AC 3 1 0 3 - 6",
+      "MATH101 Calculus",
+      "PHYS101,",
+    ];
+    lines.forEach((line) => countLine(diagnostics, line));
+    addRecord(diagnostics, {
+      record: { code: "CMPE101", ects: 6 },
+      source: { line: lines[1], lineNumber: 2 },
+      pattern: "full-row",
+      confidence: 1,
+    });
+    addRecord(diagnostics, {
+      record: { code: "MATH101", ects: 0 },
+      source: { line: lines[2], lineNumber: 3 },
+      pattern: "code-title",
+      confidence: 0.4,
+      defaults: getRuleDefaults({ defaults: ["ects"] }),
+    });
+    addUnmatched(diagnostics, lines[3], 4, "no pattern matched");
+    addUnmatched(diagnostics, lines[0], 1, "no pattern matched");
+    finishDiagnostics(diagnostics, 0.7);
+
+    check(
+      "course-like lines are counted and unread ones listed",
+      [
+        diagnostics.totalLines,
+        diagnostics.courseLines,
+        diagnostics.unmatchedLines,
+      ],
+      [
+        4,
+        3,
+        [{ lineNumber: 4, line: "PHYS101,", reason: "no pattern matched" }],
+      ]
+    );
+    check(
+      "defaulted fields name the record, value and line",
+      diagnostics.defaultedFields,
+      [{ code: "MATH101", field: "ects", value: 0, lineNumber: 3 }]
+    );
+    check(
+      "unread lines count as 0 in the document confidence",
+      [
+        diagnostics.confidence,
+        diagnostics.lowConfidenceRecords,
+        diagnostics.records.map((record) => record.lowConfidence),
+      ],
+      [0.47, 1, [false, true]]
+    );
+    check(
+      "rule defaults can depend on the match",
+      getRuleDefaults({ defaults: (match) => (match[2] ? [] : ["title"]) }, [
+        "CMPE101",
+        "CMPE101",
+      ]),
+      ["title"]
+    );
+
+    console.log("\nSample documents:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const { curriculum, transcript, availableCourses } = sample.diagnostics;
+    check(
+      "every transcript row is read with full confidence",
+      [
+        transcript.profile,
+        transcript.records.length,
+        transcript.confidence,
+        transcript.unmatchedLines.length,
+      ],
+      ["grade-suffix", 39, 1, 0]
+    );
+    check("records keep their source line", curriculum.records[0], {
+      code: "MATH123",
+      line: "1 MATH123 DISCRETE MATHEMATICS FC 3 1 0 3 - 5",
+      lineNumber: 16,
+      pattern: "code-title-category-hours-prerequisites-ects",
+      confidence: 1,
+      defaults: [],
+      lowConfidence: false,
+    });
+    check(
+      "curriculum lines no rule reads are reported",
+      [
+        curriculum.confidence,
+        curriculum.unmatchedLines.length,
+        curriculum.unmatchedLines[0],
+      ],
+      [
+        0.82,
+        9,
+        { lineNumber: 36, line: "MATH124,", reason: "no pattern matched" },
+      ]
+    );
+    check(
+      "document tables are recorded by table",
+      [availableCourses.records.length, availableCourses.records[0].table],
+      [53, 1]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testDiagnostics()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
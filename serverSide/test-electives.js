@@ -0,0 +1,135 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  slotPatternFromCode,
+  courseFitsSlot,
+  assignElectiveSlots,
+  summarizeSlots,
+} = require("./electives");
+const {
+  check,
+  finish,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+async function testElectives() {
+  console.log("=== Checking elective slots ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nSlot patterns:");
+    const pattern = (code) => new RegExp(slotPatternFromCode(code));
+    check(
+      "a fixed level limits the subject and level",
+      [
+        pattern("SFWE4XX").test("SFWE412"),
+        pattern("SFWE4XX").test("SFWE316"),
+        pattern("4XX").test("CMPE431"),
+      ],
+      [true, false, true]
+    );
+    check(
+      "a numbered placeholder carries no pattern",
+      slotPatternFromCode("SFWEXX1"),
+      null
+    );
+
+    console.log("\nMatching:");
+    const context = {
+      requiredCodes: new Set(["CMPE101"]),
+      electivePool: [
+        { code: "SFWE412", category: "AE" },
+        { code: "CMPE322", category: "FE" },
+      ],
+      freeCategories: ["UE"],
+      pools: {},
+    };
+    const fits = (slot, code) => courseFitsSlot(slot, code, context);
+    check(
+      "courses fit slots through the elective list or a free category",
+      [
+        fits({ category: "AE" }, "SFWE412"),
+        fits({ category: "AE" }, "CMPE322"),
+        fits({ category: "UE" }, "PSYC101"),
+        fits({ category: "UE" }, "CMPE101"),
+        fits({ category: "AE", pool: ["SFWE499"] }, "SFWE499"),
+      ],
+      [true, false, true, false, true]
+    );
+
+    // Taking the first fitting course for each slot would leave B open
+    const slots = assignElectiveSlots(
+      [
+        { id: "A", category: "AE", accepts: ["X", "Y"] },
+        { id: "B", category: "AE", accepts: ["X"] },
+      ],
+      [{ code: "X" }, { code: "Y" }],
+      (slot, course) => slot.accepts.includes(course.code)
+    );
+    check(
+      "each course counts once and as many slots as possible are filled",
+      slots.map((slot) => [slot.id, slot.filledBy.code]),
+      [
+        ["A", "Y"],
+        ["B", "X"],
+      ]
+    );
+    check(
+      "slot counts per category",
+      summarizeSlots([
+        { category: "AE", filledBy: { code: "X" } },
+        { category: "AE", filledBy: null },
+        { category: "UE", filledBy: null },
+      ]),
+      {
+        AE: { total: 2, filled: 1, open: 1 },
+        UE: { total: 1, filled: 0, open: 1 },
+      }
+    );
+
+    console.log("\nSample documents:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const status = sample.getElectiveSlotStatus();
+    check("passed courses fill the sample's slots", summarizeSlots(status), {
+      UE: { total: 4, filled: 4, open: 0 },
+      FE: { total: 4, filled: 2, open: 2 },
+      AE: { total: 4, filled: 1, open: 3 },
+    });
+    check(
+      "area electives come from the curriculum's elective list",
+      status
+        .filter((slot) => slot.category === "AE" && slot.filledBy)
+        .map((slot) => slot.filledBy.code),
+      ["SFWE316"]
+    );
+
+    const open = status.filter((slot) => !slot.filledBy);
+    check(
+      "offered courses are suggested for open slots",
+      sample
+        .getElectiveSuggestions(open)
+        .map((suggestion) => [suggestion.code, suggestion.category]),
+      [
+        ["CHEM121", "FE"],
+        ["ELEE431", "FE"],
+        ["ELEE331", "FE"],
+      ]
+    );
+    check(
+      "open slots become roadmap placeholders",
+      sample
+        .getOpenSlotCourses(status)
+        .map((course) => [course.code, course.electiveSlot]),
+      open.map((slot) => [slot.id, true])
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testElectives()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,145 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const EquivalenceStore = require("./EquivalenceStore");
+const { parsePrerequisites } = require("./prerequisites");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+} = require("./test-helpers");
+
+const course = (code, prerequisiteText = "", fields = {}) => ({
+  code,
+  title: code,
+  semester: 1,
+  category: "AC",
+  ects: 6,
+  prerequisites: [],
+  requisites: parsePrerequisites(prerequisiteText),
+  ...fields,
+});
+
+const passed = (code) => [
+  code,
+  { code, title: code, grade: "B", credits: 3, ects: 6, passed: true },
+];
+
+async function testEquivalences() {
+  console.log("=== Checking course equivalences ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nEquivalence table:");
+    const store = new EquivalenceStore();
+    const added = await store.add({ from: "cmpe 113", to: "CMPE101" });
+    check(
+      "codes are normalized and the type defaults to renamed",
+      [added.success, added.equivalence.from, added.equivalence.type],
+      [true, "CMPE113", "renamed"]
+    );
+    const refused = await Promise.all([
+      store.add({ from: "CMPE113", to: "CMPE102" }),
+      store.add({ from: "CMPE101", to: "CMPE101" }),
+      store.add({ from: "TRNS101", to: "CMPE101", type: "moved" }),
+    ]);
+    check(
+      "duplicates, self-references and unknown types are refused",
+      refused.map((result) => result.message),
+      [
+        "CMPE113 is already mapped to CMPE101",
+        "A code cannot be equivalent to itself",
+        "type must be one of: renamed, cross-listed, transfer",
+      ]
+    );
+    await store.add({ from: "TRNS101", to: "CMPE113", type: "transfer" });
+    await store.add({ from: "PHYS113", to: "PHYS101" });
+    const updated = await store.update(added.equivalence.id, {
+      note: "2019 catalog",
+    });
+    const entries = await store.list();
+    check(
+      "entries can be changed and removed",
+      [
+        updated.equivalence.note,
+        await store.delete(entries[2].id),
+        await store.delete(entries[2].id),
+        (await store.list()).length,
+      ],
+      ["2019 catalog", true, false, 2]
+    );
+
+    console.log("\nResolving codes:");
+    const advisor = new CourseAdvisorSystem();
+    advisor.curriculum = [
+      course("CMPE101"),
+      course("MATH101", "", { alternativeCodes: ["MATH100"] }),
+      course("CMPE201", "CMPE113"),
+      course("CMPE202", "MATH100 and concurrent with CMPE113"),
+    ];
+    await quietly(() => advisor.loadEquivalences());
+    check(
+      "chains are followed to the curriculum code",
+      ["TRNS101", "CMPE113", "MATH100", "XYZ101"].map((code) =>
+        advisor.resolveCode(code)
+      ),
+      ["CMPE101", "CMPE101", "MATH101", "XYZ101"]
+    );
+    check(
+      "loops stop at the start",
+      advisor.resolveCode(
+        "A",
+        new Map([
+          ["A", "B"],
+          ["B", "A"],
+        ])
+      ),
+      "B"
+    );
+
+    advisor.completedCourses = new Map([passed("TRNS101")]);
+    check(
+      "a transfer course passes its curriculum course",
+      Array.from(advisor.getPassedCourseCodes()),
+      ["TRNS101", "CMPE101"]
+    );
+
+    console.log("\nPrerequisites:");
+    const requires = (code) => advisor.curriculum.find((c) => c.code === code);
+    check(
+      "old codes in prerequisite expressions resolve to curriculum codes",
+      advisor.checkRequisites(requires("CMPE201")),
+      { met: true, missing: [], corequisites: [] }
+    );
+
+    advisor.completedCourses = new Map([passed("MATH101")]);
+    check(
+      "a same-term course counts under its old code too",
+      [
+        advisor.checkRequisites(
+          requires("CMPE202"),
+          advisor.getPassedCourseCodes(),
+          new Set(["CMPE113"])
+        ),
+        advisor.checkRequisites(requires("CMPE201")).missing,
+      ],
+      [{ met: true, missing: [], corequisites: ["CMPE101"] }, ["CMPE101"]]
+    );
+    check(
+      "the prerequisite graph links the curriculum codes",
+      [
+        advisor.getGraphNode("CMPE101").dependants,
+        advisor.getPrerequisiteGraph().unknownReferences,
+      ],
+      [["CMPE201"], []]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testEquivalences()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
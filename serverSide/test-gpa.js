@@ -0,0 +1,139 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const config = require("./config");
+const { calculateGPA } = require("./gpa");
+const {
+  check,
+  finish,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+// Term GPAs and graded credits as printed on the sample transcript
+const PRINTED_TERMS = [
+  ["2021-2022 Spring", null, 0],
+  ["2022-2023 Fall", 1.77, 21],
+  ["2022-2023 Spring", 2.26, 21],
+  ["2023-2024 Fall", 2.18, 20],
+  ["2023-2024 Spring", 3.17, 17],
+  ["2024-2025 Fall", 2.05, 21],
+  ["2024-2025 Spring", 3.04, 19],
+];
+
+async function testGPA() {
+  console.log("=== Checking the GPA engine and what-if projections ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nHundredths and rounding:");
+    const scale = config.gradeScale;
+    // 3 x 2.3 is 6.8999... in floating point
+    check(
+      "C+ over 3 credits is 2.30, not 2.29",
+      calculateGPA([{ grade: "C+", credits: 3 }], scale).gpa,
+      2.3
+    );
+
+    // (3 x 3.3 + 4 x 2.0) / 7 = 2.557
+    const courses = [
+      { grade: "B+", credits: 3 },
+      { grade: "C", credits: 4 },
+    ];
+    check(
+      "2.557 truncates to 2.55 and rounds to 2.56",
+      [
+        calculateGPA(courses, scale, "truncate").gpa,
+        calculateGPA(courses, scale, "round").gpa,
+      ],
+      [2.55, 2.56]
+    );
+    check(
+      "W and P do not count",
+      calculateGPA(
+        [
+          { grade: "A", credits: 3 },
+          { grade: "W", credits: 3 },
+          { grade: "P", credits: 2 },
+        ],
+        scale
+      ),
+      { gpa: 4, gradedCredits: 3, qualityPoints: 12 }
+    );
+    check(
+      "retake markers and footnote stars are ignored",
+      calculateGPA([{ grade: "D  * (rst)", credits: 4 }], scale).gpa,
+      1
+    );
+
+    console.log("\nSample transcript:");
+    const advisor = await parseSampleDocuments(new CourseAdvisorSystem());
+    const gpa = advisor.calculateGPA();
+    check(
+      "the CGPA matches the transcript",
+      [gpa.cgpa, gpa.gradedCredits],
+      [2.46, 115]
+    );
+    check(
+      "term GPAs count every attempt of the term, as printed",
+      gpa.terms.map((term) => [term.term, term.gpa, term.gradedCredits]),
+      PRINTED_TERMS
+    );
+
+    // 283.6 / 115 = 2.466
+    const rounding = new CourseAdvisorSystem({ gpaRounding: "round" });
+    check(
+      "the CGPA rounds up with gpaRounding: round",
+      rounding.calculateGPA(Array.from(advisor.completedCourses.values())).cgpa,
+      2.47
+    );
+
+    console.log("\nWhat-if:");
+    const projection = advisor.simulateWhatIf([
+      { code: "MATH122", grade: "A" },
+      { code: "SFWE403", grade: "B", credits: 3 },
+    ]);
+    check(
+      "a retake replaces the earlier grade and a new course adds credits",
+      [
+        projection.currentCGPA,
+        projection.projectedCGPA,
+        projection.change,
+        projection.projectedTermGPA,
+        projection.gradedCredits,
+      ],
+      [2.46, 2.58, 0.12, 3.57, 118]
+    );
+    check(
+      "planned courses say whether they are retakes",
+      projection.courses.map((c) => [c.code, c.retake, c.previousGrade]),
+      [
+        ["MATH122", true, "D (rst)"],
+        ["SFWE403", false, null],
+      ]
+    );
+
+    const errors = [
+      [{ code: "MATH122", grade: "Z" }],
+      [{ code: "XYZ101", grade: "A" }],
+    ].map((grades) => {
+      try {
+        advisor.simulateWhatIf(grades);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    check("unknown grades and credits are refused", errors, [
+      "Grade Z for MATH122 is not on the grade scale",
+      "Credits for XYZ101 are unknown; pass them with the grade",
+    ]);
+  } finally {
+    cleanUp();
+  }
+}
+
+testGPA()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,154 @@
+// Helpers shared by the test-*.js check scripts: a check that prints ✅ or
+// ❌ and counts failures, a scratch working directory so the stores never
+// touch data/ or uploads/, the sample documents and a small client for the
+// API of a server started in this process.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The sample documents in uploads/: a curriculum, the transcript of student
+// 2103010202 and the offered courses for fall 2025
+const SAMPLE_DOCUMENTS = {
+  curriculum: path.join(
+    __dirname,
+    "uploads",
+    "1755506951046-SoftwareEngineering_Curriculum_ (1).pdf"
+  ),
+  transcript: path.join(
+    __dirname,
+    "uploads",
+    "1755506951052-Transcript2103010202.pdf"
+  ),
+  availableCourses: path.join(
+    __dirname,
+    "uploads",
+    "1755506951054-Courses fall 2025.docx"
+  ),
+};
+
+// Kept before any check silences the console
+const print = console.log.bind(console);
+
+let failures = 0;
+
+function check(description, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    print(`✅ ${description}`);
+    return true;
+  }
+
+  failures++;
+  print(`❌ ${description}`);
+  print(`   expected ${JSON.stringify(expected)}`);
+  print(`   got      ${JSON.stringify(actual)}`);
+  return false;
+}
+
+// Print the summary and fail the process when a check failed
+function finish() {
+  print(
+    `\n=== ${
+      failures === 0 ? "All checks passed" : `${failures} check(s) failed`
+    } ===`
+  );
+  if (failures > 0) process.exitCode = 1;
+}
+
+// Run task with console.log, console.warn and console.error silenced; the
+// parsers and stores log every step
+async function quietly(task) {
+  const saved = [console.log, console.warn, console.error];
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await task();
+  } finally {
+    [console.log, console.warn, console.error] = saved;
+  }
+}
+
+// Work in a new temporary directory: the stores keep their files under
+// ./data and ./uploads of the working directory. Returns a function that
+// goes back and deletes it.
+function useScratchDirectory() {
+  const previous = process.cwd();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "course-advisor-"));
+  process.chdir(directory);
+
+  return () => {
+    process.chdir(previous);
+    fs.rmSync(directory, { recursive: true, force: true });
+  };
+}
+
+// Parse the sample documents into advisor
+async function parseSampleDocuments(advisor) {
+  await quietly(async () => {
+    await advisor.parseCurriculum(SAMPLE_DOCUMENTS.curriculum);
+    await advisor.parseTranscript(SAMPLE_DOCUMENTS.transcript);
+    await advisor.parseAvailableCourses(SAMPLE_DOCUMENTS.availableCourses);
+  });
+  return advisor;
+}
+
+// Start the API on a free port. request(method, url, { token, body, form })
+// sends JSON (or FormData as form) and resolves to { status, headers, body }
+// with body parsed when it is JSON.
+async function startServer() {
+  const express = require("express");
+  const { setupRoutes } = require("./routes");
+
+  const app = express();
+  app.use(express.json());
+  await quietly(() => setupRoutes(app));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body, form } = {}) => {
+    const headers = {};
+    if (token) headers.authorization = `Bearer ${token}`;
+    if (body !== undefined) headers["content-type"] = "application/json";
+
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers,
+      body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await response.text();
+    let parsed = text;
+    if (
+      (response.headers.get("content-type") || "").includes("application/json")
+    ) {
+      parsed = JSON.parse(text);
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  // Sign in and return the session token
+  const signIn = async (username, password) => {
+    const response = await request("POST", "/api/auth/login", {
+      body: { username, password },
+    });
+    return response.body.token;
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+
+  return { baseUrl, request, signIn, close };
+}
+
+module.exports = {
+  SAMPLE_DOCUMENTS,
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+  startServer,
+};
@@ -1,4 +1,4 @@
-const CourseAdvisorSystem = require("./server.js");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
 
 async function testJSONWorkflow() {
   console.log("=== Testing JSON-based Course Advisor Workflow ===\n");
@@ -97,7 +97,9 @@ async function testJSONWorkflow() {
 
     // Save to JSON
     const savedFilePath = await advisor.saveParsedData();
-    console.log(`✅ Data saved to: ${savedFilePath}\n`);
+    console.log(
+      `✅ Data saved to: ${savedFilePath} (profile ${advisor.profileId})\n`
+    );
 
     // Step 2: Load data from JSON and generate recommendations
     console.log(
@@ -106,7 +108,7 @@ async function testJSONWorkflow() {
 
     // Create a new advisor instance to simulate loading from JSON
     const newAdvisor = new CourseAdvisorSystem();
-    const loadResult = await newAdvisor.loadAndRecommend();
+    const loadResult = await newAdvisor.loadAndRecommend(advisor.profileId);
 
     if (loadResult.success) {
       console.log(
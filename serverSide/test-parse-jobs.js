@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const ParseJobQueue = require("./ParseJobQueue");
+const UserStore = require("./UserStore");
+const {
+  SAMPLE_DOCUMENTS,
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  startServer,
+} = require("./test-helpers");
+
+// Upload form with the sample documents, replacing some of them
+const documentForm = (replaced = {}) => {
+  const form = new FormData();
+  for (const [field, file] of Object.entries(SAMPLE_DOCUMENTS)) {
+    const [name, content] = replaced[field] || [
+      path.basename(file),
+      fs.readFileSync(file),
+    ];
+    form.append(field, new Blob([content]), name);
+  }
+  return form;
+};
+
+// The events of a Server-Sent Events stream as [event, data]
+const readEvents = (text) =>
+  text
+    .split("\n\n")
+    .filter((block) => block.startsWith("event: "))
+    .map((block) => {
+      const [event, data] = block.split("\n");
+      return [event.slice(7), JSON.parse(data.slice(6))];
+    });
+
+async function testParseJobs() {
+  console.log("=== Checking background parse jobs ===");
+  const cleanUp = useScratchDirectory();
+  let server = null;
+
+  try {
+    console.log("\nQueue:");
+    const queue = new ParseJobQueue({ concurrency: 1, keepHours: 1 });
+    let finishFirst;
+    const first = await quietly(() =>
+      queue.add({
+        owner: "ayse",
+        documents: ["transcript"],
+        run: (onProgress) =>
+          new Promise((resolve) => {
+            onProgress({ document: "transcript", status: "parsing" });
+            finishFirst = () => {
+              onProgress({
+                document: "transcript",
+                status: "parsed",
+                records: 5,
+              });
+              resolve({ success: true, profileId: "sample" });
+            };
+          }),
+      })
+    );
+    const second = quietly(() =>
+      queue.add({
+        owner: "mehmet",
+        documents: ["curriculum", "transcript"],
+        run: async (onProgress) => {
+          onProgress({ document: "curriculum", status: "parsing" });
+          throw new Error("Unreadable PDF");
+        },
+      })
+    );
+    const view = (job) => {
+      const { status, step, progress, position } = ParseJobQueue.toView(
+        job,
+        queue
+      );
+      return [status, step, progress, position];
+    };
+    const waiting = await second;
+    check(
+      "jobs beyond the concurrency wait in line",
+      [view(first), view(waiting), queue.list("mehmet").length],
+      [["running", "transcript", 0, undefined], ["queued", null, 0, 1], 1]
+    );
+
+    await quietly(async () => {
+      finishFirst();
+      await first.done;
+      await waiting.done;
+    });
+    check(
+      "finished jobs keep their result, failed ones the document and error",
+      [
+        view(first),
+        first.result.profileId,
+        view(waiting),
+        waiting.error,
+        waiting.documents.map((document) => document.status),
+      ],
+      [
+        ["succeeded", null, 100, undefined],
+        "sample",
+        ["failed", null, 0, undefined],
+        "Unreadable PDF",
+        ["failed", "pending"],
+      ]
+    );
+    first.finishedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    queue.prune();
+    check(
+      "old finished jobs are forgotten",
+      [queue.get(first.id), queue.get(waiting.id) === waiting],
+      [null, true]
+    );
+
+    console.log("\nParse job endpoints:");
+    const users = new UserStore();
+    await users.create({
+      username: "root",
+      password: "admin-password",
+      role: "admin",
+    });
+    await users.create({
+      username: "student",
+      password: "student-password",
+      role: "student",
+      profileId: "2103010202",
+    });
+    server = await startServer();
+    const root = await server.signIn("root", "admin-password");
+    const student = await server.signIn("student", "student-password");
+
+    // Jobs parse in a worker thread, which loads its own copy of the
+    // parsers: parsing on this thread would fail the job
+    const parsers = [
+      "parseCurriculum",
+      "parseTranscript",
+      "parseAvailableCourses",
+    ];
+    const mainThreadParsers = parsers.map(
+      (name) => CourseAdvisorSystem.prototype[name]
+    );
+    parsers.forEach((name) => {
+      CourseAdvisorSystem.prototype[name] = () => {
+        throw new Error(`${name} ran on the main thread`);
+      };
+    });
+
+    const form = documentForm();
+    form.append("profileId", "2103010202");
+    const started = await quietly(() =>
+      server.request("POST", "/api/parse-jobs", { token: root, form })
+    );
+    const { job, eventsUrl, resultUrl } = started.body;
+    const me = await server.request("GET", "/api/auth/me", { token: root });
+    const meanwhile = await server.request("GET", started.body.statusUrl, {
+      token: root,
+    });
+    check(
+      "jobs are queued at once and the server answers while they run",
+      [
+        started.status,
+        job.documents.length,
+        me.status,
+        ParseJobQueue.isFinished(meanwhile.body.job),
+      ],
+      [202, 3, 200, false]
+    );
+
+    const stream = await quietly(() =>
+      server.request("GET", eventsUrl, { token: root })
+    );
+    parsers.forEach((name, index) => {
+      CourseAdvisorSystem.prototype[name] = mainThreadParsers[index];
+    });
+    const events = readEvents(stream.body);
+    const [lastEvent, done] = events[events.length - 1];
+    check(
+      "progress is streamed until the job, parsed off the main thread, is done",
+      [
+        stream.headers.get("content-type"),
+        events.slice(0, -1).every(([event]) => event === "progress"),
+        events.some(([, update]) => update.step === "saving"),
+        lastEvent,
+        [done.status, done.progress, done.profileId],
+        done.documents.map((document) => [document.type, document.records]),
+      ],
+      [
+        "text/event-stream",
+        true,
+        true,
+        "done",
+        ["succeeded", 100, "2103010202"],
+        [
+          ["curriculum", 37],
+          ["transcript", 38],
+          ["availableCourses", 53],
+        ],
+      ]
+    );
+    const result = await server.request("GET", resultUrl, { token: root });
+    check(
+      "the result is the profile the job saved",
+      [result.status, result.body.success, result.body.profileId],
+      [200, true, "2103010202"]
+    );
+    check(
+      "other accounts do not see the job",
+      [
+        (
+          await server.request("GET", started.body.statusUrl, {
+            token: student,
+          })
+        ).status,
+        (await server.request("GET", "/api/parse-jobs", { token: student }))
+          .body.jobs.length,
+      ],
+      [404, 0]
+    );
+
+    const broken = await quietly(() =>
+      server.request("POST", "/api/parse-and-save", {
+        token: root,
+        form: documentForm({
+          transcript: ["transcript.pdf", "%PDF-1.4\nnot really a PDF"],
+        }),
+      })
+    );
+    const [failedJob] = (
+      await server.request("GET", "/api/parse-jobs", { token: root })
+    ).body.jobs;
+    check(
+      "a document that cannot be read fails its job",
+      [
+        broken.body.success,
+        typeof broken.body.error,
+        failedJob.status,
+        failedJob.documents.map((document) => document.status),
+      ],
+      [false, "string", "failed", ["parsed", "failed", "pending"]]
+    );
+  } finally {
+    if (server) await server.close();
+    cleanUp();
+  }
+}
+
+testParseJobs()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,126 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  listParserProfiles,
+  registerParserProfile,
+  detectParserProfile,
+} = require("./parserProfiles");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const failure = (task) => {
+  try {
+    task();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+async function testParserProfiles() {
+  console.log("=== Checking parser profiles ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nRegistry:");
+    check(
+      "the built-in profiles are listed in order",
+      listParserProfiles().map((profile) => profile.id),
+      ["generic", "grade-suffix"]
+    );
+    check(
+      "profiles need a unique id",
+      [
+        failure(() => registerParserProfile({ name: "No id" })),
+        failure(() => registerParserProfile({ id: "generic" })),
+      ],
+      [
+        "A parser profile needs an id",
+        "Parser profile generic is already registered",
+      ]
+    );
+
+    console.log("\nDetection:");
+    const detected = (text) =>
+      detectParserProfile("transcript", text).scores.map((score) => [
+        score.profile,
+        score.score,
+      ]);
+    check(
+      "grades glued to the code pick the grade-suffix profile",
+      detected("ENGLISH-I\nENGL121C+ 4.00 3.00 6,90"),
+      [
+        ["grade-suffix", 1],
+        ["generic", 0.6],
+      ]
+    );
+    check(
+      "on equal scores the profile registered first wins",
+      detectParserProfile("transcript", "CMPE101 Programming A 4 6").profile.id,
+      "generic"
+    );
+    check(
+      "unknown document types are refused",
+      failure(() => detectParserProfile("diploma", "")),
+      "Unknown document type: diploma"
+    );
+
+    console.log("\nSample documents:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    check(
+      "the chosen profiles and their scores are recorded",
+      [
+        sample.parsing.curriculum.profile,
+        sample.parsing.transcript.profile,
+        sample.parsing.transcript.detected,
+        sample.parsing.transcript.scores.map((score) => score.profile),
+      ],
+      ["generic", "grade-suffix", true, ["grade-suffix", "generic"]]
+    );
+
+    await quietly(() => sample.saveParsedData("sample"));
+    const reloaded = new CourseAdvisorSystem();
+    await quietly(() => reloaded.loadParsedData("sample"));
+    check(
+      "the choice is saved with the parsed data",
+      reloaded.parsing.transcript.profile,
+      "grade-suffix"
+    );
+
+    const forced = await parseSampleDocuments(
+      new CourseAdvisorSystem({ parserProfile: "generic" })
+    );
+    check(
+      "a configured profile is used without detection",
+      forced.parsing.transcript,
+      { profile: "generic", detected: false }
+    );
+
+    let unknown = null;
+    try {
+      await parseSampleDocuments(
+        new CourseAdvisorSystem({ parserProfile: "nope" })
+      );
+    } catch (error) {
+      unknown = error.message;
+    }
+    check(
+      "an unknown configured profile is an error",
+      unknown,
+      "Unknown parser profile: nope"
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testParserProfiles()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
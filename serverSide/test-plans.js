@@ -0,0 +1,154 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const UserStore = require("./UserStore");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+  startServer,
+} = require("./test-helpers");
+
+async function testPlans() {
+  console.log("=== Checking registration plans ===");
+  const cleanUp = useScratchDirectory();
+  let server = null;
+
+  try {
+    const advisor = await parseSampleDocuments(new CourseAdvisorSystem());
+    await quietly(() => advisor.saveParsedData("sample"));
+    const users = new UserStore();
+    await users.create({
+      username: "ayse",
+      password: "student-password",
+      role: "student",
+      profileId: "sample",
+    });
+    await users.create({
+      username: "smith",
+      password: "advisor-password",
+      role: "advisor",
+      students: ["sample"],
+    });
+    await users.create({
+      username: "jones",
+      password: "advisor-password",
+      role: "advisor",
+      students: [],
+    });
+    server = await startServer();
+    const student = await server.signIn("ayse", "student-password");
+    const smith = await server.signIn("smith", "advisor-password");
+    const jones = await server.signIn("jones", "advisor-password");
+    const send = (method, url, token, body) =>
+      quietly(() => server.request(method, url, { token, body }));
+
+    console.log("\nDrafts:");
+    const refused = await send("POST", "/api/profiles/sample/plans", student, {
+      courses: ["SFWE403", "XYZ101"],
+      advisor: "smith",
+    });
+    check(
+      "courses outside the recommendations are refused",
+      [refused.status, refused.body.message],
+      [400, "Some courses cannot be registered"]
+    );
+    check(
+      "plans go to advisor accounts",
+      (
+        await send("POST", "/api/profiles/sample/plans", student, {
+          courses: ["SFWE403"],
+          advisor: "ayse",
+        })
+      ).body.message,
+      "advisor ayse is not an advisor account"
+    );
+
+    const created = await send("POST", "/api/profiles/sample/plans", student, {
+      courses: ["SFWE403", "ENGR401", "SFWE415"],
+      advisor: "Smith",
+      note: "Internship in spring",
+    });
+    const { plan } = created.body;
+    check(
+      "a draft stores the checked courses and totals",
+      [created.status, plan.status, plan.advisor, plan.term, plan.totalECTS],
+      [201, "draft", "smith", "2025-2026 Fall", 14]
+    );
+    const edited = await send("PUT", `/api/plans/${plan.id}`, smith, {
+      courses: ["SFWE403", "ENGR401"],
+    });
+    check(
+      "the student's advisor can change a draft",
+      [edited.status, edited.body.plan.totalECTS],
+      [200, 8]
+    );
+
+    console.log("\nWorkflow:");
+    const url = `/api/plans/${plan.id}`;
+    await send("POST", `${url}/submit`, student, {});
+    check(
+      "only the plan's advisor reviews it, with a comment to send it back",
+      [
+        (await send("POST", `${url}/review`, jones, { decision: "approve" }))
+          .status,
+        (
+          await send("POST", `${url}/review`, smith, {
+            decision: "requestChanges",
+          })
+        ).body.message,
+      ],
+      [403, "A comment is required to request changes to a plan"]
+    );
+    const approved = await send("POST", `${url}/review`, smith, {
+      decision: "approve",
+      comment: "Fine",
+    });
+    check(
+      "approved plans can no longer change",
+      [
+        approved.body.plan.status,
+        (await send("PUT", url, student, { note: "Late change" })).status,
+        (await send("POST", `${url}/submit`, student, {})).status,
+        (await send("DELETE", url, student)).status,
+      ],
+      ["approved", 409, 409, 409]
+    );
+    check(
+      "the history names the account and role behind each step",
+      approved.body.plan.history.map((step) => [
+        step.action,
+        step.status,
+        step.by,
+        step.role,
+      ]),
+      [
+        ["create", "draft", "ayse", "student"],
+        ["edit", "draft", "smith", "advisor"],
+        ["submit", "submitted", "ayse", "student"],
+        ["approve", "approved", "smith", "advisor"],
+      ]
+    );
+
+    console.log("\nListing:");
+    check(
+      "advisors list the plans sent to them",
+      [
+        (await send("GET", "/api/plans", smith)).body.plans.length,
+        (await send("GET", "/api/plans", jones)).body.plans.length,
+        (await send("GET", url, jones)).status,
+      ],
+      [1, 0, 403]
+    );
+  } finally {
+    if (server) await server.close();
+    cleanUp();
+  }
+}
+
+testPlans()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,107 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const { findCycles } = require("./prerequisiteGraph");
+const { check, finish } = require("./test-helpers");
+
+const course = (code, semester, prerequisites = []) => ({
+  code,
+  title: `${code} title`,
+  semester,
+  category: "AC",
+  prerequisites,
+});
+
+async function testPrerequisiteGraph() {
+  console.log("=== Checking the prerequisite graph ===");
+
+  console.log("\nCycles:");
+  const edges = { A: ["B"], B: ["C"], C: ["A"], D: ["D"], E: ["A"] };
+  check(
+    "cycles and self-references are found",
+    findCycles(Object.keys(edges), (code) => edges[code] || []),
+    [["A", "B", "C"], ["D"]]
+  );
+
+  console.log("\nChains:");
+  const advisor = new CourseAdvisorSystem();
+  advisor.curriculum = [
+    course("CMPE101", 1),
+    course("CMPE102", 2, ["CMPE101"]),
+    course("CMPE201", 3, ["CMPE102"]),
+    course("MATH101", 1),
+    course("MATH102", 2, ["MATH101", "XYZ999"]),
+    course("PHYS201", 3, ["PHYS202"]),
+    course("PHYS202", 3, ["PHYS201"]),
+  ];
+  const graph = advisor.getPrerequisiteGraph();
+  const node = (code) => advisor.getGraphNode(code);
+  check(
+    "chain lengths and transitive dependants",
+    [
+      node("CMPE101").chainLength,
+      node("CMPE101").transitiveDependants,
+      node("MATH101").chainLength,
+    ],
+    [3, ["CMPE102", "CMPE201"], 2]
+  );
+  check("the critical path is the longest chain", graph.criticalPath, [
+    "CMPE101",
+    "CMPE102",
+    "CMPE201",
+  ]);
+  check(
+    "cycles and unknown codes are reported",
+    [graph.cycles, graph.unknownReferences],
+    [[["PHYS201", "PHYS202"]], [{ code: "XYZ999", referencedBy: ["MATH102"] }]]
+  );
+  check("unknown codes have no node", advisor.getGraphNode("XYZ999"), null);
+
+  advisor.curriculum = [course("CMPE101", 1), course("CMPE102", 2)];
+  check(
+    "the graph is rebuilt when the curriculum is replaced",
+    advisor.getGraphNode("CMPE101").chainLength,
+    1
+  );
+  console.log("\nExport:");
+  advisor.curriculum = [
+    course("CMPE101", 1),
+    course("CMPE102", 2, ["CMPE101"]),
+    { ...course("CMPE103", 2), requisites: null },
+    course("PHYS201", 3, ["PHYS202"]),
+    course("PHYS202", 3, ["PHYS201"]),
+  ];
+  const dot = advisor.exportPrerequisiteGraph("dot");
+  check(
+    "DOT groups semesters and marks the critical path and cycles",
+    [
+      dot.startsWith("digraph prerequisites {"),
+      dot.includes('subgraph "cluster_2"'),
+      dot.includes('"CMPE101" -> "CMPE102" [penwidth=2];'),
+      dot.includes('"PHYS202" -> "PHYS201" [color=red];'),
+    ],
+    [true, true, true, true]
+  );
+  const mermaid = advisor.exportPrerequisiteGraph("mermaid");
+  check(
+    "Mermaid uses the same conventions",
+    [
+      mermaid.startsWith("flowchart LR"),
+      mermaid.includes('CMPE101["CMPE101<br/>CMPE101 title"]'),
+      mermaid.includes("CMPE101 --> CMPE102"),
+      mermaid.includes("linkStyle 0 stroke-width:3px"),
+      mermaid.includes("linkStyle 1 stroke:red"),
+    ],
+    [true, true, true, true, true]
+  );
+  check(
+    "JSON is the graph itself",
+    advisor.exportPrerequisiteGraph().nodes.map((n) => n.code),
+    ["CMPE101", "CMPE102", "CMPE103", "PHYS201", "PHYS202"]
+  );
+}
+
+testPrerequisiteGraph()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
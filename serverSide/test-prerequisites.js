@@ -0,0 +1,158 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const config = require("./config");
+const {
+  parsePrerequisites,
+  describePrerequisites,
+  evaluatePrerequisites,
+} = require("./prerequisites");
+const {
+  check,
+  finish,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+// Parse and describe in one step, so checks read like the curriculum text
+const read = (text) => describePrerequisites(parsePrerequisites(text));
+
+async function testPrerequisites() {
+  console.log("=== Checking prerequisite expressions ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nParsing:");
+    check(
+      "alternatives and groups",
+      [
+        read("MATH121 or MATH101"),
+        read("(MATH121 or MATH101) and PHYS121"),
+        read("MATH121 / MATH101, PHYS121"),
+      ],
+      [
+        "MATH121 or MATH101",
+        "(MATH121 or MATH101) and PHYS121",
+        "MATH121 or (MATH101 and PHYS121)",
+      ]
+    );
+    check(
+      "course codes with spaces or dashes",
+      [read("MATH 121"), read("CMPE-221"), read("math121")],
+      ["MATH121", "CMPE221", "MATH121"]
+    );
+    check(
+      "a bare number shares the subject of the code before it",
+      [read("MATH121/101"), read("CMPE 221, 222")],
+      ["MATH121 or MATH101", "CMPE221 and CMPE222"]
+    );
+    check(
+      "corequisites",
+      [
+        read("concurrent with PHYS121L"),
+        read("Coreq: PHYS121L"),
+        read("PHYS121 and PHYS121L concurrently"),
+      ],
+      [
+        "PHYS121L (concurrent)",
+        "PHYS121L (concurrent)",
+        "PHYS121 and PHYS121L (concurrent)",
+      ]
+    );
+    check(
+      "ECTS, credits and standing",
+      [
+        read("Completed 120 ECTS"),
+        read("90 credits"),
+        read("Senior standing"),
+        read("3rd year standing"),
+      ],
+      [
+        "120 ECTS completed",
+        "90 credits completed",
+        "Senior standing",
+        "Junior standing",
+      ]
+    );
+    check(
+      "standings listed together are alternatives",
+      [
+        read("Junior or senior standing"),
+        read("3rd or 4th year standing"),
+        read("Sophomore, junior or senior standing"),
+      ],
+      [
+        "Junior standing or Senior standing",
+        "Junior standing or Senior standing",
+        "Sophomore standing or Junior standing or Senior standing",
+      ]
+    );
+    check(
+      "no requirement",
+      [
+        parsePrerequisites("none"),
+        parsePrerequisites("-"),
+        parsePrerequisites("- / TURK131"),
+        parsePrerequisites(""),
+      ],
+      [null, null, null, null]
+    );
+
+    console.log("\nChecking against a record:");
+    const context = {
+      passedCodes: new Set(["MATH101"]),
+      concurrentCodes: new Set(["PHYS121L"]),
+      completedECTS: 130,
+      classStandingECTS: config.classStandingECTS,
+    };
+    const evaluate = (text) =>
+      evaluatePrerequisites(parsePrerequisites(text), context);
+    check("one passed alternative is enough", evaluate("MATH121 or MATH101"), {
+      met: true,
+      missing: [],
+      corequisites: [],
+    });
+    check(
+      "a corequisite can be registered in the same term",
+      evaluate("MATH101 and concurrent with PHYS121L"),
+      { met: true, missing: [], corequisites: ["PHYS121L"] }
+    );
+    check(
+      "unmet requirements are described",
+      [
+        evaluate("MATH121 and 150 ECTS").missing,
+        evaluate("Senior standing").missing,
+        evaluate("Junior or senior standing").met,
+      ],
+      [
+        ["MATH121", "150 ECTS completed (130 so far)"],
+        ["Senior standing"],
+        true,
+      ]
+    );
+
+    console.log("\nSample curriculum:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const requisitesOf = (code) =>
+      sample.curriculum.find((course) => course.code === code);
+    check(
+      "prerequisite columns are read",
+      ["CMPE215", "CMPE252", "SFWE343"].map(
+        (code) => requisitesOf(code).prerequisites
+      ),
+      [["ENGR104"], ["CMPE215"], ["CMPE216"]]
+    );
+    check(
+      "a dash alternative leaves TUOG102 without a requirement",
+      requisitesOf("TUOG102").requisites,
+      null
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testPrerequisites()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,102 @@
+const ProfileStore = require("./ProfileStore");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  SAMPLE_DOCUMENTS,
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+} = require("./test-helpers");
+
+async function testProfiles() {
+  console.log("=== Checking per-student profiles ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nProfile IDs:");
+    check(
+      "the student number is the profile ID",
+      ProfileStore.createId({ studentNo: " 2103 010202 " }),
+      "2103010202"
+    );
+    check(
+      "a profile ID is generated without a student number",
+      /^p-[0-9a-f-]{36}$/.test(ProfileStore.createId({})),
+      true
+    );
+    check(
+      "IDs that could leave the profiles directory are refused",
+      ["../users", "a/b", "", "x".repeat(65)].map(ProfileStore.isValidId),
+      [false, false, false, false]
+    );
+
+    console.log("\nStoring profiles:");
+    const store = new ProfileStore();
+    await store.save("alice", { studentInfo: { name: "Alice" } });
+    await store.save("bob", { studentInfo: { name: "Bob" } });
+    check(
+      "each profile is kept in its own file",
+      [(await store.load("alice")).studentInfo, await store.load("carol")],
+      [{ name: "Alice" }, null]
+    );
+    check(
+      "profiles are listed",
+      (await store.list()).map((profile) => profile.profileId).sort(),
+      ["alice", "bob"]
+    );
+    check(
+      "a deleted profile is gone",
+      [await store.delete("bob"), await store.delete("bob")],
+      [true, false]
+    );
+
+    console.log("\nParsing the sample documents into profiles:");
+    const parse = (profileId) =>
+      quietly(() =>
+        new CourseAdvisorSystem().parseAndSaveDocuments(
+          SAMPLE_DOCUMENTS.curriculum,
+          SAMPLE_DOCUMENTS.transcript,
+          SAMPLE_DOCUMENTS.availableCourses,
+          profileId
+        )
+      );
+
+    const created = await parse();
+    check(
+      "the profile is named after the transcript's student number",
+      [created.success, created.profileId],
+      [true, "2103010202"]
+    );
+
+    const repeated = await parse();
+    check(
+      "parsing the same transcript again without a profileId is a conflict",
+      [repeated.success, repeated.conflict, repeated.profileId],
+      [false, true, "2103010202"]
+    );
+
+    const replaced = await parse("2103010202");
+    check(
+      "naming the profile replaces its data",
+      [replaced.success, replaced.profileId],
+      [true, "2103010202"]
+    );
+
+    const loaded = new CourseAdvisorSystem();
+    await quietly(() => loaded.loadParsedData("2103010202"));
+    check(
+      "the saved profile loads back",
+      [loaded.profileId, loaded.completedCourses.has("PHYS121")],
+      ["2103010202", true]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testProfiles()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,111 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const course = (code, ects, lecture, fields = {}) => ({
+  code,
+  title: code,
+  ects,
+  lecture,
+  tutorial: 0,
+  lab: 0,
+  ...fields,
+});
+
+async function testRegistration() {
+  console.log("=== Checking the proposed next-semester registration ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nLoad limits:");
+    const advisor = new CourseAdvisorSystem();
+    const proposal = advisor.buildProposedRegistration(
+      [
+        course("CMPE301", 6, 4),
+        course("CMPE302", 6, 4),
+        course("CMPE303", 6, 2),
+        course("CMPE304", 2, 1),
+      ],
+      { maxECTS: 14, maxContactHours: 9 }
+    );
+    check(
+      "courses are added in priority order while they fit",
+      proposal.courses.map((c) => c.code),
+      ["CMPE301", "CMPE302", "CMPE304"]
+    );
+    check(
+      "totals stay within the limits",
+      [proposal.totalECTS, proposal.totalContactHours],
+      [14, 9]
+    );
+    check(
+      "courses over a limit are excluded with the reason",
+      proposal.excluded.map((c) => [c.code, c.reason]),
+      [["CMPE303", "Would exceed the 14 ECTS limit (18 ECTS)"]]
+    );
+
+    const contactLimited = advisor.buildProposedRegistration(
+      [course("CMPE301", 6, 4), course("CMPE302", 6, 5)],
+      { maxECTS: 35, maxContactHours: 8 }
+    );
+    check(
+      "the contact-hour limit applies too",
+      contactLimited.excluded.map((c) => c.reason),
+      ["Would exceed the 8 weekly contact-hour limit (9 hours)"]
+    );
+
+    console.log("\nCorequisites:");
+    const bundled = advisor.buildProposedRegistration(
+      [
+        course("PHYS101", 5, 3, { pendingCorequisites: ["PHYS101L"] }),
+        course("CHEM101", 5, 3, { pendingCorequisites: ["CHEM101L"] }),
+        course("PHYS101L", 1, 2),
+      ],
+      { maxECTS: 35, maxContactHours: 30 }
+    );
+    check(
+      "a course comes with its corequisite",
+      bundled.courses.map((c) => c.code),
+      ["PHYS101", "PHYS101L"]
+    );
+    check(
+      "a course whose corequisite is not offered is left out",
+      bundled.excluded.map((c) => c.reason),
+      ["Corequisite CHEM101L cannot be registered this term"]
+    );
+
+    console.log("\nSample documents:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const recommendations = await quietly(() => sample.getRecommendedCourses());
+    const registration = recommendations.proposedRegistration;
+    check(
+      "the sample proposal stays within the default limits",
+      registration.courses.length > 0 &&
+        registration.totalECTS <= registration.limits.maxECTS &&
+        registration.totalContactHours <= registration.limits.maxContactHours,
+      true
+    );
+    check(
+      "its totals add up",
+      [registration.totalECTS, registration.totalContactHours],
+      [
+        registration.courses.reduce((sum, c) => sum + (Number(c.ects) || 0), 0),
+        registration.courses.reduce((sum, c) => sum + c.contactHours, 0),
+      ]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testRegistration()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
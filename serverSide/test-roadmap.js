@@ -0,0 +1,131 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const course = (code, semester, prerequisites = []) => ({
+  code,
+  title: code,
+  semester,
+  category: "AC",
+  ects: 6,
+  lecture: 3,
+  tutorial: 0,
+  lab: 0,
+  prerequisites,
+});
+
+async function testRoadmap() {
+  console.log("=== Checking the roadmap to graduation ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nPrerequisite chains:");
+    const advisor = new CourseAdvisorSystem();
+    advisor.curriculum = [
+      course("CMPE101", 1),
+      course("MATH101", 1),
+      course("CMPE102", 2, ["CMPE101"]),
+      course("CMPE201", 3, ["CMPE102"]),
+      course("CMPE202", 4, ["XYZ999"]),
+    ];
+    const chain = await quietly(() =>
+      advisor.planRoadmap({ maxECTS: 12, maxContactHours: 30 })
+    );
+    check(
+      "each course follows its prerequisites, within the load limit",
+      chain.semesters.map((semester) => [
+        semester.semester,
+        semester.courses.map((c) => c.code),
+      ]),
+      [
+        [1, ["CMPE101", "MATH101"]],
+        [2, ["CMPE102"]],
+        [3, ["CMPE201"]],
+      ]
+    );
+    check(
+      "a course whose prerequisite can never be met is reported",
+      chain.unschedulable.map((c) => [c.code, c.reason]),
+      [["CMPE202", "Prerequisites never met: XYZ999"]]
+    );
+    check(
+      "no graduation is projected while a course is unschedulable",
+      [chain.termsRemaining, chain.projectedGraduationSemester],
+      [null, null]
+    );
+
+    console.log("\nSample documents:");
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    const roadmap = await quietly(() => sample.planRoadmap());
+    check(
+      "the roadmap starts with the term after the transcript",
+      [roadmap.currentSemester, roadmap.nextTerm],
+      [7, "2025-2026 Fall"]
+    );
+    check(
+      "terms alternate between fall and spring",
+      roadmap.semesters.map((semester) => semester.term),
+      ["2025-2026 Fall", "2025-2026 Spring", "2026-2027 Fall"]
+    );
+    check(
+      "every term stays within the limits",
+      roadmap.semesters.every(
+        (semester) =>
+          semester.totalECTS <= roadmap.limits.maxECTS &&
+          semester.totalContactHours <= roadmap.limits.maxContactHours
+      ),
+      true
+    );
+
+    const scheduledIn = new Map();
+    roadmap.semesters.forEach((semester, index) =>
+      semester.courses.forEach((c) => scheduledIn.set(c.code, index))
+    );
+    const passed = sample.getPassedCourseCodes();
+    const outOfOrder = sample.curriculum.filter(
+      (c) =>
+        scheduledIn.has(c.code) &&
+        (c.prerequisites || []).some(
+          (code) =>
+            !passed.has(code) &&
+            !(scheduledIn.get(code) < scheduledIn.get(c.code))
+        )
+    );
+    check(
+      "no course is scheduled before its prerequisites",
+      outOfOrder.map((c) => c.code),
+      []
+    );
+    const audit = await quietly(() => sample.getDegreeAudit());
+    check(
+      "every missing requirement is scheduled and graduation projected",
+      [
+        audit.requirements
+          .flatMap((requirement) => requirement.missing || [])
+          .every((code) => scheduledIn.has(code)),
+        roadmap.unschedulable,
+        roadmap.projectedGraduationTerm,
+      ],
+      [true, [], "2026-2027 Fall"]
+    );
+    check(
+      "the remaining ECTS add up",
+      roadmap.totalRemainingECTS,
+      roadmap.semesters.reduce((sum, semester) => sum + semester.totalECTS, 0)
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testRoadmap()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
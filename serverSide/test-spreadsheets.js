@@ -0,0 +1,165 @@
+const fs = require("fs");
+const XLSX = require("xlsx");
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const { findHeaderRow, mapColumns } = require("./spreadsheets");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+} = require("./test-helpers");
+
+// Saved by Excel: a byte order mark and a title row above the headers
+const CURRICULUM_CSV = `\uFEFFSoftware Engineering Curriculum
+Semester,Code,Title,Category,Lecture,Tutorial,Lab,Credits,ECTS,Prerequisites
+1,CMPE101,Programming,AC,3,1,0,3,6,-
+2,CMPE102,Data Structures,AC,3,1,0,3,6,CMPE101
+,SFWE412,Software Quality,AE,3,0,0,3,6,
+`;
+
+const OFFERED_CSV = `Code,Title,Section,Days,Time,Room,Instructor,Quota,Enrolled
+CMPE102,Data Structures,01,Mon Wed,09:00-10:50,B101,Ada,30,12
+,,02,Tue,13:00-14:50,B102,Alan,30,30
+`;
+
+// A workbook whose first sheet is a summary without course rows
+const writeTranscriptWorkbook = (filePath) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["Summary"], ["CGPA", "2.55"]]),
+    "Summary"
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ["Code", "Title", "Grade", "Credits", "ECTS", "Semester"],
+      ["CMPE101", "Programming", "B+", "3", "6", "2024-2025 Fall"],
+      ["MATH101", "Calculus", "F", "4", "6", "2024-2025 Fall"],
+      ["MATH101", "Calculus", "C", "4", "6", "2024-2025 Spring"],
+    ]),
+    "Grades"
+  );
+  XLSX.writeFile(workbook, filePath);
+};
+
+async function testSpreadsheets() {
+  console.log("=== Checking CSV and Excel imports ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nHeaders:");
+    check(
+      "a title row above the headers is skipped",
+      findHeaderRow([["Curriculum"], [], ["Code", "Title"]]),
+      2
+    );
+    check(
+      "headers are matched without case and the first known one wins",
+      mapColumns(["course code", "Course", " TITLE "], {
+        code: ["Course Code", "Course"],
+        title: ["Title"],
+        grade: ["Grade"],
+      }),
+      { code: 0, title: 2 }
+    );
+
+    console.log("\nImports:");
+    fs.writeFileSync("curriculum.csv", CURRICULUM_CSV);
+    fs.writeFileSync("offered.csv", OFFERED_CSV);
+    writeTranscriptWorkbook("transcript.xlsx");
+
+    const advisor = new CourseAdvisorSystem();
+    await quietly(async () => {
+      await advisor.parseCurriculum("curriculum.csv");
+      await advisor.parseTranscript("transcript.xlsx");
+      await advisor.parseAvailableCourses("offered.csv");
+    });
+    check(
+      "curriculum rows without a semester go to the elective list",
+      [
+        advisor.curriculum.map((c) => [c.code, c.semester, c.prerequisites]),
+        advisor.electivePool.map((c) => c.code),
+      ],
+      [
+        [
+          ["CMPE101", 1, []],
+          ["CMPE102", 2, ["CMPE101"]],
+        ],
+        ["SFWE412"],
+      ]
+    );
+    check(
+      "the transcript sheet is found and repeated rows become attempts",
+      [
+        Array.from(advisor.completedCourses.values()).map((c) => [
+          c.code,
+          c.grade,
+          c.attempts.length,
+        ]),
+        advisor.calculateGPA().cgpa,
+      ],
+      [
+        [
+          ["CMPE101", "B+", 1],
+          ["MATH101", "C", 2],
+        ],
+        2.55,
+      ]
+    );
+    check(
+      "diagnostics name the sheet and row",
+      advisor.diagnostics.transcript.records[0],
+      {
+        code: "CMPE101",
+        sheet: "Grades",
+        row: 2,
+        pattern: "columns",
+        confidence: 1,
+        defaults: ["gradePoints"],
+        lowConfidence: false,
+      }
+    );
+    check(
+      "rows without a code add sections with seats",
+      advisor.availableCourses.map((c) => [
+        c.code,
+        c.sections.map((s) => [s.section, s.meetings.length, s.enrolled]),
+      ]),
+      [
+        [
+          "CMPE102",
+          [
+            ["01", 2, 12],
+            ["02", 1, 30],
+          ],
+        ],
+      ]
+    );
+
+    fs.writeFileSync("unknown.csv", "Foo,Bar\n1,2\n");
+    let error = null;
+    try {
+      await quietly(() => advisor.parseTranscript("unknown.csv"));
+    } catch (caught) {
+      error = caught;
+    }
+    check(
+      "sheets without the required columns are refused with a proposal",
+      [
+        error.message.startsWith("No code or grade column in unknown.csv"),
+        Boolean(error.columnMappingProposal),
+      ],
+      [true, true]
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testSpreadsheets()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
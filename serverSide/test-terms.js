@@ -0,0 +1,138 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  parseTerm,
+  compareTerms,
+  sortByTerm,
+  nextRegularTerm,
+} = require("./terms");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+} = require("./test-helpers");
+
+const label = (text) => (parseTerm(text) || {}).label || null;
+
+// A passed attempt taken in a term
+const attempt = (code, semester, credits = 3) => [
+  code,
+  { code, title: code, grade: "B", credits, ects: 6, semester, passed: true },
+];
+
+async function testTerms() {
+  console.log("=== Checking academic terms ===");
+  const cleanUp = useScratchDirectory();
+
+  try {
+    console.log("\nReading terms:");
+    check(
+      "academic years and calendar years are told apart",
+      [
+        label("2022-2023 Fall"),
+        label("2022-2023 (Spring)"),
+        label("Spring 2023"),
+        label("Fall Semester 2022/23"),
+        label("2023-2024 Güz"),
+        label("Bahar 2024"),
+      ],
+      [
+        "2022-2023 Fall",
+        "2022-2023 Spring",
+        "2022-2023 Spring",
+        "2022-2023 Fall",
+        "2023-2024 Fall",
+        "2023-2024 Spring",
+      ]
+    );
+    check(
+      "course titles mentioning a season are not terms",
+      [label("Spring Design Studio"), label("Summer Internship 2023 Report")],
+      [null, null]
+    );
+
+    console.log("\nOrdering:");
+    check(
+      "fall, spring and summer follow each other within a year",
+      [
+        compareTerms(parseTerm("Fall 2022"), parseTerm("Spring 2023")) < 0,
+        compareTerms(parseTerm("Summer 2023"), parseTerm("Spring 2023")) > 0,
+        compareTerms(parseTerm("Summer 2023"), parseTerm("Fall 2023")) < 0,
+      ],
+      [true, true, true]
+    );
+    check(
+      "items without a term keep their place",
+      sortByTerm(
+        ["2023-2024 Fall", "Transfer credits", "2022-2023 Spring", "Fall 2022"],
+        (term) => term
+      ),
+      ["Fall 2022", "Transfer credits", "2022-2023 Spring", "2023-2024 Fall"]
+    );
+    check(
+      "summer schools are skipped when looking ahead",
+      [
+        nextRegularTerm(parseTerm("2024-2025 Fall")).label,
+        nextRegularTerm(parseTerm("2024-2025 Spring")).label,
+        nextRegularTerm(parseTerm("2024-2025 Summer")).label,
+      ],
+      ["2024-2025 Spring", "2025-2026 Fall", "2025-2026 Fall"]
+    );
+
+    console.log("\nCurrent semester:");
+    const advisor = new CourseAdvisorSystem();
+    advisor.completedCourses = new Map([
+      attempt("ENGP030", "2021-2022 Spring", 0),
+      attempt("CMPE101", "2022-2023 Fall"),
+      attempt("CMPE102", "2022-2023 Spring"),
+      attempt("MATH101", "2023 Summer"),
+    ]);
+    const standing = await quietly(() => advisor.getSemesterStanding());
+    check("preparatory and summer terms are not counted", standing, {
+      currentSemester: 3,
+      source: "terms",
+      completedTerms: 2,
+      lastTerm: "2022-2023 Summer",
+      nextTerm: "2023-2024 Fall",
+    });
+
+    advisor.completedCourses = new Map([
+      attempt("CMPE101", "", 20),
+      attempt("CMPE102", "", 25),
+    ]);
+    check(
+      "without terms the semester is estimated from credits",
+      await quietly(() => advisor.getSemesterStanding()),
+      {
+        currentSemester: 3,
+        source: "credits",
+        completedTerms: null,
+        lastTerm: null,
+        nextTerm: null,
+      }
+    );
+
+    const sample = await parseSampleDocuments(new CourseAdvisorSystem());
+    check(
+      "the sample transcript is in its seventh semester",
+      await quietly(() => sample.getSemesterStanding()),
+      {
+        currentSemester: 7,
+        source: "terms",
+        completedTerms: 6,
+        lastTerm: "2024-2025 Spring",
+        nextTerm: "2025-2026 Fall",
+      }
+    );
+  } finally {
+    cleanUp();
+  }
+}
+
+testTerms()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,144 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const {
+  parseDays,
+  parseTimeRange,
+  parseMeetings,
+  findClashes,
+  buildTimetable,
+  toICS,
+} = require("./timetable");
+const { check, finish } = require("./test-helpers");
+
+// A course with sections given as [section, days, time]
+const course = (code, ...sections) => ({
+  code,
+  title: code,
+  sections: sections.map(([section, days, time]) => ({
+    section,
+    meetings: parseMeetings(days, time),
+  })),
+});
+
+async function testTimetable() {
+  console.log("=== Checking sections, meeting times and clashes ===");
+
+  console.log("\nMeeting times:");
+  check(
+    "day lists and compact day codes",
+    [parseDays("Mon/Wed"), parseDays("MWF"), parseDays("TTh")],
+    [
+      ["MO", "WE"],
+      ["MO", "WE", "FR"],
+      ["TU", "TH"],
+    ]
+  );
+  check(
+    "time ranges with dots and dashes",
+    [parseTimeRange("9.00 – 10.50"), parseTimeRange("11:00-10:00")],
+    [{ start: "09:00", end: "10:50" }, null]
+  );
+  check(
+    "day and time lines are paired up",
+    parseMeetings("Mon\nThu", "09:00-10:50\n13:00-14:50", "B101").map(
+      (meeting) => `${meeting.day} ${meeting.start}-${meeting.end}`
+    ),
+    ["MO 09:00-10:50", "TH 13:00-14:50"]
+  );
+  check(
+    "a days cell can carry the times",
+    parseMeetings("Tue 13:00-14:50, Thu 09:00-10:50").map(
+      (meeting) => `${meeting.day} ${meeting.start}`
+    ),
+    ["TU 13:00", "TH 09:00"]
+  );
+
+  console.log("\nSection tables:");
+  const courses = new CourseAdvisorSystem().parseSectionTable([
+    ["Code", "Title", "Section", "Days", "Time", "Room", "Instructor"],
+    ["CMPE 101", "Programming", "01", "Mon Wed", "09:00-10:50", "B101", "Ada"],
+    ["", "", "02", "Tue", "13:00-14:50", "B102", "Alan"],
+    ["", "", "02", "Thu", "13:00-14:50", "B102", "Alan"],
+    ["MATH101", "Calculus", "01", "Fri", "10:00-11:50", "A1", ""],
+  ]);
+  check(
+    "rows without a code add sections and meetings to the course above",
+    courses.map((c) => [
+      c.code,
+      c.sections.map((s) => [s.section, s.meetings.length]),
+    ]),
+    [
+      [
+        "CMPE101",
+        [
+          ["01", 2],
+          ["02", 2],
+        ],
+      ],
+      ["MATH101", [["01", 1]]],
+    ]
+  );
+
+  console.log("\nClashes:");
+  const offered = [
+    course("CMPE101", ["01", "Mon Wed", "09:00-10:50"]),
+    course(
+      "MATH101",
+      ["01", "Wed", "10:00-11:50"],
+      ["02", "Tue Thu", "09:00-10:50"]
+    ),
+    course("PHYS101", ["01", "Mon", "10:30-12:20"]),
+    course("HIST101", ["01", "Fri", "09:00-10:50"]),
+    { code: "ARTS101", title: "ARTS101", sections: [] },
+  ];
+  const clashes = findClashes(offered);
+  check(
+    "a clash is unavoidable only when every pair of sections overlaps",
+    clashes.map((clash) => [...clash.courses, clash.unavoidable]),
+    [
+      ["CMPE101", "MATH101", false],
+      ["CMPE101", "PHYS101", true],
+    ]
+  );
+  check("the overlapping sections are named", clashes[0].overlappingSections, [
+    ["01", "01"],
+  ]);
+
+  console.log("\nTimetable:");
+  const timetable = buildTimetable(offered);
+  check(
+    "a clash-free section is picked for each course in priority order",
+    timetable.entries.map((entry) => `${entry.code}-${entry.section}`),
+    ["CMPE101-01", "MATH101-02", "HIST101-01"]
+  );
+  check(
+    "courses that cannot fit are reported",
+    [
+      timetable.unplaced.map((c) => [c.code, c.reason]),
+      timetable.unscheduled.map((c) => c.code),
+    ],
+    [[["PHYS101", "Every section clashes with CMPE101"]], ["ARTS101"]]
+  );
+
+  const ics = toICS(timetable.entries.slice(0, 1), {
+    // A Sunday: the Monday meeting starts the next day
+    termStart: new Date(2025, 8, 14),
+    weeks: 14,
+    calendarName: "Fall 2025",
+  });
+  check(
+    "meetings are exported as weekly recurring events",
+    [
+      (ics.match(/BEGIN:VEVENT/g) || []).length,
+      ics.includes("DTSTART:20250915T090000"),
+      ics.includes("RRULE:FREQ=WEEKLY;COUNT=14"),
+    ],
+    [2, true, true]
+  );
+}
+
+testTimetable()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,237 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const UploadStore = require("./UploadStore");
+const UserStore = require("./UserStore");
+const {
+  SAMPLE_DOCUMENTS,
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  startServer,
+} = require("./test-helpers");
+
+// A file as multer receives it into memory
+const received = (originalname, content, mimetype = "") => ({
+  originalname,
+  mimetype,
+  buffer: Buffer.from(content),
+});
+
+const PDF = "%PDF-1.4\n1 0 obj\n<<>>\nendobj\n";
+
+// The upload purge runs once the response is sent; wait for it to finish
+const waitFor = async (condition) => {
+  for (let tries = 0; tries < 40; tries++) {
+    if (await condition()) return true;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  return false;
+};
+
+async function testUploads() {
+  console.log("=== Checking uploaded files ===");
+  const cleanUp = useScratchDirectory();
+  let server = null;
+
+  try {
+    console.log("\nValidation:");
+    check(
+      "files must be of an accepted type and match it",
+      [
+        UploadStore.checkFile(received("transcript.exe", "MZ")),
+        UploadStore.checkFile(received("transcript.pdf", PDF, "image/png")),
+        UploadStore.checkFile(received("transcript.pdf", "")),
+        UploadStore.checkFile(received("transcript.pdf", "not a pdf")),
+        UploadStore.checkFile(received("courses.xlsx", PDF)),
+        UploadStore.checkFile(
+          received("grades.csv", "Code,Grade\n", "text/csv")
+        ),
+      ],
+      [
+        "transcript.exe is not a supported file type (.pdf, .docx, .xlsx, .xls, .csv, .txt)",
+        "transcript.pdf was sent as image/png, not as a .pdf file",
+        "transcript.pdf is empty",
+        "transcript.pdf is not a valid .pdf file",
+        "courses.xlsx is not a valid .xlsx file",
+        null,
+      ]
+    );
+
+    console.log("\nStoring by content:");
+    const store = new UploadStore("./data", { retentionHours: null });
+    const first = await quietly(() => store.save(received("a.pdf", PDF)));
+    const second = await quietly(() =>
+      store.save(received("../../Transcript (copy).PDF", PDF))
+    );
+    const hash = crypto.createHash("sha256").update(PDF).digest("hex");
+    check(
+      "identical files are stored once under their hash",
+      [
+        first.fileName,
+        [first.duplicate, second.duplicate],
+        second.fileName,
+        fs.readdirSync("uploads"),
+      ],
+      [`${hash}.pdf`, [false, true], `${hash}.pdf`, [`${hash}.pdf`]]
+    );
+    await store.linkProfile("sample", { transcript: first.fileName });
+    const [entry] = await store.list({ profileId: "sample" });
+    check(
+      "the index keeps the uploaded names and the profiles parsed",
+      [
+        entry.originalNames,
+        entry.uploads,
+        entry.profiles.map((link) => [link.profileId, link.documentType]),
+        (await store.list({ profileId: "other" })).length,
+      ],
+      [["a.pdf", "Transcript (copy).PDF"], 2, [["sample", "transcript"]], 0]
+    );
+
+    console.log("\nRetention:");
+    check(
+      "nothing is purged when the policy keeps files",
+      (await store.purge()).purged,
+      []
+    );
+    const busy = await quietly(() => store.purge({ olderThanHours: 0 }));
+    store.release(first.fileName);
+    check(
+      "files still in use are kept",
+      [busy.purged, (await store.delete(first.fileName)).conflict],
+      [[], true]
+    );
+    store.release(second.fileName);
+    const purged = await quietly(() => store.purge({ olderThanHours: 0 }));
+    const [kept] = await store.list();
+    check(
+      "released files are purged and their index entry kept",
+      [
+        purged.purged,
+        purged.freedBytes,
+        fs.existsSync(first.path),
+        typeof kept.purgedAt,
+        kept.profiles.length,
+      ],
+      [
+        [{ fileName: `${hash}.pdf`, size: PDF.length }],
+        PDF.length,
+        false,
+        "string",
+        1,
+      ]
+    );
+
+    fs.writeFileSync(path.join("uploads", "1755506951052-Transcript.pdf"), PDF);
+    const usage = await store.usage();
+    const swept = await quietly(() => store.purge({ unindexed: true }));
+    check(
+      "files from before the index are listed and can be swept",
+      [
+        [usage.storedFiles, usage.purgedFiles, usage.duplicateUploads],
+        [usage.unindexedFiles, usage.unindexedBytes],
+        swept.purged.map((file) => [file.fileName, file.unindexed]),
+      ],
+      [[0, 1, 1], [1, PDF.length], [["1755506951052-Transcript.pdf", true]]]
+    );
+    check(
+      "only files of the uploads directory can be deleted",
+      [
+        (await store.delete("../data/uploads.json")).message,
+        (await store.delete(`${hash}.pdf`)).notFound,
+      ],
+      ["Invalid file name", true]
+    );
+
+    console.log("\nUpload endpoints:");
+    await new UserStore().create({
+      username: "root",
+      password: "admin-password",
+      role: "admin",
+    });
+    await new UserStore().create({
+      username: "student",
+      password: "student-password",
+      role: "student",
+      profileId: "2103010202",
+    });
+    server = await startServer();
+    const root = await server.signIn("root", "admin-password");
+    const student = await server.signIn("student", "student-password");
+
+    const rejected = new FormData();
+    rejected.append("transcript", new Blob(["MZ"]), "transcript.exe");
+    const refused = await quietly(() =>
+      server.request("POST", "/api/parse-and-save", {
+        token: root,
+        form: rejected,
+      })
+    );
+    check(
+      "uploads of the wrong type are refused before parsing",
+      [refused.status, refused.body.message],
+      [
+        400,
+        "transcript: transcript.exe is not a supported file type (.pdf, .docx, .xlsx, .xls, .csv, .txt)",
+      ]
+    );
+
+    const form = new FormData();
+    for (const [field, file] of Object.entries(SAMPLE_DOCUMENTS)) {
+      form.append(
+        field,
+        new Blob([fs.readFileSync(file)]),
+        path.basename(file)
+      );
+    }
+    form.append("profileId", "2103010202");
+    const parsed = await quietly(() =>
+      server.request("POST", "/api/parse-and-save", { token: root, form })
+    );
+    const uploads = () =>
+      server.request("GET", "/api/uploads?profileId=2103010202", {
+        token: root,
+      });
+    await waitFor(async () =>
+      (await uploads()).body.uploads.every((upload) => upload.purgedAt)
+    );
+    const listed = await uploads();
+    check(
+      "parsed uploads are linked to the profile and purged after parsing",
+      [
+        parsed.status,
+        listed.body.uploads
+          .map((upload) => upload.profiles[0].documentType)
+          .sort(),
+        listed.body.uploads.every((upload) => upload.purgedAt),
+        listed.body.usage.storedFiles,
+      ],
+      [200, ["availableCourses", "curriculum", "transcript"], true, 0]
+    );
+    check(
+      "only admins see and clean up storage",
+      [
+        (await server.request("GET", "/api/uploads", { token: student }))
+          .status,
+        (
+          await server.request("POST", "/api/uploads/cleanup", {
+            token: root,
+            body: { olderThanHours: -1 },
+          })
+        ).status,
+      ],
+      [403, 400]
+    );
+  } finally {
+    if (server) await server.close();
+    cleanUp();
+  }
+}
+
+testUploads()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,229 @@
+const CourseAdvisorSystem = require("./CourseAdvisorSystem");
+const UserStore = require("./UserStore");
+const WaitlistStore = require("./WaitlistStore");
+const {
+  check,
+  finish,
+  quietly,
+  useScratchDirectory,
+  parseSampleDocuments,
+  startServer,
+} = require("./test-helpers");
+
+// An offered section with seat counts and no meeting times
+const section = (name, quota, enrolled) => ({
+  section: name,
+  meetings: [],
+  quota,
+  enrolled,
+});
+
+async function testWaitlists() {
+  console.log("=== Checking section quotas and waitlists ===");
+  const cleanUp = useScratchDirectory();
+  let server = null;
+
+  try {
+    console.log("\nSeat counts:");
+    const courses = new CourseAdvisorSystem().parseSectionTable([
+      ["Code", "Title", "Section", "Days", "Time", "Quota", "Enrolled"],
+      ["CMPE 101", "Programming", "01", "Mon", "09:00-10:50", "38/40", ""],
+      ["", "", "02", "Tue", "13:00-14:50", "25", "25"],
+      ["CMPE 102", "Data", "01", "Wed", "09:00-10:50", "", ""],
+    ]);
+    check(
+      "quota and enrollment are imported with the sections",
+      courses.map((course) =>
+        course.sections.map((s) =>
+          s.quota === undefined ? null : [s.quota, s.enrolled]
+        )
+      ),
+      [
+        [
+          [40, 38],
+          [25, 25],
+        ],
+        [null],
+      ]
+    );
+    check(
+      "free seats are never negative and unknown without a quota",
+      [
+        WaitlistStore.seatsLeft({ quota: 40, enrolled: 38 }),
+        WaitlistStore.seatsLeft({ quota: 20, enrolled: 23 }),
+        WaitlistStore.seatsLeft({ quota: null, enrolled: 3 }),
+      ],
+      [2, 0, null]
+    );
+
+    console.log("\nWaitlists:");
+    const store = new WaitlistStore();
+    check(
+      "seat counts must be whole numbers",
+      [
+        (await store.setSeats("SFWE415", "01", { quota: -1 })).message,
+        (await store.setSeats("SFWE415", "01", {})).message,
+      ],
+      ["quota must be a whole number of seats", "Send quota and/or enrolled"]
+    );
+    check(
+      "only full sections have a waitlist",
+      [
+        (await store.join("SFWE415", "01", "alice", { quota: null })).message,
+        (await store.join("SFWE415", "02", "alice", section("02", 30, 12)))
+          .message,
+      ],
+      [
+        "SFWE415 section 01 has no quota, so it has no waitlist",
+        "SFWE415 section 02 still has 18 free seat(s)",
+      ]
+    );
+
+    await quietly(() =>
+      store.setSeats("SFWE415", "01", { quota: 20, enrolled: 20 })
+    );
+    const first = await store.join("SFWE415", "01", "alice");
+    const second = await store.join("SFWE415", "01", "bob");
+    const again = await store.join("SFWE415", "01", "alice");
+    check(
+      "students queue in order, once each",
+      [first.position, second.position, again.conflict],
+      [1, 2, true]
+    );
+    const raised = await quietly(() =>
+      store.setSeats("SFWE415", "01", { quota: 21 })
+    );
+    check(
+      "freed seats go to the front of the queue",
+      [
+        raised.promoted,
+        raised.waitlist.enrolled,
+        raised.waitlist.waitlist.map((s) => s.profileId),
+        (await store.join("SFWE415", "01", "alice")).message,
+      ],
+      [["alice"], 21, ["bob"], "alice already has a seat in SFWE415 section 01"]
+    );
+    await store.leave("SFWE415", "01", "bob");
+    check(
+      "students leave a waitlist once",
+      (await store.leave("SFWE415", "01", "bob")).notFound,
+      true
+    );
+
+    console.log("\nRecommendations:");
+    const advisor = await parseSampleDocuments(new CourseAdvisorSystem());
+    const offer = (code, ...sections) => {
+      advisor.availableCourses.find((c) => c.code === code).sections = sections;
+    };
+    offer("SFWE415", section("01", 20, 20));
+    offer("ENGR401", section("01", 30, 30), section("02", 30, 10));
+    await quietly(() =>
+      store.setSeats("SFWE415", "01", { quota: 20, enrolled: 21 })
+    );
+    await quietly(() => advisor.loadWaitlists());
+    const recommendations = await quietly(() =>
+      advisor.getRecommendedCourses()
+    );
+    const proposed = recommendations.proposedRegistration.courses.map(
+      (course) => course.code
+    );
+    check(
+      "courses full in every section are left out of the proposal",
+      [
+        recommendations.fullCourses.map((course) => [
+          course.code,
+          course.fullSections,
+        ]),
+        proposed.includes("SFWE415"),
+        proposed.includes("ENGR401"),
+      ],
+      [[["SFWE415", ["01"]]], false, true]
+    );
+    const plan = await quietly(() =>
+      advisor.buildRegistrationPlan(["SFWE415", "ENGR401"])
+    );
+    check(
+      "plans warn about full sections and name what to take instead",
+      plan.selection.warnings.filter((warning) => warning.includes("full")),
+      [
+        "SFWE415 is full in every section; join a waitlist or take SFWE403, SFWE411, ELEE211 instead",
+        "ENGR401 section 01 is full; register in section 02",
+      ]
+    );
+
+    console.log("\nWaitlist endpoints:");
+    await quietly(async () => {
+      await advisor.saveParsedData("alice");
+      await advisor.saveParsedData("bob");
+    });
+    const users = new UserStore();
+    for (const name of ["alice", "bob"]) {
+      await users.create({
+        username: name,
+        password: `${name}-password`,
+        role: "student",
+        profileId: name,
+      });
+    }
+    await users.create({
+      username: "root",
+      password: "admin-password",
+      role: "admin",
+    });
+    server = await startServer();
+    const alice = await server.signIn("alice", "alice-password");
+    const bob = await server.signIn("bob", "bob-password");
+    const root = await server.signIn("root", "admin-password");
+    const send = (method, url, token, body) =>
+      quietly(() => server.request(method, url, { token, body }));
+
+    const joined = await send("POST", "/api/waitlists/engr401/01", alice, {});
+    check(
+      "students join for their own profile",
+      [
+        joined.status,
+        joined.body.position,
+        (
+          await send("POST", "/api/waitlists/ENGR401/01", bob, {
+            profileId: "alice",
+          })
+        ).status,
+        (await send("POST", "/api/waitlists/ENGR401/09", bob, {})).status,
+      ],
+      [201, 1, 403, 404]
+    );
+    await send("POST", "/api/waitlists/ENGR401/01", bob, {});
+    const listed = await send("GET", "/api/waitlists?code=ENGR401", bob);
+    check(
+      "others on the queue are hidden, its length is not",
+      listed.body.waitlists.map((entry) => [
+        entry.waitlistLength,
+        entry.waitlist.map((s) => [s.profileId, s.position]),
+      ]),
+      [[2, [["bob", 2]]]]
+    );
+    const seats = await send("PUT", "/api/waitlists/ENGR401/01", root, {
+      enrolled: 29,
+    });
+    check(
+      "admins free seats and the queue moves up",
+      [
+        (await send("PUT", "/api/waitlists/ENGR401/01", alice, { quota: 99 }))
+          .status,
+        seats.body.promoted,
+        seats.body.waitlist.waitlist.map((s) => s.profileId),
+      ],
+      [403, ["alice"], ["bob"]]
+    );
+  } finally {
+    if (server) await server.close();
+    cleanUp();
+  }
+}
+
+testWaitlists()
+  .then(finish)
+  .catch((error) => {
+    console.error("Checks failed:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,369 @@
+// Meeting-time parsing, clash detection and weekly timetable building for
+// offered course sections.
+
+// Day names and abbreviations mapped to iCalendar weekday codes
+const DAY_CODES = {
+  M: "MO",
+  MO: "MO",
+  MON: "MO",
+  MONDAY: "MO",
+  T: "TU",
+  TU: "TU",
+  TUE: "TU",
+  TUES: "TU",
+  TUESDAY: "TU",
+  W: "WE",
+  WE: "WE",
+  WED: "WE",
+  WEDNESDAY: "WE",
+  R: "TH",
+  TH: "TH",
+  THU: "TH",
+  THUR: "TH",
+  THURS: "TH",
+  THURSDAY: "TH",
+  F: "FR",
+  FR: "FR",
+  FRI: "FR",
+  FRIDAY: "FR",
+  SA: "SA",
+  SAT: "SA",
+  SATURDAY: "SA",
+  SU: "SU",
+  SUN: "SU",
+  SUNDAY: "SU",
+};
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const TIME_RANGE_PATTERN =
+  /(\d{1,2})[:.](\d{2})\s*(?:-|–|—|to)\s*(\d{1,2})[:.](\d{2})/i;
+
+// Parse "Mon/Wed", "Monday, Thursday", "MWF" or "TTh" into weekday codes
+const parseDays = (text) => {
+  const days = [];
+  const tokens = String(text || "")
+    .toUpperCase()
+    .split(/[^A-Z]+/)
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    if (DAY_CODES[token]) {
+      days.push(DAY_CODES[token]);
+      continue;
+    }
+
+    // Compact forms such as "MWF" or "TTH"
+    const compact = token.match(/TH|TU|SA|SU|MO|WE|FR|M|T|W|R|F/g);
+    if (compact && compact.join("") === token) {
+      days.push(...compact.map((part) => DAY_CODES[part]));
+    }
+  }
+
+  return [...new Set(days)];
+};
+
+const toMinutes = (hours, minutes) =>
+  parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+
+const formatMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(
+    total % 60
+  ).padStart(2, "0")}`;
+
+// Parse "09:00-10:50" or "9.00 – 10.50" into minutes since midnight
+const parseTimeRange = (text) => {
+  const match = String(text || "").match(TIME_RANGE_PATTERN);
+  if (!match) return null;
+
+  const start = toMinutes(match[1], match[2]);
+  const end = toMinutes(match[3], match[4]);
+  if (end <= start) return null;
+
+  return { start: formatMinutes(start), end: formatMinutes(end) };
+};
+
+// Build meetings from a days cell and a time cell. Cells may hold several
+// lines ("Mon\nWed" / "09:00-10:50\n13:00-14:50") which are paired up, or
+// the days cell may carry both ("Mon 09:00-10:50, Wed 13:00-14:50").
+const parseMeetings = (daysText, timeText, room = "") => {
+  const meetings = [];
+  const addMeetings = (days, time, meetingRoom) => {
+    for (const day of days) {
+      meetings.push({ day, ...time, room: meetingRoom });
+    }
+  };
+
+  if (!timeText) {
+    const combined = new RegExp(
+      `([A-Za-z][A-Za-z,/&\\s]*?)\\s*(${TIME_RANGE_PATTERN.source})`,
+      "gi"
+    );
+    for (const match of String(daysText || "").matchAll(combined)) {
+      const time = parseTimeRange(match[2]);
+      if (time) addMeetings(parseDays(match[1]), time, room);
+    }
+    return meetings;
+  }
+
+  const split = (text) =>
+    String(text || "")
+      .split(/\n+/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  const dayLines = split(daysText);
+  const timeLines = split(timeText);
+  const roomLines = split(room);
+
+  if (dayLines.length > 1 && dayLines.length === timeLines.length) {
+    dayLines.forEach((dayLine, index) => {
+      const time = parseTimeRange(timeLines[index]);
+      if (time) {
+        addMeetings(
+          parseDays(dayLine),
+          time,
+          roomLines[index] || roomLines[0] || ""
+        );
+      }
+    });
+    return meetings;
+  }
+
+  const days = parseDays(dayLines.join(" "));
+  for (const timeLine of timeLines) {
+    const time = parseTimeRange(timeLine);
+    if (time) addMeetings(days, time, roomLines.join(", "));
+  }
+  return meetings;
+};
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(":");
+  return toMinutes(hours, minutes);
+};
+
+const meetingsOverlap = (a, b) =>
+  a.day === b.day &&
+  minutesOf(a.start) < minutesOf(b.end) &&
+  minutesOf(b.start) < minutesOf(a.end);
+
+const sectionsOverlap = (a, b) =>
+  a.meetings.some((meetingA) =>
+    b.meetings.some((meetingB) => meetingsOverlap(meetingA, meetingB))
+  );
+
+const scheduledSections = (course) =>
+  (course.sections || []).filter((section) => section.meetings.length > 0);
+
+// Report every pair of courses whose sections overlap. A clash is
+// unavoidable when no combination of their sections fits together.
+const findClashes = (courses) => {
+  const clashes = [];
+  const scheduled = courses.filter(
+    (course) => scheduledSections(course).length > 0
+  );
+
+  for (let i = 0; i < scheduled.length; i++) {
+    for (let j = i + 1; j < scheduled.length; j++) {
+      const a = scheduled[i];
+      const b = scheduled[j];
+      const overlapping = [];
+      let combinations = 0;
+
+      for (const sectionA of scheduledSections(a)) {
+        for (const sectionB of scheduledSections(b)) {
+          combinations++;
+          if (sectionsOverlap(sectionA, sectionB)) {
+            overlapping.push([sectionA.section, sectionB.section]);
+          }
+        }
+      }
+
+      if (overlapping.length > 0) {
+        clashes.push({
+          courses: [a.code, b.code],
+          overlappingSections: overlapping,
+          unavoidable: overlapping.length === combinations,
+        });
+      }
+    }
+  }
+
+  return clashes;
+};
+
+// Pick one section per course so no meetings overlap. Courses are given in
+// priority order; the search keeps as many high-priority courses as
+// possible and gives up on exhaustive search after maxSteps.
+const buildTimetable = (courses, maxSteps = 20000) => {
+  const scheduled = courses.filter(
+    (course) => scheduledSections(course).length > 0
+  );
+  const unscheduled = courses
+    .filter((course) => scheduledSections(course).length === 0)
+    .map((course) => ({
+      code: course.code,
+      title: course.title,
+      reason: "No meeting times in the offered-courses document",
+    }));
+
+  // Weights make a higher-priority course worth more than all later ones
+  const count = Math.min(scheduled.length, 30);
+  const weightOf = (index) => (index < count ? 2 ** (count - 1 - index) : 0);
+
+  let best = [];
+  let bestScore = -1;
+  let steps = 0;
+  const chosen = [];
+
+  const search = (index, score) => {
+    if (steps++ > maxSteps) return;
+    if (score + 2 ** Math.max(count - index, 0) - 1 <= bestScore) return;
+
+    if (index === scheduled.length) {
+      best = chosen.slice();
+      bestScore = score;
+      return;
+    }
+
+    for (const section of scheduledSections(scheduled[index])) {
+      const fits = chosen.every(
+        (picked) => !picked || !sectionsOverlap(picked, section)
+      );
+      if (!fits) continue;
+
+      chosen.push(section);
+      search(index + 1, score + weightOf(index));
+      chosen.pop();
+    }
+
+    chosen.push(null);
+    search(index + 1, score);
+    chosen.pop();
+  };
+
+  search(0, 0);
+
+  const entries = [];
+  const unplaced = [];
+  scheduled.forEach((course, index) => {
+    const section = best[index];
+    if (section) {
+      entries.push({
+        code: course.code,
+        title: course.title,
+        section: section.section,
+        instructor: section.instructor,
+        meetings: section.meetings,
+      });
+      return;
+    }
+
+    const blockers = entries
+      .filter((entry) =>
+        scheduledSections(course).every((candidate) =>
+          sectionsOverlap(candidate, entry)
+        )
+      )
+      .map((entry) => entry.code);
+    unplaced.push({
+      code: course.code,
+      title: course.title,
+      reason:
+        blockers.length > 0
+          ? `Every section clashes with ${blockers.join(", ")}`
+          : "No clash-free combination of sections",
+    });
+  });
+
+  return { entries, unplaced, unscheduled };
+};
+
+// Weekly view of the timetable: day code -> meetings sorted by start time
+const groupByDay = (entries) => {
+  const week = {};
+  for (const entry of entries) {
+    for (const meeting of entry.meetings) {
+      if (!week[meeting.day]) week[meeting.day] = [];
+      week[meeting.day].push({
+        code: entry.code,
+        section: entry.section,
+        ...meeting,
+      });
+    }
+  }
+  for (const day of Object.keys(week)) {
+    week[day].sort((a, b) => minutesOf(a.start) - minutesOf(b.start));
+  }
+  return week;
+};
+
+const escapeICSText = (text) =>
+  String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\n/g, "\\n");
+
+const formatICSDate = (date) =>
+  `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, "0")}${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+
+// Export timetable entries as weekly recurring iCalendar events starting in
+// the week of termStart (a local Date)
+const toICS = (entries, { termStart, weeks, calendarName }) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").split(".")[0];
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Course Advisor System//Timetable//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeICSText(calendarName)}`,
+  ];
+
+  for (const entry of entries) {
+    for (const meeting of entry.meetings) {
+      const date = new Date(termStart);
+      const offset = (WEEKDAYS.indexOf(meeting.day) - date.getDay() + 7) % 7;
+      date.setDate(date.getDate() + offset);
+      const day = formatICSDate(date);
+
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${entry.code}-${entry.section}-${
+          meeting.day
+        }-${meeting.start.replace(":", "")}-${day}@course-advisor`,
+        `DTSTAMP:${stamp}Z`,
+        `DTSTART:${day}T${meeting.start.replace(":", "")}00`,
+        `DTEND:${day}T${meeting.end.replace(":", "")}00`,
+        `RRULE:FREQ=WEEKLY;COUNT=${weeks}`,
+        `SUMMARY:${escapeICSText(`${entry.code} ${entry.title || ""}`.trim())}`,
+        `LOCATION:${escapeICSText(meeting.room)}`,
+        `DESCRIPTION:${escapeICSText(
+          [
+            `Section ${entry.section}`,
+            entry.instructor ? `Instructor: ${entry.instructor}` : "",
+          ]
+            .filter(Boolean)
+            .join("\n")
+        )}`,
+        "END:VEVENT"
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  parseDays,
+  parseTimeRange,
+  parseMeetings,
+  meetingsOverlap,
+  findClashes,
+  buildTimetable,
+  groupByDay,
+  toICS,
+};
@@ -0,0 +1,97 @@
+// Upload middleware for the API. Files are received into memory, checked
+// and stored by content hash through an UploadStore before the handler
+// runs; the handler then finds each stored file's path in file.path as
+// with multer's disk storage. When the response is sent the files are
+// released and the retention policy purges the ones no longer needed,
+// unless the handler called req.holdUploads() to release them later, as
+// background parse jobs do.
+
+const multer = require("multer");
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: (store) =>
+    `Files can be at most ${store.options.maxFileSizeMB} MB`,
+  LIMIT_UNEXPECTED_FILE: () => "Unexpected file field",
+};
+
+// Receive the given multer fields ([{ name, maxCount }]) into req.files
+const acceptUploads = (uploadStore, fields) => {
+  const receive = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: uploadStore.maxFileSize,
+      files: fields.reduce((sum, field) => sum + (field.maxCount || 1), 0),
+    },
+  }).fields(fields);
+
+  return (req, res, next) =>
+    receive(req, res, async (error) => {
+      if (error) {
+        const describe = LIMIT_MESSAGES[error.code];
+        return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+          success: false,
+          message: describe ? describe(uploadStore) : error.message,
+        });
+      }
+
+      const stored = [];
+      const release = async () => {
+        stored.forEach((fileName) => uploadStore.release(fileName));
+        try {
+          await uploadStore.purge();
+        } catch (purgeError) {
+          console.error("Upload purge error:", purgeError);
+        }
+      };
+      let held = false;
+      // Keep the files past the response; returns the function releasing
+      // them
+      req.holdUploads = () => {
+        held = true;
+        return release;
+      };
+      res.on("close", () => {
+        if (!held) release();
+      });
+
+      try {
+        for (const file of Object.values(req.files || {}).flat()) {
+          const result = await uploadStore.save(file);
+          if (!result.success) {
+            return res.status(400).json({
+              success: false,
+              message: `${file.fieldname}: ${result.message}`,
+            });
+          }
+
+          stored.push(result.fileName);
+          file.path = result.path;
+          file.filename = result.fileName;
+          file.hash = result.hash;
+          delete file.buffer;
+        }
+        next();
+      } catch (saveError) {
+        console.error("API Error:", saveError);
+        res.status(500).json({
+          success: false,
+          error: saveError.message,
+        });
+      }
+    });
+};
+
+// Receive one file field into req.file
+const acceptUpload = (uploadStore, name) => {
+  const accept = acceptUploads(uploadStore, [{ name, maxCount: 1 }]);
+  return (req, res, next) =>
+    accept(req, res, () => {
+      req.file = req.files && req.files[name] ? req.files[name][0] : undefined;
+      next();
+    });
+};
+
+module.exports = {
+  acceptUploads,
+  acceptUpload,
+};